@@ -5,27 +5,52 @@
 const express = require("express");
 const cors = require("cors");
 
-const { NotFoundError } = require("./expressError");
+const { ExpressError, NotFoundError } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { requestId, accessLog } = require("./middleware/logging");
+const { rateLimit } = require("./middleware/rateLimit");
+const { auditRequest } = require("./helpers/audit");
+const { logger } = require("./helpers/logger");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs") 
-
-const morgan = require("morgan");
+const searchRoutes = require("./routes/search");
+const skillsRoutes = require("./routes/skills");
+const adminRoutes = require("./routes/admin");
+const webhooksRoutes = require("./routes/webhooks");
+const { buildSpec } = require("./helpers/openapi");
+const { GLOBAL_RATE_LIMIT, RATE_LIMIT_WINDOW_SECONDS, TRUST_PROXY } = require("./config");
 
 const app = express();
 
-app.use(cors());
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY);
+
+app.use(requestId);
+app.use(accessLog);
+app.use(auditRequest);
+app.use(cors({ exposedHeaders: ["X-Request-Id", "ETag", "Retry-After"] }));
+app.use(rateLimit({
+  name: "ip", limit: GLOBAL_RATE_LIMIT, windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+}));
 app.use(express.json());
-app.use(morgan("tiny"));
 app.use(authenticateJWT);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/skills", skillsRoutes);
+app.use("/admin", adminRoutes);
+app.use("/webhooks", webhooksRoutes);
+
+/** GET /openapi.json: OpenAPI 3 description of this API. */
+const openapiSpec = buildSpec();
+app.get("/openapi.json", function (req, res) {
+  return res.json(openapiSpec);
+});
 
 
 /** Handle 404 errors -- this matches everything */
@@ -33,15 +58,29 @@ app.use(function (req, res, next) {
   return next(new NotFoundError());
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Responds with { error: { status, code, message, requestId, fields } }:
+ * - code is machine-readable (see expressError.js); for other errors it's
+ *   "bad_request" (e.g. unparseable JSON) or "internal"
+ * - requestId lets a client reporting an error point us at its log lines
+ * - fields is only there for validation errors: [{ path, code, message }]
+ *
+ * Errors with a retryAfter (rate limits) also set Retry-After.
+ */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  const code = err instanceof ExpressError
+      ? err.code
+      : (status < 500 ? "bad_request" : "internal");
+
+  if (status >= 500) logger.error("unhandled error", { err });
+  if (err.retryAfter !== undefined) res.set("Retry-After", String(err.retryAfter));
 
-  return res.status(status).json({
-    error: { message, status },
-  });
+  const error = { status, code, message, requestId: req.id };
+  if (err.fields) error.fields = err.fields;
+  return res.status(status).json({ error });
 });
 
 module.exports = app;
@@ -16,6 +16,33 @@ test("not found for site 404 (test stack print)", async function () {
   delete process.env.NODE_ENV;
 });
 
+test("errors include the request id", async function () {
+  const resp = await request(app)
+      .get("/no-such-path")
+      .set("X-Request-Id", "req-1");
+  expect(resp.headers["x-request-id"]).toEqual("req-1");
+  expect(resp.body).toEqual({
+    error: {
+      message: "Not Found",
+      status: 404,
+      code: "not_found",
+      requestId: "req-1",
+    },
+  });
+});
+
+test("makes up a request id if none was sent", async function () {
+  const resp = await request(app).get("/openapi.json");
+  expect(resp.headers["x-request-id"]).toEqual(expect.any(String));
+});
+
+test("serves the OpenAPI spec", async function () {
+  const resp = await request(app).get("/openapi.json");
+  expect(resp.statusCode).toEqual(200);
+  expect(resp.body.openapi).toEqual("3.1.0");
+  expect(resp.body.paths["/companies/{handle}"]).toEqual(expect.any(Object));
+});
+
 afterAll(function () {
   db.end();
 });
@@ -0,0 +1,22 @@
+"use strict";
+
+/** Close job postings past their expiry date.
+ *
+ * The worker does this hourly (see tasks.js); to run it now:
+ *
+ *   npm run jobs:close-expired
+ */
+
+const db = require("./db");
+const Job = require("./models/job");
+const { logger } = require("./helpers/logger");
+
+Job.closeExpired()
+    .then(ids => {
+      logger.info("closed expired jobs", { count: ids.length, jobIds: ids });
+    })
+    .catch(err => {
+      logger.error("closing expired jobs failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
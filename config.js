@@ -3,12 +3,53 @@
 /** Shared config for application; can be required many places. */
 
 require("dotenv").config();
-require("colors");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Access tokens are short-lived; clients get new ones from POST /auth/refresh
+// using the longer-lived refresh token issued at login.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+// Lifetimes of the single-use tokens emailed for password resets and email
+// verification, and the site their links point at.
+const PASSWORD_RESET_EXPIRES_MINUTES = +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// How long deleted companies, jobs and users can be restored before
+// purgeDeleted.js removes them for good.
+const DELETED_RETENTION_DAYS = +process.env.DELETED_RETENTION_DAYS || 30;
+
+// Rate limits (see helpers/rateLimit.js), each so many requests per
+// RATE_LIMIT_WINDOW_SECONDS: per client IP across the API, and, on /auth,
+// per IP and per username. After LOCKOUT_MAX_FAILURES failed logins in
+// LOCKOUT_SECONDS a username is locked out until that time is up. Counts
+// are kept in memory, per process, unless RATE_LIMIT_STORE is "postgres".
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+const RATE_LIMIT_WINDOW_SECONDS = +process.env.RATE_LIMIT_WINDOW_SECONDS || 900;
+const GLOBAL_RATE_LIMIT = +process.env.GLOBAL_RATE_LIMIT || 1000;
+const AUTH_RATE_LIMIT_PER_IP = +process.env.AUTH_RATE_LIMIT_PER_IP || 30;
+const AUTH_RATE_LIMIT_PER_USERNAME = +process.env.AUTH_RATE_LIMIT_PER_USERNAME || 10;
+const LOCKOUT_MAX_FAILURES = +process.env.LOCKOUT_MAX_FAILURES || 5;
+const LOCKOUT_SECONDS = +process.env.LOCKOUT_SECONDS || 900;
+
+// How many reverse proxies sit in front of the app; client IPs are taken
+// from X-Forwarded-For past that many hops. 0 (the default) ignores it.
+const TRUST_PROXY = +process.env.TRUST_PROXY || 0;
+
+// Hosts (as written in URLs) webhooks can be sent to even though they're
+// private addresses, comma-separated; see helpers/publicUrl.js. Tests send
+// them to a local server.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS
+    || (process.env.NODE_ENV === "test" ? "127.0.0.1" : ""))
+    .split(",").map(host => host.trim()).filter(Boolean);
+
+// How often an idle worker (worker.js) checks for tasks.
+const WORKER_POLL_SECONDS = +process.env.WORKER_POLL_SECONDS || 5;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -21,16 +62,31 @@ function getDatabaseUri() {
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
-console.log("Jobly Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
-console.log("PORT:".yellow, PORT.toString());
-console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
-console.log("Database:".yellow, getDatabaseUri());
-console.log("---");
+// debug, info, warn, error or silent; see helpers/logger.js. Tests are quiet
+// unless asked otherwise.
+const LOG_LEVEL = process.env.LOG_LEVEL
+    || (process.env.NODE_ENV === "test" ? "silent" : "info");
 
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+  APP_URL,
+  DELETED_RETENTION_DAYS,
+  WORKER_POLL_SECONDS,
+  RATE_LIMIT_STORE,
+  RATE_LIMIT_WINDOW_SECONDS,
+  GLOBAL_RATE_LIMIT,
+  AUTH_RATE_LIMIT_PER_IP,
+  AUTH_RATE_LIMIT_PER_USERNAME,
+  LOCKOUT_MAX_FAILURES,
+  LOCKOUT_SECONDS,
+  TRUST_PROXY,
+  WEBHOOK_ALLOWED_HOSTS,
+  LOG_LEVEL,
   getDatabaseUri,
 };
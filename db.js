@@ -3,21 +3,68 @@
 const { Client } = require("pg");
 const { getDatabaseUri } = require("./config");
 
-let db;
+/** Give client a transaction(fn) method: it runs fn in a transaction,
+ * committing if fn resolves and rolling back if it throws, and returns what
+ * fn returns.
+ *
+ * Inside a transaction that's already open (as every test runs in), a
+ * savepoint stands in for it, so only fn's work is undone on failure.
+ */
 
-if (process.env.NODE_ENV === "production") {
-  db = new Client({
-    connectionString: getDatabaseUri(),
-    ssl: {
-      rejectUnauthorized: false
+function withTransactions(client) {
+  // From the server after each query: "I" idle, "T" in a transaction, "E" in
+  // a failed one.
+  let status = "I";
+  client.connection.on("readyForQuery", msg => { status = msg.status; });
+
+  client.transaction = async function (fn) {
+    const nested = status !== "I";
+    await client.query(nested ? "SAVEPOINT transaction" : "BEGIN");
+    try {
+      const result = await fn();
+      await client.query(nested ? "RELEASE SAVEPOINT transaction" : "COMMIT");
+      return result;
+    } catch (err) {
+      await client.query(nested ? "ROLLBACK TO SAVEPOINT transaction" : "ROLLBACK");
+      throw err;
     }
-  });
-} else {
-  db = new Client({
+  };
+
+  return client;
+}
+
+/** A new (unconnected) client, with transaction(). */
+
+function newClient() {
+  if (process.env.NODE_ENV === "production") {
+    return withTransactions(new Client({
+      connectionString: getDatabaseUri(),
+      ssl: {
+        rejectUnauthorized: false
+      }
+    }));
+  }
+  return withTransactions(new Client({
     connectionString: getDatabaseUri()
-  });
+  }));
 }
 
+const db = newClient();
 db.connect();
 
-module.exports = db;
\ No newline at end of file
+/** A connection of its own, for work that holds one for a long time (like
+ * streaming an export), leaving the shared one free. Resolves to
+ * { client, release }; call release() when done with client.
+ *
+ * Tests get the shared connection, so they see what their open transaction
+ * wrote.
+ */
+
+db.connectOwn = async function () {
+  if (process.env.NODE_ENV === "test") return { client: db, release: async () => {} };
+  const client = newClient();
+  await client.connect();
+  return { client, release: () => client.end() };
+};
+
+module.exports = db;
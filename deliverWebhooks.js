@@ -0,0 +1,28 @@
+"use strict";
+
+/** Send the webhook deliveries that are due: new events, and failed ones
+ * whose retry has come round.
+ *
+ * The worker does this every minute (see tasks.js); to run it now:
+ *
+ *   npm run webhooks:deliver
+ */
+
+const db = require("./db");
+const Webhook = require("./models/webhook");
+const { logger } = require("./helpers/logger");
+
+Webhook.deliverDue()
+    .then(deliveries => {
+      const count = status => deliveries.filter(d => d.status === status).length;
+      logger.info("delivered webhooks", {
+        succeeded: count("succeeded"),
+        retrying: count("pending"),
+        failed: count("failed"),
+      });
+    })
+    .catch(err => {
+      logger.error("delivering webhooks failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
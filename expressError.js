@@ -1,46 +1,89 @@
 /** ExpressError extends normal JS error so we can
  *  add a status when we make an instance of it.
  *
+ *  Each error also has a machine-readable code (like "not_found") that
+ *  clients can rely on, unlike the message.
+ *
  *  The error-handling middleware will return this.
  */
 
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, code = "error") {
     super();
     this.message = message;
     this.status = status;
+    this.code = code;
   }
 }
 
 /** 404 NOT FOUND error. */
 
 class NotFoundError extends ExpressError {
-  constructor(message = "Not Found") {
-    super(message, 404);
+  constructor(message = "Not Found", code = "not_found") {
+    super(message, 404, code);
   }
 }
 
 /** 401 UNAUTHORIZED error. */
 
 class UnauthorizedError extends ExpressError {
-  constructor(message = "Unauthorized") {
-    super(message, 401);
+  constructor(message = "Unauthorized", code = "unauthorized") {
+    super(message, 401, code);
   }
 }
 
 /** 400 BAD REQUEST error. */
 
 class BadRequestError extends ExpressError {
-  constructor(message = "Bad Request") {
-    super(message, 400);
+  constructor(message = "Bad Request", code = "bad_request") {
+    super(message, 400, code);
+  }
+}
+
+/** 400 BAD REQUEST error for input that failed validation.
+ *
+ * fields says what was wrong with which input: [{ path, code, message }, ...]
+ * (see middleware/validate.js).
+ */
+
+class ValidationError extends BadRequestError {
+  constructor(fields, message = "Invalid request") {
+    super(message, "validation_failed");
+    this.fields = fields;
   }
 }
 
 /** 403 BAD REQUEST error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
-    super(message, 403);
+  constructor(message = "Bad Request", code = "forbidden") {
+    super(message, 403, code);
+  }
+}
+
+/** 412 PRECONDITION FAILED error: what the client has is out of date. */
+
+class PreconditionFailedError extends ExpressError {
+  constructor(message = "Precondition Failed", code = "precondition_failed") {
+    super(message, 412, code);
+  }
+}
+
+/** 428 PRECONDITION REQUIRED error: the request must be conditional. */
+
+class PreconditionRequiredError extends ExpressError {
+  constructor(message = "Precondition Required", code = "precondition_required") {
+    super(message, 428, code);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error: slow down. retryAfter is how many seconds
+ * to wait, sent as the Retry-After header. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter = 60, code = "too_many_requests") {
+    super(message, 429, code);
+    this.retryAfter = retryAfter;
   }
 }
 
@@ -49,5 +92,9 @@ module.exports = {
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
+  ValidationError,
   ForbiddenError,
-};
\ No newline at end of file
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  TooManyRequestsError,
+};
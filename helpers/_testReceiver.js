@@ -0,0 +1,37 @@
+"use strict";
+
+/** A local HTTP server standing in for a webhook's receiver in tests.
+ *
+ *   const receiver = await startReceiver();
+ *   // ... register a webhook with url receiver.url, and deliver to it
+ *   receiver.requests   // [{ headers, raw, body }, ...], body parsed from raw
+ *   receiver.status = 500;   // answer further requests with this
+ *   await receiver.close();
+ */
+
+const http = require("http");
+
+async function startReceiver() {
+  const receiver = { requests: [], status: 200 };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+      res.statusCode = receiver.status;
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  receiver.close = () => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return receiver;
+}
+
+module.exports = { startReceiver };
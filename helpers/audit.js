@@ -0,0 +1,39 @@
+"use strict";
+
+/** Who is making the writes the models record in the audit log (see
+ * models/auditLog.js).
+ *
+ * The models don't see the request, so auditRequest keeps track of it for
+ * everything done while handling one, as the logger does for request ids.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const auditStore = new AsyncLocalStorage();
+
+/** Middleware: attribute audit log entries written while handling the
+ * request to it. The actor is whoever res.locals.user is at the time of the
+ * write, so it's fine for routes to authenticate after this runs.
+ */
+
+function auditRequest(req, res, next) {
+  auditStore.run({ req, res }, next);
+}
+
+/** The current request's { actor, requestId }: the logged-in username and
+ * req.id (see middleware/logging.js). actor is null if no one is logged in;
+ * both are null outside a request.
+ */
+
+function auditSource() {
+  const store = auditStore.getStore();
+  if (!store) return { actor: null, requestId: null };
+
+  const { user } = store.res.locals;
+  return {
+    actor: user ? user.username : null,
+    requestId: store.req.id || null,
+  };
+}
+
+module.exports = { auditRequest, auditSource };
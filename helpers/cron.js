@@ -0,0 +1,117 @@
+"use strict";
+
+/** Cron expressions, for the worker's scheduled tasks (see tasks.js).
+ *
+ * The usual five fields, in UTC: minute (0-59), hour (0-23), day of the
+ * month (1-31), month (1-12) and day of the week (0-6, Sunday is 0; 7 is
+ * also Sunday). Each field is *, a number, a range (1-5), any of those with
+ * a step (*\/15, 0-30/10), or a comma-separated list of them. As in cron,
+ * if both day fields are restricted a day matching either will do.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+/** Parse one field into the Set of values it matches. */
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid cron ${name}: ${text}`);
+
+    const [, range, from, to, step] = match;
+    let start = min;
+    let end = max;
+    if (range !== "*") {
+      start = +from;
+      // "5/10" means 5, 15, ... up to the end of the field.
+      end = to !== undefined ? +to : (step !== undefined ? max : start);
+    }
+    if (start < min || end > max || start > end || step === "0") {
+      throw new Error(`Invalid cron ${name}: ${text}`);
+    }
+
+    for (let value = start; value <= end; value += +(step || 1)) values.add(value);
+  }
+
+  return values;
+}
+
+/** Parse a cron expression.
+ *
+ * Returns { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth,
+ *   anyDayOfWeek }, each but the last two a Set of the values allowed.
+ *
+ * Throws an Error if expr isn't a valid cron expression.
+ */
+
+function parseCron(expr) {
+  const texts = String(expr).trim().split(/\s+/);
+  if (texts.length !== FIELDS.length) {
+    throw new Error(`Cron expression needs ${FIELDS.length} fields: ${expr}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] =
+      texts.map((text, i) => parseField(text, FIELDS[i]));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: texts[2] === "*",
+    anyDayOfWeek: texts[4] === "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.daysOfMonth.has(date.getUTCDate());
+  const dow = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/** The first minute after the Date after that expr matches, as a Date.
+ *
+ * Throws an Error if expr isn't valid, or never matches (e.g. 30 February).
+ */
+
+function nextCronTime(expr, after) {
+  const cron = parseCron(expr);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Skip ahead a month, day, hour or minute at a time; every schedule
+  // matches within a few years (29 February at worst), or never.
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expr}`);
+}
+
+module.exports = { parseCron, nextCronTime };
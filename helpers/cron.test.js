@@ -0,0 +1,60 @@
+"use strict";
+
+const { parseCron, nextCronTime } = require("./cron");
+
+describe("parseCron", function () {
+  test("works: lists, ranges and steps", function () {
+    const cron = parseCron("*/15 9-17 1,15 * 1-5");
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...cron.daysOfMonth]).toEqual([1, 15]);
+    expect(cron.months.size).toEqual(12);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.anyDayOfMonth).toEqual(false);
+    expect(cron.anyDayOfWeek).toEqual(false);
+  });
+
+  test("works: a start with a step, and 7 for Sunday", function () {
+    const cron = parseCron("5/20 0 * * 7");
+    expect([...cron.minutes]).toEqual([5, 25, 45]);
+    expect([...cron.daysOfWeek]).toEqual([0]);
+  });
+
+  test("throws on invalid expressions", function () {
+    for (const expr of ["* * * *", "60 * * * *", "* 5-1 * * *", "*/0 * * * *", "a * * * *", "* * 0 * *"]) {
+      expect(() => parseCron(expr)).toThrow(Error);
+    }
+  });
+});
+
+describe("nextCronTime", function () {
+  const at = iso => new Date(iso);
+
+  test("works: the next minute after, never the same one", function () {
+    expect(nextCronTime("* * * * *", at("2024-01-01T10:00:30Z")))
+        .toEqual(at("2024-01-01T10:01:00Z"));
+    expect(nextCronTime("0 * * * *", at("2024-01-01T10:00:00Z")))
+        .toEqual(at("2024-01-01T11:00:00Z"));
+  });
+
+  test("works: across days, months and years", function () {
+    expect(nextCronTime("30 3 * * *", at("2024-01-31T04:00:00Z")))
+        .toEqual(at("2024-02-01T03:30:00Z"));
+    expect(nextCronTime("0 0 1 1 *", at("2024-06-01T00:00:00Z")))
+        .toEqual(at("2025-01-01T00:00:00Z"));
+    expect(nextCronTime("0 0 29 2 *", at("2024-03-01T00:00:00Z")))
+        .toEqual(at("2028-02-29T00:00:00Z"));
+  });
+
+  test("works: either day field, if both are given", function () {
+    // 2024-01-01 is a Monday.
+    expect(nextCronTime("0 12 15 * 3", at("2024-01-01T00:00:00Z")))
+        .toEqual(at("2024-01-03T12:00:00Z"));
+    expect(nextCronTime("0 12 * * 3", at("2024-01-03T12:00:00Z")))
+        .toEqual(at("2024-01-10T12:00:00Z"));
+  });
+
+  test("throws if it never matches", function () {
+    expect(() => nextCronTime("0 0 30 2 *", at("2024-01-01T00:00:00Z"))).toThrow(Error);
+  });
+});
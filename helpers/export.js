@@ -0,0 +1,134 @@
+"use strict";
+
+/** Exports: listings as CSV or NDJSON (one JSON object per line).
+ *
+ * A listing route exports instead of returning a page of JSON when asked
+ * with ?format=csv or ?format=ndjson, or an Accept header preferring
+ * text/csv or application/x-ndjson. The export has every matching row, not
+ * just a page. Rows are read from Postgres through a cursor, a batch at a
+ * time, and written out as they arrive, so big exports never sit in memory.
+ * Each export has a connection of its own (see db.connectOwn), held until
+ * it's done or the client goes away.
+ */
+
+const { once } = require("events");
+
+const db = require("../db");
+const { logger } = require("./logger");
+
+/** Content type for each export format. */
+const EXPORT_TYPES = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+};
+
+/** Rows fetched from the cursor at a time. */
+const BATCH_SIZE = 500;
+
+let cursorCount = 0;
+
+/** Which export format the request asks for: "csv", "ndjson", or null for a
+ * normal JSON response. ?format wins over the Accept header. */
+
+function exportFormat(req) {
+  if (req.query.format) return req.query.format === "json" ? null : req.query.format;
+  const type = req.accepts(["application/json", ...Object.values(EXPORT_TYPES)]);
+  return Object.keys(EXPORT_TYPES).find(format => EXPORT_TYPES[format] === type) || null;
+}
+
+/** Run query ({ text, values }) through a cursor on client, yielding a
+ * batch of up to BATCH_SIZE rows at a time as pg results ({ rows, fields }).
+ * The cursor is closed when the caller stops iterating.
+ *
+ * Call it inside a transaction (client.transaction), which the cursor lives
+ * in: Postgres then reads rows as they're fetched, rather than all of them
+ * up front as it would for a cursor WITH HOLD.
+ */
+
+async function* cursorBatches(client, { text, values = [] }) {
+  const name = `export_${++cursorCount}`;
+  await client.query(`DECLARE ${name} NO SCROLL CURSOR FOR ${text}`, values);
+  try {
+    let result;
+    do {
+      result = await client.query(`FETCH ${BATCH_SIZE} FROM ${name}`);
+      yield result;
+    } while (result.rows.length === BATCH_SIZE);
+  } finally {
+    await client.query(`CLOSE ${name}`);
+  }
+}
+
+/** A value as a CSV field: empty for null, ISO 8601 for dates, JSON for
+ * arrays and objects, and quoted if it needs to be.
+ *
+ * Strings a spreadsheet would take for a formula (starting with =, +, -, @,
+ * a tab or a carriage return) get a leading ' so they're shown as text.
+ */
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let str;
+  if (value instanceof Date) str = value.toISOString();
+  else if (typeof value === "object") str = JSON.stringify(value);
+  else if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) str = `'${value}`;
+  else str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** Lines of the export for a batch of rows. header is only for CSV's first
+ * batch. */
+
+function formatBatch(format, { rows, fields }, header) {
+  if (format === "ndjson") return rows.map(row => JSON.stringify(row) + "\n").join("");
+
+  const columns = fields.map(f => f.name);
+  const lines = rows.map(row => columns.map(col => csvField(row[col])).join(",") + "\r\n");
+  if (header) lines.unshift(columns.join(",") + "\r\n");
+  return lines.join("");
+}
+
+/** Stream the rows of query ({ text, values }) to res in format ("csv" or
+ * "ndjson"), as a download named filename.
+ *
+ * Errors before anything is sent (e.g. bad SQL) are thrown as usual; after
+ * that, the only thing to do is log them and cut the response short. If the
+ * client goes away, the cursor is closed and the connection let go.
+ */
+
+async function sendExport(res, format, filename, query) {
+  const { client, release } = await db.connectOwn();
+  let sending = false;
+  try {
+    await client.transaction(async () => {
+      for await (const batch of cursorBatches(client, query)) {
+        if (res.destroyed) break;
+        if (!sending) {
+          res.attachment(`${filename}.${format}`);
+          res.type(`${EXPORT_TYPES[format]}; charset=utf-8`);
+        }
+        const chunk = formatBatch(format, batch, !sending);
+        sending = true;
+        // Wait for a slow client to catch up (or go away) before reading more.
+        if (chunk && !res.write(chunk) && !res.destroyed) {
+          await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+      }
+    });
+    if (!res.destroyed) res.end();
+  } catch (err) {
+    if (!sending) throw err;
+    logger.error("export failed partway", { err });
+    res.destroy(err);
+  } finally {
+    await release();
+  }
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  exportFormat,
+  cursorBatches,
+  csvField,
+  sendExport,
+};
@@ -0,0 +1,118 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+
+const db = require("../db");
+const { exportFormat, cursorBatches, csvField, sendExport } = require("./export");
+
+afterAll(function () {
+  db.end();
+});
+
+/** A request like express gives the routes, whose Accept header prefers
+ * accepted (of the types offered). */
+
+function fakeReq(query, accepted = "application/json") {
+  return { query, accepts: () => accepted };
+}
+
+describe("exportFormat", function () {
+  test("works: ?format", function () {
+    expect(exportFormat(fakeReq({ format: "csv" }))).toEqual("csv");
+    expect(exportFormat(fakeReq({ format: "ndjson" }, "text/csv"))).toEqual("ndjson");
+    expect(exportFormat(fakeReq({ format: "json" }, "text/csv"))).toBeNull();
+  });
+
+  test("works: Accept header", function () {
+    expect(exportFormat(fakeReq({}, "text/csv"))).toEqual("csv");
+    expect(exportFormat(fakeReq({}, "application/x-ndjson"))).toEqual("ndjson");
+    expect(exportFormat(fakeReq({}))).toBeNull();
+    expect(exportFormat(fakeReq({}, false))).toBeNull();
+  });
+});
+
+describe("csvField", function () {
+  test("works", function () {
+    expect(csvField("plain")).toEqual("plain");
+    expect(csvField(12.5)).toEqual("12.5");
+    expect(csvField(null)).toEqual("");
+    expect(csvField(undefined)).toEqual("");
+    expect(csvField(false)).toEqual("false");
+    expect(csvField(new Date("2024-01-02T03:04:05Z"))).toEqual("2024-01-02T03:04:05.000Z");
+  });
+
+  test("works: quotes when needed; JSON for objects", function () {
+    expect(csvField('say "hi", then\nleave')).toEqual('"say ""hi"", then\nleave"');
+    expect(csvField([{ handle: "js" }])).toEqual('"[{""handle"":""js""}]"');
+  });
+
+  test("works: neutralises spreadsheet formulas", function () {
+    expect(csvField("=HYPERLINK(\"http://evil\")")).toEqual(`"'=HYPERLINK(""http://evil"")"`);
+    expect(csvField("+1")).toEqual("'+1");
+    expect(csvField("-2+3")).toEqual("'-2+3");
+    expect(csvField("@SUM(A1)")).toEqual("'@SUM(A1)");
+    expect(csvField("\tx")).toEqual("'\tx");
+    expect(csvField("\rx")).toEqual(`"'\rx"`);
+    expect(csvField(-5)).toEqual("-5");
+  });
+});
+
+describe("cursorBatches", function () {
+  test("works: fetches in batches, then closes the cursor", async function () {
+    const sizes = [];
+    const query = { text: "SELECT n FROM generate_series(1, $1) AS n", values: [1200] };
+    await db.transaction(async () => {
+      for await (const batch of cursorBatches(db, query)) {
+        expect(batch.fields.map(f => f.name)).toEqual(["n"]);
+        sizes.push(batch.rows.length);
+      }
+    });
+    expect(sizes).toEqual([500, 500, 200]);
+
+    const cursors = await db.query("SELECT name FROM pg_cursors");
+    expect(cursors.rows).toEqual([]);
+  });
+
+  test("works: closes the cursor when the caller stops early", async function () {
+    const query = { text: "SELECT n FROM generate_series(1, 1000) AS n" };
+    await db.transaction(async () => {
+      for await (const batch of cursorBatches(db, query)) {
+        expect(batch.rows[0]).toEqual({ n: 1 });
+        break;
+      }
+    });
+
+    const cursors = await db.query("SELECT name FROM pg_cursors");
+    expect(cursors.rows).toEqual([]);
+  });
+});
+
+describe("sendExport", function () {
+  /** A response like express gives the routes, whose client goes away after
+   * the first chunk. */
+  function abortingRes() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.attachment = () => {};
+    res.type = () => {};
+    res.write = chunk => {
+      res.chunks.push(chunk);
+      res.destroyed = true;
+      setImmediate(() => res.emit("close"));
+      return false;
+    };
+    res.end = () => { res.ended = true; };
+    return res;
+  }
+
+  test("works: closes the cursor when the client goes away", async function () {
+    const res = abortingRes();
+    const query = { text: "SELECT n FROM generate_series(1, 1000) AS n" };
+    await sendExport(res, "ndjson", "numbers", query);
+    expect(res.chunks.length).toEqual(1);
+    expect(res.ended).toBeUndefined();
+
+    const cursors = await db.query("SELECT name FROM pg_cursors");
+    expect(cursors.rows).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+/** Bulk imports: POST /companies/import and POST /jobs/import.
+ *
+ * The rows come as a JSON array of objects, or as CSV (Content-Type:
+ * text/csv) with a header row naming the fields. Each row is checked against
+ * the schema for creating one item, and gets a line in the report saying
+ * what happened to it. See Company.import and Job.import for the writing.
+ */
+
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { fieldErrors, coerce } = require("../middleware/validate");
+
+/** Most rows one import can have. */
+const MAX_IMPORT_ROWS = 1000;
+
+/** Parses CSV request bodies (JSON ones are parsed app-wide). */
+const csvBody = express.text({ type: "text/csv", limit: "1mb" });
+
+/** Parse CSV text into an array of records, each an array of strings.
+ *
+ * Fields are separated by commas; a field in double quotes can contain
+ * commas, newlines and doubled quotes ("" for "). Lines end in \n or \r\n;
+ * blank lines are skipped.
+ *
+ * Throws BadRequestError on a quote left open.
+ */
+
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || (ch === "\r" && text[i + 1] === "\n")) {
+      if (ch === "\r") i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new BadRequestError("CSV has a quoted field that is never closed");
+  if (field !== "" || record.length) endRecord();
+  return records;
+}
+
+/** Parse CSV with a header row into [{ field: value, ... }, ...].
+ *
+ * Values are strings; empty ones are left out, so the field counts as not
+ * given.
+ *
+ * Throws BadRequestError if a line has more or fewer fields than the header.
+ */
+
+function parseCsv(text) {
+  const [header = [], ...records] = parseCsvRecords(text);
+  const columns = header.map(name => name.trim());
+
+  return records.map((record, idx) => {
+    if (record.length !== columns.length) {
+      throw new BadRequestError(
+          `CSV row ${idx + 1} has ${record.length} fields; the header has ${columns.length}`);
+    }
+    const row = {};
+    columns.forEach((column, col) => {
+      if (record[col] !== "") row[column] = record[col];
+    });
+    return row;
+  });
+}
+
+/** Get the rows to import from req, and check each against schema.
+ *
+ * CSV values are converted to the types schema asks for, as for query
+ * strings (see coerce in middleware/validate.js).
+ *
+ * Returns [{ row, data, errors }, ...], where row counts from 1 (not
+ * counting a CSV header) and errors is [{ path, code, message }, ...] with
+ * paths like "row.salaryMin".
+ *
+ * Throws BadRequestError if the body is neither a JSON array nor CSV, has no
+ * rows, or has more than MAX_IMPORT_ROWS.
+ */
+
+function importRows(req, schema) {
+  let rows;
+  if (req.is("text/csv")) {
+    rows = parseCsv(typeof req.body === "string" ? req.body : "")
+        .map(row => coerce(row, schema));
+  } else if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else {
+    throw new BadRequestError(
+        "Send a JSON array of rows, or CSV with Content-Type: text/csv");
+  }
+
+  if (rows.length === 0) throw new BadRequestError("No rows to import");
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`Can't import more than ${MAX_IMPORT_ROWS} rows at once`);
+  }
+
+  return rows.map((data, idx) => ({
+    row: idx + 1,
+    data,
+    errors: fieldErrors(data, schema, "row"),
+  }));
+}
+
+/** Sum up an import whose rows (from importRows) each have a result:
+ * "created", "updated" or "rejected".
+ *
+ * Returns { dryRun, committed, created, updated, rejected, rows }, where
+ * created, updated and rejected are counts, and rows has each row without
+ * its data (and with its errors only if rejected).
+ */
+
+function importReport(rows, { dryRun, committed }) {
+  const count = result => rows.filter(r => r.result === result).length;
+  return {
+    dryRun,
+    committed,
+    created: count("created"),
+    updated: count("updated"),
+    rejected: count("rejected"),
+    rows: rows.map(({ data, errors, ...row }) =>
+        row.result === "rejected" ? { ...row, errors } : row),
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  csvBody,
+  parseCsv,
+  importRows,
+  importReport,
+};
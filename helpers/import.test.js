@@ -0,0 +1,96 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { MAX_IMPORT_ROWS, parseCsv, importRows, importReport } = require("./import");
+
+const schema = {
+  type: "object",
+  properties: {
+    handle: { type: "string" },
+    size: { type: "integer" },
+  },
+  additionalProperties: false,
+  required: ["handle"],
+};
+
+/** A request like express gives the routes, with body of type contentType. */
+
+function fakeReq(body, contentType = "application/json") {
+  return { body, is: type => type === contentType };
+}
+
+describe("parseCsv", function () {
+  test("works", function () {
+    expect(parseCsv("handle,size\na,1\nb,2\n")).toEqual([
+      { handle: "a", size: "1" },
+      { handle: "b", size: "2" },
+    ]);
+  });
+
+  test("works: quotes, CRLF, blank lines, BOM and empty fields", function () {
+    const text = '\uFEFFhandle, name ,size\r\n"a,b","say ""hi""\nthere",\r\n\r\nc,,3';
+    expect(parseCsv(text)).toEqual([
+      { handle: "a,b", name: 'say "hi"\nthere' },
+      { handle: "c", size: "3" },
+    ]);
+  });
+
+  test("bad request if a row doesn't fit the header", function () {
+    expect(() => parseCsv("handle,size\na,1,x\n"))
+        .toThrow("CSV row 1 has 3 fields; the header has 2");
+  });
+
+  test("bad request on unclosed quote", function () {
+    expect(() => parseCsv('handle\n"a\n')).toThrow(BadRequestError);
+  });
+});
+
+describe("importRows", function () {
+  test("works: JSON, checking each row", function () {
+    const rows = importRows(fakeReq([{ handle: "a" }, { size: "big" }]), schema);
+    expect(rows).toEqual([
+      { row: 1, data: { handle: "a" }, errors: [] },
+      {
+        row: 2,
+        data: { size: "big" },
+        errors: [
+          { path: "row.size", code: "invalid_type", message: "row.size must be an integer" },
+          { path: "row.handle", code: "required", message: "row.handle is required" },
+        ],
+      },
+    ]);
+  });
+
+  test("works: CSV, converting values", function () {
+    const rows = importRows(fakeReq("handle,size\na,5\n", "text/csv"), schema);
+    expect(rows).toEqual([{ row: 1, data: { handle: "a", size: 5 }, errors: [] }]);
+  });
+
+  test("bad request if not an array, empty or too long", function () {
+    expect(() => importRows(fakeReq({ handle: "a" }), schema)).toThrow(BadRequestError);
+    expect(() => importRows(fakeReq([]), schema)).toThrow("No rows to import");
+    const tooMany = Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => ({ handle: "a" }));
+    expect(() => importRows(fakeReq(tooMany), schema)).toThrow(BadRequestError);
+  });
+});
+
+describe("importReport", function () {
+  test("works", function () {
+    const error = { path: "row.handle", code: "required", message: "row.handle is required" };
+    const rows = [
+      { row: 1, data: { handle: "a" }, errors: [], handle: "a", result: "created" },
+      { row: 2, data: {}, errors: [error], result: "rejected" },
+    ];
+    expect(importReport(rows, { dryRun: true, committed: false })).toEqual({
+      dryRun: true,
+      committed: false,
+      created: 1,
+      updated: 0,
+      rejected: 1,
+      rows: [
+        { row: 1, handle: "a", result: "created" },
+        { row: 2, result: "rejected", errors: [error] },
+      ],
+    });
+  });
+});
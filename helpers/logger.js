@@ -0,0 +1,111 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const { LOG_LEVEL } = require("../config");
+
+/** Structured logging.
+ *
+ * Each log line is one JSON object on stdout:
+ *
+ *   {"time":"...","level":"info","msg":"request","requestId":"...","status":200}
+ *
+ * Lines logged while handling a request automatically carry its requestId
+ * (see middleware/logging.js), including those logged from models.
+ *
+ * Anything that looks like a credential -- fields named like password, token,
+ * secret, authorization, api key or cookie, and bearer headers, JWTs and API
+ * keys inside strings -- is replaced with "[REDACTED]" before it is written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/** Per-request fields (like requestId) added to every line logged within it. */
+const logContext = new AsyncLocalStorage();
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEY_RE = /password|secret|token|authorization|api[-_]?key|cookie/i;
+const SECRET_STRING_REPLACEMENTS = [
+  [/\b(bearer|apikey)\s+[^\s,;]+/gi, `$1 ${REDACTED}`],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  // API keys (see models/apiKey.js), but not the short prefixes shown for them.
+  [/\bjobly_[\w-]{20,}/g, REDACTED],
+];
+
+/** Return a copy of value with credentials replaced by "[REDACTED]". */
+
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return SECRET_STRING_REPLACEMENTS.reduce(
+        (str, [re, replacement]) => str.replace(re, replacement), value);
+  }
+  if (value instanceof Error) {
+    return redact({
+      type: value.name,
+      message: value.message,
+      status: value.status,
+      stack: value.stack,
+    }, seen);
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(v => redact(v, seen));
+
+  const copy = {};
+  for (const [key, val] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_RE.test(key) && val !== null && val !== undefined
+        ? REDACTED
+        : redact(val, seen);
+  }
+  return copy;
+}
+
+/** A logger writing JSON lines at or above level to stream.
+ *
+ * fields are added to every line; child() makes a logger with more.
+ */
+
+class Logger {
+  constructor({ level = LOG_LEVEL, stream = process.stdout, fields = {} } = {}) {
+    if (LEVELS[level] === undefined) throw new Error(`Unknown log level: ${level}`);
+    this.level = level;
+    this.stream = stream;
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      stream: this.stream,
+      fields: { ...this.fields, ...fields },
+    });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const line = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...logContext.getStore(),
+      ...fields,
+    });
+    this.stream.write(JSON.stringify(line) + "\n");
+  }
+
+  debug(msg, fields) { this.log("debug", msg, fields); }
+  info(msg, fields) { this.log("info", msg, fields); }
+  warn(msg, fields) { this.log("warn", msg, fields); }
+  error(msg, fields) { this.log("error", msg, fields); }
+}
+
+/** The app's logger. */
+const logger = new Logger();
+
+module.exports = { LEVELS, Logger, logger, logContext, redact };
@@ -0,0 +1,107 @@
+"use strict";
+
+const { Logger, logContext, redact } = require("./logger");
+
+/** A logger at level writing parsed lines into an array. */
+
+function testLogger(level = "debug") {
+  const lines = [];
+  const stream = { write: line => lines.push(JSON.parse(line)) };
+  return { lines, logger: new Logger({ level, stream }) };
+}
+
+describe("Logger", function () {
+  test("works: one JSON line per call", function () {
+    const { lines, logger } = testLogger();
+    logger.info("hello", { count: 2 });
+    expect(lines).toEqual([{
+      time: expect.any(String),
+      level: "info",
+      msg: "hello",
+      count: 2,
+    }]);
+  });
+
+  test("works: skips lines below its level", function () {
+    const { lines, logger } = testLogger("warn");
+    logger.debug("a");
+    logger.info("b");
+    logger.warn("c");
+    logger.error("d");
+    expect(lines.map(l => l.level)).toEqual(["warn", "error"]);
+  });
+
+  test("works: silent", function () {
+    const { lines, logger } = testLogger("silent");
+    logger.error("a");
+    expect(lines).toEqual([]);
+  });
+
+  test("works: child loggers add fields", function () {
+    const { lines, logger } = testLogger();
+    logger.child({ job: "sweep" }).info("done");
+    expect(lines[0]).toEqual(expect.objectContaining({ job: "sweep", msg: "done" }));
+  });
+
+  test("works: adds the current log context", function () {
+    const { lines, logger } = testLogger();
+    logContext.run({ requestId: "r1" }, () => logger.info("inside"));
+    logger.info("outside");
+    expect(lines[0].requestId).toEqual("r1");
+    expect(lines[1].requestId).toBeUndefined();
+  });
+
+  test("works: serializes errors", function () {
+    const { lines, logger } = testLogger();
+    logger.error("failed", { err: new Error("boom") });
+    expect(lines[0].err).toEqual({
+      type: "Error",
+      message: "boom",
+      stack: expect.stringContaining("boom"),
+    });
+  });
+
+  test("throws on unknown level", function () {
+    expect(() => new Logger({ level: "loud" })).toThrow("Unknown log level: loud");
+  });
+});
+
+describe("redact", function () {
+  test("works: credential-like fields", function () {
+    expect(redact({
+      username: "u1",
+      password: "secret1",
+      body: { refreshToken: "abc", apiKey: "k", nested: [{ Authorization: "x" }] },
+      token: null,
+    })).toEqual({
+      username: "u1",
+      password: "[REDACTED]",
+      body: { refreshToken: "[REDACTED]", apiKey: "[REDACTED]", nested: [{ Authorization: "[REDACTED]" }] },
+      token: null,
+    });
+  });
+
+  test("works: credentials inside strings", function () {
+    expect(redact("header was Bearer abc.def.ghi, ok"))
+        .toEqual("header was Bearer [REDACTED], ok");
+    expect(redact("jwt eyJhbGciOi.eyJ1c2VybmFtZSI.c2lnbmF0dXJl here"))
+        .toEqual("jwt [REDACTED] here");
+    expect(redact("No API key: jobly_Xk3-9fQ_2mZpLr7TbVw0aYcD1eNsHgUo4iKj5lMqR8t"))
+        .toEqual("No API key: [REDACTED]");
+  });
+
+  test("works: leaves API key prefixes alone", function () {
+    expect(redact({ prefix: "jobly_Xk3-9f" })).toEqual({ prefix: "jobly_Xk3-9f" });
+  });
+
+  test("works: leaves other values alone", function () {
+    const date = new Date();
+    expect(redact({ n: 1, date, s: "plain" })).toEqual({ n: 1, date, s: "plain" });
+  });
+
+  test("works: circular references", function () {
+    const value = { a: 1 };
+    value.self = value;
+    expect(redact(value)).toEqual({ a: 1, self: "[Circular]" });
+  });
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+const db = require("../db");
+const Task = require("../models/task");
+
+/** Outgoing email.
+ *
+ * Messages are { to, subject, text }. sendMail queues each as a "mail.send"
+ * task, so a slow or failing mail server doesn't hold up the request; the
+ * worker then hands it to deliverMail (see tasks.js), retrying if that fails.
+ *
+ * Mail goes out through a transport: any object with an async send(message)
+ * method. The default, outboxTransport, just records each message in the
+ * mail_outbox table, so everything works without a mail server. Plug in a
+ * real one (SMTP, an email API) at worker startup with setTransport.
+ */
+
+const outboxTransport = {
+  async send({ to, subject, text }) {
+    await db.query(
+          `INSERT INTO mail_outbox (recipient, subject, body)
+           VALUES ($1, $2, $3)`,
+        [to, subject, text]);
+  },
+};
+
+let transport = outboxTransport;
+
+/** Send all mail through transport from now on. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Queue message: { to, subject, text } to be sent by the worker. */
+
+async function sendMail(message) {
+  await Task.enqueue("mail.send", message);
+}
+
+/** Send message: { to, subject, text } through the transport now. */
+
+async function deliverMail(message) {
+  await transport.send(message);
+}
+
+module.exports = { outboxTransport, setTransport, sendMail, deliverMail };
@@ -0,0 +1,56 @@
+"use strict";
+
+const db = require("../db");
+const { outboxTransport, setTransport, sendMail, deliverMail } = require("./mailer");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+  setTransport(outboxTransport);
+});
+
+afterAll(function () {
+  db.end();
+});
+
+const message = { to: "a@example.com", subject: "Hello", text: "Hi there" };
+
+describe("sendMail", function () {
+  test("works: queues it for the worker", async function () {
+    const sent = [];
+    setTransport({ async send(msg) { sent.push(msg); } });
+    await sendMail(message);
+    expect(sent).toEqual([]);
+
+    const result = await db.query(
+        "SELECT name, payload, status FROM tasks");
+    expect(result.rows).toEqual([{ name: "mail.send", payload: message, status: "queued" }]);
+  });
+});
+
+describe("deliverMail", function () {
+  test("works: records mail in the outbox by default", async function () {
+    await deliverMail(message);
+    const result = await db.query(
+        "SELECT recipient, subject, body, created_at FROM mail_outbox");
+    expect(result.rows).toEqual([{
+      recipient: "a@example.com",
+      subject: "Hello",
+      body: "Hi there",
+      created_at: expect.any(Date),
+    }]);
+  });
+
+  test("works: with another transport", async function () {
+    const sent = [];
+    setTransport({ async send(msg) { sent.push(msg); } });
+    await deliverMail(message);
+    expect(sent).toEqual([message]);
+
+    const result = await db.query("SELECT id FROM mail_outbox");
+    expect(result.rows).toEqual([]);
+  });
+});
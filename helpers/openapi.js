@@ -0,0 +1,1273 @@
+"use strict";
+
+/** OpenAPI 3 description of the jobly API, served at GET /openapi.json.
+ *
+ * Request bodies, query parameters and typed path parameters come straight
+ * from the JSON Schema files in schemas/ that the routes validate against
+ * (bodies become components.schemas, named after the file). Everything else
+ * about a route is described in ROUTES below -- when you add a route, add it there
+ * too (openapi.test.js fails for any route without an entry).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PERMISSIONS, ROLES } = require("./permissions");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+/** Load every schemas/*.json as an OpenAPI component schema.
+ *
+ * $schema and $id are dropped: several files share an $id, and the
+ * components are referenced by name instead.
+ */
+
+function loadSchemas() {
+  const schemas = {};
+  for (const file of fs.readdirSync(SCHEMAS_DIR).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const { $schema, $id, ...schema } =
+        JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), "utf8"));
+    schemas[path.basename(file, ".json")] = schema;
+  }
+  return schemas;
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/** How a job's pay is described, wherever a job appears. */
+
+const SALARY_PROPERTIES = {
+  salaryMin: { type: ["integer", "null"] },
+  salaryMax: { type: ["integer", "null"], description: "null: salaryMin and up" },
+  currency: { type: "string", description: "ISO 4217 code" },
+  payPeriod: { type: "string", enum: ["hourly", "yearly"] },
+};
+
+/** Where a job is and what skills it wants, wherever a job appears in full. */
+
+const LOCATION_PROPERTIES = {
+  workMode: { type: "string", enum: ["onsite", "hybrid", "remote"] },
+  locations: { type: "array", items: ref("Location") },
+  skills: { type: "array", items: ref("JobSkill") },
+};
+
+/** Response bodies (request bodies are the files in schemas/). */
+
+const RESPONSE_SCHEMAS = {
+  Company: {
+    type: "object",
+    properties: {
+      handle: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      numEmployees: { type: ["integer", "null"] },
+      logoUrl: { type: ["string", "null"] },
+    },
+  },
+  CompanyDetail: {
+    allOf: [
+      ref("Company"),
+      {
+        type: "object",
+        properties: {
+          jobs: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "integer" },
+                title: { type: "string" },
+                ...SALARY_PROPERTIES,
+                equity: { type: ["string", "null"] },
+              },
+            },
+          },
+        },
+      },
+    ],
+  },
+  Job: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string" },
+      ...SALARY_PROPERTIES,
+      equity: { type: ["string", "null"], description: "Numeric string, 0 to 1" },
+      companyHandle: { type: "string" },
+      status: { type: "string", enum: ["draft", "open", "closed", "filled"] },
+      postedAt: { type: ["string", "null"], format: "date-time" },
+      expiresAt: { type: ["string", "null"], format: "date-time" },
+      ...LOCATION_PROPERTIES,
+    },
+  },
+  JobDetail: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string" },
+      ...SALARY_PROPERTIES,
+      equity: { type: ["string", "null"] },
+      status: { type: "string", enum: ["draft", "open", "closed", "filled"] },
+      postedAt: { type: ["string", "null"], format: "date-time" },
+      expiresAt: { type: ["string", "null"], format: "date-time" },
+      ...LOCATION_PROPERTIES,
+      company: ref("Company"),
+    },
+  },
+  JobSkill: {
+    type: "object",
+    properties: {
+      handle: { type: "string" },
+      name: { type: "string" },
+      requirement: { type: "string", enum: ["required", "nice_to_have"] },
+    },
+  },
+  Skill: {
+    type: "object",
+    properties: {
+      handle: { type: "string" },
+      name: { type: "string" },
+      category: { type: ["string", "null"] },
+    },
+  },
+  SkillDetail: {
+    allOf: [
+      ref("Skill"),
+      {
+        type: "object",
+        properties: {
+          jobCount: { type: "integer", description: "Open jobs asking for it" },
+          userCount: { type: "integer" },
+        },
+      },
+    ],
+  },
+  Location: {
+    type: "object",
+    properties: {
+      city: { type: "string" },
+      region: { type: ["string", "null"] },
+      country: { type: "string", description: "ISO 3166-1 alpha-2 code" },
+      latitude: { type: ["number", "null"] },
+      longitude: { type: ["number", "null"] },
+    },
+  },
+  User: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      firstName: { type: "string" },
+      lastName: { type: "string" },
+      email: { type: "string" },
+      isAdmin: { type: "boolean" },
+      roles: {
+        type: "array",
+        items: { type: "string", enum: Object.keys(ROLES) },
+        description: "See helpers/permissions.js",
+      },
+      permissions: {
+        type: "array",
+        items: { type: "string", enum: PERMISSIONS },
+        description: "Granted on top of those of roles",
+      },
+    },
+  },
+  UserDetail: {
+    allOf: [
+      ref("User"),
+      {
+        type: "object",
+        properties: {
+          emailVerified: { type: "boolean" },
+          applications: { type: "array", items: ref("ApplicationSummary") },
+          skills: { type: "array", items: ref("UserSkill") },
+        },
+      },
+    ],
+  },
+  UserSkill: {
+    type: "object",
+    properties: {
+      handle: { type: "string" },
+      name: { type: "string" },
+      proficiency: { type: "integer", description: "1 (beginner) to 5 (expert)" },
+    },
+  },
+  Match: {
+    type: "object",
+    properties: {
+      jobId: { type: "integer" },
+      title: { type: "string" },
+      companyHandle: { type: "string" },
+      score: {
+        type: "number",
+        description: "Share of the job's skills the user has, required ones counting double",
+      },
+      matchedSkills: { type: "array", items: { type: "string" } },
+      missingSkills: {
+        type: "array",
+        items: { type: "string" },
+        description: "Required skills the user doesn't have",
+      },
+    },
+  },
+  SavedSearch: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string" },
+      filters: { type: "object", description: "GET /jobs filters" },
+      createdAt: { type: "string", format: "date-time" },
+      lastRunAt: {
+        type: "string",
+        format: "date-time",
+        description: "Jobs posted since then are new for this search",
+      },
+    },
+  },
+  ApiKey: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string" },
+      prefix: { type: "string", description: "The key's first characters, to tell keys apart" },
+      scopes: { type: "array", items: { type: "string", enum: ["read:jobs", "write:jobs", "admin"] } },
+      createdAt: { type: "string", format: "date-time" },
+      lastUsedAt: { type: ["string", "null"], format: "date-time" },
+    },
+  },
+  NewApiKey: {
+    allOf: [
+      ref("ApiKey"),
+      {
+        type: "object",
+        properties: {
+          key: {
+            type: "string",
+            description: "Send as \"Authorization: ApiKey <key>\"; only shown here",
+          },
+        },
+      },
+    ],
+  },
+  ImportReport: {
+    type: "object",
+    properties: {
+      dryRun: { type: "boolean" },
+      committed: { type: "boolean", description: "Whether the rows were written" },
+      created: { type: "integer" },
+      updated: { type: "integer" },
+      rejected: { type: "integer" },
+      rows: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer", description: "Counting from 1, after any CSV header" },
+            result: { type: "string", enum: ["created", "updated", "rejected"] },
+            handle: { type: "string", description: "Companies only" },
+            id: { type: ["integer", "null"], description: "Jobs only; null unless committed" },
+            errors: { type: "array", items: ref("FieldError") },
+          },
+        },
+      },
+    },
+  },
+  AuditEntry: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      actor: { type: ["string", "null"], description: "Username; null for scripts" },
+      action: { type: "string", description: "create, update, delete, add_member, ..." },
+      entity: { type: "string" },
+      entityId: { type: "string" },
+      before: { type: ["object", "null"], description: "Changed fields as they were" },
+      after: { type: ["object", "null"], description: "Changed fields as they are now" },
+      requestId: { type: ["string", "null"] },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  DeletedCompany: {
+    allOf: [
+      ref("Company"),
+      { type: "object", properties: { deletedAt: { type: "string", format: "date-time" } } },
+    ],
+  },
+  RestoredCompany: {
+    allOf: [
+      ref("Company"),
+      {
+        type: "object",
+        properties: {
+          jobIds: {
+            type: "array",
+            items: { type: "integer" },
+            description: "Jobs restored with it",
+          },
+        },
+      },
+    ],
+  },
+  DeletedJob: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string" },
+      companyHandle: { type: "string" },
+      status: { type: "string", enum: ["draft", "open", "closed", "filled"] },
+      deletedAt: { type: "string", format: "date-time" },
+    },
+  },
+  DeletedUser: {
+    allOf: [
+      ref("User"),
+      { type: "object", properties: { deletedAt: { type: "string", format: "date-time" } } },
+    ],
+  },
+  ApplicationSummary: {
+    type: "object",
+    properties: {
+      jobId: { type: "integer" },
+      title: { type: "string" },
+      companyHandle: { type: "string" },
+      state: { type: "string" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  Application: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      jobId: { type: "integer" },
+      state: { type: "string" },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  Member: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      firstName: { type: "string" },
+      lastName: { type: "string" },
+      email: { type: "string" },
+      role: { type: "string", enum: ["owner", "recruiter"] },
+    },
+  },
+  Applicant: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      firstName: { type: "string" },
+      lastName: { type: "string" },
+      email: { type: "string" },
+      state: { type: "string" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  Tokens: {
+    type: "object",
+    properties: {
+      token: { type: "string", description: "Short-lived access token (JWT)" },
+      refreshToken: { type: "string", description: "Use with /auth/refresh and /auth/logout" },
+    },
+  },
+  SearchResult: {
+    type: "object",
+    description: "A company or job matching a search",
+    properties: {
+      type: { type: "string", enum: ["company", "job"] },
+      handle: { type: "string", description: "Companies only" },
+      name: { type: "string", description: "Companies only" },
+      id: { type: "integer", description: "Jobs only" },
+      title: { type: "string", description: "Jobs only" },
+      companyHandle: { type: "string", description: "Jobs only" },
+      snippet: { type: "string", description: "Matching text, matched words in <mark> tags" },
+      rank: { type: "number" },
+    },
+  },
+  Page: {
+    type: "object",
+    description: "Paging metadata returned alongside list results",
+    properties: {
+      total: { type: "integer" },
+      next: { type: ["string", "null"], description: "Link to the next page" },
+      prev: { type: ["string", "null"], description: "Link to the previous page" },
+    },
+  },
+  Error: {
+    type: "object",
+    properties: {
+      error: {
+        type: "object",
+        properties: {
+          status: { type: "integer" },
+          code: { type: "string", description: "Machine-readable, e.g. not_found, validation_failed" },
+          message: { type: "string" },
+          requestId: { type: "string" },
+          fields: {
+            type: "array",
+            description: "Only for validation errors",
+            items: ref("FieldError"),
+          },
+        },
+      },
+    },
+  },
+  FieldError: {
+    type: "object",
+    properties: {
+      path: { type: "string", description: "e.g. body.salary, query.limit" },
+      code: { type: "string", description: "e.g. required, invalid_type, too_long" },
+      message: { type: "string" },
+    },
+  },
+  Task: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string", description: "e.g. mail.send, webhooks.deliver" },
+      payload: { type: "object" },
+      status: { type: "string", enum: ["queued", "running", "succeeded", "failed"] },
+      attempts: { type: "integer" },
+      maxAttempts: { type: "integer" },
+      runAt: { type: "string", format: "date-time", description: "When it's next due, while queued" },
+      lockedBy: { type: ["string", "null"], description: "The worker running it" },
+      lockedUntil: { type: ["string", "null"], format: "date-time" },
+      lastError: { type: ["string", "null"] },
+      result: { description: "What the task returned, once succeeded" },
+      createdAt: { type: "string", format: "date-time" },
+      startedAt: { type: ["string", "null"], format: "date-time" },
+      finishedAt: { type: ["string", "null"], format: "date-time" },
+    },
+  },
+  Webhook: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      url: { type: "string", format: "uri" },
+      events: { type: "array", items: { type: "string" } },
+      companyHandle: { type: ["string", "null"], description: "null: every company" },
+      createdBy: { type: ["string", "null"] },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  NewWebhook: {
+    allOf: [
+      ref("Webhook"),
+      {
+        type: "object",
+        properties: {
+          secret: {
+            type: "string",
+            description: "Key for the deliveries' X-Jobly-Signature; only shown here",
+          },
+        },
+      },
+    ],
+  },
+  WebhookDelivery: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      event: { type: "string", description: "One of the webhook's events, or ping" },
+      payload: { type: "object" },
+      status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+      attempts: { type: "integer" },
+      nextAttemptAt: { type: "string", format: "date-time", description: "While pending" },
+      lastStatusCode: { type: ["integer", "null"], description: "null: no response" },
+      lastError: { type: ["string", "null"] },
+      createdAt: { type: "string", format: "date-time" },
+      deliveredAt: { type: ["string", "null"], format: "date-time" },
+    },
+  },
+};
+
+/** Who may call a route: how each level shows up in the spec. */
+
+/** Routes that need a login take a token or an API key (whose scopes may
+ * not cover them; see middleware/auth.js). */
+
+const SECURITY = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+
+const AUTH = {
+  none: { description: "Authorization required: none" },
+  login: { description: "Authorization required: login", security: SECURITY },
+  admin: { description: "Authorization required: admin", security: SECURITY },
+  correctUserOrAdmin: {
+    description: "Authorization required: same user as :username, or admin",
+    security: SECURITY,
+  },
+  companyMemberOrAdmin: {
+    description: "Authorization required: admin, or owner/recruiter of the company",
+    security: SECURITY,
+  },
+  applicantOrCompanyMember: {
+    description:
+        "Authorization required: same user as :username, member of the job's company, or admin",
+    security: SECURITY,
+  },
+  companyMemberOrCompaniesWrite: {
+    description:
+        "Authorization required: admin, owner/recruiter of the company, or companies:write permission",
+    security: SECURITY,
+  },
+  openJobsOrCompanyMember: {
+    description: "Authorization required: none for open jobs; admin, owner/recruiter of "
+        + "the job's company, or jobs:write permission for the rest",
+    // Optional: anyone can call it, but jobs that aren't open need a login.
+    security: [{}, ...SECURITY],
+  },
+  companyMemberOrJobsWrite: {
+    description:
+        "Authorization required: admin, owner/recruiter of the company, or jobs:write permission",
+    security: SECURITY,
+  },
+  // One for each permission (see helpers/permissions.js), e.g. "jobs:write".
+  ...Object.fromEntries(PERMISSIONS.map(permission => [permission, {
+    description: `Authorization required: ${permission} permission`,
+    security: SECURITY,
+  }])),
+};
+
+/** Shorthand for an object response body holding one key. */
+
+function wrap(key, schema) {
+  return { type: "object", properties: { [key]: schema } };
+}
+
+function listOf(key, itemName) {
+  return { allOf: [wrap(key, { type: "array", items: ref(itemName) }), ref("Page")] };
+}
+
+/** Every route, keyed by OpenAPI path, then method.
+ *
+ * Each operation is { summary, auth, body, params, status, response }:
+ * - auth: a key of AUTH
+ * - body: name of the request body schema in schemas/, if any
+ * - importOf: for bulk imports, the schema each row is checked against; the
+ *   body is an array of those, or CSV
+ * - exports: true if the response can instead be a CSV or NDJSON download
+ *   (see helpers/export.js)
+ * - versioned: true if the response has the thing's version as its ETag;
+ *   GETs then take If-None-Match, and PATCHes need If-Match (see
+ *   middleware/conditional.js)
+ * - query: name of the query string schema in schemas/, if any
+ * - params: name of the path params schema in schemas/, if any (path params
+ *   without one are plain strings)
+ * - status/response: the success status (default 200) and body schema
+ */
+
+const ROUTES = {
+  "/openapi.json": {
+    get: {
+      tags: ["meta"],
+      summary: "This document",
+      auth: "none",
+      response: { type: "object" },
+    },
+  },
+
+  "/auth/token": {
+    post: {
+      tags: ["auth"],
+      summary: "Log in with username and password",
+      auth: "none",
+      body: "userAuth",
+      response: ref("Tokens"),
+    },
+  },
+  "/auth/register": {
+    post: {
+      tags: ["auth"],
+      summary: "Sign up as a new (non-admin) user",
+      auth: "none",
+      body: "userRegister",
+      status: 201,
+      response: ref("Tokens"),
+    },
+  },
+  "/auth/login": {
+    post: {
+      tags: ["auth"],
+      summary: "Log in with username and password",
+      auth: "none",
+      body: "userAuth",
+      response: ref("Tokens"),
+    },
+  },
+  "/auth/refresh": {
+    post: {
+      tags: ["auth"],
+      summary: "Get a new access token for a refresh token",
+      auth: "none",
+      body: "refreshToken",
+      response: wrap("token", { type: "string" }),
+    },
+  },
+  "/auth/logout": {
+    post: {
+      tags: ["auth"],
+      summary: "Revoke a refresh token and its access tokens",
+      auth: "none",
+      body: "refreshToken",
+      response: wrap("loggedOut", { type: "boolean" }),
+    },
+  },
+  "/auth/verify-email": {
+    post: {
+      tags: ["auth"],
+      summary: "Verify an email address with the token emailed on registration",
+      auth: "none",
+      body: "emailVerification",
+      response: wrap("verified", { type: "boolean" }),
+    },
+  },
+  "/auth/verify-email/resend": {
+    post: {
+      tags: ["auth"],
+      summary: "Email the current user a new verification link",
+      auth: "login",
+      response: wrap("sent", { type: "boolean" }),
+    },
+  },
+  "/auth/password-reset/request": {
+    post: {
+      tags: ["auth"],
+      summary: "Email a password reset link to the users with an address",
+      auth: "none",
+      body: "passwordResetRequest",
+      response: wrap("requested", { type: "boolean" }),
+    },
+  },
+  "/auth/password-reset/confirm": {
+    post: {
+      tags: ["auth"],
+      summary: "Set a new password with an emailed reset token",
+      auth: "none",
+      body: "passwordResetConfirm",
+      response: wrap("reset", { type: "boolean" }),
+    },
+  },
+
+  "/companies": {
+    post: {
+      tags: ["companies"],
+      summary: "Create a company",
+      auth: "companies:write",
+      body: "companyNew",
+      status: 201,
+      response: wrap("company", ref("Company")),
+    },
+    get: {
+      tags: ["companies"],
+      summary: "List companies",
+      auth: "none",
+      query: "companyQuery",
+      exports: true,
+      response: listOf("companies", "Company"),
+    },
+  },
+  "/companies/import": {
+    post: {
+      tags: ["companies"],
+      summary: "Create or update companies in bulk, from JSON or CSV",
+      auth: "companies:write",
+      importOf: "companyNew",
+      query: "importQuery",
+      response: wrap("import", ref("ImportReport")),
+    },
+  },
+
+  "/companies/{handle}": {
+    get: {
+      tags: ["companies"],
+      summary: "Get a company and its jobs",
+      auth: "none",
+      versioned: true,
+      response: wrap("company", ref("CompanyDetail")),
+    },
+    patch: {
+      tags: ["companies"],
+      summary: "Update a company",
+      auth: "companyMemberOrCompaniesWrite",
+      body: "companyUpdate",
+      versioned: true,
+      response: wrap("company", ref("Company")),
+    },
+    delete: {
+      tags: ["companies"],
+      summary: "Delete a company and its jobs (admins can restore them)",
+      auth: "companies:write",
+      response: wrap("deleted", { type: "string" }),
+    },
+  },
+  "/companies/{handle}/members": {
+    get: {
+      tags: ["companies"],
+      summary: "List a company's owners and recruiters",
+      auth: "companyMemberOrCompaniesWrite",
+      response: wrap("members", { type: "array", items: ref("Member") }),
+    },
+    post: {
+      tags: ["companies"],
+      summary: "Grant a user a role at a company",
+      auth: "companies:write",
+      body: "companyMemberNew",
+      status: 201,
+      response: wrap("member", {
+        type: "object",
+        properties: {
+          username: { type: "string" },
+          companyHandle: { type: "string" },
+          role: { type: "string" },
+        },
+      }),
+    },
+  },
+  "/companies/{handle}/members/{username}": {
+    delete: {
+      tags: ["companies"],
+      summary: "Revoke a user's role at a company",
+      auth: "companies:write",
+      response: wrap("removed", { type: "string" }),
+    },
+  },
+
+  "/jobs": {
+    post: {
+      tags: ["jobs"],
+      summary: "Create a job",
+      auth: "companyMemberOrJobsWrite",
+      body: "jobNew",
+      status: 201,
+      response: wrap("job", ref("Job")),
+    },
+    get: {
+      tags: ["jobs"],
+      summary: "List jobs",
+      auth: "openJobsOrCompanyMember",
+      query: "jobQuery",
+      exports: true,
+      response: listOf("jobs", "Job"),
+    },
+  },
+  "/jobs/import": {
+    post: {
+      tags: ["jobs"],
+      summary: "Create jobs in bulk, from JSON or CSV",
+      auth: "jobs:write",
+      importOf: "jobNew",
+      query: "importQuery",
+      response: wrap("import", ref("ImportReport")),
+    },
+  },
+
+  "/jobs/{id}": {
+    get: {
+      tags: ["jobs"],
+      summary: "Get a job and its company",
+      auth: "openJobsOrCompanyMember",
+      params: "jobIdParams",
+      versioned: true,
+      response: wrap("job", ref("JobDetail")),
+    },
+    patch: {
+      tags: ["jobs"],
+      summary: "Update a job",
+      auth: "companyMemberOrJobsWrite",
+      params: "jobIdParams",
+      body: "jobUpdate",
+      versioned: true,
+      response: wrap("job", ref("Job")),
+    },
+    delete: {
+      tags: ["jobs"],
+      summary: "Delete a job (admins can restore it)",
+      auth: "companyMemberOrJobsWrite",
+      params: "jobIdParams",
+      response: wrap("deleted", { type: "string" }),
+    },
+  },
+  "/jobs/{id}/applications": {
+    get: {
+      tags: ["jobs"],
+      summary: "List a job's applicants",
+      auth: "companyMemberOrAdmin",
+      params: "jobIdParams",
+      query: "exportQuery",
+      exports: true,
+      response: wrap("applications", { type: "array", items: ref("Applicant") }),
+    },
+  },
+
+  "/users": {
+    post: {
+      tags: ["users"],
+      summary: "Create a user (which may be an admin)",
+      auth: "users:admin",
+      body: "userNew",
+      status: 201,
+      response: {
+        allOf: [wrap("user", ref("User")), ref("Tokens")],
+      },
+    },
+    get: {
+      tags: ["users"],
+      summary: "List users",
+      auth: "users:read",
+      query: "userQuery",
+      exports: true,
+      response: listOf("users", "User"),
+    },
+  },
+  "/users/{username}": {
+    get: {
+      tags: ["users"],
+      summary: "Get a user and their applications",
+      auth: "login",
+      versioned: true,
+      response: wrap("user", ref("UserDetail")),
+    },
+    patch: {
+      tags: ["users"],
+      summary: "Update a user",
+      auth: "users:admin",
+      body: "userUpdate",
+      versioned: true,
+      response: wrap("user", ref("User")),
+    },
+    delete: {
+      tags: ["users"],
+      summary: "Delete a user (admins can restore them)",
+      auth: "users:admin",
+      response: wrap("deleted", { type: "string" }),
+    },
+  },
+  "/users/{username}/jobs/{id}": {
+    post: {
+      tags: ["users"],
+      summary: "Apply for a job (or mark it as interesting)",
+      auth: "login",
+      params: "jobIdParams",
+      body: "applicationNew",
+      response: wrap("applied", { type: "string" }),
+    },
+    patch: {
+      tags: ["users"],
+      summary: "Move an application to a new state",
+      auth: "applicantOrCompanyMember",
+      params: "jobIdParams",
+      body: "applicationUpdate",
+      response: wrap("application", ref("Application")),
+    },
+  },
+  "/users/{username}/skills/{handle}": {
+    put: {
+      tags: ["users"],
+      summary: "Add a skill to a user, or change their proficiency",
+      auth: "correctUserOrAdmin",
+      body: "userSkill",
+      response: wrap("skill", ref("UserSkill")),
+    },
+    delete: {
+      tags: ["users"],
+      summary: "Remove a skill from a user",
+      auth: "correctUserOrAdmin",
+      response: wrap("removed", { type: "string" }),
+    },
+  },
+  "/users/{username}/matches": {
+    get: {
+      tags: ["users"],
+      summary: "Open jobs ranked by how well they fit the user's skills",
+      auth: "correctUserOrAdmin",
+      query: "matchQuery",
+      response: wrap("matches", { type: "array", items: ref("Match") }),
+    },
+  },
+
+  "/users/{username}/searches": {
+    post: {
+      tags: ["users"],
+      summary: "Save a job search to be told about new matching jobs",
+      auth: "correctUserOrAdmin",
+      body: "savedSearchNew",
+      status: 201,
+      response: wrap("search", ref("SavedSearch")),
+    },
+    get: {
+      tags: ["users"],
+      summary: "List the user's saved job searches",
+      auth: "correctUserOrAdmin",
+      response: wrap("searches", { type: "array", items: ref("SavedSearch") }),
+    },
+  },
+
+  "/users/{username}/searches/{id}": {
+    delete: {
+      tags: ["users"],
+      summary: "Delete a saved job search",
+      auth: "correctUserOrAdmin",
+      params: "savedSearchIdParams",
+      response: wrap("deleted", { type: "string" }),
+    },
+  },
+
+  "/users/{username}/api-keys": {
+    post: {
+      tags: ["users"],
+      summary: "Make an API key; the key itself is only shown in this response",
+      auth: "correctUserOrAdmin",
+      body: "apiKeyNew",
+      status: 201,
+      response: wrap("apiKey", ref("NewApiKey")),
+    },
+    get: {
+      tags: ["users"],
+      summary: "List the user's API keys that haven't been revoked",
+      auth: "correctUserOrAdmin",
+      response: wrap("apiKeys", { type: "array", items: ref("ApiKey") }),
+    },
+  },
+
+  "/users/{username}/api-keys/{id}": {
+    delete: {
+      tags: ["users"],
+      summary: "Revoke an API key",
+      auth: "correctUserOrAdmin",
+      params: "apiKeyIdParams",
+      response: wrap("revoked", { type: "string" }),
+    },
+  },
+
+  "/skills": {
+    post: {
+      tags: ["skills"],
+      summary: "Create a skill",
+      auth: "admin",
+      body: "skillNew",
+      status: 201,
+      response: wrap("skill", ref("Skill")),
+    },
+    get: {
+      tags: ["skills"],
+      summary: "List skills",
+      auth: "none",
+      query: "skillQuery",
+      response: listOf("skills", "Skill"),
+    },
+  },
+  "/skills/{handle}": {
+    get: {
+      tags: ["skills"],
+      summary: "Get a skill and how many jobs and users list it",
+      auth: "none",
+      response: wrap("skill", ref("SkillDetail")),
+    },
+    patch: {
+      tags: ["skills"],
+      summary: "Update a skill",
+      auth: "admin",
+      body: "skillUpdate",
+      response: wrap("skill", ref("Skill")),
+    },
+    delete: {
+      tags: ["skills"],
+      summary: "Delete a skill, taking it off every job and user",
+      auth: "admin",
+      response: wrap("deleted", { type: "string" }),
+    },
+  },
+
+  "/search": {
+    get: {
+      tags: ["search"],
+      summary: "Full-text search across companies and jobs, best matches first",
+      auth: "none",
+      query: "searchQuery",
+      response: {
+        type: "object",
+        properties: {
+          results: { type: "array", items: ref("SearchResult") },
+          total: { type: "integer" },
+        },
+      },
+    },
+  },
+
+  "/admin/audit": {
+    get: {
+      tags: ["admin"],
+      summary: "List audit log entries, newest first",
+      auth: "admin",
+      query: "auditQuery",
+      response: listOf("entries", "AuditEntry"),
+    },
+  },
+  "/admin/deleted/companies": {
+    get: {
+      tags: ["admin"],
+      summary: "List deleted companies not yet purged",
+      auth: "admin",
+      response: wrap("companies", { type: "array", items: ref("DeletedCompany") }),
+    },
+  },
+  "/admin/deleted/companies/{handle}/restore": {
+    post: {
+      tags: ["admin"],
+      summary: "Restore a deleted company, with the jobs deleted along with it",
+      auth: "admin",
+      response: wrap("company", ref("RestoredCompany")),
+    },
+  },
+  "/admin/deleted/jobs": {
+    get: {
+      tags: ["admin"],
+      summary: "List deleted jobs not yet purged",
+      auth: "admin",
+      response: wrap("jobs", { type: "array", items: ref("DeletedJob") }),
+    },
+  },
+  "/admin/deleted/jobs/{id}/restore": {
+    post: {
+      tags: ["admin"],
+      summary: "Restore a deleted job",
+      auth: "admin",
+      params: "jobIdParams",
+      response: wrap("job", ref("Job")),
+    },
+  },
+  "/admin/deleted/users": {
+    get: {
+      tags: ["admin"],
+      summary: "List deleted users not yet purged",
+      auth: "admin",
+      response: wrap("users", { type: "array", items: ref("DeletedUser") }),
+    },
+  },
+  "/admin/deleted/users/{username}/restore": {
+    post: {
+      tags: ["admin"],
+      summary: "Restore a deleted user",
+      auth: "admin",
+      response: wrap("user", ref("User")),
+    },
+  },
+  "/admin/tasks": {
+    get: {
+      tags: ["admin"],
+      summary: "List background tasks, newest first",
+      auth: "admin",
+      query: "taskQuery",
+      response: listOf("tasks", "Task"),
+    },
+  },
+  "/admin/tasks/{id}": {
+    get: {
+      tags: ["admin"],
+      summary: "Get a background task",
+      auth: "admin",
+      params: "taskIdParams",
+      response: wrap("task", ref("Task")),
+    },
+  },
+  "/admin/tasks/{id}/retry": {
+    post: {
+      tags: ["admin"],
+      summary: "Queue a failed task to run again",
+      auth: "admin",
+      params: "taskIdParams",
+      response: wrap("task", ref("Task")),
+    },
+  },
+
+  "/webhooks": {
+    post: {
+      tags: ["webhooks"],
+      summary: "Register a webhook; without companyHandle (admins only) it hears about every company",
+      auth: "companyMemberOrAdmin",
+      body: "webhookNew",
+      status: 201,
+      response: wrap("webhook", ref("NewWebhook")),
+    },
+    get: {
+      tags: ["webhooks"],
+      summary: "List webhooks: all for admins, else those of the user's companies",
+      auth: "login",
+      response: wrap("webhooks", { type: "array", items: ref("Webhook") }),
+    },
+  },
+  "/webhooks/{id}": {
+    get: {
+      tags: ["webhooks"],
+      summary: "Get a webhook",
+      auth: "companyMemberOrAdmin",
+      params: "webhookIdParams",
+      response: wrap("webhook", ref("Webhook")),
+    },
+    delete: {
+      tags: ["webhooks"],
+      summary: "Delete a webhook and its delivery log",
+      auth: "companyMemberOrAdmin",
+      params: "webhookIdParams",
+      response: wrap("deleted", { type: "string" }),
+    },
+  },
+  "/webhooks/{id}/deliveries": {
+    get: {
+      tags: ["webhooks"],
+      summary: "List a webhook's deliveries, newest first",
+      auth: "companyMemberOrAdmin",
+      params: "webhookIdParams",
+      query: "webhookDeliveryQuery",
+      response: listOf("deliveries", "WebhookDelivery"),
+    },
+  },
+  "/webhooks/{id}/test": {
+    post: {
+      tags: ["webhooks"],
+      summary: "Send the webhook a ping event now, and report how it went",
+      auth: "companyMemberOrAdmin",
+      params: "webhookIdParams",
+      response: wrap("delivery", ref("WebhookDelivery")),
+    },
+  },
+};
+
+/** OpenAPI parameters (in "path" or "query") from a schemas/ object schema. */
+
+function parametersFrom(schema, location) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, { description, ...propSchema }]) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    schema: propSchema,
+    ...(description && { description }),
+  }));
+}
+
+/** Turn a ROUTES entry into an OpenAPI operation object. */
+
+function buildOperation(urlPath, route, schemas, method) {
+  const auth = AUTH[route.auth];
+  const typedParams = route.params ? parametersFrom(schemas[route.params], "path") : [];
+  const pathParams = [...urlPath.matchAll(/{(\w+)}/g)].map(([, name]) =>
+    typedParams.find(p => p.name === name)
+        || { name, in: "path", required: true, schema: { type: "string" } });
+  const queryParams = route.query ? parametersFrom(schemas[route.query], "query") : [];
+  const errorResponse = { content: { "application/json": { schema: ref("Error") } } };
+
+  const operation = {
+    tags: route.tags,
+    summary: route.summary,
+    description: auth.description,
+    parameters: [...pathParams, ...queryParams],
+    responses: {
+      [route.status || 200]: {
+        description: "Success",
+        content: { "application/json": { schema: route.response } },
+      },
+    },
+  };
+
+  if (route.exports) {
+    const download = description => ({ schema: { type: "string", description } });
+    Object.assign(operation.responses[200].content, {
+      "text/csv": download("A header row naming the fields, then a row per item"),
+      "application/x-ndjson": download("A JSON object per line, one per item"),
+    });
+  }
+  if (route.versioned) {
+    const etag = { schema: { type: "string" }, description: "The version, quoted" };
+    operation.responses[200].headers = { ETag: etag };
+    if (method === "get") {
+      operation.parameters.push({ name: "If-None-Match", in: "header", required: false, ...etag });
+      operation.responses[304] = { description: "Not modified since the ETag given" };
+    } else {
+      operation.parameters.push({ name: "If-Match", in: "header", required: true, ...etag });
+      operation.responses[412] = { description: "Changed since the ETag given", ...errorResponse };
+      operation.responses[428] = { description: "If-Match missing", ...errorResponse };
+    }
+  }
+  if (route.body) {
+    operation.requestBody = {
+      required: (schemas[route.body].required || []).length > 0,
+      content: { "application/json": { schema: ref(route.body) } },
+    };
+  }
+  if (route.importOf) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        "application/json": { schema: { type: "array", items: ref(route.importOf) } },
+        "text/csv": {
+          schema: { type: "string", description: "A header row naming the fields, then a row per item" },
+        },
+      },
+    };
+  }
+  if (route.body || route.importOf || route.query || route.params) {
+    operation.responses[400] = { description: "Invalid request", ...errorResponse };
+  }
+  if (auth.security) {
+    operation.security = auth.security;
+    operation.responses[401] = { description: "Not authorized", ...errorResponse };
+    operation.responses[403] = {
+      description: "Not allowed (e.g. by the API key's scopes)",
+      ...errorResponse,
+    };
+  }
+  if (pathParams.length) {
+    operation.responses[404] = { description: "Not found", ...errorResponse };
+  }
+  // Every route is rate limited (see middleware/rateLimit.js).
+  operation.responses[429] = {
+    description: "Too many requests",
+    headers: {
+      "Retry-After": { schema: { type: "integer" }, description: "Seconds to wait" },
+    },
+    ...errorResponse,
+  };
+
+  return operation;
+}
+
+/** Build the whole OpenAPI document. */
+
+function buildSpec() {
+  const schemas = loadSchemas();
+  const paths = {};
+  for (const [urlPath, methods] of Object.entries(ROUTES)) {
+    paths[urlPath] = {};
+    for (const [method, route] of Object.entries(methods)) {
+      paths[urlPath][method] = buildOperation(urlPath, route, schemas, method);
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Jobly API",
+      version: require("../package.json").version,
+    },
+    paths,
+    components: {
+      schemas: { ...schemas, ...RESPONSE_SCHEMAS },
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "Authorization",
+          description: "\"ApiKey <key>\", a key from POST /users/{username}/api-keys",
+        },
+      },
+    },
+  };
+}
+
+module.exports = { buildSpec };
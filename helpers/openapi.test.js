@@ -0,0 +1,88 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const app = require("../app");
+const db = require("../db");
+const { buildSpec } = require("./openapi");
+
+afterAll(function () {
+  db.end();
+});
+
+/** List every route the app serves as ["get /companies/{handle}", ...].
+ *
+ * Walks the app's router, turning each mounted router's prefix back into a
+ * path and each :param into {param}.
+ */
+
+function appRoutes() {
+  const routes = [];
+
+  function addRoute(prefix, route) {
+    const urlPath = (prefix + route.path).replace(/\/$/, "") || "/";
+    for (const method of Object.keys(route.methods)) {
+      routes.push(`${method} ${urlPath.replace(/:(\w+)/g, "{$1}")}`);
+    }
+  }
+
+  for (const layer of app._router.stack) {
+    if (layer.route) {
+      addRoute("", layer.route);
+    } else if (layer.name === "router") {
+      const prefix = layer.regexp.source
+          .replace("^", "")
+          .replace("\\/?(?=\\/|$)", "")
+          .replace(/\\\//g, "/");
+      for (const inner of layer.handle.stack) {
+        if (inner.route) addRoute(prefix, inner.route);
+      }
+    }
+  }
+
+  return routes;
+}
+
+describe("buildSpec", function () {
+  const spec = buildSpec();
+
+  test("every route has a spec entry", function () {
+    const documented = Object.entries(spec.paths).flatMap(
+        ([urlPath, methods]) => Object.keys(methods).map(m => `${m} ${urlPath}`));
+    const routes = appRoutes();
+
+    expect(routes.length).toBeGreaterThan(0);
+    expect(routes.filter(r => !documented.includes(r))).toEqual([]);
+  });
+
+  test("every spec entry is a real route", function () {
+    const routes = appRoutes();
+    const documented = Object.entries(spec.paths).flatMap(
+        ([urlPath, methods]) => Object.keys(methods).map(m => `${m} ${urlPath}`));
+
+    expect(documented.filter(r => !routes.includes(r))).toEqual([]);
+  });
+
+  test("includes every request body schema", function () {
+    const files = fs.readdirSync(path.join(__dirname, "..", "schemas"));
+    for (const file of files) {
+      const name = path.basename(file, ".json");
+      expect(spec.components.schemas[name]).toEqual(expect.any(Object));
+      expect(spec.components.schemas[name].$id).toBeUndefined();
+    }
+  });
+
+  test("every $ref resolves", function () {
+    const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+    for (const ref of refs) {
+      expect(spec.components.schemas[ref.split("/").pop()]).toBeDefined();
+    }
+  });
+
+  test("request body is optional when nothing is required", function () {
+    const operation = spec.paths["/users/{username}/jobs/{id}"].post;
+    expect(operation.requestBody.required).toEqual(false);
+    expect(spec.paths["/jobs"].post.requestBody.required).toEqual(true);
+  });
+});
@@ -0,0 +1,208 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Helpers for paginated, sortable listings.
+ *
+ * A listing can be paged two ways:
+ * - limit/offset: `?limit=20&offset=40`
+ * - cursors: `?limit=20&cursor=...`, where the cursor is an opaque token
+ *   taken from a previous response's next/prev link. Cursor pages are found
+ *   by comparing against the last row seen (keyset pagination), so they stay
+ *   stable and cheap however deep the client pages.
+ *
+ * Sorting is `?sort=field` or `?sort=-field` for descending. Each model
+ * passes the fields it allows, mapped to their SQL columns, plus a unique
+ * key column used to break ties.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/** Parse a sort param ("name", "-numEmployees") against allowed sortFields.
+ *
+ * Returns { field, column, desc }.
+ *
+ * Throws BadRequestError if the field is not sortable.
+ */
+
+function parseSort(sort, sortFields) {
+  const desc = sort.startsWith("-");
+  const field = desc ? sort.slice(1) : sort;
+
+  if (!Object.prototype.hasOwnProperty.call(sortFields, field)) {
+    throw new BadRequestError(`Invalid sort key: ${field}`);
+  }
+
+  return { field, column: sortFields[field], desc };
+}
+
+/** Parse a whole-number query param, throwing BadRequestError if invalid. */
+
+function parseCount(value, name, { min, max }) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || (max !== undefined && num > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+    throw new BadRequestError(`${name} must be an integer ${range}`);
+  }
+  return num;
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (!data || typeof data !== "object" || !("key" in data) ||
+      !("value" in data) || !["next", "prev"].includes(data.dir)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return data;
+}
+
+/** Build the SQL for one page of a listing.
+ *
+ * page: { sort, limit, offset, cursor } straight from the query string
+ * options: { sortFields, defaultSort, key }
+ *   - sortFields maps sortable field names to SQL columns
+ *   - key is a unique column used as the tie-breaker
+ * values: query values already used by the caller's WHERE clause
+ *
+ * Returns {
+ *   select:      extra columns to add to the SELECT list,
+ *   cursorWhere: condition to AND into the WHERE clause (or null),
+ *   orderBy, limitOffset: clauses to append to the query,
+ *   values:      values with any cursor parameters appended,
+ *   ...and the parsed page settings for pageResult
+ * }
+ *
+ * One more row than the limit is selected so pageResult can tell whether
+ * there is another page.
+ *
+ * Throws BadRequestError on an unknown sort key, a bad limit/offset, or an
+ * invalid cursor.
+ */
+
+function sqlForPage(page, { sortFields, defaultSort, key }, values) {
+  const sortStr = page.sort || defaultSort;
+  const sort = parseSort(sortStr, sortFields);
+  const limit = (page.limit === undefined || page.limit === null)
+      ? DEFAULT_LIMIT
+      : parseCount(page.limit, "limit", { min: 1, max: MAX_LIMIT });
+  const hasOffset = page.offset !== undefined && page.offset !== null;
+  const offset = hasOffset ? parseCount(page.offset, "offset", { min: 0 }) : 0;
+  const cursor = page.cursor ? decodeCursor(page.cursor) : null;
+
+  if (cursor && hasOffset) {
+    throw new BadRequestError("Use either offset or cursor, not both");
+  }
+  if (cursor && cursor.sort !== sortStr) {
+    throw new BadRequestError("Cursor does not match sort");
+  }
+
+  // A "prev" cursor walks the sort backwards from the first row seen; the
+  // rows are put back in order by pageResult.
+  const backward = cursor !== null && cursor.dir === "prev";
+  const desc = sort.desc !== backward;
+  const dir = desc ? "DESC" : "ASC";
+  const op = desc ? "<" : ">";
+  const col = sort.column;
+  const pageValues = [...values];
+
+  // NULL sort values always come last in the (forward) order.
+  let cursorWhere = null;
+  if (cursor) {
+    pageValues.push(cursor.key);
+    const keyIdx = `$${pageValues.length}`;
+    if (cursor.value === null) {
+      cursorWhere = backward
+          ? `(${col} IS NOT NULL OR ${key} ${op} ${keyIdx})`
+          : `(${col} IS NULL AND ${key} ${op} ${keyIdx})`;
+    } else {
+      pageValues.push(cursor.value);
+      const valIdx = `$${pageValues.length}`;
+      cursorWhere = `(${col} ${op} ${valIdx}
+                      OR (${col} = ${valIdx} AND ${key} ${op} ${keyIdx})
+                      ${backward ? "" : `OR ${col} IS NULL`})`;
+    }
+  }
+
+  return {
+    sort: sortStr,
+    limit,
+    offset,
+    hasOffset,
+    cursor,
+    backward,
+    select: `${col} AS "_sortValue", ${key} AS "_sortKey"`,
+    cursorWhere,
+    orderBy: `ORDER BY ${col} ${dir} NULLS ${backward ? "FIRST" : "LAST"}, ${key} ${dir}`,
+    limitOffset: cursor ? `LIMIT ${limit + 1}` : `LIMIT ${limit + 1} OFFSET ${offset}`,
+    values: pageValues,
+  };
+}
+
+/** Turn the rows selected with sqlForPage into a page.
+ *
+ * Returns { rows, total, limit, next, prev }, where next/prev are the query
+ * params for the neighbouring pages ({ offset } if the client paged by
+ * offset, otherwise { cursor }), or null at either end.
+ */
+
+function pageResult(rows, page, total) {
+  const hasMore = rows.length > page.limit;
+  rows = rows.slice(0, page.limit);
+  if (page.backward) rows.reverse();
+
+  let next = null;
+  let prev = null;
+
+  if (page.hasOffset) {
+    if (page.offset + page.limit < total) next = { offset: page.offset + page.limit };
+    if (page.offset > 0) prev = { offset: Math.max(page.offset - page.limit, 0) };
+  } else if (rows.length > 0) {
+    const cursorFor = (row, dir) => ({
+      cursor: encodeCursor({ sort: page.sort, value: row._sortValue, key: row._sortKey, dir }),
+    });
+    const moreAfter = page.backward || hasMore;
+    const moreBefore = page.backward ? hasMore : page.cursor !== null;
+    if (moreAfter) next = cursorFor(rows[rows.length - 1], "next");
+    if (moreBefore) prev = cursorFor(rows[0], "prev");
+  }
+
+  rows = rows.map(({ _sortValue, _sortKey, ...row }) => row);
+
+  return { rows, total, limit: page.limit, next, prev };
+}
+
+/** Build the response metadata for a page: { total, next, prev }.
+ *
+ * next/prev are links back to the same route, keeping the client's filters,
+ * sort and limit.
+ */
+
+function pageLinks(req, { total, next, prev }) {
+  function link(params) {
+    if (!params) return null;
+    const { cursor, offset, ...query } = req.query;
+    const path = req.baseUrl + (req.path === "/" ? "" : req.path);
+    return `${path}?${new URLSearchParams({ ...query, ...params })}`;
+  }
+
+  return { total, next: link(next), prev: link(prev) };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseCount,
+  sqlForPage,
+  pageResult,
+  pageLinks,
+};
@@ -0,0 +1,93 @@
+const { BadRequestError } = require("../expressError");
+const { sqlForPage, pageResult, pageLinks, DEFAULT_LIMIT } = require("./pagination");
+
+const options = {
+  sortFields: { name: "name", size: "num_employees" },
+  defaultSort: "name",
+  key: "handle",
+};
+
+describe("sqlForPage", function () {
+  test("works: defaults", function () {
+    const page = sqlForPage({}, options, ["x"]);
+    expect(page.limit).toEqual(DEFAULT_LIMIT);
+    expect(page.orderBy).toEqual("ORDER BY name ASC NULLS LAST, handle ASC");
+    expect(page.limitOffset).toEqual(`LIMIT ${DEFAULT_LIMIT + 1} OFFSET 0`);
+    expect(page.cursorWhere).toBeNull();
+    expect(page.values).toEqual(["x"]);
+  });
+
+  test("works: descending sort, limit and offset", function () {
+    const page = sqlForPage({ sort: "-size", limit: "5", offset: "10" }, options, []);
+    expect(page.orderBy).toEqual("ORDER BY num_employees DESC NULLS LAST, handle DESC");
+    expect(page.limitOffset).toEqual("LIMIT 6 OFFSET 10");
+  });
+
+  test("works: cursor adds a keyset condition", function () {
+    const { next } = pageResult(
+        [{ _sortValue: "A", _sortKey: "a" }, { _sortValue: "B", _sortKey: "b" }],
+        sqlForPage({ limit: 1 }, options, []),
+        2);
+    const page = sqlForPage({ limit: 1, ...next }, options, ["x"]);
+    expect(page.cursorWhere).toContain("name > $3");
+    expect(page.cursorWhere).toContain("handle > $2");
+    expect(page.values).toEqual(["x", "a", "A"]);
+    expect(page.limitOffset).toEqual("LIMIT 2");
+  });
+
+  test("bad request on unknown sort key", function () {
+    expect(() => sqlForPage({ sort: "-nope" }, options, []))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on invalid limit", function () {
+    expect(() => sqlForPage({ limit: "0" }, options, [])).toThrow(BadRequestError);
+    expect(() => sqlForPage({ limit: "1000" }, options, [])).toThrow(BadRequestError);
+    expect(() => sqlForPage({ limit: "ten" }, options, [])).toThrow(BadRequestError);
+  });
+
+  test("bad request on invalid cursor", function () {
+    expect(() => sqlForPage({ cursor: "nope" }, options, [])).toThrow(BadRequestError);
+  });
+
+  test("bad request on cursor and offset together", function () {
+    const { next } = pageResult(
+        [{ _sortValue: "A", _sortKey: "a" }, { _sortValue: "B", _sortKey: "b" }],
+        sqlForPage({ limit: 1 }, options, []),
+        2);
+    expect(() => sqlForPage({ ...next, offset: "1" }, options, []))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("pageResult", function () {
+  test("works: strips sort columns and trims the extra row", function () {
+    const page = sqlForPage({ limit: 1, offset: 0 }, options, []);
+    const res = pageResult(
+        [{ name: "A", _sortValue: "A", _sortKey: "a" },
+         { name: "B", _sortValue: "B", _sortKey: "b" }],
+        page, 2);
+    expect(res).toEqual({
+      rows: [{ name: "A" }],
+      total: 2,
+      limit: 1,
+      next: { offset: 1 },
+      prev: null,
+    });
+  });
+});
+
+describe("pageLinks", function () {
+  test("works: keeps filters and replaces paging params", function () {
+    const req = {
+      baseUrl: "/companies",
+      path: "/",
+      query: { name: "c", limit: "1", offset: "1" },
+    };
+    expect(pageLinks(req, { total: 3, next: { offset: 2 }, prev: null })).toEqual({
+      total: 3,
+      next: "/companies?name=c&limit=1&offset=2",
+      prev: null,
+    });
+  });
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+/** Permissions: what a user may do beyond their own account, checked by
+ * requirePermission (see middleware/auth.js).
+ *
+ * - companies:write: create, delete and import companies, manage their
+ *   members, and edit any company
+ * - jobs:write: import jobs, and post and edit jobs for any company
+ * - users:read: list users
+ * - users:admin: create, edit and delete users, and grant them roles and
+ *   permissions -- so, in effect, anything
+ *
+ * A user has the permissions of their roles, plus any granted to them
+ * directly. Admins have them all.
+ */
+
+const PERMISSIONS = ["companies:write", "jobs:write", "users:read", "users:admin"];
+
+/** Each role, and the permissions it stands for. */
+const ROLES = {
+  support: ["users:read"],
+  editor: ["companies:write", "jobs:write"],
+};
+
+/** Given a user { isAdmin, roles, permissions }, return all the permissions
+ * they have, sorted. */
+
+function permissionsFor({ isAdmin, roles = [], permissions = [] }) {
+  if (isAdmin) return [...PERMISSIONS];
+  const granted = new Set(permissions);
+  for (const role of roles) {
+    for (const permission of ROLES[role] || []) granted.add(permission);
+  }
+  return PERMISSIONS.filter(permission => granted.has(permission));
+}
+
+module.exports = { PERMISSIONS, ROLES, permissionsFor };
@@ -0,0 +1,31 @@
+"use strict";
+
+const { PERMISSIONS, ROLES, permissionsFor } = require("./permissions");
+const userNewSchema = require("../schemas/userNew.json");
+const userUpdateSchema = require("../schemas/userUpdate.json");
+
+describe("permissionsFor", function () {
+  test("works: roles and grants, sorted, once each", function () {
+    expect(permissionsFor({
+      isAdmin: false, roles: ["support", "editor"], permissions: ["users:read"],
+    })).toEqual(["companies:write", "jobs:write", "users:read"]);
+  });
+
+  test("works: admins have them all", function () {
+    expect(permissionsFor({ isAdmin: true })).toEqual(PERMISSIONS);
+  });
+
+  test("works: none by default, ignoring unknown ones", function () {
+    expect(permissionsFor({ isAdmin: false })).toEqual([]);
+    expect(permissionsFor({ roles: ["nope"], permissions: ["everything"] })).toEqual([]);
+  });
+});
+
+describe("schemas", function () {
+  test("list the same roles and permissions", function () {
+    for (const schema of [userNewSchema, userUpdateSchema]) {
+      expect(schema.properties.roles.items.enum).toEqual(Object.keys(ROLES));
+      expect(schema.properties.permissions.items.enum).toEqual(PERMISSIONS);
+    }
+  });
+});
@@ -0,0 +1,113 @@
+"use strict";
+
+/** Checks that a URL users give us (like a webhook's) points at the public
+ * internet, so the server can't be made to send requests to itself, the
+ * private network it sits on, or a cloud metadata service.
+ *
+ * assertPublicUrl checks a URL up front. publicLookup does the same for
+ * each address a connection is about to be made to; pass it as the lookup
+ * option of http.request, so a host that resolves somewhere else by the time
+ * it's used (DNS rebinding) is still caught.
+ *
+ * Hosts in WEBHOOK_ALLOWED_HOSTS (see config.js) are let through.
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const { BadRequestError } = require("../expressError");
+const { WEBHOOK_ALLOWED_HOSTS } = require("../config");
+
+/** Addresses that aren't on the public internet: "this" network, private,
+ * shared (carrier-grade NAT), loopback, link-local (which has the cloud
+ * metadata services), benchmarking, multicast and reserved ranges, and
+ * their IPv6 counterparts, including NAT64. (BlockList checks IPv4-mapped
+ * IPv6 addresses against the IPv4 ranges itself.) */
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+/** Whether address (an IPv4 or IPv6 address) isn't a public one. */
+
+function isPrivateAddress(address) {
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return PRIVATE_ADDRESSES.check(address, family);
+}
+
+/** Whether hostname (as in a URL, IPv6 addresses in brackets) is one of
+ * WEBHOOK_ALLOWED_HOSTS. */
+
+function isAllowedHost(hostname) {
+  return WEBHOOK_ALLOWED_HOSTS.includes(hostname);
+}
+
+/** The error for a host that resolves to a private address. The address
+ * isn't given, so it can't be used to map the private network. */
+
+function privateAddressError() {
+  return new BadRequestError("url must be a public address");
+}
+
+/** dns.lookup, failing with privateAddressError if the host has a private
+ * address. */
+
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** Check that url is http or https, at a host that's public or allowed.
+ *
+ * A host that can't be resolved is let through: requests to it fail anyway,
+ * and are checked again (with publicLookup) when they're made.
+ *
+ * Throws BadRequestError if not.
+ */
+
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new BadRequestError("url must be a URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new BadRequestError("url must be http or https");
+  }
+  if (isAllowedHost(parsed.hostname)) return;
+
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    return;
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw privateAddressError();
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  isAllowedHost,
+  publicLookup,
+  assertPublicUrl,
+};
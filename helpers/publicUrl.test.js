@@ -0,0 +1,64 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const {
+  isPrivateAddress,
+  isAllowedHost,
+  publicLookup,
+  assertPublicUrl,
+} = require("./publicUrl");
+
+describe("isPrivateAddress", function () {
+  test("works: private", function () {
+    for (const address of [
+      "127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254",
+      "100.64.0.1", "0.0.0.0", "::1", "::", "fd00:ec2::254", "fe80::1",
+      "::ffff:127.0.0.1", "::ffff:a00:1",
+    ]) {
+      expect([address, isPrivateAddress(address)]).toEqual([address, true]);
+    }
+  });
+
+  test("works: public", function () {
+    for (const address of ["93.184.215.14", "8.8.8.8", "172.32.0.1", "2606:4700::1111"]) {
+      expect([address, isPrivateAddress(address)]).toEqual([address, false]);
+    }
+  });
+});
+
+describe("isAllowedHost", function () {
+  test("works: WEBHOOK_ALLOWED_HOSTS, 127.0.0.1 in tests", function () {
+    expect(isAllowedHost("127.0.0.1")).toEqual(true);
+    expect(isAllowedHost("localhost")).toEqual(false);
+  });
+});
+
+describe("publicLookup", function () {
+  test("works: fails for a private address", async function () {
+    const err = await new Promise(resolve => publicLookup("localhost", {}, resolve));
+    expect(err).toBeInstanceOf(BadRequestError);
+    expect(err.message).toEqual("url must be a public address");
+  });
+});
+
+describe("assertPublicUrl", function () {
+  test("works: public, allowed or unresolvable hosts", async function () {
+    await assertPublicUrl("https://93.184.215.14/hook");
+    await assertPublicUrl("http://127.0.0.1:3001/hook");
+    await assertPublicUrl("https://no-such-host.invalid/hook");
+  });
+
+  test("bad request for private addresses", async function () {
+    for (const url of [
+      "http://localhost:3001/", "http://10.0.0.1/", "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/", "http://[::ffff:127.0.0.1]/", "http://2130706434/",
+    ]) {
+      await expect(assertPublicUrl(url)).rejects.toThrow("url must be a public address");
+    }
+  });
+
+  test("bad request for other schemes", async function () {
+    await expect(assertPublicUrl("ftp://example.com/")).rejects.toThrow(BadRequestError);
+    await expect(assertPublicUrl("file:///etc/passwd")).rejects.toThrow(BadRequestError);
+  });
+});
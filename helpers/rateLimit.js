@@ -0,0 +1,174 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  RATE_LIMIT_STORE,
+  LOCKOUT_MAX_FAILURES,
+  LOCKOUT_SECONDS,
+} = require("../config");
+
+/** Rate limits and login lockouts.
+ *
+ * Both count hits on a key (like "auth-ip:1.2.3.4") in fixed windows: the
+ * first hit starts a window of so many seconds, and the count starts again
+ * after it. Counts are kept in a store: any object with async
+ *
+ * - increment(key, windowSeconds): count a hit; returns { count, resetAt }
+ * - get(key): returns { count, resetAt }, or null if there's no live window
+ * - reset(key): forget key
+ * - prune(): forget finished windows; returns how many
+ *
+ * MemoryStore (the default) keeps them in this process, so each process
+ * counts separately; PostgresStore shares them through the rate_limits
+ * table. RATE_LIMIT_STORE picks one at startup; setStore swaps it.
+ */
+
+/** MemoryStore prunes itself once it holds this many windows, then again
+ * at twice as many as it kept. */
+const MEMORY_STORE_PRUNE_SIZE = 10000;
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.pruneAt = MEMORY_STORE_PRUNE_SIZE;
+  }
+
+  async increment(key, windowSeconds) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt.getTime() <= now) {
+      if (this.windows.size >= this.pruneAt) {
+        await this.prune();
+        this.pruneAt = Math.max(MEMORY_STORE_PRUNE_SIZE, this.windows.size * 2);
+      }
+      window = { count: 0, resetAt: new Date(now + windowSeconds * 1000) };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+    return { ...window };
+  }
+
+  async get(key) {
+    const window = this.windows.get(key);
+    if (!window || window.resetAt.getTime() <= Date.now()) return null;
+    return { ...window };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  async prune() {
+    const now = Date.now();
+    let pruned = 0;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt.getTime() <= now) {
+        this.windows.delete(key);
+        pruned += 1;
+      }
+    }
+    return pruned;
+  }
+}
+
+class PostgresStore {
+  async increment(key, windowSeconds) {
+    const result = await db.query(
+          `INSERT INTO rate_limits AS r (key, count, reset_at)
+           VALUES ($1, 1, NOW() + make_interval(secs => $2))
+           ON CONFLICT (key) DO UPDATE
+             SET count = CASE WHEN r.reset_at <= NOW() THEN 1 ELSE r.count + 1 END,
+                 reset_at = CASE WHEN r.reset_at <= NOW()
+                                 THEN EXCLUDED.reset_at ELSE r.reset_at END
+           RETURNING count, reset_at AS "resetAt"`,
+        [key, windowSeconds]);
+    return result.rows[0];
+  }
+
+  async get(key) {
+    const result = await db.query(
+          `SELECT count, reset_at AS "resetAt"
+           FROM rate_limits
+           WHERE key = $1 AND reset_at > NOW()`,
+        [key]);
+    return result.rows[0] || null;
+  }
+
+  async reset(key) {
+    await db.query(`DELETE FROM rate_limits WHERE key = $1`, [key]);
+  }
+
+  async prune() {
+    const result = await db.query(`DELETE FROM rate_limits WHERE reset_at <= NOW()`);
+    return result.rowCount;
+  }
+}
+
+let store = RATE_LIMIT_STORE === "postgres" ? new PostgresStore() : new MemoryStore();
+
+/** Keep counts in newStore from now on. */
+
+function setStore(newStore) {
+  store = newStore;
+}
+
+function getStore() {
+  return store;
+}
+
+/** Whole seconds from now until date (at least 1), for Retry-After. */
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+/** Count a hit on key, in windows of windowSeconds.
+ *
+ * Throws TooManyRequestsError, with how long until the window ends, if
+ * that's more than limit hits in this one.
+ */
+
+async function hit(key, limit, windowSeconds) {
+  const { count, resetAt } = await store.increment(key, windowSeconds);
+  if (count > limit) {
+    const retryAfter = secondsUntil(resetAt);
+    throw new TooManyRequestsError(
+        `Too many requests; try again in ${retryAfter} seconds`, retryAfter);
+  }
+}
+
+/** Throw TooManyRequestsError (code "locked_out") if username has had
+ * LOCKOUT_MAX_FAILURES failed logins within LOCKOUT_SECONDS of the first. */
+
+async function checkLockout(username) {
+  const failures = await store.get(`login-failures:${username}`);
+  if (failures && failures.count >= LOCKOUT_MAX_FAILURES) {
+    const retryAfter = secondsUntil(failures.resetAt);
+    throw new TooManyRequestsError(
+        `Too many failed logins; try again in ${retryAfter} seconds`, retryAfter, "locked_out");
+  }
+}
+
+/** Count a failed login for username. */
+
+async function recordLoginFailure(username) {
+  await store.increment(`login-failures:${username}`, LOCKOUT_SECONDS);
+}
+
+/** Start username's count of failed logins again, after a good one. */
+
+async function clearLoginFailures(username) {
+  await store.reset(`login-failures:${username}`);
+}
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+  setStore,
+  getStore,
+  hit,
+  checkLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,100 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  MemoryStore,
+  PostgresStore,
+  setStore,
+  hit,
+  checkLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("./rateLimit");
+const { LOCKOUT_MAX_FAILURES } = require("../config");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+  setStore(new MemoryStore());
+});
+
+afterAll(function () {
+  db.end();
+});
+
+for (const Store of [MemoryStore, PostgresStore]) {
+  describe(Store.name, function () {
+    let store;
+    beforeEach(function () {
+      store = new Store();
+    });
+
+    test("works: counts hits in a window", async function () {
+      expect(await store.increment("k", 60)).toEqual({ count: 1, resetAt: expect.any(Date) });
+      const second = await store.increment("k", 60);
+      expect(second.count).toEqual(2);
+      expect(second.resetAt.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+      expect((await store.increment("other", 60)).count).toEqual(1);
+      expect((await store.get("k")).count).toEqual(2);
+    });
+
+    test("works: starts again once the window is up", async function () {
+      await store.increment("k", 0);
+      expect(await store.get("k")).toBeNull();
+      expect((await store.increment("k", 60)).count).toEqual(1);
+    });
+
+    test("works: reset and prune", async function () {
+      await store.increment("k", 60);
+      await store.reset("k");
+      expect(await store.get("k")).toBeNull();
+
+      await store.increment("done", 0);
+      await store.increment("live", 60);
+      expect(await store.prune()).toEqual(1);
+      expect((await store.get("live")).count).toEqual(1);
+    });
+  });
+}
+
+describe("hit", function () {
+  test("works: throws past the limit, with retryAfter", async function () {
+    await hit("k", 1, 60);
+    try {
+      await hit("k", 1, 60);
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err).toBeInstanceOf(TooManyRequestsError);
+      expect(err.code).toEqual("too_many_requests");
+      expect(err.retryAfter).toEqual(60);
+    }
+  });
+});
+
+describe("lockout", function () {
+  test("works: locked out after too many failures", async function () {
+    for (let i = 0; i < LOCKOUT_MAX_FAILURES - 1; i++) await recordLoginFailure("u1");
+    await checkLockout("u1");
+
+    await recordLoginFailure("u1");
+    await expect(checkLockout("u1")).rejects.toThrow(TooManyRequestsError);
+    await expect(checkLockout("u2")).resolves.toBeUndefined();
+  });
+
+  test("works: cleared by a good login", async function () {
+    for (let i = 0; i < LOCKOUT_MAX_FAILURES - 1; i++) await recordLoginFailure("u1");
+    await clearLoginFailures("u1");
+    await recordLoginFailure("u1");
+    await checkLockout("u1");
+  });
+
+  test("works: with the Postgres store", async function () {
+    setStore(new PostgresStore());
+    for (let i = 0; i < LOCKOUT_MAX_FAILURES; i++) await recordLoginFailure("u1");
+    await expect(checkLockout("u1")).rejects.toThrow("Too many failed logins");
+  });
+});
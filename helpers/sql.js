@@ -17,4 +17,29 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+/** Build a WHERE condition matching column against text, adding its value
+ * to values.
+ *
+ * options.match chooses how:
+ * - "partial" (the default): case-insensitive substring match on column
+ * - "fulltext": the row's search_vector against a web-style search query,
+ *   the same search GET /search uses
+ *
+ * Throws BadRequestError for any other match.
+ */
+
+function sqlForTextMatch(column, values, text, { match = "partial" } = {}) {
+  if (match === "partial") {
+    values.push(`%${text}%`);
+    return `${column} ILIKE $${values.length}`;
+  }
+
+  if (match === "fulltext") {
+    values.push(text);
+    return `search_vector @@ websearch_to_tsquery('english', $${values.length})`;
+  }
+
+  throw new BadRequestError("match must be one of: partial, fulltext");
+}
+
+module.exports = { sqlForPartialUpdate, sqlForTextMatch };
@@ -1,6 +1,6 @@
 // PART 1.
 // Import the sqlForPartialUpdate function from the sql.js module
-const { sqlForPartialUpdate } = require("./sql");
+const { sqlForPartialUpdate, sqlForTextMatch } = require("./sql");
 
 // Start test suite for the sqlForPartialUpdate function
 describe("sqlForPartialUpdate", function () {
@@ -28,3 +28,24 @@ describe("sqlForPartialUpdate", function () {
     );
   });
 });
+
+describe("sqlForTextMatch", function () {
+  test("partial match by default", function () {
+    const values = [5];
+    expect(sqlForTextMatch("name", values, "net"))
+        .toEqual("name ILIKE $2");
+    expect(values).toEqual([5, "%net%"]);
+  });
+
+  test("full-text match", function () {
+    const values = [];
+    expect(sqlForTextMatch("title", values, "data engineer", { match: "fulltext" }))
+        .toEqual("search_vector @@ websearch_to_tsquery('english', $1)");
+    expect(values).toEqual(["data engineer"]);
+  });
+
+  test("throws for an unknown match", function () {
+    expect(() => sqlForTextMatch("name", [], "net", { match: "exact" }))
+        .toThrow("match must be one of: partial, fulltext");
+  });
+});
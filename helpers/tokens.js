@@ -1,18 +1,43 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
+const { permissionsFor } = require("./permissions");
 
-/** return signed JWT from user data. */
+/** return signed, short-lived JWT from user data.
+ *
+ * The payload carries the user's permissions (see helpers/permissions.js),
+ * worked out from isAdmin, roles and permissions.
+ *
+ * sessionId is the id of the refresh token the access token was issued
+ * under; authenticateJWT rejects the access token once that is revoked.
+ */
 
-function createToken(user) {
+function createToken(user, sessionId) {
   console.assert(user.isAdmin !== undefined,
       "createToken passed user without isAdmin property");
 
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    permissions: permissionsFor(user),
   };
+  if (sessionId !== undefined) payload.sid = sessionId;
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** Make a random token to hand to a client (refresh tokens, emailed links). */
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** Only a hash of each random token is stored, so a leaked database can't be
+ * used to replay them. The tokens are random, so a plain SHA-256 (rather than
+ * bcrypt) is enough and lets us look them up directly. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, randomToken, hashToken };
@@ -1,5 +1,5 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, randomToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,8 +8,10 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      permissions: [],
     });
   });
 
@@ -18,8 +20,10 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
+      permissions: ["companies:write", "jobs:write", "users:read", "users:admin"],
     });
   });
 
@@ -29,8 +33,39 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      permissions: [],
     });
   });
+
+  test("works: permissions from roles and grants", function () {
+    const token = createToken(
+        { username: "test", isAdmin: false, roles: ["support"], permissions: ["jobs:write"] });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.permissions).toEqual(["jobs:write", "users:read"]);
+  });
+
+  test("works: expires and carries session id", function () {
+    const token = createToken({ username: "test", isAdmin: false }, 7);
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.sid).toEqual(7);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+});
+
+describe("randomToken", function () {
+  test("works: url-safe and unique", function () {
+    const token = randomToken();
+    expect(token).toMatch(/^[\w-]{43}$/);
+    expect(randomToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works: stable sha-256 hex", function () {
+    expect(hashToken("abc")).toEqual(
+        "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  });
 });
@@ -0,0 +1,53 @@
+"use strict";
+
+/** Versions of things that embed others.
+ *
+ * A company's GET shows its jobs, a job's its company, and a user's their
+ * applications and skills. Their ETags are their versions (see
+ * middleware/conditional.js), so a write to something embedded has to bump
+ * the version of what it's embedded in, or clients would keep a stale copy.
+ */
+
+const db = require("../db");
+
+/** Bump the version of the rows of table whose column is one of values.
+ * table and column come from the caller's code, never from input. */
+
+async function bumpVersions(table, column, values) {
+  if (!values.length) return;
+  await db.query(
+        `UPDATE ${table}
+         SET version = version + 1
+         WHERE ${column} = ANY($1)`,
+      [[...new Set(values)]]);
+}
+
+/** Bump the versions of the users who applied to any of the jobs jobIds,
+ * whose applications show the job. */
+
+async function bumpApplicantVersions(jobIds) {
+  if (!jobIds.length) return;
+  await db.query(
+        `UPDATE users
+         SET version = version + 1
+         WHERE username IN (SELECT username FROM applications WHERE job_id = ANY($1))`,
+      [jobIds]);
+}
+
+/** Bump the versions of the users and jobs that list the skill handle,
+ * whose skills show its name. */
+
+async function bumpSkillHolderVersions(handle) {
+  await db.query(
+        `UPDATE users
+         SET version = version + 1
+         WHERE username IN (SELECT username FROM user_skills WHERE skill_handle = $1)`,
+      [handle]);
+  await db.query(
+        `UPDATE jobs
+         SET version = version + 1
+         WHERE id IN (SELECT job_id FROM job_skills WHERE skill_handle = $1)`,
+      [handle]);
+}
+
+module.exports = { bumpVersions, bumpApplicantVersions, bumpSkillHolderVersions };
@@ -0,0 +1,16 @@
+"use strict";
+
+/** Jest globalSetup: bring the test database up to date before any tests run. */
+
+module.exports = async function () {
+  process.env.NODE_ENV = "test";
+
+  const db = require("./db");
+  const { migrateUp } = require("./migrate");
+
+  try {
+    await migrateUp(db);
+  } finally {
+    await db.end();
+  }
+};
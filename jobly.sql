@@ -3,16 +3,12 @@
 
 DROP DATABASE jobly;
 CREATE DATABASE jobly;
-\connect jobly
-
-\i jobly-schema.sql
-\i jobly-seed.sql
 
 \echo 'Delete and recreate jobly_test db?'
 \prompt 'Return for yes or control-C to cancel > ' foo
 
 DROP DATABASE jobly_test;
 CREATE DATABASE jobly_test;
-\connect jobly_test
 
-\i jobly-schema.sql
+\echo 'Now create the tables with: npm run migrate'
+\echo 'then seed the dev db with: psql jobly < jobly-seed.sql'
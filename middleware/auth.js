@@ -4,26 +4,63 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const RefreshToken = require("../models/refreshToken");
+const ApiKey = require("../models/apiKey");
+const Company = require("../models/company");
+const { PERMISSIONS, permissionsFor } = require("../helpers/permissions");
 
 
+/** What each API key scope allows: given the request's method and path
+ * (like "/jobs/3"), true if a key with that scope may make it. */
+
+const API_KEY_SCOPES = {
+  "read:jobs": (method, path) => ["GET", "HEAD"].includes(method) && /^\/jobs(\/|$)/.test(path),
+  "write:jobs": (method, path) => /^\/jobs(\/|$)/.test(path),
+  "admin": () => true,
+};
+
+/** The most each API key scope lets a key do of what its user has
+ * permission to (see helpers/permissions.js). */
+
+const API_KEY_SCOPE_PERMISSIONS = {
+  "read:jobs": [],
+  "write:jobs": ["jobs:write"],
+  "admin": PERMISSIONS,
+};
+
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
+ * Tokens without an expiry, expired tokens and tokens whose session (sid)
+ * has been revoked are not valid.
+ *
+ * An API key (see models/apiKey.js) can be sent instead, as
+ * "Authorization: ApiKey <key>". If valid, res.locals.user is
+ * { username, isAdmin, permissions, scopes, apiKeyId }: isAdmin only if the
+ * user is an admin and the key has the admin scope, and those of the user's
+ * permissions the key's scopes allow. A request the key's scopes don't
+ * allow raises Forbidden (code "insufficient_scope").
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
+    if (authHeader && /^apikey /i.test(authHeader)) {
+      return await authenticateApiKey(authHeader.slice("ApiKey ".length).trim(), req, res, next);
+    }
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
-
-      // Log the token payload to the terminal
-      console.log('Token payload:', res.locals.user);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (payload.exp === undefined) return next();
+      if (payload.sid !== undefined && !(await RefreshToken.isActive(payload.sid))) {
+        return next();
+      }
+      res.locals.user = payload;
     }
     return next();
   } catch (err) {
@@ -31,6 +68,34 @@ function authenticateJWT(req, res, next) {
   }
 }
 
+/** authenticateJWT, for an API key. authenticateJWT runs app-wide and again
+ * in routes, so a key already looked up isn't looked up (or counted as
+ * used) again. */
+
+async function authenticateApiKey(key, req, res, next) {
+  let user = res.locals.user;
+  if (!user) {
+    const apiKey = await ApiKey.authenticate(key);
+    if (!apiKey) return next();
+    const allowed = apiKey.scopes.flatMap(scope => API_KEY_SCOPE_PERMISSIONS[scope]);
+    user = res.locals.user = {
+      username: apiKey.username,
+      isAdmin: apiKey.isAdmin && apiKey.scopes.includes("admin"),
+      permissions: permissionsFor(apiKey).filter(permission => allowed.includes(permission)),
+      scopes: apiKey.scopes,
+      apiKeyId: apiKey.id,
+    };
+  }
+
+  const path = req.baseUrl + req.path;
+  if (!user.scopes.some(scope => API_KEY_SCOPES[scope](req.method, path))) {
+    return next(new ForbiddenError(
+        `API key scopes (${user.scopes.join(", ")}) don't allow ${req.method} ${path}`,
+        "insufficient_scope"));
+  }
+  return next();
+}
+
 /** Middleware to use when they must be logged in.
  *
  * If not, raises Unauthorized.
@@ -39,7 +104,6 @@ function authenticateJWT(req, res, next) {
 function ensureLoggedIn(req, res, next) {
   try {
     if (!res.locals.user) throw new UnauthorizedError();
-    console.log(req.user)
     return next();
   } catch (err) {
     return next(err);
@@ -67,9 +131,87 @@ function ensureAdmin(req, res, next) {
   }
 }
 
+/** Middleware factory: Ensure the logged-in user has every one of the
+ * given permissions (see helpers/permissions.js), e.g.
+ *   requirePermission("companies:write")
+ *
+ * They're read from the token payload (res.locals.user.permissions), so a
+ * change to a user's permissions shows in their next token.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function requirePermission(...permissions) {
+  return function (req, res, next) {
+    try {
+      const granted = (res.locals.user && res.locals.user.permissions) || [];
+      const missing = permissions.filter(permission => !granted.includes(permission));
+      if (missing.length) {
+        throw new UnauthorizedError(`Permission required: ${missing.join(", ")}`);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware: Ensure the logged-in user matches the :username route param,
+ * or is an admin.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensureCorrectUserOrAdmin(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!(user && (user.isAdmin || user.username === req.params.username))) {
+      throw new UnauthorizedError();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware factory: Ensure the logged-in user is an admin or a member
+ * (owner or recruiter) of the company the request is about.
+ *
+ * getHandle(req) returns (or resolves to) that company's handle, e.g.
+ *   ensureCompanyMemberOrAdmin(req => req.params.handle)
+ *
+ * Given a permission too, users with it are let through like admins, e.g.
+ *   ensureCompanyMemberOrAdmin(req => req.body.companyHandle, "jobs:write")
+ *
+ * If not, raises Unauthorized. Errors from getHandle (like a NotFoundError
+ * for a missing job) are passed on.
+ */
+
+function ensureCompanyMemberOrAdmin(getHandle, permission) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (user.isAdmin) return next();
+      if (permission && (user.permissions || []).includes(permission)) return next();
+
+      const handle = await getHandle(req);
+      const role = handle ? await Company.getMemberRole(handle, user.username) : null;
+      if (!role) throw new UnauthorizedError("Company membership required");
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   ensureAdmin,
+  requirePermission,
+  ensureCorrectUserOrAdmin,
+  ensureCompanyMemberOrAdmin,
 };
 
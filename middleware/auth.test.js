@@ -1,20 +1,31 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const db = require("../db");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  requirePermission,
+  ensureCorrectUserOrAdmin,
+  ensureCompanyMemberOrAdmin,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, { expiresIn: "15m" });
+const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong", { expiresIn: "15m" });
+const noExpiryJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+const expiredJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, { expiresIn: "-1s" });
+const revokedJwt = jwt.sign({ username: "test", isAdmin: false, sid: 0 }, SECRET_KEY, { expiresIn: "15m" });
+
+afterAll(function () {
+  db.end();
+});
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -23,37 +34,98 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
         username: "test",
         isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without expiry is ignored", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noExpiryJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: expired token is ignored", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token for revoked session is ignored", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${revokedJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: unknown API key is ignored", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: "ApiKey jobly_nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("forbidden: API key outside its scopes", async function () {
+    expect.assertions(2);
+    const req = {
+      headers: { authorization: "ApiKey jobly_key" },
+      method: "POST",
+      baseUrl: "/jobs",
+      path: "/",
+    };
+    const res = { locals: { user: { username: "test", isAdmin: false, scopes: ["read:jobs"] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+      expect(err.code).toEqual("insufficient_scope");
+    };
+    await authenticateJWT(req, res, next);
+  });
 });
 
 
@@ -78,3 +150,123 @@ describe("ensureLoggedIn", function () {
     ensureLoggedIn(req, res, next);
   });
 });
+
+
+describe("requirePermission", function () {
+  test("works: has them all", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", permissions: ["users:read", "jobs:write"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    requirePermission("users:read", "jobs:write")(req, res, next);
+  });
+
+  test("unauth: missing one", function () {
+    expect.assertions(2);
+    const req = {};
+    const res = { locals: { user: { username: "test", permissions: ["users:read"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Permission required: users:admin");
+    };
+    requirePermission("users:read", "users:admin")(req, res, next);
+  });
+
+  test("unauth: if anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    requirePermission("users:read")(req, res, next);
+  });
+});
+
+
+describe("ensureCorrectUserOrAdmin", function () {
+  test("works: admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("unauth: mismatch", function () {
+    expect.assertions(1);
+    const req = { params: { username: "wrong" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("unauth: if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+});
+
+
+describe("ensureCompanyMemberOrAdmin", function () {
+  test("works: admin", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyMemberOrAdmin(() => "c1")(req, res, next);
+  });
+
+  test("unauth: not a member", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyMemberOrAdmin(() => "c1")(req, res, next);
+  });
+
+  test("works: has the permission given", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, permissions: ["jobs:write"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyMemberOrAdmin(() => "c1", "jobs:write")(req, res, next);
+  });
+
+  test("unauth: if anon", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyMemberOrAdmin(() => "c1")(req, res, next);
+  });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+/** Conditional requests, for things with a version (companies, jobs, users).
+ *
+ * Their ETag is their version, bumped by each update. A PATCH must say which
+ * version it was made against with If-Match, and is refused (412) if that's
+ * no longer current, so two people editing at once can't silently undo each
+ * other's changes. GETs answer If-None-Match with 304 once the ETag is set
+ * (Express does that in res.send).
+ */
+
+const { PreconditionRequiredError } = require("../expressError");
+
+/** Set the ETag header for something at version. */
+
+function setETag(res, version) {
+  res.set("ETag", `"${version}"`);
+}
+
+/** Middleware: require an If-Match header.
+ *
+ * Stores the versions it names on res.locals.ifMatch, or null for "*" (any
+ * version). Weak and unrecognised tags can never match, so are left out; a
+ * header with nothing else gives [], which nothing matches.
+ *
+ * If it's missing, raises PreconditionRequired.
+ */
+
+function requireIfMatch(req, res, next) {
+  try {
+    const header = req.get("If-Match");
+    if (!header) {
+      throw new PreconditionRequiredError("If-Match header required; send the ETag you have");
+    }
+
+    if (header.trim() === "*") {
+      res.locals.ifMatch = null;
+    } else {
+      res.locals.ifMatch = header.split(",")
+          .map(tag => tag.trim().match(/^"(\d+)"$/))
+          .filter(Boolean)
+          .map(m => +m[1]);
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = { setETag, requireIfMatch };
@@ -0,0 +1,47 @@
+"use strict";
+
+const { PreconditionRequiredError } = require("../expressError");
+const { setETag, requireIfMatch } = require("./conditional");
+
+/** Run requireIfMatch with an If-Match header (or none); return
+ * { passed, ifMatch }: what it passed to next, and what it stored. */
+
+function run(ifMatch) {
+  const req = { get: name => (name === "If-Match" ? ifMatch : undefined) };
+  const res = { locals: {} };
+  let passed = "not called";
+  requireIfMatch(req, res, err => { passed = err; });
+  return { passed, ifMatch: res.locals.ifMatch };
+}
+
+describe("setETag", function () {
+  test("works", function () {
+    const headers = {};
+    setETag({ set: (name, value) => { headers[name] = value; } }, 3);
+    expect(headers).toEqual({ ETag: '"3"' });
+  });
+});
+
+describe("requireIfMatch", function () {
+  test("works: one version", function () {
+    expect(run('"3"')).toEqual({ passed: undefined, ifMatch: [3] });
+  });
+
+  test("works: a list, leaving out weak and unknown tags", function () {
+    expect(run('"3", W/"4", "x", "5"')).toEqual({ passed: undefined, ifMatch: [3, 5] });
+  });
+
+  test("works: any version", function () {
+    expect(run("*")).toEqual({ passed: undefined, ifMatch: null });
+  });
+
+  test("works: nothing usable matches nothing", function () {
+    expect(run('W/"3"')).toEqual({ passed: undefined, ifMatch: [] });
+  });
+
+  test("precondition required if missing", function () {
+    const { passed } = run(undefined);
+    expect(passed instanceof PreconditionRequiredError).toBeTruthy();
+    expect(passed.status).toEqual(428);
+  });
+});
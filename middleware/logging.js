@@ -0,0 +1,57 @@
+"use strict";
+
+/** Middleware for request correlation and access logs. */
+
+const crypto = require("crypto");
+
+const { logger, logContext } = require("../helpers/logger");
+
+/** Client-supplied request ids we'll reuse; anything else gets a new one. */
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+/** Middleware: give the request an id.
+ *
+ * Uses the X-Request-Id header if the client (or a proxy) sent a sensible
+ * one, otherwise makes one up. The id is echoed in the X-Request-Id response
+ * header, stored on req.id, and added to every log line written while the
+ * request is handled.
+ */
+
+function requestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  logContext.run({ requestId: req.id }, next);
+}
+
+/** Replace the values of credential-like query params in a URL. */
+
+function redactUrl(url) {
+  return url.replace(/([?&])([^=&]*(?:token|key|password)[^=&]*)=[^&]*/gi,
+      "$1$2=[REDACTED]");
+}
+
+/** Middleware: log one line per request once the response has been sent.
+ *
+ * Logs { method, url, status, durationMs, username, requestId }.
+ */
+
+function accessLog(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", function () {
+    logger.info("request", {
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      username: res.locals.user ? res.locals.user.username : undefined,
+    });
+  });
+
+  return next();
+}
+
+module.exports = { requestId, accessLog, redactUrl };
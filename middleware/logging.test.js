@@ -0,0 +1,96 @@
+"use strict";
+
+const { logger, logContext } = require("../helpers/logger");
+const { requestId, accessLog, redactUrl } = require("./logging");
+
+/** Just enough of req and res for these middleware. */
+
+function fakeReqRes(headers = {}) {
+  const listeners = {};
+  const req = {
+    method: "GET",
+    originalUrl: "/jobs?limit=1",
+    get: name => headers[name.toLowerCase()],
+  };
+  const res = {
+    headers: {},
+    locals: {},
+    statusCode: 200,
+    set(name, value) { this.headers[name] = value; },
+    on(event, fn) { listeners[event] = fn; },
+    emit(event) { listeners[event](); },
+  };
+  return { req, res };
+}
+
+describe("requestId", function () {
+  test("works: reuses a sensible incoming id", function () {
+    const { req, res } = fakeReqRes({ "x-request-id": "abc-123" });
+    let store;
+    requestId(req, res, () => { store = logContext.getStore(); });
+    expect(req.id).toEqual("abc-123");
+    expect(res.headers["X-Request-Id"]).toEqual("abc-123");
+    expect(store).toEqual({ requestId: "abc-123" });
+  });
+
+  test("works: makes one up if missing", function () {
+    const { req, res } = fakeReqRes();
+    requestId(req, res, () => {});
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.headers["X-Request-Id"]).toEqual(req.id);
+  });
+
+  test("works: replaces an unusable incoming id", function () {
+    const { req, res } = fakeReqRes({ "x-request-id": "bad id\n{}" });
+    requestId(req, res, () => {});
+    expect(req.id).not.toEqual("bad id\n{}");
+  });
+});
+
+describe("accessLog", function () {
+  const saved = { level: logger.level, stream: logger.stream };
+  let lines;
+
+  beforeEach(function () {
+    lines = [];
+    logger.level = "info";
+    logger.stream = { write: line => lines.push(JSON.parse(line)) };
+  });
+
+  afterEach(function () {
+    Object.assign(logger, saved);
+  });
+
+  test("works: logs when the response finishes", function () {
+    const { req, res } = fakeReqRes();
+    req.id = "r1";
+    res.locals.user = { username: "u1" };
+    const next = jest.fn();
+
+    accessLog(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(lines).toEqual([]);
+
+    res.statusCode = 404;
+    res.emit("finish");
+    expect(lines).toEqual([{
+      time: expect.any(String),
+      level: "info",
+      msg: "request",
+      requestId: "r1",
+      method: "GET",
+      url: "/jobs?limit=1",
+      status: 404,
+      durationMs: expect.any(Number),
+      username: "u1",
+    }]);
+  });
+});
+
+describe("redactUrl", function () {
+  test("works", function () {
+    expect(redactUrl("/verify?token=abc&x=1&apiKey=k"))
+        .toEqual("/verify?token=[REDACTED]&x=1&apiKey=[REDACTED]");
+    expect(redactUrl("/jobs?title=key")).toEqual("/jobs?title=key");
+  });
+});
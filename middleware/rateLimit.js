@@ -0,0 +1,29 @@
+"use strict";
+
+/** Middleware limiting how often clients can make requests. */
+
+const { hit } = require("../helpers/rateLimit");
+
+/** Middleware factory: allow limit requests per windowSeconds for each
+ * value of key(req) (by default the client's IP), then respond 429 with a
+ * Retry-After header until the window is up. Requests for which key returns
+ * nothing aren't counted.
+ *
+ * name keeps the counts of different limits apart.
+ */
+
+function rateLimit({ name, limit, windowSeconds, key = req => req.ip }) {
+  return async function (req, res, next) {
+    try {
+      const value = key(req);
+      if (value !== undefined && value !== null && value !== "") {
+        await hit(`${name}:${value}`, limit, windowSeconds);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,56 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const { MemoryStore, setStore } = require("../helpers/rateLimit");
+const { rateLimit } = require("./rateLimit");
+
+beforeEach(function () {
+  setStore(new MemoryStore());
+});
+
+afterAll(function () {
+  db.end();
+});
+
+/** Run middleware for req; return what it passed to next. */
+
+function run(middleware, req) {
+  return new Promise(resolve => middleware(req, {}, resolve));
+}
+
+describe("rateLimit", function () {
+  const limit = rateLimit({ name: "test", limit: 2, windowSeconds: 60 });
+
+  test("works: limit requests per IP, then 429", async function () {
+    const req = { ip: "1.2.3.4" };
+    expect(await run(limit, req)).toBeUndefined();
+    expect(await run(limit, req)).toBeUndefined();
+
+    const err = await run(limit, req);
+    expect(err).toBeInstanceOf(TooManyRequestsError);
+    expect(err.status).toEqual(429);
+    expect(err.retryAfter).toBeGreaterThan(0);
+    expect(err.retryAfter).toBeLessThanOrEqual(60);
+
+    expect(await run(limit, { ip: "5.6.7.8" })).toBeUndefined();
+  });
+
+  test("works: by another key, not counting requests without one", async function () {
+    const byName = rateLimit({
+      name: "test", limit: 1, windowSeconds: 60, key: req => req.body.username,
+    });
+    expect(await run(byName, { body: {} })).toBeUndefined();
+    expect(await run(byName, { body: {} })).toBeUndefined();
+    expect(await run(byName, { body: { username: "u1" } })).toBeUndefined();
+    expect(await run(byName, { body: { username: "u1" } })).toBeInstanceOf(TooManyRequestsError);
+  });
+
+  test("works: limits with different names count separately", async function () {
+    const other = rateLimit({ name: "other", limit: 2, windowSeconds: 60 });
+    const req = { ip: "1.2.3.4" };
+    await run(limit, req);
+    await run(limit, req);
+    expect(await run(other, req)).toBeUndefined();
+  });
+});
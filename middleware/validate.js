@@ -0,0 +1,132 @@
+"use strict";
+
+/** Middleware for validating requests against the JSON schemas in schemas/. */
+
+const { Validator } = require("jsonschema");
+
+const { ValidationError } = require("../expressError");
+
+const validator = new Validator();
+
+/** For each jsonschema error name: our code, and how to say what's wrong
+ * (describe gets the error's argument and jsonschema's own message). */
+const PROBLEMS = {
+  required: { code: "required", describe: () => "is required" },
+  type: { code: "invalid_type", describe: types => `must be ${describeTypes(types)}` },
+  minLength: { code: "too_short", describe: n => `must be at least ${n} characters` },
+  maxLength: { code: "too_long", describe: n => `must be at most ${n} characters` },
+  minimum: { code: "too_small", describe: n => `must be at least ${n}` },
+  exclusiveMinimum: { code: "too_small", describe: n => `must be more than ${n}` },
+  maximum: { code: "too_large", describe: n => `must be at most ${n}` },
+  enum: { code: "invalid_value", describe: values => `must be one of: ${values.join(", ")}` },
+  format: { code: "invalid_format", describe: format => `must be a valid ${format}` },
+  pattern: { code: "invalid_format", describe: () => "is not in the right format" },
+  additionalProperties: { code: "unknown_field", describe: () => "is not allowed" },
+  dependencies: { code: "required", describe: (arg, message) => message },
+};
+
+const TYPE_NAMES = {
+  integer: "an integer",
+  number: "a number",
+  string: "a string",
+  boolean: "true or false",
+  object: "an object",
+  array: "a list",
+  null: "null",
+};
+
+function describeTypes(types) {
+  return [].concat(types).map(t => TYPE_NAMES[t] || t).join(" or ");
+}
+
+/** Turn a jsonschema error into { path, code, message }.
+ *
+ * path is where the problem is, starting with the part of the request:
+ * "body.salary", "query.limit", "body.tags[0]".
+ */
+
+function fieldError(location, err) {
+  let path = err.path;
+  // For these, the error is on the object; the offending key is the argument.
+  if (err.name === "required" || err.name === "additionalProperties") {
+    path = [...path, err.argument];
+  }
+  const pathStr = path.reduce(
+      (str, key) => typeof key === "number" ? `${str}[${key}]` : `${str}.${key}`,
+      location);
+
+  // jsonschema's own messages call the input "instance".
+  const message = err.message.replace(/\binstance\b/g, location);
+  const problem = PROBLEMS[err.name];
+  return problem
+      ? {
+        path: pathStr,
+        code: problem.code,
+        message: `${pathStr} ${problem.describe(err.argument, message)}`,
+      }
+      : { path: pathStr, code: err.name, message: `${pathStr} ${message}` };
+}
+
+/** Query strings and route params are always strings; turn the ones the
+ * schema says are numbers or booleans into those, so "20" passes as an
+ * integer. Values that don't convert cleanly are left for validation to
+ * reject. */
+
+function coerce(values, schema) {
+  const coerced = { ...values };
+  for (const [key, value] of Object.entries(coerced)) {
+    const prop = schema.properties && schema.properties[key];
+    if (!prop || typeof value !== "string") continue;
+    const types = [].concat(prop.type);
+
+    if ((types.includes("integer") || types.includes("number"))
+        && value.trim() !== "" && !isNaN(Number(value))) {
+      coerced[key] = Number(value);
+    } else if (types.includes("boolean") && (value === "true" || value === "false")) {
+      coerced[key] = value === "true";
+    }
+  }
+  return coerced;
+}
+
+/** Check instance against schema; return what's wrong with it as
+ * [{ path, code, message }, ...], paths starting with location. */
+
+function fieldErrors(instance, schema, location) {
+  return validator.validate(instance, schema).errors.map(err => fieldError(location, err));
+}
+
+/** Middleware factory: validate parts of the request against schemas.
+ *
+ * schemas is { body, query, params }, each optional, e.g.
+ *
+ *   router.post("/", validate({ body: jobNewSchema }), ...)
+ *
+ * Query and params values are converted to the types their schema asks for
+ * (see coerce) before validating. The converted query is stored back on
+ * req.query, so handlers get numbers and booleans; req.params is left as it
+ * was.
+ *
+ * Throws ValidationError listing every problem found, across all parts.
+ */
+
+function validate(schemas) {
+  return function validateRequest(req, res, next) {
+    const fields = [];
+
+    for (const location of ["params", "query", "body"]) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const instance = location === "body" ? req.body : coerce(req[location], schema);
+      fields.push(...fieldErrors(instance, schema, location));
+
+      if (location === "query") req.query = instance;
+    }
+
+    if (fields.length) return next(new ValidationError(fields));
+    return next();
+  };
+}
+
+module.exports = { validate, fieldErrors, coerce };
@@ -0,0 +1,115 @@
+"use strict";
+
+const { ValidationError } = require("../expressError");
+const { validate } = require("./validate");
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    salary: { type: "integer", minimum: 0 },
+    tags: { type: "array", items: { type: "string" } },
+  },
+  additionalProperties: false,
+  required: ["title"],
+};
+
+const querySchema = {
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1 },
+    hasEquity: { type: "boolean" },
+    name: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+const paramsSchema = {
+  type: "object",
+  properties: { id: { type: "integer" } },
+  required: ["id"],
+};
+
+/** Run the middleware on (a copy of) req; return what it passed to next. */
+
+function run(schemas, req) {
+  let passed = "not called";
+  validate(schemas)({ body: {}, query: {}, params: {}, ...req }, {},
+      err => { passed = err; });
+  return passed;
+}
+
+describe("validate", function () {
+  test("works: passes valid input", function () {
+    const err = run({ body: bodySchema }, { body: { title: "t", salary: 1 } });
+    expect(err).toBeUndefined();
+  });
+
+  test("lists each problem with its path and code", function () {
+    const err = run({ body: bodySchema }, {
+      body: { salary: "lots", tags: ["a", 2], extra: true },
+    });
+    expect(err).toBeInstanceOf(ValidationError);
+    expect(err.status).toEqual(400);
+    expect(err.code).toEqual("validation_failed");
+    expect(err.fields).toEqual(expect.arrayContaining([
+      { path: "body.title", code: "required", message: "body.title is required" },
+      {
+        path: "body.salary",
+        code: "invalid_type",
+        message: "body.salary must be an integer",
+      },
+      {
+        path: "body.tags[1]",
+        code: "invalid_type",
+        message: "body.tags[1] must be a string",
+      },
+      {
+        path: "body.extra",
+        code: "unknown_field",
+        message: "body.extra is not allowed",
+      },
+    ]));
+    expect(err.fields.length).toEqual(4);
+  });
+
+  test("converts query strings to the schema's types", function () {
+    const req = { query: { limit: "20", hasEquity: "false", name: "5" } };
+    let passed = "not called";
+    validate({ query: querySchema })(req, {}, err => { passed = err; });
+    expect(passed).toBeUndefined();
+    expect(req.query).toEqual({ limit: 20, hasEquity: false, name: "5" });
+  });
+
+  test("rejects query values that don't convert", function () {
+    const err = run({ query: querySchema }, { query: { limit: "ten", hasEquity: "yes" } });
+    expect(err.fields.map(f => [f.path, f.code])).toEqual([
+      ["query.limit", "invalid_type"],
+      ["query.hasEquity", "invalid_type"],
+    ]);
+  });
+
+  test("checks route params but leaves them as strings", function () {
+    const req = { params: { id: "7" } };
+    validate({ params: paramsSchema })(req, {}, () => {});
+    expect(req.params).toEqual({ id: "7" });
+
+    const err = run({ params: paramsSchema }, { params: { id: "abc" } });
+    expect(err.fields).toEqual([{
+      path: "params.id",
+      code: "invalid_type",
+      message: "params.id must be an integer",
+    }]);
+  });
+
+  test("collects problems across all parts of the request", function () {
+    const err = run({ params: paramsSchema, query: querySchema, body: bodySchema }, {
+      params: { id: "x" },
+      query: { limit: "0" },
+      body: {},
+    });
+    expect(err.fields.map(f => f.path)).toEqual(
+        ["params.id", "query.limit", "body.title"]);
+    expect(err.fields[1].code).toEqual("too_small");
+  });
+});
@@ -0,0 +1,168 @@
+"use strict";
+
+/** Versioned schema migrations for jobly.
+ *
+ * Migrations live in migrations/ as pairs of SQL files sharing a number and
+ * a name:
+ *
+ *   migrations/0002_add_widgets.up.sql
+ *   migrations/0002_add_widgets.down.sql
+ *
+ * They are applied in number order. Each one runs in its own transaction,
+ * and the versions applied so far are recorded in schema_migrations.
+ *
+ * Usage:
+ *
+ *   npm run migrate                 apply all pending migrations
+ *   npm run migrate:down            roll back the latest migration
+ *   npm run migrate:down -- 3       roll back the latest 3
+ *
+ * The database is the one db.js connects to (see getDatabaseUri in
+ * config.js), so `NODE_ENV=test npm run migrate` migrates the test database.
+ * Jest does that itself before running tests (see jestGlobalSetup.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/** Read the migrations in dir.
+ *
+ * Returns [{ version, name, up, down }, ...] in the order to apply them,
+ * where up and down are file paths.
+ *
+ * Throws if a migration is missing its up or down file, or two migrations
+ * share a number.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = /^(\d+)_(\w+)\.(up|down)\.sql$/.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) migrations.set(version, { version, name });
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has more than one name: ${migration.name}, ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both .up.sql and .down.sql files`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version TEXT PRIMARY KEY,
+           name TEXT NOT NULL,
+           applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+         )`);
+}
+
+/** Run a migration's SQL and its bookkeeping query in one transaction. */
+
+async function runMigration(db, file, bookkeepingSql, values) {
+  await db.query("BEGIN");
+  try {
+    await db.query(fs.readFileSync(file, "utf8"));
+    await db.query(bookkeepingSql, values);
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  }
+}
+
+/** Apply every migration in dir that hasn't been applied yet.
+ *
+ * Returns the applied migrations as ["0002_add_widgets", ...].
+ */
+
+async function migrateUp(db, { dir = MIGRATIONS_DIR } = {}) {
+  await ensureMigrationsTable(db);
+
+  const result = await db.query(`SELECT version FROM schema_migrations`);
+  const applied = new Set(result.rows.map(r => r.version));
+
+  const done = [];
+  for (const migration of loadMigrations(dir)) {
+    if (applied.has(migration.version)) continue;
+
+    await runMigration(db, migration.up,
+        `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+        [migration.version, migration.name]);
+    done.push(`${migration.version}_${migration.name}`);
+  }
+
+  return done;
+}
+
+/** Roll back the latest `steps` applied migrations.
+ *
+ * Returns the rolled-back migrations as ["0002_add_widgets", ...].
+ *
+ * Throws if an applied migration's files are missing from dir.
+ */
+
+async function migrateDown(db, { steps = 1, dir = MIGRATIONS_DIR } = {}) {
+  await ensureMigrationsTable(db);
+
+  const result = await db.query(
+        `SELECT version, name
+         FROM schema_migrations
+         ORDER BY version::int DESC
+         LIMIT $1`,
+      [steps]);
+  const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+
+  const done = [];
+  for (const { version, name } of result.rows) {
+    const migration = migrations.get(version);
+    if (!migration) throw new Error(`No files for applied migration ${version}_${name}`);
+
+    await runMigration(db, migration.down,
+        `DELETE FROM schema_migrations WHERE version = $1`,
+        [version]);
+    done.push(`${version}_${name}`);
+  }
+
+  return done;
+}
+
+if (require.main === module) {
+  const db = require("./db");
+  const { logger } = require("./helpers/logger");
+  const [command = "up", steps = "1"] = process.argv.slice(2);
+
+  const run = command === "down"
+      ? migrateDown(db, { steps: +steps })
+      : migrateUp(db);
+
+  run
+      .then(done => {
+        const msg = command === "down" ? "rolled back migrations" : "applied migrations";
+        logger.info(msg, { migrations: done });
+      })
+      .catch(err => {
+        logger.error("migration failed", { err });
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("./db");
+const { loadMigrations, migrateUp, migrateDown } = require("./migrate");
+
+let dir;
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  fs.writeFileSync(path.join(dir, "9001_add_widgets.up.sql"),
+      "CREATE TABLE migrate_test_widgets (id SERIAL PRIMARY KEY);");
+  fs.writeFileSync(path.join(dir, "9001_add_widgets.down.sql"),
+      "DROP TABLE migrate_test_widgets;");
+});
+
+afterEach(async function () {
+  fs.rmSync(dir, { recursive: true });
+  await db.query("DROP TABLE IF EXISTS migrate_test_widgets");
+  await db.query("DELETE FROM schema_migrations WHERE version = '9001'");
+});
+
+afterAll(function () {
+  db.end();
+});
+
+async function widgetsTableExists() {
+  const result = await db.query("SELECT to_regclass('migrate_test_widgets') AS t");
+  return result.rows[0].t !== null;
+}
+
+describe("loadMigrations", function () {
+  test("works: includes the baseline", function () {
+    const migrations = loadMigrations();
+    expect(migrations[0]).toEqual({
+      version: "0001",
+      name: "baseline",
+      up: expect.stringContaining("0001_baseline.up.sql"),
+      down: expect.stringContaining("0001_baseline.down.sql"),
+    });
+  });
+
+  test("sorts by number", function () {
+    fs.writeFileSync(path.join(dir, "10_later.up.sql"), "");
+    fs.writeFileSync(path.join(dir, "10_later.down.sql"), "");
+    expect(loadMigrations(dir).map(m => m.version)).toEqual(["10", "9001"]);
+  });
+
+  test("throws if a down file is missing", function () {
+    fs.writeFileSync(path.join(dir, "9002_no_down.up.sql"), "");
+    expect(() => loadMigrations(dir)).toThrow("9002_no_down");
+  });
+});
+
+describe("migrateUp", function () {
+  test("works: applies pending migrations once", async function () {
+    expect(await migrateUp(db, { dir })).toEqual(["9001_add_widgets"]);
+    expect(await widgetsTableExists()).toEqual(true);
+    expect(await migrateUp(db, { dir })).toEqual([]);
+
+    const result = await db.query(
+        "SELECT name FROM schema_migrations WHERE version = '9001'");
+    expect(result.rows).toEqual([{ name: "add_widgets" }]);
+  });
+
+  test("rolls back a failing migration", async function () {
+    fs.writeFileSync(path.join(dir, "9001_add_widgets.up.sql"),
+        "CREATE TABLE migrate_test_widgets (id SERIAL); SELECT nope;");
+    await expect(migrateUp(db, { dir })).rejects.toThrow();
+    expect(await widgetsTableExists()).toEqual(false);
+  });
+});
+
+describe("migrateDown", function () {
+  test("works: rolls back the latest migration", async function () {
+    await migrateUp(db, { dir });
+    expect(await migrateDown(db, { dir })).toEqual(["9001_add_widgets"]);
+    expect(await widgetsTableExists()).toEqual(false);
+
+    const result = await db.query(
+        "SELECT name FROM schema_migrations WHERE version = '9001'");
+    expect(result.rows).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+-- Baseline: the schema as it stood in jobly-schema.sql.
+--
+-- IF NOT EXISTS lets databases built from that file adopt migrations
+-- without being dropped.
+
+CREATE TABLE IF NOT EXISTS companies (
+  handle VARCHAR(25) PRIMARY KEY CHECK (handle = lower(handle)),
+  name TEXT UNIQUE NOT NULL,
+  num_employees INTEGER CHECK (num_employees >= 0),
+  description TEXT NOT NULL,
+  logo_url TEXT
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  username VARCHAR(25) PRIMARY KEY,
+  password TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  email TEXT NOT NULL
+    CHECK (position('@' IN email) > 1),
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  salary INTEGER CHECK (salary >= 0),
+  equity NUMERIC CHECK (equity <= 1.0),
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS applications (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing', 'offered',
+                     'accepted', 'rejected', 'withdrawn')),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (username, job_id)
+);
+
+CREATE TABLE IF NOT EXISTS application_state_changes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
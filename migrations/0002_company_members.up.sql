@@ -0,0 +1,12 @@
+-- Users who manage a company's postings without being site admins.
+
+CREATE TABLE company_members (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('owner', 'recruiter')),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (username, company_handle)
+);
@@ -0,0 +1,6 @@
+DROP TRIGGER companies_jobs_search_vector_update ON companies;
+DROP FUNCTION companies_jobs_search_vector_update();
+DROP TRIGGER jobs_search_vector_update ON jobs;
+DROP FUNCTION jobs_search_vector_update();
+ALTER TABLE jobs DROP COLUMN search_vector;
+ALTER TABLE companies DROP COLUMN search_vector;
@@ -0,0 +1,47 @@
+-- Full-text search over companies (name, description) and jobs (title, and
+-- the name of the job's company).
+
+ALTER TABLE companies
+  ADD COLUMN search_vector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED;
+
+CREATE INDEX companies_search_vector_idx ON companies USING GIN (search_vector);
+
+-- A job's vector includes its company's name, which a generated column can't
+-- read, so it is kept up to date by triggers instead.
+
+ALTER TABLE jobs ADD COLUMN search_vector tsvector;
+
+CREATE FUNCTION jobs_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT name FROM companies WHERE handle = NEW.company_handle), '')), 'B');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_search_vector_update
+  BEFORE INSERT OR UPDATE OF title, company_handle ON jobs
+  FOR EACH ROW EXECUTE FUNCTION jobs_search_vector_update();
+
+CREATE FUNCTION companies_jobs_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  UPDATE jobs SET title = title WHERE company_handle = NEW.handle;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_jobs_search_vector_update
+  AFTER UPDATE OF name ON companies
+  FOR EACH ROW
+  WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION companies_jobs_search_vector_update();
+
+UPDATE jobs SET title = title;
+
+CREATE INDEX jobs_search_vector_idx ON jobs USING GIN (search_vector);
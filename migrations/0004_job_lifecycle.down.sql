@@ -0,0 +1,6 @@
+DROP INDEX jobs_open_expires_at_idx;
+
+ALTER TABLE jobs
+  DROP COLUMN expires_at,
+  DROP COLUMN posted_at,
+  DROP COLUMN status;
@@ -0,0 +1,11 @@
+-- Jobs move through draft -> open -> closed/filled. Existing jobs are open,
+-- posted now, and never expire.
+
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('draft', 'open', 'closed', 'filled')),
+  ADD COLUMN posted_at TIMESTAMPTZ DEFAULT NOW(),
+  ADD COLUMN expires_at TIMESTAMPTZ;
+
+-- For the sweep that closes expired postings.
+CREATE INDEX jobs_open_expires_at_idx ON jobs (expires_at) WHERE status = 'open';
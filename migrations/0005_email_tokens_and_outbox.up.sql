@@ -0,0 +1,29 @@
+-- Password resets and email verification. Existing users' emails stay
+-- unverified until they go through the flow.
+
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+-- Single-use tokens mailed to users; only a hash of each is stored.
+CREATE TABLE user_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  purpose TEXT NOT NULL
+    CHECK (purpose IN ('password_reset', 'email_verification')),
+  token_hash TEXT NOT NULL UNIQUE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX user_tokens_username_idx ON user_tokens (username, purpose);
+
+-- Mail "sent" by the default mailer transport (helpers/mailer.js).
+CREATE TABLE mail_outbox (
+  id SERIAL PRIMARY KEY,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,13 @@
+-- Ranges collapse to their lower end; hourly pay becomes a yearly figure.
+
+ALTER TABLE jobs ADD COLUMN salary INTEGER CHECK (salary >= 0);
+
+UPDATE jobs
+  SET salary = CASE WHEN pay_period = 'hourly' THEN salary_min * 2080
+                    ELSE salary_min END;
+
+ALTER TABLE jobs
+  DROP COLUMN pay_period,
+  DROP COLUMN currency,
+  DROP COLUMN salary_max,
+  DROP COLUMN salary_min;
@@ -0,0 +1,17 @@
+-- A job's pay is a range in a currency, per hour or per year. Existing
+-- salaries become single-figure yearly ranges in USD.
+
+ALTER TABLE jobs
+  ADD COLUMN salary_min INTEGER CHECK (salary_min >= 0),
+  ADD COLUMN salary_max INTEGER CHECK (salary_max >= 0),
+  ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD'
+    CHECK (currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN pay_period TEXT NOT NULL DEFAULT 'yearly'
+    CHECK (pay_period IN ('hourly', 'yearly')),
+  -- No salary_max means "salary_min and up"; a max needs a min below it.
+  ADD CONSTRAINT jobs_salary_range_check
+    CHECK (salary_max IS NULL OR (salary_min IS NOT NULL AND salary_min <= salary_max));
+
+UPDATE jobs SET salary_min = salary, salary_max = salary;
+
+ALTER TABLE jobs DROP COLUMN salary;
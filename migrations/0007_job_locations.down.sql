@@ -0,0 +1,4 @@
+DROP FUNCTION great_circle_km(
+  DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION);
+DROP TABLE job_locations;
+ALTER TABLE jobs DROP COLUMN work_mode;
@@ -0,0 +1,33 @@
+-- Where a job is: onsite, hybrid or remote, at any number of places.
+
+ALTER TABLE jobs
+  ADD COLUMN work_mode TEXT NOT NULL DEFAULT 'onsite'
+    CHECK (work_mode IN ('onsite', 'hybrid', 'remote'));
+
+CREATE TABLE job_locations (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  city TEXT NOT NULL,
+  region TEXT,
+  -- ISO 3166-1 alpha-2, e.g. US
+  country TEXT NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
+);
+
+CREATE INDEX job_locations_job_id_idx ON job_locations (job_id);
+CREATE INDEX job_locations_country_idx ON job_locations (country);
+
+-- Distance in km between two points on the earth (haversine formula).
+CREATE FUNCTION great_circle_km(
+  lat1 DOUBLE PRECISION, lng1 DOUBLE PRECISION,
+  lat2 DOUBLE PRECISION, lng2 DOUBLE PRECISION
+) RETURNS DOUBLE PRECISION
+LANGUAGE SQL IMMUTABLE STRICT AS $$
+  SELECT 2 * 6371 * asin(LEAST(1, sqrt(
+    sin(radians(lat2 - lat1) / 2) ^ 2 +
+    cos(radians(lat1)) * cos(radians(lat2)) * sin(radians(lng2 - lng1) / 2) ^ 2
+  )))
+$$;
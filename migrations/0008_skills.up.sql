@@ -0,0 +1,33 @@
+-- A shared list of skills, the skills each job asks for, and the skills each
+-- user has.
+
+CREATE TABLE skills (
+  -- Lower case, e.g. "javascript", "c++", "node.js"
+  handle VARCHAR(25) PRIMARY KEY
+    CHECK (handle ~ '^[a-z0-9][a-z0-9.+#-]*$'),
+  name TEXT NOT NULL,
+  category TEXT
+);
+
+CREATE TABLE job_skills (
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  skill_handle VARCHAR(25) NOT NULL
+    REFERENCES skills ON DELETE CASCADE ON UPDATE CASCADE,
+  requirement TEXT NOT NULL DEFAULT 'required'
+    CHECK (requirement IN ('required', 'nice_to_have')),
+  PRIMARY KEY (job_id, skill_handle)
+);
+
+CREATE INDEX job_skills_skill_handle_idx ON job_skills (skill_handle);
+
+CREATE TABLE user_skills (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  skill_handle VARCHAR(25) NOT NULL
+    REFERENCES skills ON DELETE CASCADE ON UPDATE CASCADE,
+  -- 1 (beginner) to 5 (expert)
+  proficiency SMALLINT NOT NULL
+    CHECK (proficiency BETWEEN 1 AND 5),
+  PRIMARY KEY (username, skill_handle)
+);
@@ -0,0 +1,28 @@
+-- Named GET /jobs filter sets users can save and be alerted about.
+-- last_run_at starts at creation, so only jobs posted afterwards count as new.
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (username, name)
+);
+
+-- One per job found for a saved search, so a job is never announced twice.
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  saved_search_id INTEGER NOT NULL
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMPTZ,
+  UNIQUE (saved_search_id, job_id)
+);
+
+CREATE INDEX notifications_username_idx ON notifications (username, created_at);
@@ -0,0 +1,20 @@
+-- Who changed what: one row per write to companies, jobs, users and the
+-- things hanging off them. actor is a username, not a foreign key, so the
+-- history outlives deleted users; it's NULL for writes made outside a
+-- request (scripts like closeExpiredJobs.js). before and after hold only
+-- the fields that changed (the whole thing when created or deleted).
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25),
+  action TEXT NOT NULL,
+  entity TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_actor_idx ON audit_log (actor, created_at);
+CREATE INDEX audit_log_entity_idx ON audit_log (entity, entity_id, created_at);
+CREATE INDEX audit_log_created_at_idx ON audit_log (created_at);
@@ -0,0 +1,12 @@
+-- Deleting a company, job or user only sets its deleted_at; it drops out of
+-- everything until restored, or purged for good (purgeDeleted.js) once it
+-- has been deleted for long enough. A company's jobs are deleted with it, at
+-- the same deleted_at, so restoring the company brings back just those.
+ALTER TABLE companies ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMPTZ;
+
+-- For listing and purging the (few) deleted rows.
+CREATE INDEX companies_deleted_at_idx ON companies (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX jobs_deleted_at_idx ON jobs (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX users_deleted_at_idx ON users (deleted_at) WHERE deleted_at IS NOT NULL;
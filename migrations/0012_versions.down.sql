@@ -0,0 +1,3 @@
+ALTER TABLE users DROP COLUMN version;
+ALTER TABLE jobs DROP COLUMN version;
+ALTER TABLE companies DROP COLUMN version;
@@ -0,0 +1,5 @@
+-- Each update to a company, job or user bumps its version, which is served
+-- as the ETag, so a PATCH made against an old copy (If-Match) can be refused.
+ALTER TABLE companies ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE jobs ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE users ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
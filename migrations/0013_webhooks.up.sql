@@ -0,0 +1,39 @@
+-- Endpoints told about events (job.created, ...) as they happen. A webhook
+-- with a company_handle only hears about that company; one without (admins
+-- only) hears about every company. The secret signs each delivery, so it's
+-- kept as is rather than hashed.
+CREATE TABLE webhooks (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  created_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX webhooks_company_handle_idx ON webhooks (company_handle);
+
+-- One per event per webhook: pending until it's delivered, or has failed
+-- too many times. Failed attempts are retried at next_attempt_at.
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL
+    REFERENCES webhooks ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, id);
+CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
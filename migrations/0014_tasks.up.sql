@@ -0,0 +1,33 @@
+-- Background work for worker.js, called tasks so as not to be confused with
+-- job postings. A task is queued until run_at, then running (leased to a
+-- worker until locked_until, after which another may take it over), then
+-- succeeded, or failed once max_attempts have been made. Failed attempts
+-- are queued again with a later run_at.
+CREATE TABLE tasks (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts > 0),
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX tasks_due_idx ON tasks (run_at) WHERE status = 'queued';
+CREATE INDEX tasks_status_idx ON tasks (status, id);
+
+-- When each cron-style schedule (see tasks.js) next queues its task. Workers
+-- move next_run_at on only if it's unchanged, so just one queues each run.
+CREATE TABLE task_schedules (
+  name TEXT PRIMARY KEY,
+  cron TEXT NOT NULL,
+  next_run_at TIMESTAMPTZ NOT NULL
+);
@@ -0,0 +1,10 @@
+-- Counters for rate limits and login lockouts, when RATE_LIMIT_STORE is
+-- "postgres" (see helpers/rateLimit.js): count hits on key in the window
+-- ending at reset_at. Rows past reset_at are dead, and pruned hourly.
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX rate_limits_reset_at_idx ON rate_limits (reset_at);
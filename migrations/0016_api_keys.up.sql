@@ -0,0 +1,19 @@
+-- Named keys users make for scripts, sent as "Authorization: ApiKey <key>".
+-- Only a hash of each key is kept (see helpers/tokens.js); prefix, its first
+-- few characters, is kept to tell keys apart. scopes limit what a key can do
+-- (see middleware/auth.js). Revoked keys are kept, for the record.
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX api_keys_username_name_idx ON api_keys (username, name)
+  WHERE revoked_at IS NULL;
@@ -0,0 +1,6 @@
+-- What a user may do beyond their own account (see helpers/permissions.js):
+-- roles, each standing for a set of permissions, and permissions granted
+-- one by one. Admins (is_admin) have every permission anyway.
+ALTER TABLE users
+  ADD COLUMN roles TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN permissions TEXT[] NOT NULL DEFAULT '{}';
@@ -11,6 +11,10 @@ async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM jobs");
   await db.query(`ALTER SEQUENCE jobs_id_seq RESTART WITH 1`);
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
 
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -33,12 +37,18 @@ async function commonBeforeAll() {
       ]);
  
   await db.query(`
-      INSERT INTO jobs (title, salary, equity, company_handle)
-      VALUES ('Job1', 10000, 0.1, 'c1'),
-              ('Job2', 20000, 0.2, 'c2'),
-              ('Job3', 30000, NULL, 'c3')
+      INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle)
+      VALUES ('Job1', 10000, 10000, 0.1, 'c1'),
+              ('Job2', 20000, 20000, 0.2, 'c2'),
+              ('Job3', 30000, 30000, NULL, 'c3')
       `);
 
+  await db.query(`
+      INSERT INTO skills (handle, name, category)
+      VALUES ('js', 'JavaScript', 'language'),
+             ('sql', 'SQL', 'language'),
+             ('react', 'React', NULL)`);
+
     const jobsResult = await db.query("SELECT * FROM jobs"); 
 }
 
@@ -0,0 +1,125 @@
+"use strict";
+
+const db = require("../db");
+const AuditLog = require("./auditLog");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { randomToken, hashToken } = require("../helpers/tokens");
+
+/** Every key starts with this, so it's easy to spot (in logs, say). */
+const KEY_PREFIX = "jobly_";
+
+/** How much of each key is kept as it is, to tell keys apart. */
+const SHOWN_LENGTH = KEY_PREFIX.length + 6;
+
+const API_KEY_COLUMNS = `id, name, prefix, scopes, created_at AS "createdAt",
+                         last_used_at AS "lastUsedAt"`;
+
+/** Related functions for API keys: named credentials users make for
+ * scripts, limited to scopes (read:jobs, write:jobs, admin). */
+
+class ApiKey {
+  /** Make an API key for a user.
+   *
+   * Returns { id, name, prefix, scopes, createdAt, lastUsedAt, key }
+   *   -- key is only ever available here.
+   *
+   * Throws NotFoundError if no such user, BadRequestError if they already
+   * have a key with that name, or if the admin scope is asked for by a
+   * user who isn't an admin.
+   **/
+
+  static async create(username, { name, scopes }) {
+    const userRes = await db.query(
+          `SELECT is_admin AS "isAdmin"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (scopes.includes("admin") && !user.isAdmin) {
+      throw new BadRequestError("Only admins' keys can have the admin scope");
+    }
+
+    const duplicateCheck = await db.query(
+          `SELECT id
+           FROM api_keys
+           WHERE username = $1 AND name = $2 AND revoked_at IS NULL`,
+        [username, name]);
+    if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate API key: ${name}`);
+
+    const key = KEY_PREFIX + randomToken();
+    const result = await db.query(
+          `INSERT INTO api_keys (username, name, prefix, key_hash, scopes)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING ${API_KEY_COLUMNS}`,
+        [username, name, key.slice(0, SHOWN_LENGTH), hashToken(key), [...new Set(scopes)]]);
+    const apiKey = result.rows[0];
+
+    await AuditLog.record({
+      action: "create", entity: "apiKey", entityId: apiKey.id, after: { username, ...apiKey },
+    });
+
+    return { ...apiKey, key };
+  }
+
+  /** Find a user's API keys that haven't been revoked, oldest first.
+   *
+   * Returns [{ id, name, prefix, scopes, createdAt, lastUsedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT ${API_KEY_COLUMNS}
+           FROM api_keys
+           WHERE username = $1 AND revoked_at IS NULL
+           ORDER BY id`,
+        [username]);
+    return result.rows;
+  }
+
+  /** Revoke one of a user's API keys; returns undefined.
+   *
+   * Throws NotFoundError if they have no such key, or it's already revoked.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE id = $1 AND username = $2 AND revoked_at IS NULL
+           RETURNING ${API_KEY_COLUMNS}`,
+        [id, username]);
+    const apiKey = result.rows[0];
+
+    if (!apiKey) throw new NotFoundError(`No API key: ${id}`);
+
+    await AuditLog.record({
+      action: "revoke", entity: "apiKey", entityId: id, before: { username, ...apiKey },
+    });
+  }
+
+  /** Given a key, as sent in an Authorization header, note that it's been
+   * used and return who it's for.
+   *
+   * Returns { id, username, isAdmin, roles, permissions, scopes } -- isAdmin,
+   *   roles and permissions being the user's -- or null if the key is
+   *   unknown or revoked, or its user deleted.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+          `UPDATE api_keys AS k
+           SET last_used_at = NOW()
+           FROM users AS u
+           WHERE k.key_hash = $1
+             AND k.revoked_at IS NULL
+             AND u.username = k.username
+             AND u.deleted_at IS NULL
+           RETURNING k.id, k.username, u.is_admin AS "isAdmin", u.roles, u.permissions,
+                     k.scopes`,
+        [hashToken(key)]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works, keeping only a hash of the key", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "Nightly",
+      prefix: apiKey.key.slice(0, 12),
+      scopes: ["read:jobs"],
+      createdAt: expect.any(Date),
+      lastUsedAt: null,
+      key: expect.stringMatching(/^jobly_/),
+    });
+
+    const found = await db.query(`SELECT key_hash FROM api_keys WHERE id = $1`, [apiKey.id]);
+    expect(found.rows[0].key_hash).not.toContain(apiKey.key);
+    const audited = await db.query(
+        `SELECT after FROM audit_log WHERE entity = 'apiKey' AND entity_id = $1`, [`${apiKey.id}`]);
+    expect(JSON.stringify(audited.rows)).not.toContain(apiKey.key);
+  });
+
+  test("bad request with dupe name, until it's revoked", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] });
+    await expect(ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] }))
+        .rejects.toThrow(BadRequestError);
+
+    await ApiKey.revoke("u1", apiKey.id);
+    await ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] });
+  });
+
+  test("admin scope only for admins", async function () {
+    await expect(ApiKey.create("u1", { name: "All", scopes: ["admin"] }))
+        .rejects.toThrow(BadRequestError);
+
+    await db.query(`UPDATE users SET is_admin = TRUE WHERE username = 'u1'`);
+    const apiKey = await ApiKey.create("u1", { name: "All", scopes: ["admin"] });
+    expect(apiKey.scopes).toEqual(["admin"]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(ApiKey.create("nope", { name: "Nightly", scopes: ["read:jobs"] }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: the user's own, not revoked", async function () {
+    const first = await ApiKey.create("u1", { name: "First", scopes: ["read:jobs"] });
+    await ApiKey.create("u1", { name: "Second", scopes: ["write:jobs"] });
+    await ApiKey.create("u2", { name: "Theirs", scopes: ["read:jobs"] });
+    await ApiKey.revoke("u1", first.id);
+
+    const apiKeys = await ApiKey.findAll("u1");
+    expect(apiKeys.map(k => k.name)).toEqual(["Second"]);
+    expect(apiKeys[0].key).toBeUndefined();
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("not found if someone else's, or already revoked", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] });
+    await expect(ApiKey.revoke("u2", apiKey.id)).rejects.toThrow(NotFoundError);
+
+    await ApiKey.revoke("u1", apiKey.id);
+    await expect(ApiKey.revoke("u1", apiKey.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works, noting when it was used", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] });
+    expect(await ApiKey.authenticate(key)).toEqual({
+      id, username: "u1", isAdmin: false, roles: [], permissions: [], scopes: ["read:jobs"],
+    });
+    const [apiKey] = await ApiKey.findAll("u1");
+    expect(apiKey.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("null for unknown or revoked keys, or deleted users", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeNull();
+
+    const { id, key } = await ApiKey.create("u1", { name: "Nightly", scopes: ["read:jobs"] });
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u1'`);
+    expect(await ApiKey.authenticate(key)).toBeNull();
+
+    await db.query(`UPDATE users SET deleted_at = NULL WHERE username = 'u1'`);
+    await ApiKey.revoke("u1", id);
+    expect(await ApiKey.authenticate(key)).toBeNull();
+  });
+});
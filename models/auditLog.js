@@ -0,0 +1,144 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { auditSource } = require("../helpers/audit");
+const { redact } = require("../helpers/logger");
+
+/** Fields GET /admin/audit can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    id: "id",
+  },
+  defaultSort: "-id",
+  key: "id",
+};
+
+const ENTRY_COLUMNS = `id, actor, action, entity, entity_id AS "entityId", before, after,
+                       request_id AS "requestId", created_at AS "createdAt"`;
+
+/** The fields that differ between before and after, as { before, after },
+ * each holding just those fields. If either is null (something created or
+ * deleted), both are returned whole. */
+
+function changes(before, after) {
+  if (!before || !after) return { before, after };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] === undefined ? null : before[key];
+      changedAfter[key] = after[key] === undefined ? null : after[key];
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+/** Related functions for the audit log: a record of every write the models
+ * make to companies, jobs, users, skills and the things hanging off them
+ * (members, applications, users' skills, saved searches), saying who made
+ * it and what changed.
+ *
+ * Bookkeeping writes -- sessions, email tokens, notifications, the mail
+ * outbox, background tasks, saved searches' last run -- aren't recorded.
+ */
+
+class AuditLog {
+  /** Record a write in the audit log; returns undefined.
+   *
+   * entry is { action, entity, entityId, before, after }:
+   * - action: "create", "update", "delete", or something more specific
+   *   like "add_member"
+   * - entity: what was written ("company", "job", "user", ...), and entityId
+   *   which one (a handle, id or username; "<a>/<b>" for things with two)
+   * - before, after: the thing as it was and is; null if it didn't exist.
+   *   Only the fields that changed are kept, and credentials are redacted.
+   *
+   * The actor and request id come from the request being handled (see
+   * helpers/audit.js).
+   **/
+
+  static async record({ action, entity, entityId, before = null, after = null }) {
+    const { actor, requestId } = auditSource();
+    const changed = redact(changes(before, after));
+
+    await db.query(
+          `INSERT INTO audit_log
+           (actor, action, entity, entity_id, before, after, request_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          actor,
+          action,
+          entity,
+          String(entityId),
+          changed.before && JSON.stringify(changed.before),
+          changed.after && JSON.stringify(changed.after),
+          requestId,
+        ]);
+  }
+
+  /** Find a page of audit log entries, newest first (optional filter on
+   * searchParams).
+   *
+   * searchParams (all optional):
+   * - actor (a username)
+   * - entity, and entityId
+   * - from, to: entries made at or after from, and before to
+   *
+   * Paging/sorting (all optional, see helpers/pagination.js):
+   * - sort (id, or "-id", the default, for newest first)
+   * - limit, offset or cursor
+   *
+   * Returns { entries, total, limit, next, prev }
+   *   where entries is [{ id, actor, action, entity, entityId, before, after,
+   *                       requestId, createdAt }, ...]
+   *   -- entries is empty if none match.
+   **/
+
+  static async findAll(searchParams = {}) {
+    const { actor, entity, entityId, from, to } = searchParams;
+
+    const whereClause = [];
+    const queryValues = [];
+
+    for (const [column, value] of [["actor", actor], ["entity", entity], ["entity_id", entityId]]) {
+      if (value !== undefined) {
+        queryValues.push(String(value));
+        whereClause.push(`${column} = $${queryValues.length}`);
+      }
+    }
+
+    if (from) {
+      queryValues.push(from);
+      whereClause.push(`created_at >= $${queryValues.length}`);
+    }
+
+    if (to) {
+      queryValues.push(to);
+      whereClause.push(`created_at < $${queryValues.length}`);
+    }
+
+    const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(" AND ")}` : "";
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM audit_log ${whereClauseStr}`,
+        queryValues);
+
+    const page = sqlForPage(searchParams, PAGE_OPTIONS, queryValues);
+    if (page.cursorWhere) whereClause.push(page.cursorWhere);
+
+    const pageWhereStr = whereClause.length > 0 ? `WHERE ${whereClause.join(" AND ")}` : "";
+    const result = await db.query(
+        `SELECT ${ENTRY_COLUMNS}, ${page.select}
+         FROM audit_log
+         ${pageWhereStr}
+         ${page.orderBy}
+         ${page.limitOffset}`,
+        page.values);
+
+    const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+    return { entries: rows, ...pageInfo };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,226 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const AuditLog = require("./auditLog.js");
+const Company = require("./company.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const { auditRequest } = require("../helpers/audit");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Run fn as if handling request id for user (a username, or undefined). */
+
+function asRequest(id, user, fn) {
+  const res = { locals: user ? { user: { username: user } } : {} };
+  return new Promise((resolve, reject) => {
+    auditRequest({ id }, res, () => fn().then(resolve, reject));
+  });
+}
+
+async function entries() {
+  const result = await db.query(
+      `SELECT actor, action, entity, entity_id AS "entityId", before, after,
+              request_id AS "requestId"
+       FROM audit_log
+       ORDER BY id`);
+  return result.rows;
+}
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: only changed fields, with the request's actor and id", async function () {
+    await asRequest("req-1", "u1", () => AuditLog.record({
+      action: "update",
+      entity: "company",
+      entityId: "c1",
+      before: { handle: "c1", name: "C1", numEmployees: 1, logoUrl: null },
+      after: { handle: "c1", name: "New", numEmployees: 1, logoUrl: "http://new.img" },
+    }));
+
+    expect(await entries()).toEqual([{
+      actor: "u1",
+      action: "update",
+      entity: "company",
+      entityId: "c1",
+      before: { name: "C1", logoUrl: null },
+      after: { name: "New", logoUrl: "http://new.img" },
+      requestId: "req-1",
+    }]);
+  });
+
+  test("works: whole thing when created; no actor outside a request", async function () {
+    await AuditLog.record({ action: "create", entity: "job", entityId: 7, after: { title: "J" } });
+    expect(await entries()).toEqual([{
+      actor: null,
+      action: "create",
+      entity: "job",
+      entityId: "7",
+      before: null,
+      after: { title: "J" },
+      requestId: null,
+    }]);
+  });
+
+  test("works: redacts credentials", async function () {
+    await AuditLog.record({
+      action: "update",
+      entity: "user",
+      entityId: "u1",
+      before: { email: "a@b.com", password: "$2b$old" },
+      after: { email: "a@b.com", password: "$2b$new" },
+    });
+    const [entry] = await entries();
+    expect(entry.before).toEqual({ password: "[REDACTED]" });
+    expect(entry.after).toEqual({ password: "[REDACTED]" });
+  });
+});
+
+/************************************** writes in the models */
+
+describe("model writes", function () {
+  test("works: company create, update and delete", async function () {
+    await asRequest("req-2", "u1", async function () {
+      await Company.create({ handle: "new", name: "New", description: "D", numEmployees: 5 });
+      await Company.update("new", { numEmployees: 6 });
+      await Company.remove("new");
+    });
+
+    expect((await entries()).map(e => [e.action, e.before, e.after])).toEqual([
+      ["create", null, {
+        handle: "new", name: "New", description: "D", numEmployees: 5, logoUrl: null,
+      }],
+      ["update", { numEmployees: 5 }, { numEmployees: 6 }],
+      ["delete", { deletedAt: null }, { deletedAt: expect.any(String) }],
+    ]);
+  });
+
+  test("works: restoring a company brings back its jobs", async function () {
+    await Company.remove("c1");
+    await Company.restore("c1");
+
+    expect((await entries()).map(e => [e.action, e.entity, e.entityId])).toEqual([
+      ["delete", "company", "c1"],
+      ["delete", "job", "1"],
+      ["restore", "company", "c1"],
+      ["restore", "job", "1"],
+    ]);
+  });
+
+  test("works: job update, including skills", async function () {
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+    await Job.update(job.id, { title: "K", skills: [{ handle: "js" }] });
+
+    const [, update] = await entries();
+    expect(update).toEqual(expect.objectContaining({
+      action: "update",
+      entityId: String(job.id),
+      before: { title: "J", skills: [] },
+      after: { title: "K", skills: [{ handle: "js", name: "JavaScript", requirement: "required" }] },
+    }));
+  });
+
+  test("works: making a user an admin", async function () {
+    await User.update("u2", { isAdmin: true });
+    const [entry] = await entries();
+    expect(entry).toEqual(expect.objectContaining({
+      action: "update",
+      entity: "user",
+      entityId: "u2",
+      before: { isAdmin: false },
+      after: { isAdmin: true },
+    }));
+  });
+
+  test("works: closing expired jobs, by no one", async function () {
+    await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day'
+                    WHERE title = 'Job1'`);
+    const [id] = await Job.closeExpired();
+    expect(await entries()).toEqual([expect.objectContaining({
+      actor: null,
+      action: "close_expired",
+      entityId: String(id),
+      before: { status: "open" },
+      after: { status: "closed" },
+    })]);
+  });
+
+  test("nothing recorded for a failed write", async function () {
+    await expect(Company.update("nope", { name: "x" })).rejects.toThrow(NotFoundError);
+    expect(await entries()).toEqual([]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await db.query(`
+        INSERT INTO audit_log (actor, action, entity, entity_id, created_at)
+        VALUES ('u1', 'create', 'company', 'c1', '2024-01-01T00:00:00Z'),
+               ('u2', 'update', 'company', 'c1', '2024-02-01T00:00:00Z'),
+               ('u1', 'update', 'job', '1', '2024-03-01T00:00:00Z')`);
+  });
+
+  test("works: newest first", async function () {
+    const { entries, total } = await AuditLog.findAll();
+    expect(total).toEqual(3);
+    expect(entries.map(e => [e.entity, e.action])).toEqual([
+      ["job", "update"],
+      ["company", "update"],
+      ["company", "create"],
+    ]);
+    expect(entries[0]).toEqual({
+      id: expect.any(Number),
+      actor: "u1",
+      action: "update",
+      entity: "job",
+      entityId: "1",
+      before: null,
+      after: null,
+      requestId: null,
+      createdAt: new Date("2024-03-01T00:00:00Z"),
+    });
+  });
+
+  test("works: filters", async function () {
+    const byActor = await AuditLog.findAll({ actor: "u1", entity: "company" });
+    expect(byActor.entries.map(e => e.action)).toEqual(["create"]);
+
+    const byEntity = await AuditLog.findAll({ entity: "company", entityId: "c1" });
+    expect(byEntity.total).toEqual(2);
+
+    const byDate = await AuditLog.findAll({
+      from: "2024-02-01T00:00:00Z", to: "2024-03-01T00:00:00Z",
+    });
+    expect(byDate.entries.map(e => e.actor)).toEqual(["u2"]);
+  });
+
+  test("works: paging", async function () {
+    const page = await AuditLog.findAll({ sort: "id", limit: 2 });
+    expect(page.entries.map(e => e.action)).toEqual(["create", "update"]);
+    const next = await AuditLog.findAll({ sort: "id", limit: 2, ...page.next });
+    expect(next.entries.map(e => e.entity)).toEqual(["job"]);
+  });
+
+  test("works: empty if none match", async function () {
+    expect(await AuditLog.findAll({ actor: "nope" })).toEqual({
+      entries: [], total: 0, limit: expect.any(Number), next: null, prev: null,
+    });
+  });
+
+  test("bad request on unknown sort key", async function () {
+    await expect(AuditLog.findAll({ sort: "actor" })).rejects.toThrow(BadRequestError);
+  });
+});
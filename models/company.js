@@ -1,8 +1,70 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const { sqlForPartialUpdate, sqlForTextMatch } = require("../helpers/sql");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { importReport } = require("../helpers/import");
+const { bumpVersions, bumpApplicantVersions } = require("../helpers/versions");
+const AuditLog = require("./auditLog");
+const Job = require("./job");
+const Webhook = require("./webhook");
+
+/** Fields GET /companies can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    handle: "handle",
+    name: "name",
+    numEmployees: "num_employees",
+  },
+  defaultSort: "name",
+  key: "handle",
+};
+
+/** Columns returned for a company when it's written. */
+const COMPANY_COLUMNS = `handle, name, description, num_employees AS "numEmployees",
+                         logo_url AS "logoUrl"`;
+
+/** Columns for each company in a list of companies. */
+const COMPANY_LIST_COLUMNS = "handle, name, num_employees, description, logo_url";
+
+/** WHERE conditions for the filters in searchParams (see Company.findAll).
+ *
+ * Returns { whereClause, queryValues }: conditions to AND together, and the
+ * values they use.
+ */
+
+function sqlForCompanyFilters(searchParams) {
+  const { name, match, minEmployees, maxEmployees, handle } = searchParams;
+
+  let whereClause = ["deleted_at IS NULL"];
+  let queryValues = [];
+
+  if (name) {
+    whereClause.push(sqlForTextMatch("name", queryValues, name, { match }));
+  }
+
+  if (minEmployees) {
+    queryValues.push(minEmployees);
+    whereClause.push(`num_employees >= $${queryValues.length}`);
+  }
+
+  if (maxEmployees) {
+    queryValues.push(maxEmployees);
+    whereClause.push(`num_employees <= $${queryValues.length}`);
+  }
+
+  if (handle) {
+    queryValues.push(handle);
+    whereClause.push(`handle = $${queryValues.length}`);
+  }
+
+  return { whereClause, queryValues };
+}
 
 /** Related functions for companies. */
 
@@ -30,7 +92,7 @@ class Company {
           `INSERT INTO companies
            (handle, name, description, num_employees, logo_url)
            VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+           RETURNING ${COMPANY_COLUMNS}`,
         [
           handle,
           name,
@@ -41,17 +103,28 @@ class Company {
     );
     const company = result.rows[0];
 
+    await AuditLog.record({ action: "create", entity: "company", entityId: handle, after: company });
+
     return company;
   }
 
-/** Find all companies (optional filter on searchFilters).
+/** Find a page of companies (optional filter on searchFilters).
  *
  * searchFilters (all optional):
  * - name (case-insensitive, partial matches)
+ * - match ("partial", the default, or "fulltext" to match name with the
+ *   same full-text search as GET /search, over name and description)
  * - minEmployees
  * - maxEmployees
  *
- * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+ * Paging/sorting (all optional, see helpers/pagination.js):
+ * - sort (handle, name, numEmployees; prefix with "-" for descending)
+ * - limit, offset or cursor
+ *
+ * Returns { companies, total, limit, next, prev }
+ *   where companies is [{ handle, name, description, num_employees, logo_url }, ...]
+ *
+ * Throws NotFoundError if no companies match.
  * */
 
 
@@ -95,70 +168,82 @@ class Company {
 // }
 
 static async findAll(searchParams = {}) {
-  const { name, minEmployees, maxEmployees, handle } = searchParams;
-
-  let whereClause = [];
-  let queryValues = [];
-
-  if (name) {
-    queryValues.push(`%${name}%`);
-    whereClause.push(`name ILIKE $${queryValues.length}`);
-  }
-
-  if (minEmployees) {
-    queryValues.push(minEmployees);
-    whereClause.push(`num_employees >= $${queryValues.length}`);
-  }
+  const { whereClause, queryValues } = sqlForCompanyFilters(searchParams);
 
-  if (maxEmployees) {
-    queryValues.push(maxEmployees);
-    whereClause.push(`num_employees <= $${queryValues.length}`);
-  }
+  const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
+  const countResult = await db.query(
+    `SELECT COUNT(*)::int AS total FROM companies ${whereClauseStr}`,
+    queryValues);
 
-  if (handle) {
-    queryValues.push(handle);
-    whereClause.push(`handle = $${queryValues.length}`);
-  }
+  const page = sqlForPage(searchParams, PAGE_OPTIONS, queryValues);
+  if (page.cursorWhere) whereClause.push(page.cursorWhere);
 
-  const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
+  const pageWhereStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
   const query = `
-    SELECT handle, name, num_employees, description, logo_url 
+    SELECT ${COMPANY_LIST_COLUMNS}, ${page.select}
     FROM companies 
-    ${whereClauseStr}
+    ${pageWhereStr}
+    ${page.orderBy}
+    ${page.limitOffset}
   `;
-  const result = await db.query(query, queryValues); 
+  const result = await db.query(query, page.values); 
 
   if (result.rows.length === 0) {
     throw new NotFoundError(`No company found with the given parameters`);
   }
-  
-  return result.rows;
+
+  const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+  return { companies: rows, ...pageInfo };
+}
+
+/** The query for exporting every company that findAll would find with
+ * searchParams (across all pages), in the order of its sort param.
+ * helpers/export.js streams it.
+ *
+ * Returns { text, values }; rows are as findAll's companies.
+ *
+ * Throws BadRequestError if the sort is invalid.
+ */
+
+static exportQuery(searchParams = {}) {
+  const { whereClause, queryValues } = sqlForCompanyFilters(searchParams);
+  const { orderBy } = sqlForPage({ sort: searchParams.sort }, PAGE_OPTIONS, queryValues);
+  const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
+  return {
+    text: `SELECT ${COMPANY_LIST_COLUMNS}
+           FROM companies
+           ${whereClauseStr}
+           ${orderBy}`,
+    values: queryValues,
+  };
 }
 
 /**
  * Find a company by its handle.
  *
- * Returns { handle, name, description, numEmployees, logoUrl, jobs: [ { id, title, salary, equity }, ... ] }.
+ * Returns { handle, name, description, numEmployees, logoUrl, jobs, version }
+ *   where jobs is its open jobs,
+ *   [{ id, title, salaryMin, salaryMax, currency, payPeriod, equity }, ...],
+ *   and version is bumped by each update, and when its jobs change
  *
  * Throws NotFoundError if not found.
  **/
 
 static async get(handle) {
   const result = await db.query(
-    `SELECT handle, name, description, num_employees, logo_url,
-            j.id, j.title, j.salary, j.equity
+    `SELECT handle, name, description, num_employees, logo_url, companies.version,
+            j.id, j.title, j.salary_min, j.salary_max, j.currency, j.pay_period,
+            j.equity
      FROM companies
-     LEFT JOIN jobs j ON handle = j.company_handle
-     WHERE handle = $1`,
+     LEFT JOIN jobs j ON handle = j.company_handle AND j.deleted_at IS NULL
+       AND ${Job.isOpenSql("j")}
+     WHERE handle = $1 AND companies.deleted_at IS NULL
+     ORDER BY j.id`,
     [handle]
   );
 
   const company = result.rows[0];
-  if (!company) {
-    const error = new Error(`No company: ${handle}`);
-    error.status = 404;
-    throw error;
-  }
+  if (!company) throw new NotFoundError(`No company: ${handle}`);
 
   return {
     handle: company.handle,
@@ -171,9 +256,13 @@ static async get(handle) {
       .map((r) => ({
         id: r.id,
         title: r.title,
-        salary: r.salary,
+        salaryMin: r.salary_min,
+        salaryMax: r.salary_max,
+        currency: r.currency,
+        payPeriod: r.pay_period,
         equity: r.equity,
       })), 
+    version: company.version,
   };
 }
 
@@ -186,12 +275,17 @@ static async get(handle) {
    *
    * Data can include: {name, description, numEmployees, logoUrl}
    *
-   * Returns {handle, name, description, numEmployees, logoUrl}
+   * versions, if given, are the versions the update was made against (see
+   * middleware/conditional.js); it's only made if the company is at one of
+   * them.
    *
-   * Throws NotFoundError if not found.
+   * Returns {handle, name, description, numEmployees, logoUrl, version}
+   *
+   * Throws NotFoundError if not found, and PreconditionFailedError if the
+   * company isn't at one of versions or changes while this runs.
    */
 
-  static async update(handle, data) {
+  static async update(handle, data, { versions } = {}) {
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
@@ -199,38 +293,393 @@ static async get(handle) {
           logoUrl: "logo_url",
         });
     const handleVarIdx = "$" + (values.length + 1);
+    const versionVarIdx = "$" + (values.length + 2);
+
+    const beforeRes = await db.query(
+          `SELECT ${COMPANY_COLUMNS}, version
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`,
+        [handle]);
+    if (!beforeRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const { version, ...before } = beforeRes.rows[0];
+    if (versions && !versions.includes(version)) {
+      throw new PreconditionFailedError(`Company ${handle} has changed since version given`);
+    }
 
     const querySql = `UPDATE companies 
-                      SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
-                      RETURNING handle, 
-                                name, 
-                                description, 
-                                num_employees AS "numEmployees", 
-                                logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
+                      SET ${setCols}, version = version + 1 
+                      WHERE handle = ${handleVarIdx} AND version = ${versionVarIdx}
+                        AND deleted_at IS NULL
+                      RETURNING ${COMPANY_COLUMNS}, version`;
+    const result = await db.query(querySql, [...values, handle, version]);
+
+    if (!result.rows[0]) throw new PreconditionFailedError(`Company ${handle} changed during update`);
+
+    const { version: newVersion, ...company } = result.rows[0];
+    await bumpVersions("jobs", "company_handle", [handle]);
+    await AuditLog.record({
+      action: "update", entity: "company", entityId: handle,
+      before, after: company,
+    });
+    await Webhook.emit("company.updated", handle, company);
+
+    return { ...company, version: newVersion };
+  }
+
+  /** Delete given company, and its jobs, until restored or purged; returns
+   * undefined.
+   *
+   * Nothing is removed from the database: the company and jobs are marked
+   * deleted, which hides them everywhere (see restore and purgeDeleted).
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async remove(handle) {
+    const result = await db.query(
+          `WITH company AS (
+             UPDATE companies
+             SET deleted_at = NOW()
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING handle, deleted_at
+           ), deleted_jobs AS (
+             UPDATE jobs
+             SET deleted_at = company.deleted_at
+             FROM company
+             WHERE jobs.company_handle = company.handle AND jobs.deleted_at IS NULL
+             RETURNING jobs.id
+           )
+           SELECT deleted_at AS "deletedAt",
+                  ARRAY(SELECT id FROM deleted_jobs ORDER BY id) AS "jobIds"
+           FROM company`,
+        [handle]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
+    await bumpApplicantVersions(company.jobIds);
+
+    const change = { before: { deletedAt: null }, after: { deletedAt: company.deletedAt } };
+    await AuditLog.record({ action: "delete", entity: "company", entityId: handle, ...change });
+    for (const id of company.jobIds) {
+      await AuditLog.record({ action: "delete", entity: "job", entityId: id, ...change });
+    }
+  }
+
+  /** Given a deleted company's handle, undelete it along with the jobs
+   * deleted with it (not those deleted before).
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, jobIds }
+   *   where jobIds are the jobs restored
+   *
+   * Throws NotFoundError if there's no deleted company with that handle.
+   **/
+
+  static async restore(handle) {
+    const result = await db.query(
+          `WITH deleted AS (
+             SELECT handle, deleted_at
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NOT NULL
+           ), company AS (
+             UPDATE companies
+             SET deleted_at = NULL
+             FROM deleted
+             WHERE companies.handle = deleted.handle
+             RETURNING companies.handle, name, description,
+                       num_employees AS "numEmployees", logo_url AS "logoUrl",
+                       deleted.deleted_at
+           ), restored_jobs AS (
+             UPDATE jobs
+             SET deleted_at = NULL
+             FROM deleted
+             WHERE jobs.company_handle = deleted.handle
+               AND jobs.deleted_at = deleted.deleted_at
+             RETURNING jobs.id
+           )
+           SELECT company.*, ARRAY(SELECT id FROM restored_jobs ORDER BY id) AS "jobIds"
+           FROM company`,
+        [handle]);
+    const row = result.rows[0];
+
+    if (!row) throw new NotFoundError(`No deleted company: ${handle}`);
+    await bumpApplicantVersions(row.jobIds);
+
+    const { deleted_at: deletedAt, ...company } = row;
+    const change = { before: { deletedAt }, after: { deletedAt: null } };
+    await AuditLog.record({ action: "restore", entity: "company", entityId: handle, ...change });
+    for (const id of company.jobIds) {
+      await AuditLog.record({ action: "restore", entity: "job", entityId: id, ...change });
+    }
 
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** List deleted companies, most recently deleted first.
    *
-   * Throws NotFoundError if company not found.
+   * Returns [{ handle, name, description, numEmployees, logoUrl, deletedAt }, ...]
    **/
 
-  static async remove(handle) {
+  static async findDeleted() {
+    const result = await db.query(
+          `SELECT ${COMPANY_COLUMNS}, deleted_at AS "deletedAt"
+           FROM companies
+           WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, handle`);
+    return result.rows;
+  }
+
+  /** Remove companies deleted more than days ago from the database for good,
+   * with their jobs and everything else belonging to them.
+   *
+   * Run periodically by purgeDeleted.js.
+   *
+   * Returns the handles of the companies purged.
+   **/
+
+  static async purgeDeleted(days) {
     const result = await db.query(
           `DELETE
            FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+           WHERE deleted_at <= NOW() - make_interval(days => $1)
+           RETURNING handle, deleted_at AS "deletedAt"`,
+        [days]);
+
+    for (const { handle, deletedAt } of result.rows) {
+      await AuditLog.record({
+        action: "purge", entity: "company", entityId: handle, before: { deletedAt },
+      });
+    }
+
+    return result.rows.map(c => c.handle).sort();
+  }
+
+  /** Import companies: create each row, or update the company if its
+   * handle is taken. rows come from importRows (helpers/import.js), already
+   * checked against companyNew.json; a handle repeated in the file, or
+   * belonging to a deleted company, is rejected too, as is a name repeated
+   * in the file or belonging to another company.
+   *
+   * The import is all or nothing: the rows are written together, and only if
+   * none was rejected and this isn't a dry run. It runs in a transaction, so
+   * a failure partway writes nothing. Updates leave fields a row doesn't
+   * give as they were.
+   *
+   * Returns the report from importReport, each row being
+   *   { row, result, handle, errors }
+   *   where result is "created", "updated" or "rejected", and errors (for
+   *   rejected rows only) is [{ path, code, message }, ...]
+   **/
+
+  static async import(rows, { dryRun = false } = {}) {
+    return await db.transaction(async () => {
+      // Checked handles and names can't be taken by someone else before the
+      // rows are written.
+      await db.query(`LOCK TABLE companies IN SHARE ROW EXCLUSIVE MODE`);
+
+      const rowByHandle = new Map();
+      const rowByName = new Map();
+      for (const r of rows) {
+        if (r.errors.length) continue;
+        const { handle, name } = r.data;
+        if (rowByHandle.has(handle)) {
+          r.errors.push({
+            path: "row.handle",
+            code: "duplicate",
+            message: `row.handle ${handle} is already on row ${rowByHandle.get(handle)}`,
+          });
+        } else {
+          rowByHandle.set(handle, r.row);
+        }
+        if (rowByName.has(name)) {
+          r.errors.push({
+            path: "row.name",
+            code: "duplicate",
+            message: `row.name ${name} is already on row ${rowByName.get(name)}`,
+          });
+        } else {
+          rowByName.set(name, r.row);
+        }
+      }
+
+      const existingRes = await db.query(
+            `SELECT ${COMPANY_COLUMNS}, deleted_at IS NOT NULL AS "isDeleted"
+             FROM companies
+             WHERE handle = ANY($1)`,
+          [[...rowByHandle.keys()]]);
+      const existing = new Map(existingRes.rows.map(({ isDeleted, ...c }) => [c.handle, c]));
+
+      for (const { handle, isDeleted } of existingRes.rows) {
+        if (!isDeleted) continue;
+        rows.find(r => r.row === rowByHandle.get(handle)).errors.push({
+          path: "row.handle",
+          code: "deleted",
+          message: `row.handle ${handle} belongs to a deleted company; restore it first`,
+        });
+      }
+
+      const namesRes = await db.query(
+            `SELECT handle, name
+             FROM companies
+             WHERE name = ANY($1)`,
+          [[...rowByName.keys()]]);
+      for (const { handle, name } of namesRes.rows) {
+        const r = rows.find(r => r.row === rowByName.get(name));
+        if (r.data.handle === handle) continue;
+        r.errors.push({
+          path: "row.name",
+          code: "duplicate",
+          message: `row.name ${name} belongs to another company (${handle})`,
+        });
+      }
+
+      for (const r of rows) {
+        if (r.data && typeof r.data.handle === "string") r.handle = r.data.handle;
+        if (r.errors.length) r.result = "rejected";
+        else r.result = existing.has(r.data.handle) ? "updated" : "created";
+      }
+
+      const committed = !dryRun && rows.every(r => r.result !== "rejected");
+      if (committed) {
+        const written = await db.query(
+              `INSERT INTO companies (handle, name, description, num_employees, logo_url)
+               SELECT handle, name, description, "numEmployees", "logoUrl"
+               FROM json_to_recordset($1::json)
+                 AS c(handle TEXT, name TEXT, description TEXT,
+                      "numEmployees" INTEGER, "logoUrl" TEXT)
+               ON CONFLICT (handle) DO UPDATE
+                 SET version = companies.version + 1,
+                     name = EXCLUDED.name,
+                     description = EXCLUDED.description,
+                     num_employees = COALESCE(EXCLUDED.num_employees, companies.num_employees),
+                     logo_url = COALESCE(EXCLUDED.logo_url, companies.logo_url)
+               RETURNING ${COMPANY_COLUMNS}`,
+            [JSON.stringify(rows.map(r => r.data))]);
+        await bumpVersions("jobs", "company_handle", [...existing.keys()]);
+
+        for (const company of written.rows) {
+          const before = existing.get(company.handle) || null;
+          await AuditLog.record({
+            action: before ? "update" : "create", entity: "company", entityId: company.handle,
+            before, after: company,
+          });
+          if (before) await Webhook.emit("company.updated", company.handle, company);
+        }
+      }
+
+      return importReport(rows, { dryRun, committed });
+    });
+  }
+
+  /** Given a company handle and username, return the user's role at the
+   * company ("owner" or "recruiter"), or null if they aren't a member.
+   **/
+
+  static async getMemberRole(handle, username) {
+    const result = await db.query(
+          `SELECT role
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /** Given a username, return the handles of the companies they're a
+   * member of, in order.
+   **/
+
+  static async getMemberships(username) {
+    const result = await db.query(
+          `SELECT company_handle AS "handle"
+           FROM company_members
+           WHERE username = $1
+           ORDER BY company_handle`,
+        [username]);
+
+    return result.rows.map(r => r.handle);
+  }
+
+  /** Given a company handle, return its members.
+   *
+   * Returns [{ username, firstName, lastName, email, role }, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async getMembers(handle) {
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`, [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  m.role
+           FROM company_members AS m
+           JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY u.username`,
         [handle]);
-    const company = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    return result.rows;
+  }
+
+  /** Make a user a member of a company with the given role. If they are
+   * already a member, their role is changed.
+   *
+   * Returns { username, companyHandle, role }
+   *
+   * Throws NotFoundError if company or user not found.
+   **/
+
+  static async addMember(handle, username, role) {
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`, [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `INSERT INTO company_members (username, company_handle, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (username, company_handle) DO UPDATE SET role = $3
+           RETURNING username, company_handle AS "companyHandle", role`,
+        [username, handle, role]);
+    const member = result.rows[0];
+
+    await AuditLog.record({
+      action: "add_member", entity: "company", entityId: handle,
+      after: { username, role },
+    });
+
+    return member;
+  }
+
+  /** Remove a user's membership of a company; returns undefined.
+   *
+   * Throws NotFoundError if they aren't a member.
+   **/
+
+  static async removeMember(handle, username) {
+    const result = await db.query(
+          `DELETE
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username, role`,
+        [handle, username]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} is not a member of ${handle}`);
+    }
+
+    await AuditLog.record({
+      action: "remove_member", entity: "company", entityId: handle, before: result.rows[0],
+    });
   }
 }
 
@@ -1,8 +1,13 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
 const Company = require("./company.js");
+const AuditLog = require("./auditLog.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -60,7 +65,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: returns all companies", async function () {
-    const res = await Company.findAll({});  
+    const { companies: res } = await Company.findAll({});  
     expect(res).toEqual([
       {
         handle: "c1",
@@ -86,7 +91,7 @@ describe("findAll", function () {
     ]);
   }); 
   test("works: filters by name", async function () {
-    const res = await Company.findAll({ name: "c1" });
+    const { companies: res } = await Company.findAll({ name: "c1" });
     expect(res).toEqual([
       {
         handle: "c1",
@@ -98,40 +103,40 @@ describe("findAll", function () {
     ]);
   });   
   test("works: returns companies filtered by minEmployees", async function () {
-    const res = await Company.findAll({ minEmployees: 2 }); 
+    const { companies: res } = await Company.findAll({ minEmployees: 2 }); 
     expect(res).toHaveLength(2);
     expect(res[0]).toHaveProperty("handle", "c2");
     expect(res[1]).toHaveProperty("handle", "c3");
   });
 
   test("works: returns companies filtered by maxEmployees", async function () {
-    const res = await Company.findAll({ maxEmployees: 2 });
+    const { companies: res } = await Company.findAll({ maxEmployees: 2 });
     expect(res).toHaveLength(2);
     expect(res[0]).toHaveProperty("handle", "c1");
     expect(res[1]).toHaveProperty("handle", "c2");
   });
 
   test("works: returns companies filtered by name and minEmployees", async function () {
-    const res = await await Company.findAll({ name: "c2", minEmployees: 2 });
+    const { companies: res } = await Company.findAll({ name: "c2", minEmployees: 2 });
     expect(res).toHaveLength(1);
     expect(res[0]).toHaveProperty("handle", "c2"); 
   });
 
   test("works: returns companies filtered by name and maxEmployees", async function () {
-    const res = await await Company.findAll({ name: "c3", maxEmployees: 3 });
+    const { companies: res } = await Company.findAll({ name: "c3", maxEmployees: 3 });
     expect(res).toHaveLength(1);
     expect(res[0]).toHaveProperty("handle", "c3");  
   });
 
   test("works: returns companies filtered by minEmployees and maxEmployees", async function () {
-    const res = await await Company.findAll({ minEmployees: 2 , maxEmployees: 3 });
+    const { companies: res } = await Company.findAll({ minEmployees: 2 , maxEmployees: 3 });
     expect(res).toHaveLength(2);
     expect(res[0]).toHaveProperty("handle", "c2");
     expect(res[1]).toHaveProperty("handle", "c3");
   });
  
   test("works: name, minEmployees, and maxEmployees", async function () {
-    const res = await await Company.findAll({ name: "c2", minEmployees: 2 , maxEmployees: 3 });  
+    const { companies: res } = await Company.findAll({ name: "c2", minEmployees: 2 , maxEmployees: 3 });  
     expect(res).toEqual(
       [
         {
@@ -148,11 +153,59 @@ describe("findAll", function () {
   test("not found if no such company", async function () {
     expect.assertions(1);
     try {
-      const res = await Company.findAll({ name: "nope" });
+      const { companies: res } = await Company.findAll({ name: "nope" });
     } catch (err) { 
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("works: total and no neighbouring pages", async function () {
+    const res = await Company.findAll({});
+    expect(res.total).toEqual(3);
+    expect(res.next).toBeNull();
+    expect(res.prev).toBeNull();
+  });
+
+  test("works: sort descending", async function () {
+    const { companies: res } = await Company.findAll({ sort: "-numEmployees" });
+    expect(res.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const res = await Company.findAll({ limit: 1, offset: 1 });
+    expect(res.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(res.total).toEqual(3);
+    expect(res.next).toEqual({ offset: 2 });
+    expect(res.prev).toEqual({ offset: 0 });
+  });
+
+  test("works: paging with cursors", async function () {
+    const first = await Company.findAll({ limit: 2, sort: "-numEmployees" });
+    expect(first.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(first.prev).toBeNull();
+
+    const second = await Company.findAll({ limit: 2, sort: "-numEmployees", ...first.next });
+    expect(second.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(second.next).toBeNull();
+
+    const back = await Company.findAll({ limit: 2, sort: "-numEmployees", ...second.prev });
+    expect(back.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(back.prev).toBeNull();
+  });
+
+  test("bad request on unknown sort key", async function () {
+    expect.assertions(1);
+    try {
+      await Company.findAll({ sort: "logoUrl" });
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: full-text name match searches descriptions", async function () {
+    const { companies: res } = await Company.findAll({ name: "desc3", match: "fulltext" });
+    expect(res.map(c => c.handle)).toEqual(["c3"]);
+  });
 });
 
 /************************************** update */
@@ -170,6 +223,7 @@ describe("update", function () {
     expect(company).toEqual({
       handle: "c1",
       ...updateData,
+      version: 2,
     });
 
     const result = await db.query(
@@ -197,6 +251,7 @@ describe("update", function () {
     expect(company).toEqual({
       handle: "c1",
       ...updateDataSetNulls,
+      version: 2,
     });
 
     const result = await db.query(
@@ -228,16 +283,38 @@ describe("update", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("works: at one of the versions given", async function () {
+    const company = await Company.update("c1", { name: "New" }, { versions: [1, 5] });
+    expect(company.version).toEqual(2);
+    expect((await Company.get("c1")).version).toEqual(2);
+  });
+
+  test("precondition failed if not at a version given", async function () {
+    await Company.update("c1", { name: "New" });
+    await expect(Company.update("c1", { name: "Newer" }, { versions: [1] }))
+        .rejects.toThrow(PreconditionFailedError);
+    expect((await Company.get("c1")).name).toEqual("New");
+  });
 });
 
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: hides it and its jobs, without removing them", async function () {
     await Company.remove("c1");
+    await expect(Company.get("c1")).rejects.toThrow("No company: c1");
+    const { companies } = await Company.findAll();
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+        `SELECT c.deleted_at AS "companyDeletedAt", j.deleted_at AS "jobDeletedAt"
+         FROM companies AS c JOIN jobs AS j ON j.company_handle = c.handle
+         WHERE c.handle = 'c1'`);
+    expect(res.rows).toEqual([{
+      companyDeletedAt: expect.any(Date),
+      jobDeletedAt: res.rows[0].companyDeletedAt,
+    }]);
   });
 
   test("not found if no such company", async function () {
@@ -248,4 +325,281 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.remove("c1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works: with the jobs deleted along with it", async function () {
+    await db.query(`INSERT INTO jobs (title, company_handle, deleted_at)
+                    VALUES ('Gone', 'c1', NOW() - INTERVAL '1 day')`);
+    await Company.remove("c1");
+
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      jobIds: [1],
+    });
+    const { jobs } = await Company.get("c1");
+    expect(jobs.map(j => j.title)).toEqual(["Job1"]);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Company.restore("c1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findDeleted */
+
+describe("findDeleted", function () {
+  test("works", async function () {
+    await Company.remove("c2");
+    expect(await Company.findDeleted()).toEqual([{
+      handle: "c2",
+      name: "C2",
+      description: "Desc2",
+      numEmployees: 2,
+      logoUrl: "http://c2.img",
+      deletedAt: expect.any(Date),
+    }]);
+  });
+
+  test("works: none", async function () {
+    expect(await Company.findDeleted()).toEqual([]);
+  });
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+  test("works: only those deleted long enough ago, with their jobs", async function () {
+    await Company.remove("c1");
+    await Company.remove("c2");
+    await db.query(`UPDATE companies SET deleted_at = NOW() - INTERVAL '40 days'
+                    WHERE handle = 'c1'`);
+
+    expect(await Company.purgeDeleted(30)).toEqual(["c1"]);
+    const res = await db.query(
+        `SELECT handle FROM companies WHERE handle IN ('c1', 'c2')`);
+    expect(res.rows).toEqual([{ handle: "c2" }]);
+    const jobs = await db.query(`SELECT id FROM jobs WHERE company_handle = 'c1'`);
+    expect(jobs.rows).toEqual([]);
+  });
+});
+
+/************************************** members */
+
+describe("addMember", function () {
+  test("works", async function () {
+    const member = await Company.addMember("c1", "u1", "recruiter");
+    expect(member).toEqual({ username: "u1", companyHandle: "c1", role: "recruiter" });
+  });
+
+  test("works: changes role of existing member", async function () {
+    await Company.addMember("c1", "u1", "recruiter");
+    const member = await Company.addMember("c1", "u1", "owner");
+    expect(member.role).toEqual("owner");
+    expect(await Company.getMemberRole("c1", "u1")).toEqual("owner");
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Company.addMember("nope", "u1", "owner")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Company.addMember("c1", "nope", "owner")).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("getMemberRole", function () {
+  test("works", async function () {
+    await Company.addMember("c1", "u1", "recruiter");
+    expect(await Company.getMemberRole("c1", "u1")).toEqual("recruiter");
+  });
+
+  test("null if not a member", async function () {
+    await Company.addMember("c1", "u1", "recruiter");
+    expect(await Company.getMemberRole("c2", "u1")).toBeNull();
+    expect(await Company.getMemberRole("c1", "u2")).toBeNull();
+  });
+});
+
+describe("getMemberships", function () {
+  test("works", async function () {
+    await Company.addMember("c2", "u1", "recruiter");
+    await Company.addMember("c1", "u1", "owner");
+    expect(await Company.getMemberships("u1")).toEqual(["c1", "c2"]);
+    expect(await Company.getMemberships("u2")).toEqual([]);
+  });
+});
+
+describe("getMembers", function () {
+  test("works", async function () {
+    await Company.addMember("c1", "u2", "recruiter");
+    await Company.addMember("c1", "u1", "owner");
+    expect(await Company.getMembers("c1")).toEqual([
+      { username: "u1", firstName: "U1F", lastName: "U1L", email: "u1@email.com", role: "owner" },
+      { username: "u2", firstName: "U2F", lastName: "U2L", email: "u2@email.com", role: "recruiter" },
+    ]);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Company.getMembers("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("removeMember", function () {
+  test("works", async function () {
+    await Company.addMember("c1", "u1", "owner");
+    await Company.removeMember("c1", "u1");
+    expect(await Company.getMemberRole("c1", "u1")).toBeNull();
+  });
+
+  test("not found if not a member", async function () {
+    await expect(Company.removeMember("c1", "u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** import */
+
+describe("import", function () {
+  /** Rows as importRows gives them, all good so far. */
+  function checked(data) {
+    return data.map((d, idx) => ({ row: idx + 1, data: d, errors: [] }));
+  }
+
+  const newRow = { handle: "new", name: "New", description: "New Description" };
+
+  test("works: creates and updates", async function () {
+    const report = await Company.import(checked([
+      newRow,
+      { handle: "c1", name: "C1 Renamed", description: "Desc" },
+    ]));
+    expect(report).toEqual({
+      dryRun: false,
+      committed: true,
+      created: 1,
+      updated: 1,
+      rejected: 0,
+      rows: [
+        { row: 1, handle: "new", result: "created" },
+        { row: 2, handle: "c1", result: "updated" },
+      ],
+    });
+
+    const result = await db.query(
+          `SELECT handle, name, description, num_employees, logo_url
+           FROM companies
+           WHERE handle IN ('c1', 'new')
+           ORDER BY handle`);
+    expect(result.rows).toEqual([
+      {
+        handle: "c1",
+        name: "C1 Renamed",
+        description: "Desc",
+        num_employees: 1,
+        logo_url: "http://c1.img",
+      },
+      {
+        handle: "new",
+        name: "New",
+        description: "New Description",
+        num_employees: null,
+        logo_url: null,
+      },
+    ]);
+  });
+
+  test("works: dry run writes nothing", async function () {
+    const report = await Company.import(checked([newRow]), { dryRun: true });
+    expect(report.committed).toEqual(false);
+    expect(report.created).toEqual(1);
+    const result = await db.query(`SELECT handle FROM companies WHERE handle = 'new'`);
+    expect(result.rows).toEqual([]);
+  });
+
+  test("writes nothing if a row is rejected", async function () {
+    const rows = checked([newRow, { ...newRow, name: "Again" }]);
+    const report = await Company.import(rows);
+    expect(report.committed).toEqual(false);
+    expect(report.rows[1]).toEqual({
+      row: 2,
+      handle: "new",
+      result: "rejected",
+      errors: [{
+        path: "row.handle",
+        code: "duplicate",
+        message: "row.handle new is already on row 1",
+      }],
+    });
+    const result = await db.query(`SELECT handle FROM companies WHERE handle = 'new'`);
+    expect(result.rows).toEqual([]);
+  });
+
+  test("writes nothing if a later write fails", async function () {
+    // The second row's audit log entry fails, after both rows are written.
+    const record = AuditLog.record;
+    const spy = jest.spyOn(AuditLog, "record")
+        .mockImplementationOnce(entry => record.call(AuditLog, entry))
+        .mockRejectedValueOnce(new Error("audit log is down"));
+    try {
+      await expect(Company.import(checked([
+        newRow,
+        { handle: "c1", name: "C1 Renamed", description: "Desc" },
+      ]))).rejects.toThrow("audit log is down");
+    } finally {
+      spy.mockRestore();
+    }
+
+    const result = await db.query(
+          `SELECT handle, name FROM companies WHERE handle IN ('c1', 'new')`);
+    expect(result.rows).toEqual([{ handle: "c1", name: "C1" }]);
+    const audit = await db.query(`SELECT id FROM audit_log WHERE entity = 'company'`);
+    expect(audit.rows).toEqual([]);
+  });
+
+  test("rejects a name another company has", async function () {
+    const report = await Company.import(checked([
+      { handle: "c1", name: "C1" },
+      { ...newRow, name: "C2" },
+    ]));
+    expect(report.committed).toEqual(false);
+    expect(report.rows).toEqual([
+      { row: 1, handle: "c1", result: "updated" },
+      {
+        row: 2,
+        handle: "new",
+        result: "rejected",
+        errors: [{
+          path: "row.name",
+          code: "duplicate",
+          message: "row.name C2 belongs to another company (c2)",
+        }],
+      },
+    ]);
+  });
+
+  test("rejects a name repeated in the file", async function () {
+    const report = await Company.import(checked([newRow, { handle: "new2", name: "New" }]));
+    expect(report.committed).toEqual(false);
+    expect(report.rows[1]).toEqual({
+      row: 2,
+      handle: "new2",
+      result: "rejected",
+      errors: [{
+        path: "row.name",
+        code: "duplicate",
+        message: "row.name New is already on row 1",
+      }],
+    });
+  });
 });
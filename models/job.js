@@ -1,103 +1,506 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
+const { sqlForPartialUpdate, sqlForTextMatch } = require("../helpers/sql");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { importReport } = require("../helpers/import");
+const { bumpVersions, bumpApplicantVersions } = require("../helpers/versions");
+const AuditLog = require("./auditLog");
+const Webhook = require("./webhook");
+
+/** Fields GET /jobs can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    id: "id",
+    title: "title",
+    salaryMin: "salary_min",
+    salaryMax: "salary_max",
+    equity: "equity",
+    companyHandle: "company_handle",
+  },
+  defaultSort: "id",
+  key: "id",
+};
+
+/** A job's lifecycle: drafts aren't listed; only open jobs take applications. */
+const JOB_STATUSES = ["draft", "open", "closed", "filled"];
+
+/** SQL for whether the job in table (or alias) is open and hasn't passed
+ * its expiry date. Only such jobs are shown to the public. */
+
+function isOpenSql(table = "jobs") {
+  return `(${table}.status = 'open'
+           AND (${table}.expires_at IS NULL OR ${table}.expires_at > NOW()))`;
+}
+
+/** Pay is quoted per hour or per year. */
+const PAY_PERIODS = ["hourly", "yearly"];
+
+/** For comparing hourly and yearly pay: 40 hours a week, 52 weeks a year. */
+const HOURS_PER_YEAR = 2080;
+
+/** Default radius for a near filter. */
+const DEFAULT_RADIUS_KM = 50;
+
+/** How much a job wants each of its skills. */
+const SKILL_REQUIREMENTS = ["required", "nice_to_have"];
+
+/** Columns returned for a job, beyond its id, company, locations and skills. */
+const JOB_COLUMNS = `title, salary_min AS "salaryMin", salary_max AS "salaryMax",
+                     currency, pay_period AS "payPeriod", equity, status,
+                     posted_at AS "postedAt", expires_at AS "expiresAt",
+                     work_mode AS "workMode"`;
+
+/** SQL for a JSON array of the locations in source (in the order added), as
+ * [{ city, region, country, latitude, longitude }, ...]. where picks them. */
+
+function locationsSql(source, where = "") {
+  return `COALESCE(
+      (SELECT json_agg(json_build_object(
+                  'city', l.city, 'region', l.region, 'country', l.country,
+                  'latitude', l.latitude, 'longitude', l.longitude)
+                ORDER BY l.id)
+       FROM ${source} AS l ${where}),
+      '[]'::json)`;
+}
+
+/** The locations of the job in the current row of jobs. */
+const JOB_LOCATIONS_SQL = locationsSql("job_locations", "WHERE l.job_id = jobs.id");
+
+/** SQL to add the locations in the JSON array param to the job(s) in the
+ * CTE jobCte, returning the rows added. */
+
+function insertLocationsSql(jobCte, param) {
+  return `INSERT INTO job_locations (job_id, city, region, country, latitude, longitude)
+          SELECT ${jobCte}.id, l.city, l.region, l.country, l.latitude, l.longitude
+          FROM ${jobCte},
+               json_to_recordset(${param}::json)
+                 AS l(city TEXT, region TEXT, country TEXT,
+                      latitude DOUBLE PRECISION, longitude DOUBLE PRECISION)
+          RETURNING *`;
+}
+
+/** SQL for a JSON array of the job skills in source, required ones first, as
+ * [{ handle, name, requirement }, ...]. where picks them. */
+
+function skillsSql(source, where = "") {
+  return `COALESCE(
+      (SELECT json_agg(json_build_object(
+                  'handle', js.skill_handle, 'name', s.name,
+                  'requirement', js.requirement)
+                ORDER BY js.requirement = 'nice_to_have', js.skill_handle)
+       FROM ${source} AS js
+       JOIN skills AS s ON s.handle = js.skill_handle
+       ${where}),
+      '[]'::json)`;
+}
+
+/** The skills of the job in the current row of jobs. */
+const JOB_SKILLS_SQL = skillsSql("job_skills", "WHERE js.job_id = jobs.id");
+
+/** Columns for each job in a list of jobs. */
+const JOB_LIST_COLUMNS = `id, company_handle AS "companyHandle", ${JOB_COLUMNS},
+                          ${JOB_LOCATIONS_SQL} AS locations, ${JOB_SKILLS_SQL} AS skills`;
+
+/** SQL to add the skills in the JSON array param, [{ handle, requirement }],
+ * to the job(s) in the CTE jobCte, returning the rows written. requirement
+ * defaults to "required"; skills the job already has get the new one. */
+
+function upsertSkillsSql(jobCte, param) {
+  return `INSERT INTO job_skills (job_id, skill_handle, requirement)
+          SELECT ${jobCte}.id, s.handle, COALESCE(s.requirement, 'required')
+          FROM ${jobCte},
+               json_to_recordset(${param}::json) AS s(handle TEXT, requirement TEXT)
+          ON CONFLICT (job_id, skill_handle)
+            DO UPDATE SET requirement = EXCLUDED.requirement
+          RETURNING *`;
+}
+
+/** Throw BadRequestError if the list of job skills names a skill twice. */
+
+function checkSkillsUnique(skills) {
+  const handles = skills.map(s => s.handle);
+  const repeated = handles.find((handle, idx) => handles.indexOf(handle) !== idx);
+  if (repeated) throw new BadRequestError(`Skill listed more than once: ${repeated}`);
+}
+
+/** Parse a comma-separated list of skill handles, dropping blanks and repeats. */
+
+function parseSkills(skills) {
+  return [...new Set(String(skills).split(",").map(s => s.trim()).filter(Boolean))];
+}
+
+/** Parse a near filter, "lat,lng", into [lat, lng].
+ *
+ * Throws BadRequestError if it isn't a point on the earth.
+ */
+
+function parseNear(near) {
+  const [lat, lng, ...rest] = String(near).split(",").map(s => s.trim());
+  const point = [Number(lat), Number(lng)];
+  if (rest.length || lat === "" || lng === "" || point.some(isNaN)
+      || Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180) {
+    throw new BadRequestError("near must be latitude,longitude, like 40.7,-74.0");
+  }
+  return point;
+}
+
+/** SQL for a salary column, as yearly pay if yearly is true. */
+
+function salarySql(column, yearly) {
+  return yearly
+      ? `(${column} * CASE WHEN pay_period = 'hourly' THEN ${HOURS_PER_YEAR} ELSE 1 END)`
+      : column;
+}
+
+/** Run a query that writes a job, turning violations of constraints that
+ * bad input can break into BadRequestErrors. */
+
+async function queryJobWrite(sql, values) {
+  try {
+    return await db.query(sql, values);
+  } catch (err) {
+    if (err.constraint === "jobs_salary_range_check") {
+      throw new BadRequestError("salaryMax must be at least salaryMin");
+    }
+    if (err.constraint === "job_skills_skill_handle_fkey") {
+      const handle = (err.detail || "").match(/=\((.*)\)/);
+      throw new BadRequestError(`No skill: ${handle ? handle[1] : "(unknown)"}`);
+    }
+    throw err;
+  }
+}
+
+/** WHERE conditions for the filters in searchParams (see Job.findAll).
+ *
+ * Returns { whereClause, queryValues }: conditions to AND together, and the
+ * values they use.
+ *
+ * Throws BadRequestError if a filter is invalid.
+ */
+
+function sqlForJobFilters(searchParams) {
+  const {
+    title, match, minSalary, maxSalary, normalize, currency, payPeriod, hasEquity,
+    remote, country, near, radiusKm, skills, skillMatch = "all", status = "open",
+    postedSince, unlistedOf,
+  } = searchParams;
+
+  let whereClause = ["deleted_at IS NULL"];
+  let queryValues = [];
+
+  if (title) {
+    whereClause.push(sqlForTextMatch("title", queryValues, title, { match }));
+  }
+
+  if (normalize && normalize !== "yearly") {
+    throw new BadRequestError("normalize must be: yearly");
+  }
+  const yearly = normalize === "yearly";
+
+  // A job with no salaryMax pays "salaryMin and up", so it reaches any minSalary.
+  if (minSalary !== undefined) {
+    queryValues.push(minSalary);
+    const salaryMaxSql = salarySql("salary_max", yearly);
+    whereClause.push(`salary_min IS NOT NULL
+        AND (salary_max IS NULL OR ${salaryMaxSql} >= $${queryValues.length})`);
+  }
+
+  if (maxSalary !== undefined) {
+    queryValues.push(maxSalary);
+    whereClause.push(`${salarySql("salary_min", yearly)} <= $${queryValues.length}`);
+  }
+
+  if (currency) {
+    queryValues.push(currency);
+    whereClause.push(`currency = $${queryValues.length}`);
+  }
+
+  if (payPeriod) {
+    if (!PAY_PERIODS.includes(payPeriod)) {
+      throw new BadRequestError(`payPeriod must be one of: ${PAY_PERIODS.join(", ")}`);
+    }
+    queryValues.push(payPeriod);
+    whereClause.push(`pay_period = $${queryValues.length}`);
+  }
+
+  if (hasEquity) {
+    whereClause.push(`equity > 0`);
+  }
+
+  if (remote !== undefined) {
+    whereClause.push(remote ? `work_mode = 'remote'` : `work_mode <> 'remote'`);
+  }
+
+  if (country) {
+    queryValues.push(country);
+    whereClause.push(`EXISTS (SELECT 1 FROM job_locations AS l
+                              WHERE l.job_id = jobs.id AND l.country = $${queryValues.length})`);
+  }
+
+  if (near) {
+    const [lat, lng] = parseNear(near);
+    queryValues.push(lat, lng, radiusKm === undefined ? DEFAULT_RADIUS_KM : radiusKm);
+    const n = queryValues.length;
+    whereClause.push(`EXISTS (SELECT 1 FROM job_locations AS l
+                              WHERE l.job_id = jobs.id
+                                AND great_circle_km(l.latitude, l.longitude, $${n - 2}, $${n - 1})
+                                    <= $${n})`);
+  } else if (radiusKm !== undefined) {
+    throw new BadRequestError("radiusKm needs near");
+  }
+
+  if (skillMatch !== "all" && skillMatch !== "any") {
+    throw new BadRequestError("skillMatch must be one of: all, any");
+  }
+  const skillHandles = skills ? parseSkills(skills) : [];
+  if (skillHandles.length) {
+    queryValues.push(skillHandles);
+    const listed = `SELECT COUNT(*) FROM job_skills AS js
+                    WHERE js.job_id = jobs.id AND js.skill_handle = ANY($${queryValues.length})`;
+    whereClause.push(skillMatch === "all"
+        ? `(${listed}) = ${skillHandles.length}`
+        : `(${listed}) > 0`);
+  }
+
+  if (postedSince) {
+    queryValues.push(postedSince);
+    whereClause.push(`posted_at >= $${queryValues.length}`);
+  }
+
+  if (status === "open") {
+    whereClause.push(isOpenSql());
+  } else if (status !== "all") {
+    if (!JOB_STATUSES.includes(status)) {
+      throw new BadRequestError(`status must be one of: ${JOB_STATUSES.join(", ")}, all`);
+    }
+    queryValues.push(status);
+    whereClause.push(`status = $${queryValues.length}`);
+  }
+
+  if (unlistedOf && status !== "open") {
+    queryValues.push(unlistedOf);
+    whereClause.push(`(${isOpenSql()} OR company_handle = ANY($${queryValues.length}))`);
+  }
+
+  return { whereClause, queryValues };
+}
 
 /** Related functions for jobs. */
 
 class Job {
+  /** SQL for whether a job is open and unexpired; see isOpenSql. */
+
+  static isOpenSql(table = "jobs") {
+    return isOpenSql(table);
+  }
+
+  /** Whether job (as get returns it) is open and hasn't expired: the jobs
+   * anyone may see. */
+
+  static isOpen(job) {
+    return job.status === "open" && (job.expiresAt === null || job.expiresAt > new Date());
+  }
+
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, companyHandle }
+   * data should be { title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *                  companyHandle, status, expiresAt }
+   * where:
+   * - salaryMax is optional; without it the pay is "salaryMin and up"
+   * - currency is an ISO 4217 code (default "USD")
+   * - payPeriod is "hourly" or "yearly" (the default)
+   * - status (default "open") is "draft" or "open"; open jobs are posted
+   *   straight away, drafts when first opened
+   * - expiresAt is optional
+   * - workMode is "onsite" (the default), "hybrid" or "remote"
+   * - locations (optional) is [{ city, region, country, latitude, longitude }, ...]
+   *   where country is an ISO 3166-1 alpha-2 code and region and the
+   *   coordinates are optional
+   * - skills (optional) is [{ handle, requirement }, ...] where requirement
+   *   is "required" (the default) or "nice_to_have"
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *           companyHandle, status, postedAt, expiresAt, workMode, locations,
+   *           skills }
+   *   where skills is [{ handle, name, requirement }, ...], required first
    *
-   * Throws BadRequestError if companyHandle is not in db.
+   * Throws BadRequestError if companyHandle is not in db, if salaryMax is
+   * less than salaryMin, or if a skill doesn't exist or is listed twice.
    **/
 
-  static async create({ title, salary, equity, companyHandle }) {
+  static async create({
+    title, salaryMin, salaryMax = null, currency = "USD", payPeriod = "yearly",
+    equity, companyHandle, status = "open", expiresAt = null, workMode = "onsite",
+    locations = [], skills = [],
+  }) {
     const companyCheck = await db.query(
       `SELECT handle
            FROM companies
-           WHERE handle = $1`,
+           WHERE handle = $1 AND deleted_at IS NULL`,
       [companyHandle]);
   
     if (!companyCheck.rows[0])
       throw new BadRequestError(`Company ${companyHandle} not found.`);
+    checkSkillsUnique(skills);
    
-    const result = await db.query(
-      `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
+    const result = await queryJobWrite(
+      `WITH job AS (
+         INSERT INTO jobs
+           (title, salary_min, salary_max, currency, pay_period, equity,
+            company_handle, status, posted_at, expires_at, work_mode)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8::text,
+                   CASE WHEN $8::text = 'open' THEN NOW() END, $9, $10)
+           RETURNING id, company_handle AS "companyHandle", ${JOB_COLUMNS}
+       ), added_locations AS (
+         ${insertLocationsSql("job", "$11")}
+       ), added_skills AS (
+         ${upsertSkillsSql("job", "$12")}
+       )
+       SELECT job.*,
+              ${locationsSql("added_locations")} AS locations,
+              ${skillsSql("added_skills")} AS skills
+       FROM job`,
       [
         title,
-        salary,
+        salaryMin,
+        salaryMax,
+        currency,
+        payPeriod,
         equity, 
         companyHandle,
+        status,
+        expiresAt,
+        workMode,
+        JSON.stringify(locations),
+        JSON.stringify(skills),
       ],
     );
     const job = result.rows[0];
+    await bumpVersions("companies", "handle", [job.companyHandle]);
+
+    await AuditLog.record({ action: "create", entity: "job", entityId: job.id, after: job });
+    await Webhook.emit("job.created", job.companyHandle, job);
   
     return job;
   }
   
 
-  /** Find all jobs.
+  /** Find a page of jobs (optional filter on searchParams).
+   *
+   * searchParams (all optional):
+   * - title (case-insensitive, partial matches)
+   * - match ("partial", the default, or "fulltext" to match title with the
+   *   same full-text search as GET /search, over title and company name)
+   * - minSalary, maxSalary: jobs whose pay range overlaps this one. Jobs
+   *   that don't give a salary are left out.
+   * - normalize: "yearly" to compare hourly pay as its yearly equivalent
+   *   (HOURS_PER_YEAR hours); otherwise figures are compared as they are
+   * - currency (there's no conversion; filter on it to compare like with like)
+   * - payPeriod: "hourly" or "yearly"
+   * - hasEquity
+   * - remote: true for remote jobs only, false for onsite and hybrid ones
+   * - country: jobs with a location in this country
+   * - near ("lat,lng") and radiusKm (default DEFAULT_RADIUS_KM): jobs with a
+   *   location within radiusKm of that point
+   * - skills: comma-separated skill handles; jobs listing all of them (as
+   *   required or nice to have), or any of them if skillMatch is "any"
+   * - status: one of JOB_STATUSES, or "all". Defaults to "open", which also
+   *   leaves out open jobs past their expiry date.
+   * - unlistedOf: company handles; jobs that aren't open are only found for
+   *   these companies. Leave it out to find them for every company.
+   * - postedSince: jobs posted at or after this time (not offered by GET
+   *   /jobs; saved-search alerts use it to find new jobs)
+   *
+   * Paging/sorting (all optional, see helpers/pagination.js):
+   * - sort (id, title, salaryMin, salaryMax, equity, companyHandle; prefix
+   *   with "-" for descending)
+   * - limit, offset or cursor
+   *
+   * Returns { jobs, total, limit, next, prev }
+   *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+   *                    equity, companyHandle, status, postedAt, expiresAt,
+   *                    workMode, locations, skills }, ...]
    *
-   * Returns [{ id, title, salary, equity, companyHandle }, ...]
+   * Throws NotFoundError if no jobs match.
+   *
+   * Throws BadRequestError if status, payPeriod, normalize, near or
+   * skillMatch is invalid, or radiusKm is given without near.
    * */
   static async findAll(searchParams = {}) {
-    const { title, minSalary, hasEquity } = searchParams;
-
-    let whereClause = [];
-    let queryValues = [];
-
-    if (title) {
-      queryValues.push(`%${title}%`);
-      whereClause.push(`title ILIKE $${queryValues.length}`);
-    }
+    const { whereClause, queryValues } = sqlForJobFilters(searchParams);
 
-    if (minSalary) {
-      queryValues.push(minSalary);
-      whereClause.push(`salary >= $${queryValues.length}`);
-    }
+    const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
+    const countResult = await db.query(
+      `SELECT COUNT(*)::int AS total FROM jobs ${whereClauseStr}`,
+      queryValues);
 
-    if (hasEquity) {
-      whereClause.push(`equity > 0`);
-    }
+    const page = sqlForPage(searchParams, PAGE_OPTIONS, queryValues);
+    if (page.cursorWhere) whereClause.push(page.cursorWhere);
 
-    const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
+    const pageWhereStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
     const query = `
-      SELECT id, title, salary, equity, company_handle AS "companyHandle"
+      SELECT ${JOB_LIST_COLUMNS}, ${page.select}
       FROM jobs
-      ${whereClauseStr}
+      ${pageWhereStr}
+      ${page.orderBy}
+      ${page.limitOffset}
     `;
-    const result = await db.query(query, queryValues); 
-
-    console.log('Fetched jobs:', result.rows);
+    const result = await db.query(query, page.values); 
 
     if (result.rows.length === 0) {
       throw new NotFoundError(`No job found with the given parameters`);
     }
-    
-    return result.rows;
+
+    const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+    return { jobs: rows, ...pageInfo };
+  }
+
+  /** The query for exporting every job that findAll would find with
+   * searchParams (across all pages), in the order of its sort param.
+   * helpers/export.js streams it.
+   *
+   * Returns { text, values }; rows are as findAll's jobs.
+   *
+   * Throws BadRequestError if a filter or the sort is invalid.
+   **/
+
+  static exportQuery(searchParams = {}) {
+    const { whereClause, queryValues } = sqlForJobFilters(searchParams);
+    const { orderBy } = sqlForPage({ sort: searchParams.sort }, PAGE_OPTIONS, queryValues);
+    const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(' AND ')}` : '';
+    return {
+      text: `SELECT ${JOB_LIST_COLUMNS}
+             FROM jobs
+             ${whereClauseStr}
+             ${orderBy}`,
+      values: queryValues,
+    };
   }
 
   /** Given a job id, return data about job.
    *
-   * Returns { id, title, salary, equity, company }
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *           status, postedAt, expiresAt, workMode, locations, skills, company,
+   *           version }
+   *   where skills is [{ handle, name, requirement }, ...], required first
    *   where company is { handle, name, description, numEmployees, logoUrl }
+   *   and version is bumped by each update, and when its company changes
    *
    * Throws NotFoundError if not found.
    **/
 
   static async get(id) {
     const jobRes = await db.query(
-      `SELECT id, title, salary, equity, company_handle AS "companyHandle"
+      `SELECT id, company_handle AS "companyHandle", ${JOB_COLUMNS},
+              ${JOB_LOCATIONS_SQL} AS locations, ${JOB_SKILLS_SQL} AS skills, version
            FROM jobs
-           WHERE id = $1`,
+           WHERE id = $1 AND deleted_at IS NULL`,
       [id]
     );
   
@@ -120,55 +523,413 @@ class Job {
   }
   
 
+  /** Given a job id, return the applications for it.
+   *
+   * Returns [{ username, firstName, lastName, email, state, updatedAt }, ...]
+   *
+   * Throws NotFoundError if job not found.
+   **/
+
+  static async getApplications(id) {
+    const jobRes = await db.query(
+      `SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`, [id]);
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${id}`);
+
+    const result = await db.query(Job.applicationsExportQuery(id));
+    return result.rows;
+  }
+
+  /** The query for exporting a job's applications (see helpers/export.js).
+   *
+   * Returns { text, values }; rows are as getApplications gives them. Doesn't
+   * check that the job exists.
+   **/
+
+  static applicationsExportQuery(id) {
+    return {
+      text: `SELECT u.username,
+                    u.first_name AS "firstName",
+                    u.last_name AS "lastName",
+                    u.email,
+                    a.state,
+                    a.updated_at AS "updatedAt"
+             FROM applications AS a
+             JOIN users AS u ON u.username = a.username
+             WHERE a.job_id = $1 AND u.deleted_at IS NULL
+             ORDER BY a.created_at, u.username`,
+      values: [id],
+    };
+  }
+
   /** Update job data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: {title, salaryMin, salaryMax, currency, payPeriod,
+   *                     equity, status, expiresAt, workMode, locations, skills}
    *
-   * Returns {id, title, salary, equity, company_handle}
+   * Opening a job that has never been posted (a draft) sets its postedAt.
+   * locations and skills, if given, replace all of the job's locations or
+   * skills.
    *
-   * Throws NotFoundError if not found.
+   * versions, if given, are the versions the update was made against (see
+   * middleware/conditional.js); it's only made if the job is at one of them.
+   *
+   * Returns {id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *          company_handle, status, postedAt, expiresAt, workMode, locations,
+   *          skills, version}
+   *
+   * Throws NotFoundError if not found, and PreconditionFailedError if the job
+   * isn't at one of versions or changes while this runs.
+   *
+   * Throws BadRequestError if the salary range would end below its start, or
+   * if a skill doesn't exist or is listed twice.
    */
 
-  static async update(id, data) {
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {});
-    const idVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE jobs 
-                      SET ${setCols} 
-                      WHERE id = ${idVarIdx} 
-                      RETURNING id, 
-                                title, 
-                                salary, 
-                                equity, 
-                                company_handle`;
-    const result = await db.query(querySql, [...values, id]);
+  static async update(id, data, { versions } = {}) {
+    const { locations, skills, ...fields } = data;
+    const replacing = locations !== undefined || skills !== undefined;
+    // Replacing only locations or skills still has to find (and return) the job.
+    const { setCols, values } = replacing && Object.keys(fields).length === 0
+        ? { setCols: "id = id", values: [] }
+        : sqlForPartialUpdate(
+            fields,
+            {
+              salaryMin: "salary_min",
+              salaryMax: "salary_max",
+              payPeriod: "pay_period",
+              expiresAt: "expires_at",
+              workMode: "work_mode",
+            });
+
+    const beforeRes = await db.query(
+          `SELECT ${JOB_LIST_COLUMNS}, version FROM jobs WHERE id = $1 AND deleted_at IS NULL`,
+        [id]);
+    if (!beforeRes.rows[0]) throw new NotFoundError(`No job: ${id}`);
+
+    const { version, ...before } = beforeRes.rows[0];
+    if (versions && !versions.includes(version)) {
+      throw new PreconditionFailedError(`Job ${id} has changed since version given`);
+    }
+
+    const queryValues = [...values, id, version];
+    const idVarIdx = "$" + (queryValues.length - 1);
+    const versionVarIdx = "$" + queryValues.length;
+    const postedAtCol = data.status === "open"
+        ? ", posted_at = COALESCE(posted_at, NOW())"
+        : "";
+
+    // Replaced locations and skills aren't visible to the rest of the query,
+    // so those returned are the ones just added.
+    let replaceSql = "";
+    let locationsCol = locationsSql("job_locations", "WHERE l.job_id = job.id");
+    let skillsCol = skillsSql("job_skills", "WHERE js.job_id = job.id");
+    if (locations !== undefined) {
+      queryValues.push(JSON.stringify(locations));
+      replaceSql += `,
+        removed_locations AS (
+          DELETE FROM job_locations WHERE job_id IN (SELECT id FROM job)
+        ), added_locations AS (
+          ${insertLocationsSql("job", `$${queryValues.length}`)}
+        )`;
+      locationsCol = locationsSql("added_locations");
+    }
+    if (skills !== undefined) {
+      checkSkillsUnique(skills);
+      queryValues.push(JSON.stringify(skills));
+      const skillsVarIdx = "$" + queryValues.length;
+      // Skills kept are updated in place rather than deleted and re-added,
+      // which would clash on the primary key.
+      replaceSql += `,
+        removed_skills AS (
+          DELETE FROM job_skills
+          WHERE job_id IN (SELECT id FROM job)
+            AND skill_handle NOT IN (
+              SELECT handle FROM json_to_recordset(${skillsVarIdx}::json) AS s(handle TEXT))
+        ), added_skills AS (
+          ${upsertSkillsSql("job", skillsVarIdx)}
+        )`;
+      skillsCol = skillsSql("added_skills");
+    }
+
+    const querySql = `WITH job AS (
+                        UPDATE jobs 
+                        SET ${setCols}${postedAtCol}, version = version + 1 
+                        WHERE id = ${idVarIdx} AND version = ${versionVarIdx}
+                          AND deleted_at IS NULL
+                        RETURNING id,
+                                  company_handle AS "companyHandle",
+                                  ${JOB_COLUMNS},
+                                  version
+                      )${replaceSql}
+                      SELECT job.*,
+                             ${locationsCol} AS locations,
+                             ${skillsCol} AS skills
+                      FROM job`;
+    const result = await queryJobWrite(querySql, queryValues);
     const job = result.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${id}`);
+    if (!job) throw new PreconditionFailedError(`Job ${id} changed during update`);
+    await bumpVersions("companies", "handle", [job.companyHandle]);
+    if (job.title !== before.title) await bumpApplicantVersions([id]);
+
+    const { version: newVersion, ...after } = job;
+    await AuditLog.record({
+      action: "update", entity: "job", entityId: id, before, after,
+    });
+    if (before.status !== "closed" && job.status === "closed") {
+      await Webhook.emit("job.closed", job.companyHandle, after);
+    }
 
     return job;
   }
 
-  /** Delete given job from database; returns undefined.
+  /** Import jobs: create one per row. rows come from importRows
+   * (helpers/import.js), already checked against jobNew.json; rows naming a
+   * company or skill that doesn't exist, repeating a skill, or with salaryMax
+   * below salaryMin are rejected too. Jobs have no handle to match on, so
+   * nothing is updated.
+   *
+   * The import is all or nothing: the jobs (with their locations and skills)
+   * are written together, and only if no row was rejected and this isn't a
+   * dry run. It runs in a transaction, so a failure partway writes nothing,
+   * and the companies and skills checked can't be removed before it's done.
+   *
+   * Returns the report from importReport, each row being
+   *   { row, result, id, errors }
+   *   where result is "created" or "rejected", id is the new job's id (null
+   *   if nothing was written), and errors (for rejected rows only) is
+   *   [{ path, code, message }, ...]
+   **/
+
+  static async import(rows, { dryRun = false } = {}) {
+    return await db.transaction(async () => {
+      const valid = rows.filter(r => !r.errors.length);
+
+      const companiesRes = await db.query(
+            `SELECT handle FROM companies WHERE handle = ANY($1) AND deleted_at IS NULL
+             FOR SHARE`,
+          [valid.map(r => r.data.companyHandle)]);
+      const companies = new Set(companiesRes.rows.map(c => c.handle));
+
+      const skillsRes = await db.query(
+            `SELECT handle FROM skills WHERE handle = ANY($1) FOR SHARE`,
+          [valid.flatMap(r => (r.data.skills || []).map(s => s.handle))]);
+      const skills = new Set(skillsRes.rows.map(s => s.handle));
+
+      for (const { data, errors } of valid) {
+        if (!companies.has(data.companyHandle)) {
+          errors.push({
+            path: "row.companyHandle",
+            code: "not_found",
+            message: `No company: ${data.companyHandle}`,
+          });
+        }
+        if (data.salaryMax !== undefined && data.salaryMax < data.salaryMin) {
+          errors.push({
+            path: "row.salaryMax",
+            code: "too_small",
+            message: "row.salaryMax must be at least salaryMin",
+          });
+        }
+        (data.skills || []).forEach(({ handle }, idx, jobSkills) => {
+          const path = `row.skills[${idx}].handle`;
+          if (!skills.has(handle)) {
+            errors.push({ path, code: "not_found", message: `No skill: ${handle}` });
+          } else if (jobSkills.findIndex(s => s.handle === handle) < idx) {
+            errors.push({ path, code: "duplicate", message: `Skill listed more than once: ${handle}` });
+          }
+        });
+      }
+
+      for (const r of rows) {
+        r.result = r.errors.length ? "rejected" : "created";
+        r.id = null;
+      }
+
+      const committed = !dryRun && rows.every(r => r.result === "created");
+      if (committed) {
+        // Ids are taken up front so each row's locations and skills can go in
+        // with its job, in the same statement.
+        const result = await db.query(
+              `WITH input AS MATERIALIZED (
+                 SELECT nextval('jobs_id_seq')::int AS id, j.*
+                 FROM json_to_recordset($1::json)
+                   AS j("row" INTEGER, title TEXT, "salaryMin" INTEGER, "salaryMax" INTEGER,
+                        currency TEXT, "payPeriod" TEXT, equity NUMERIC,
+                        "companyHandle" TEXT, status TEXT, "expiresAt" TIMESTAMPTZ,
+                        "workMode" TEXT, locations JSON, skills JSON)
+               ), added_jobs AS (
+                 INSERT INTO jobs
+                   (id, title, salary_min, salary_max, currency, pay_period, equity,
+                    company_handle, status, posted_at, expires_at, work_mode)
+                 SELECT id, title, "salaryMin", "salaryMax", COALESCE(currency, 'USD'),
+                        COALESCE("payPeriod", 'yearly'), equity, "companyHandle",
+                        COALESCE(status, 'open'),
+                        CASE WHEN COALESCE(status, 'open') = 'open' THEN NOW() END,
+                        "expiresAt", COALESCE("workMode", 'onsite')
+                 FROM input
+               ), added_locations AS (
+                 INSERT INTO job_locations (job_id, city, region, country, latitude, longitude)
+                 SELECT input.id, l.city, l.region, l.country, l.latitude, l.longitude
+                 FROM input,
+                      json_to_recordset(COALESCE(input.locations, '[]'))
+                        AS l(city TEXT, region TEXT, country TEXT,
+                             latitude DOUBLE PRECISION, longitude DOUBLE PRECISION)
+               ), added_skills AS (
+                 INSERT INTO job_skills (job_id, skill_handle, requirement)
+                 SELECT input.id, s.handle, COALESCE(s.requirement, 'required')
+                 FROM input,
+                      json_to_recordset(COALESCE(input.skills, '[]'))
+                        AS s(handle TEXT, requirement TEXT)
+               )
+               SELECT "row", id FROM input`,
+            [JSON.stringify(rows.map(r => ({ row: r.row, ...r.data })))]);
+        const idByRow = new Map(result.rows.map(j => [j.row, j.id]));
+        await bumpVersions("companies", "handle", rows.map(r => r.data.companyHandle));
+        for (const r of rows) {
+          r.id = idByRow.get(r.row);
+          await AuditLog.record({ action: "create", entity: "job", entityId: r.id, after: r.data });
+          await Webhook.emit("job.created", r.data.companyHandle, { id: r.id, ...r.data });
+        }
+      }
+
+      return importReport(rows, { dryRun, committed });
+    });
+  }
+
+  /** Close every open job that has passed its expiry date.
+   *
+   * Run hourly by the worker (see tasks.js), or by closeExpiredJobs.js.
+   *
+   * Returns the ids of the jobs closed.
+   */
+
+  static async closeExpired() {
+    const result = await db.query(
+          `UPDATE jobs
+           SET status = 'closed', version = version + 1
+           WHERE status = 'open' AND expires_at <= NOW() AND deleted_at IS NULL
+           RETURNING ${JOB_LIST_COLUMNS}`);
+    const jobs = result.rows.sort((a, b) => a.id - b.id);
+    await bumpVersions("companies", "handle", jobs.map(j => j.companyHandle));
+
+    for (const job of jobs) {
+      await AuditLog.record({
+        action: "close_expired", entity: "job", entityId: job.id,
+        before: { status: "open" }, after: { status: "closed" },
+      });
+      await Webhook.emit("job.closed", job.companyHandle, job);
+    }
+
+    return jobs.map(j => j.id);
+  }
+
+  /** Delete given job until restored or purged; returns undefined.
  *
  * Throws NotFoundError if job not found.
  **/
 
   static async remove(id) {
     const result = await db.query(
-          `DELETE
-            FROM jobs
-            WHERE id = $1
-            RETURNING id`,
+          `UPDATE jobs
+            SET deleted_at = NOW()
+            WHERE id = $1 AND deleted_at IS NULL
+            RETURNING deleted_at AS "deletedAt", company_handle AS "companyHandle"`,
         [id]);
     const job = result.rows[0];
-    console.log(id)
     if (!job) throw new NotFoundError(`No job: ${id}`);
+    await bumpVersions("companies", "handle", [job.companyHandle]);
+    await bumpApplicantVersions([id]);
+
+    await AuditLog.record({
+      action: "delete", entity: "job", entityId: id,
+      before: { deletedAt: null }, after: { deletedAt: job.deletedAt },
+    });
+  }
+
+  /** Given a deleted job's id, undelete it.
+   *
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *           companyHandle, status, postedAt, expiresAt, workMode,
+   *           locations, skills }
+   *
+   * Throws NotFoundError if there's no deleted job with that id.
+   *
+   * Throws BadRequestError if its company is deleted (restoring the company
+   * restores the jobs deleted with it).
+   **/
+
+  static async restore(id) {
+    const deletedRes = await db.query(
+          `SELECT j.deleted_at AS "deletedAt", c.deleted_at IS NOT NULL AS "companyDeleted",
+                  j.company_handle AS "companyHandle"
+           FROM jobs AS j
+           JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+        [id]);
+    const deleted = deletedRes.rows[0];
+
+    if (!deleted) throw new NotFoundError(`No deleted job: ${id}`);
+    if (deleted.companyDeleted) {
+      throw new BadRequestError(
+          `Company ${deleted.companyHandle} is deleted; restore it first`);
+    }
+
+    const result = await db.query(
+          `UPDATE jobs
+           SET deleted_at = NULL
+           WHERE id = $1
+           RETURNING ${JOB_LIST_COLUMNS}`,
+        [id]);
+    await bumpVersions("companies", "handle", [deleted.companyHandle]);
+    await bumpApplicantVersions([id]);
+
+    await AuditLog.record({
+      action: "restore", entity: "job", entityId: id,
+      before: { deletedAt: deleted.deletedAt }, after: { deletedAt: null },
+    });
+
+    return result.rows[0];
+  }
+
+  /** List deleted jobs, most recently deleted first.
+   *
+   * Returns [{ id, title, companyHandle, status, deletedAt }, ...]
+   **/
+
+  static async findDeleted() {
+    const result = await db.query(
+          `SELECT id, title, company_handle AS "companyHandle", status,
+                  deleted_at AS "deletedAt"
+           FROM jobs
+           WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, id`);
+    return result.rows;
+  }
+
+  /** Remove jobs deleted more than days ago from the database for good, with
+   * their applications.
+   *
+   * Run periodically by purgeDeleted.js.
+   *
+   * Returns the ids of the jobs purged.
+   **/
+
+  static async purgeDeleted(days) {
+    const result = await db.query(
+          `DELETE
+           FROM jobs
+           WHERE deleted_at <= NOW() - make_interval(days => $1)
+           RETURNING id, deleted_at AS "deletedAt"`,
+        [days]);
+
+    for (const { id, deletedAt } of result.rows) {
+      await AuditLog.record({ action: "purge", entity: "job", entityId: id, before: { deletedAt } });
+    }
+
+    return result.rows.map(j => j.id).sort((a, b) => a - b);
   }
 }
 
@@ -1,8 +1,13 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+} = require("../expressError");
 const Job = require("./job.js");
+const AuditLog = require("./auditLog.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -20,7 +25,10 @@ afterAll(commonAfterAll);
 describe("create", function () {
   const newJob = {
     title: "new",
-    salary: 100000,
+    salaryMin: 100000,
+    salaryMax: 120000,
+    currency: "EUR",
+    payPeriod: "yearly",
     equity: 0.5,
     companyHandle: "c1",
   };
@@ -30,10 +38,20 @@ describe("create", function () {
 
     job.equity = parseFloat(job.equity);
 
-    expect(job).toEqual({ id: expect.any(Number), ...newJob });
+    expect(job).toEqual({
+      id: expect.any(Number),
+      ...newJob,
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      workMode: "onsite",
+      locations: [],
+      skills: [],
+    });
 
     const result = await db.query(
-          `SELECT id, title, salary, equity, company_handle AS "companyHandle"
+          `SELECT id, title, salary_min, salary_max, currency, pay_period, equity,
+                  company_handle AS "companyHandle"
            FROM jobs
            WHERE title = 'new'`);
 
@@ -43,120 +61,502 @@ describe("create", function () {
       {
         id: expect.any(Number),
         title: "new",
-        salary: 100000,
+        salary_min: 100000,
+        salary_max: 120000,
+        currency: "EUR",
+        pay_period: "yearly",
         equity: 0.5,
         companyHandle: "c1",
       },
     ]);
   });
 
+  test("works: pay defaults to yearly USD, open-ended", async function () {
+    const job = await Job.create({
+      title: "new", salaryMin: 50000, equity: 0, companyHandle: "c1",
+    });
+    expect(job).toEqual(expect.objectContaining({
+      salaryMin: 50000,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
+    }));
+  });
+
+  test("bad request if the salary range ends below its start", async function () {
+    await expect(Job.create({ ...newJob, salaryMin: 20, salaryMax: 10 }))
+        .rejects.toThrow("salaryMax must be at least salaryMin");
+  });
+
   test("bad request with invalid companyHandle", async function () {
     try {
-      await Job.create({ title: "new", salary: 100000, equity: "0.5", companyHandle: "nope" });
+      await Job.create({ title: "new", salaryMin: 100000, equity: "0.5", companyHandle: "nope" });
       fail();
     } catch (err) {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("works: drafts aren't posted yet", async function () {
+    const job = await Job.create({ ...newJob, status: "draft" });
+    expect(job.status).toEqual("draft");
+    expect(job.postedAt).toBeNull();
+  });
+
+  test("works: with expiry date", async function () {
+    const job = await Job.create({ ...newJob, expiresAt: "2030-01-01T00:00:00Z" });
+    expect(job.expiresAt).toEqual(new Date("2030-01-01T00:00:00Z"));
+  });
+
+  test("works: with work mode and locations", async function () {
+    const job = await Job.create({
+      ...newJob,
+      workMode: "hybrid",
+      locations: [
+        { city: "Boston", region: "MA", country: "US", latitude: 42.36, longitude: -71.06 },
+        { city: "London", country: "GB" },
+      ],
+    });
+    expect(job.workMode).toEqual("hybrid");
+    expect(job.locations).toEqual([
+      { city: "Boston", region: "MA", country: "US", latitude: 42.36, longitude: -71.06 },
+      { city: "London", region: null, country: "GB", latitude: null, longitude: null },
+    ]);
+
+    const found = await Job.get(job.id);
+    expect(found.locations).toEqual(job.locations);
+  });
+
+  test("works: with skills, required ones first", async function () {
+    const job = await Job.create({
+      ...newJob,
+      skills: [{ handle: "react", requirement: "nice_to_have" }, { handle: "sql" }],
+    });
+    expect(job.skills).toEqual([
+      { handle: "sql", name: "SQL", requirement: "required" },
+      { handle: "react", name: "React", requirement: "nice_to_have" },
+    ]);
+    expect((await Job.get(job.id)).skills).toEqual(job.skills);
+  });
+
+  test("bad request with unknown skill", async function () {
+    await expect(Job.create({ ...newJob, skills: [{ handle: "cobol" }] }))
+        .rejects.toThrow("No skill: cobol");
+  });
+
+  test("bad request with repeated skill", async function () {
+    await expect(Job.create({ ...newJob, skills: [{ handle: "js" }, { handle: "js" }] }))
+        .rejects.toThrow("Skill listed more than once: js");
+  });
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works: returns all jobs", async function () {
-    const res = await Job.findAll({});
+    const { jobs: res } = await Job.findAll({});
       expect(res).toEqual([
         {
           id: expect.any(Number),
           title: "Job1",
-          salary: 10000,
+          salaryMin: 10000,
+          salaryMax: 10000,
+          currency: "USD",
+          payPeriod: "yearly",
           equity: "0.1",
           companyHandle: "c1",
+          status: "open",
+          postedAt: expect.any(Date),
+          expiresAt: null,
+          workMode: "onsite",
+          locations: [],
+          skills: [],
         },
         {
           id: expect.any(Number),
           title: "Job2",
-          salary: 20000,
+          salaryMin: 20000,
+          salaryMax: 20000,
+          currency: "USD",
+          payPeriod: "yearly",
           equity: "0.2",
           companyHandle: "c2",
+          status: "open",
+          postedAt: expect.any(Date),
+          expiresAt: null,
+          workMode: "onsite",
+          locations: [],
+          skills: [],
         },
         {
           id: expect.any(Number),
           title: "Job3",
-          salary: 30000,
+          salaryMin: 30000,
+          salaryMax: 30000,
+          currency: "USD",
+          payPeriod: "yearly",
           equity: null,
           companyHandle: "c3",
+          status: "open",
+          postedAt: expect.any(Date),
+          expiresAt: null,
+          workMode: "onsite",
+          locations: [],
+          skills: [],
         },
       ]);
     });
   });
 
   test("works: filters by title", async function () {
-    const res = await Job.findAll({ title: "1" });
+    const { jobs: res } = await Job.findAll({ title: "1" });
     expect(res).toEqual([
       {
         id: expect.any(Number),
         title: "Job1",
-        salary: 10000,
+        salaryMin: 10000,
+        salaryMax: 10000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.1",
         companyHandle: "c1",
+        status: "open",
+        postedAt: expect.any(Date),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
     ]);
   });
 
   test("works: filters by minSalary", async function () {
-    const res = await Job.findAll({ minSalary: 20000 });
+    const { jobs: res } = await Job.findAll({ minSalary: 20000 });
     expect(res).toEqual([
       {
         id: expect.any(Number),
         title: "Job2",
-        salary: 20000,
+        salaryMin: 20000,
+        salaryMax: 20000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.2",
         companyHandle: "c2",
+        status: "open",
+        postedAt: expect.any(Date),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
       {
         id: expect.any(Number),
         title: "Job3",
-        salary: 30000,
+        salaryMin: 30000,
+        salaryMax: 30000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: null,
         companyHandle: "c3",
+        status: "open",
+        postedAt: expect.any(Date),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
     ]);
   });
 
   test("works: filters by hasEquity", async function () {
-    const res = await Job.findAll({ hasEquity: true });
+    const { jobs: res } = await Job.findAll({ hasEquity: true });
     expect(res).toEqual([
       {
         id: expect.any(Number),
         title: "Job1",
-        salary: 10000,
+        salaryMin: 10000,
+        salaryMax: 10000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.1",
         companyHandle: "c1",
+        status: "open",
+        postedAt: expect.any(Date),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
       {
         id: expect.any(Number),
         title: "Job2",
-        salary: 20000,
+        salaryMin: 20000,
+        salaryMax: 20000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.2",
         companyHandle: "c2",
+        status: "open",
+        postedAt: expect.any(Date),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
     ]); 
   });
 
+  test("works: filters by overlapping salary range", async function () {
+    await db.query(
+        `UPDATE jobs SET salary_min = 15000, salary_max = 25000 WHERE title = 'Job2'`);
+    await db.query(`UPDATE jobs SET salary_max = NULL WHERE title = 'Job3'`);
+
+    const { jobs: inRange } = await Job.findAll({ minSalary: 12000, maxSalary: 16000 });
+    expect(inRange.map(j => j.title)).toEqual(["Job2"]);
+
+    // Job3 pays 30000 and up.
+    const { jobs: high } = await Job.findAll({ minSalary: 100000 });
+    expect(high.map(j => j.title)).toEqual(["Job3"]);
+
+    const { jobs: low } = await Job.findAll({ maxSalary: 15000 });
+    expect(low.map(j => j.title)).toEqual(["Job1", "Job2"]);
+  });
+
+  test("works: leaves out jobs without a salary from salary filters", async function () {
+    await db.query(`UPDATE jobs SET salary_min = NULL, salary_max = NULL WHERE title = 'Job3'`);
+    const { jobs: res } = await Job.findAll({ minSalary: 0 });
+    expect(res.map(j => j.title)).toEqual(["Job1", "Job2"]);
+  });
+
+  test("works: filters by currency and pay period", async function () {
+    await db.query(`UPDATE jobs SET currency = 'EUR' WHERE title = 'Job1'`);
+    await db.query(
+        `UPDATE jobs SET pay_period = 'hourly', salary_min = 20, salary_max = 30
+         WHERE title = 'Job2'`);
+
+    const { jobs: eur } = await Job.findAll({ currency: "EUR" });
+    expect(eur.map(j => j.title)).toEqual(["Job1"]);
+
+    const { jobs: hourly } = await Job.findAll({ payPeriod: "hourly" });
+    expect(hourly.map(j => j.title)).toEqual(["Job2"]);
+  });
+
+  test("works: normalizes hourly pay to yearly", async function () {
+    // 20-30 an hour is 41600-62400 a year.
+    await db.query(
+        `UPDATE jobs SET pay_period = 'hourly', salary_min = 20, salary_max = 30
+         WHERE title = 'Job2'`);
+
+    await expect(Job.findAll({ minSalary: 50000 })).rejects.toThrow(NotFoundError);
+
+    const { jobs: high } = await Job.findAll({ minSalary: 50000, normalize: "yearly" });
+    expect(high.map(j => j.title)).toEqual(["Job2"]);
+
+    const { jobs: low } = await Job.findAll({ maxSalary: 40000, normalize: "yearly" });
+    expect(low.map(j => j.title)).toEqual(["Job1", "Job3"]);
+  });
+
+  test("bad request on unknown pay period or normalization", async function () {
+    await expect(Job.findAll({ payPeriod: "weekly" })).rejects.toThrow(BadRequestError);
+    await expect(Job.findAll({ normalize: "monthly" })).rejects.toThrow(BadRequestError);
+  });
+
+  describe("by location", function () {
+    beforeEach(async function () {
+      await db.query(`
+          INSERT INTO job_locations (job_id, city, country, latitude, longitude)
+          SELECT id, 'New York', 'US', 40.7128, -74.0060 FROM jobs WHERE title = 'Job1'
+          UNION ALL
+          SELECT id, 'Boston', 'US', 42.3601, -71.0589 FROM jobs WHERE title = 'Job2'
+          UNION ALL
+          SELECT id, 'London', 'GB', 51.5074, -0.1278 FROM jobs WHERE title = 'Job2'`);
+      await db.query(`UPDATE jobs SET work_mode = 'remote' WHERE title = 'Job3'`);
+    });
+
+    test("works: remote", async function () {
+      const { jobs: remote } = await Job.findAll({ remote: true });
+      expect(remote.map(j => j.title)).toEqual(["Job3"]);
+
+      const { jobs: notRemote } = await Job.findAll({ remote: false });
+      expect(notRemote.map(j => j.title)).toEqual(["Job1", "Job2"]);
+    });
+
+    test("works: country", async function () {
+      const { jobs: res } = await Job.findAll({ country: "GB" });
+      expect(res.map(j => j.title)).toEqual(["Job2"]);
+      expect(res[0].locations.map(l => l.city)).toEqual(["Boston", "London"]);
+    });
+
+    test("works: near", async function () {
+      // Newark is about 15km from New York and 320km from Boston.
+      const { jobs: close } = await Job.findAll({ near: "40.7357,-74.1724" });
+      expect(close.map(j => j.title)).toEqual(["Job1"]);
+
+      const { jobs: far } = await Job.findAll({ near: "40.7357,-74.1724", radiusKm: 400 });
+      expect(far.map(j => j.title)).toEqual(["Job1", "Job2"]);
+    });
+
+    test("bad request on an invalid near", async function () {
+      await expect(Job.findAll({ near: "91,0" })).rejects.toThrow(BadRequestError);
+      await expect(Job.findAll({ near: "north" })).rejects.toThrow(BadRequestError);
+      await expect(Job.findAll({ radiusKm: 10 })).rejects.toThrow("radiusKm needs near");
+    });
+  });
+
+  describe("by skills", function () {
+    beforeEach(async function () {
+      await db.query(`
+          INSERT INTO job_skills (job_id, skill_handle)
+          SELECT id, 'js' FROM jobs WHERE title IN ('Job1', 'Job2')
+          UNION ALL
+          SELECT id, 'sql' FROM jobs WHERE title IN ('Job2', 'Job3')`);
+    });
+
+    test("works: all by default", async function () {
+      const { jobs: res } = await Job.findAll({ skills: "js, sql" });
+      expect(res.map(j => j.title)).toEqual(["Job2"]);
+      expect(res[0].skills.map(s => s.handle)).toEqual(["js", "sql"]);
+    });
+
+    test("works: any", async function () {
+      const { jobs: res } = await Job.findAll({ skills: "js,sql", skillMatch: "any" });
+      expect(res.map(j => j.title)).toEqual(["Job1", "Job2", "Job3"]);
+
+      const { jobs: js } = await Job.findAll({ skills: "js", skillMatch: "any" });
+      expect(js.map(j => j.title)).toEqual(["Job1", "Job2"]);
+    });
+
+    test("bad request on unknown skillMatch", async function () {
+      await expect(Job.findAll({ skills: "js", skillMatch: "some" }))
+          .rejects.toThrow(BadRequestError);
+    });
+  });
+
+  test("works: sort by salary descending", async function () {
+    const { jobs: res } = await Job.findAll({ sort: "-salaryMax" });
+    expect(res.map(j => j.title)).toEqual(["Job3", "Job2", "Job1"]);
+  });
+
+  test("works: cursors page past null sort values", async function () {
+    const first = await Job.findAll({ sort: "-equity", limit: 2 });
+    expect(first.jobs.map(j => j.title)).toEqual(["Job2", "Job1"]);
+    expect(first.total).toEqual(3);
+
+    const second = await Job.findAll({ sort: "-equity", limit: 2, ...first.next });
+    expect(second.jobs.map(j => j.title)).toEqual(["Job3"]);
+    expect(second.next).toBeNull();
+
+    const back = await Job.findAll({ sort: "-equity", limit: 2, ...second.prev });
+    expect(back.jobs.map(j => j.title)).toEqual(["Job2", "Job1"]);
+  });
+
+  test("bad request on unknown sort key", async function () {
+    await expect(Job.findAll({ sort: "-nope" })).rejects.toThrow(BadRequestError);
+  });
+
+  test("works: full-text title match includes company name", async function () {
+    const { jobs: res } = await Job.findAll({ title: "c2", match: "fulltext" });
+    expect(res.map(j => j.title)).toEqual(["Job2"]);
+  });
+
+  test("bad request on unknown match", async function () {
+    await expect(Job.findAll({ title: "1", match: "exact" })).rejects.toThrow(BadRequestError);
+  });
+
+  test("works: hides jobs that aren't open by default", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE title = 'Job1'`);
+    await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE title = 'Job2'`);
+    const res = await Job.findAll({});
+    expect(res.jobs.map(j => j.title)).toEqual(["Job3"]);
+    expect(res.total).toEqual(1);
+  });
+
+  test("works: filters by status", async function () {
+    await db.query(`UPDATE jobs SET status = 'filled' WHERE title = 'Job1'`);
+    const { jobs: filled } = await Job.findAll({ status: "filled" });
+    expect(filled.map(j => j.title)).toEqual(["Job1"]);
+
+    const { jobs: all } = await Job.findAll({ status: "all" });
+    expect(all.map(j => j.title)).toEqual(["Job1", "Job2", "Job3"]);
+  });
+
+  test("bad request on unknown status", async function () {
+    await expect(Job.findAll({ status: "stale" })).rejects.toThrow(BadRequestError);
+  });
+
+  test("works: unlistedOf limits which companies' other jobs are found", async function () {
+    await db.query(`UPDATE jobs SET status = 'filled' WHERE title IN ('Job1', 'Job2')`);
+    const { jobs } = await Job.findAll({ status: "all", unlistedOf: ["c1"] });
+    expect(jobs.map(j => j.title)).toEqual(["Job1", "Job3"]);
+
+    await expect(Job.findAll({ status: "filled", unlistedOf: [] }))
+        .rejects.toThrow(NotFoundError);
+  });
+
+/************************************** isOpen */
+
+describe("isOpen", function () {
+  test("works", function () {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    expect(Job.isOpen({ status: "open", expiresAt: null })).toEqual(true);
+    expect(Job.isOpen({ status: "open", expiresAt: tomorrow })).toEqual(true);
+    expect(Job.isOpen({ status: "open", expiresAt: yesterday })).toEqual(false);
+    expect(Job.isOpen({ status: "draft", expiresAt: null })).toEqual(false);
+  });
+});
+
+/************************************** getApplications */
+
+describe("getApplications", function () {
+  test("works", async function () {
+    await db.query(
+          `INSERT INTO applications (username, job_id, state)
+           VALUES ('u1', 1, 'applied'), ('u2', 1, 'interviewing')`);
+    const applications = await Job.getApplications(1);
+    expect(applications).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        state: "applied",
+        updatedAt: expect.any(Date),
+      },
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        state: "interviewing",
+        updatedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no applications", async function () {
+    expect(await Job.getApplications(2)).toEqual([]);
+  });
+
+  test("not found if no such job", async function () {
+    await expect(Job.getApplications(9999)).rejects.toThrow(NotFoundError);
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
   const updateData = {
     title: "New",
-    salary: 200000,
+    salaryMin: 200000,
+    salaryMax: 250000,
     equity: "0.2",
   };
 
   test("works", async function () {
     const job = await Job.create({
       title: "Job1",
-      salary: 10000,
+      salaryMin: 10000,
       equity: 0.1,
       companyHandle: "c1",
     });
@@ -165,12 +565,21 @@ describe("update", function () {
     
     expect(updatedJob).toEqual({
       id: job.id,
-      company_handle: "c1",
+      companyHandle: "c1",
       ...updateData,
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      workMode: "onsite",
+      locations: [],
+      skills: [],
+      version: 2,
     });
   
     const result = await db.query(
-      `SELECT id, company_handle, title, salary, equity
+      `SELECT id, company_handle, title, salary_min, salary_max, equity
        FROM jobs
        WHERE id = $1`, [job.id]);
     
@@ -178,35 +587,114 @@ describe("update", function () {
       id: job.id,
       company_handle: "c1",
       title: "New",
-      salary: 200000,
+      salary_min: 200000,
+      salary_max: 250000,
       equity: "0.2",
     }]);
   });
 
+  test("bad request if the salary range would end below its start", async function () {
+    const job = await Job.create({
+      title: "Job1", salaryMin: 10000, equity: 0.1, companyHandle: "c1",
+    });
+    await expect(Job.update(job.id, { salaryMax: 5000 }))
+        .rejects.toThrow(BadRequestError);
+  });
+
   test("updates job with null fields", async function () {
     const updateData = {
-      salary: null,
+      salaryMin: null,
+      salaryMax: null,
       equity: null,
     };
     const job = await Job.create({
       title: "Job1",
-      salary: 10000,
+      salaryMin: 10000,
       equity: 0.1,
       companyHandle: "c1",
     });
     const updatedJob = await Job.update(job.id, updateData);
     expect(updatedJob).toEqual({
       id: job.id,
-      company_handle: "c1",
+      companyHandle: "c1",
       title: "Job1",
-      salary: null,
+      salaryMin: null,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
       equity: null,
+      status: "open",
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      workMode: "onsite",
+      locations: [],
+      skills: [],
+      version: 2,
     });
   });
+
+  test("precondition failed if not at a version given", async function () {
+    await Job.update(1, { title: "New" });
+    await expect(Job.update(1, { title: "Newer" }, { versions: [1] }))
+        .rejects.toThrow(PreconditionFailedError);
+    expect(await Job.update(1, { title: "Newer" }, { versions: [2] }))
+        .toEqual(expect.objectContaining({ title: "Newer", version: 3 }));
+  });
   
+  test("works: replaces locations", async function () {
+    const job = await Job.create({
+      title: "Job1", salaryMin: 10000, equity: 0.1, companyHandle: "c1",
+      locations: [{ city: "Boston", country: "US" }],
+    });
+
+    const moved = await Job.update(job.id, { locations: [{ city: "Paris", country: "FR" }] });
+    expect(moved.locations.map(l => l.city)).toEqual(["Paris"]);
+
+    const renamed = await Job.update(job.id, { title: "Renamed", workMode: "remote" });
+    expect(renamed.workMode).toEqual("remote");
+    expect(renamed.locations.map(l => l.city)).toEqual(["Paris"]);
+
+    const nowhere = await Job.update(job.id, { locations: [] });
+    expect(nowhere.locations).toEqual([]);
+    expect((await Job.get(job.id)).locations).toEqual([]);
+  });
+
+  test("works: replaces skills", async function () {
+    const job = await Job.create({
+      title: "Job1", salaryMin: 10000, equity: 0.1, companyHandle: "c1",
+      skills: [{ handle: "js" }, { handle: "sql" }],
+    });
+
+    const updated = await Job.update(job.id, {
+      skills: [{ handle: "sql", requirement: "nice_to_have" }, { handle: "react" }],
+    });
+    expect(updated.skills).toEqual([
+      { handle: "react", name: "React", requirement: "required" },
+      { handle: "sql", name: "SQL", requirement: "nice_to_have" },
+    ]);
+
+    const renamed = await Job.update(job.id, { title: "Renamed" });
+    expect(renamed.skills).toEqual(updated.skills);
+
+    await expect(Job.update(job.id, { skills: [{ handle: "cobol" }] }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("works: opening a draft posts it", async function () {
+    const job = await Job.create({
+      title: "Draft", salaryMin: 1, equity: 0, companyHandle: "c1", status: "draft",
+    });
+    const opened = await Job.update(job.id, { status: "open" });
+    expect(opened.postedAt).toEqual(expect.any(Date));
+
+    const closed = await Job.update(job.id, { status: "closed", expiresAt: null });
+    expect(closed.status).toEqual("closed");
+    expect(closed.postedAt).toEqual(opened.postedAt);
+  });
+
   test("not found if no such job", async function () {
     try {
-      await Job.update(9999, { title: "New", salary: 200000, equity: "0.2" });
+      await Job.update(9999, { title: "New", salaryMin: 200000, equity: "0.2" });
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
       expect(err.message).toEqual("No job: 9999");
@@ -222,14 +710,143 @@ describe("update", function () {
   });
 });
 
+/************************************** import */
+
+describe("import", function () {
+  /** Rows as importRows gives them, all good so far. */
+  function checked(data) {
+    return data.map((d, idx) => ({ row: idx + 1, data: d, errors: [] }));
+  }
+
+  const newRow = { title: "Imported", salaryMin: 50000, equity: 0, companyHandle: "c1" };
+
+  test("works: with locations and skills", async function () {
+    const report = await Job.import(checked([
+      newRow,
+      {
+        ...newRow,
+        title: "Imported 2",
+        status: "draft",
+        locations: [{ city: "Paris", country: "FR" }],
+        skills: [{ handle: "js", requirement: "nice_to_have" }],
+      },
+    ]));
+    expect(report).toEqual({
+      dryRun: false,
+      committed: true,
+      created: 2,
+      updated: 0,
+      rejected: 0,
+      rows: [
+        { row: 1, result: "created", id: expect.any(Number) },
+        { row: 2, result: "created", id: expect.any(Number) },
+      ],
+    });
+
+    const job = await Job.get(report.rows[1].id);
+    expect(job).toEqual(expect.objectContaining({
+      title: "Imported 2",
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "draft",
+      postedAt: null,
+      workMode: "onsite",
+      locations: [{ city: "Paris", region: null, country: "FR", latitude: null, longitude: null }],
+      skills: [{ handle: "js", name: "JavaScript", requirement: "nice_to_have" }],
+    }));
+    expect((await Job.get(report.rows[0].id)).postedAt).toEqual(expect.any(Date));
+  });
+
+  test("rejects rows the schema can't catch, writing nothing", async function () {
+    const report = await Job.import(checked([
+      newRow,
+      { ...newRow, companyHandle: "nope", salaryMax: 10 },
+      { ...newRow, skills: [{ handle: "js" }, { handle: "cobol" }, { handle: "js" }] },
+    ]));
+    expect(report.committed).toEqual(false);
+    expect(report.rows.map(r => r.result)).toEqual(["created", "rejected", "rejected"]);
+    expect(report.rows[1].errors.map(e => e.path)).toEqual(
+        ["row.companyHandle", "row.salaryMax"]);
+    expect(report.rows[2].errors.map(e => [e.path, e.code])).toEqual([
+      ["row.skills[1].handle", "not_found"],
+      ["row.skills[2].handle", "duplicate"],
+    ]);
+
+    const { jobs } = await Job.findAll({ status: "all" });
+    expect(jobs.length).toEqual(3);
+  });
+
+  test("writes nothing if a later write fails", async function () {
+    // The second job's audit log entry fails, after every job is written.
+    const record = AuditLog.record;
+    const spy = jest.spyOn(AuditLog, "record")
+        .mockImplementationOnce(entry => record.call(AuditLog, entry))
+        .mockRejectedValueOnce(new Error("audit log is down"));
+    try {
+      await expect(Job.import(checked([
+        newRow,
+        { ...newRow, title: "Imported 2", skills: [{ handle: "js" }] },
+      ]))).rejects.toThrow("audit log is down");
+    } finally {
+      spy.mockRestore();
+    }
+
+    await expect(Job.findAll({ title: "Imported", status: "all" }))
+        .rejects.toThrow(NotFoundError);
+    const skills = await db.query(`SELECT job_id FROM job_skills`);
+    expect(skills.rows).toEqual([]);
+    const audit = await db.query(`SELECT id FROM audit_log WHERE entity = 'job'`);
+    expect(audit.rows).toEqual([]);
+  });
+
+  test("works: dry run writes nothing", async function () {
+    const report = await Job.import(checked([newRow]), { dryRun: true });
+    expect(report.rows).toEqual([{ row: 1, result: "created", id: null }]);
+    await expect(Job.findAll({ title: "Imported" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** closeExpired */
+
+describe("closeExpired", function () {
+  test("works", async function () {
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 hour' WHERE title = 'Job1'`);
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() + INTERVAL '1 hour' WHERE title = 'Job2'`);
+    const { rows: [job1] } = await db.query(`SELECT id FROM jobs WHERE title = 'Job1'`);
+
+    expect(await Job.closeExpired()).toEqual([job1.id]);
+
+    const result = await db.query(`SELECT title, status FROM jobs ORDER BY title`);
+    expect(result.rows).toEqual([
+      { title: "Job1", status: "closed" },
+      { title: "Job2", status: "open" },
+      { title: "Job3", status: "open" },
+    ]);
+    expect(await Job.closeExpired()).toEqual([]);
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
     await Job.remove(1);
+    await expect(Job.get(1)).rejects.toThrow(NotFoundError);
     const res = await db.query(
-        "DELETE FROM jobs WHERE id=1 ");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM jobs WHERE id=1");
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test("works: bumps the versions of its company and applicants", async function () {
+    await db.query(`INSERT INTO applications (username, job_id) VALUES ('u1', 1)`);
+    await Job.remove(1);
+    const companyRes = await db.query(
+        `SELECT handle, version FROM companies WHERE handle IN ('c1', 'c2') ORDER BY handle`);
+    expect(companyRes.rows).toEqual([{ handle: "c1", version: 2 }, { handle: "c2", version: 1 }]);
+    const userRes = await db.query(`SELECT username, version FROM users ORDER BY username LIMIT 2`);
+    expect(userRes.rows).toEqual([{ username: "u1", version: 2 }, { username: "u2", version: 1 }]);
   });
 
   test("not found if no such job", async function () {
@@ -239,4 +856,54 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
-});
\ No newline at end of file
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await Job.remove(1);
+    const job = await Job.restore(1);
+    expect(job).toEqual(expect.objectContaining({ id: 1, title: "Job1", companyHandle: "c1" }));
+    expect((await Job.get(1)).title).toEqual("Job1");
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Job.restore(1)).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request if its company is deleted", async function () {
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = 1`);
+    await expect(Job.restore(1)).rejects.toThrow("Company c1 is deleted; restore it first");
+  });
+});
+
+/************************************** findDeleted */
+
+describe("findDeleted", function () {
+  test("works", async function () {
+    await Job.remove(2);
+    expect(await Job.findDeleted()).toEqual([{
+      id: 2,
+      title: "Job2",
+      companyHandle: "c2",
+      status: "open",
+      deletedAt: expect.any(Date),
+    }]);
+  });
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+  test("works: only those deleted long enough ago", async function () {
+    await Job.remove(1);
+    await Job.remove(2);
+    await db.query(`UPDATE jobs SET deleted_at = NOW() - INTERVAL '40 days' WHERE id = 1`);
+
+    expect(await Job.purgeDeleted(30)).toEqual([1]);
+    const res = await db.query(`SELECT id FROM jobs WHERE id IN (1, 2)`);
+    expect(res.rows).toEqual([{ id: 2 }]);
+  });
+});
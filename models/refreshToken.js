@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+const { randomToken, hashToken } = require("../helpers/tokens");
+
+/** Related functions for refresh tokens (one per login session). */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * Returns { id, token, expiresAt } -- token is only ever available here.
+   **/
+
+  static async create(username) {
+    const token = randomToken();
+
+    const result = await db.query(
+          `INSERT INTO refresh_tokens
+           (username, token_hash, expires_at)
+           VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 day')
+           RETURNING id, expires_at AS "expiresAt"`,
+        [username, hashToken(token), REFRESH_TOKEN_EXPIRES_DAYS],
+    );
+
+    return { ...result.rows[0], token };
+  }
+
+  /** Given a refresh token, return its session: { id, username }.
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked.
+   **/
+
+  static async verify(token) {
+    const result = await db.query(
+          `SELECT id, username
+           FROM refresh_tokens
+           WHERE token_hash = $1
+             AND revoked_at IS NULL
+             AND expires_at > CURRENT_TIMESTAMP`,
+        [hashToken(token)],
+    );
+    const session = result.rows[0];
+
+    if (!session) throw new UnauthorizedError("Invalid refresh token");
+
+    return session;
+  }
+
+  /** Is the session with this id still live? Used to check access tokens. */
+
+  static async isActive(id) {
+    const result = await db.query(
+          `SELECT id
+           FROM refresh_tokens
+           WHERE id = $1
+             AND revoked_at IS NULL
+             AND expires_at > CURRENT_TIMESTAMP`,
+        [id],
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /** Revoke the given refresh token (log out of that session).
+   *
+   * Throws UnauthorizedError if the token is unknown or already revoked.
+   **/
+
+  static async revoke(token) {
+    const result = await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE token_hash = $1
+             AND revoked_at IS NULL
+           RETURNING id`,
+        [hashToken(token)],
+    );
+
+    if (!result.rows[0]) throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  /** Revoke every live session for username; returns undefined. */
+
+  static async revokeAll(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE username = $1
+             AND revoked_at IS NULL`,
+        [username],
+    );
+  }
+}
+
+module.exports = RefreshToken;
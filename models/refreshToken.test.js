@@ -0,0 +1,87 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const refreshToken = await RefreshToken.create("u1");
+    expect(refreshToken).toEqual({
+      id: expect.any(Number),
+      token: expect.any(String),
+      expiresAt: expect.any(Date),
+    });
+
+    const found = await db.query(
+        "SELECT token_hash FROM refresh_tokens WHERE id = $1", [refreshToken.id]);
+    expect(found.rows[0].token_hash).not.toEqual(refreshToken.token);
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works", async function () {
+    const { id, token } = await RefreshToken.create("u1");
+    expect(await RefreshToken.verify(token)).toEqual({ id, username: "u1" });
+  });
+
+  test("unauth for unknown token", async function () {
+    await expect(RefreshToken.verify("nope")).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for expired token", async function () {
+    const { id, token } = await RefreshToken.create("u1");
+    await db.query(
+        `UPDATE refresh_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+         WHERE id = $1`, [id]);
+    await expect(RefreshToken.verify(token)).rejects.toThrow(UnauthorizedError);
+    expect(await RefreshToken.isActive(id)).toEqual(false);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id, token } = await RefreshToken.create("u1");
+    expect(await RefreshToken.isActive(id)).toEqual(true);
+    await RefreshToken.revoke(token);
+    expect(await RefreshToken.isActive(id)).toEqual(false);
+    await expect(RefreshToken.verify(token)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if already revoked", async function () {
+    const { token } = await RefreshToken.create("u1");
+    await RefreshToken.revoke(token);
+    await expect(RefreshToken.revoke(token)).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const first = await RefreshToken.create("u1");
+    const second = await RefreshToken.create("u1");
+    const other = await RefreshToken.create("u2");
+    await RefreshToken.revokeAll("u1");
+    expect(await RefreshToken.isActive(first.id)).toEqual(false);
+    expect(await RefreshToken.isActive(second.id)).toEqual(false);
+    expect(await RefreshToken.isActive(other.id)).toEqual(true);
+  });
+});
@@ -0,0 +1,212 @@
+"use strict";
+
+const db = require("../db");
+const Job = require("./job");
+const AuditLog = require("./auditLog");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sendMail } = require("../helpers/mailer");
+const { logger } = require("../helpers/logger");
+const { APP_URL } = require("../config");
+
+/** GET /jobs parameters that pick a page or format rather than filter; not
+ * saved. */
+const UNSAVED_PARAMS = ["sort", "limit", "offset", "cursor", "format"];
+
+const SEARCH_COLUMNS = `id, name, filters, created_at AS "createdAt",
+                        last_run_at AS "lastRunAt"`;
+
+/** Every open job matching search's filters posted since it last ran.
+ * Jobs that aren't open are left out whatever the status filter, as
+ * GET /jobs does for anonymous callers. */
+
+async function newJobsFor(search) {
+  const jobs = [];
+  let page = { offset: 0 };
+  while (page) {
+    let found;
+    try {
+      found = await Job.findAll({
+        ...search.filters, postedSince: search.lastRunAt, unlistedOf: [], limit: 100, ...page,
+      });
+    } catch (err) {
+      if (err instanceof NotFoundError) break;
+      throw err;
+    }
+    jobs.push(...found.jobs);
+    page = found.next;
+  }
+  return jobs;
+}
+
+/** The email telling a search's owner about jobs: { to, subject, text } */
+
+function newMatchesEmail(search, jobs) {
+  const lines = jobs.map(
+      j => `- ${j.title} (${j.companyHandle}): ${APP_URL}/jobs/${j.id}\n`);
+  return {
+    to: search.email,
+    subject: `New jobs for your saved search "${search.name}"`,
+    text: `Hi ${search.firstName},\n\n`
+        + `${jobs.length === 1 ? "A new job matches" : `${jobs.length} new jobs match`} `
+        + `your saved search "${search.name}":\n\n`
+        + lines.join(""),
+  };
+}
+
+/** Related functions for saved job searches: named sets of the filters
+ * Job.findAll takes, whose owners are told about new jobs matching them. */
+
+class SavedSearch {
+  /** Save a search for a user.
+   *
+   * filters are GET /jobs filters, as Job.findAll takes them; sort, limit,
+   * offset, cursor and format are dropped.
+   *
+   * Returns { id, name, filters, createdAt, lastRunAt }
+   *
+   * Throws NotFoundError if no such user, BadRequestError if they already
+   * have a search with that name.
+   **/
+
+  static async create(username, { name, filters = {} }) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const duplicateCheck = await db.query(
+          `SELECT id
+           FROM saved_searches
+           WHERE username = $1 AND name = $2`,
+        [username, name]);
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Duplicate saved search: ${name}`);
+    }
+
+    const saved = { ...filters };
+    for (const param of UNSAVED_PARAMS) delete saved[param];
+
+    const result = await db.query(
+          `INSERT INTO saved_searches (username, name, filters)
+           VALUES ($1, $2, $3)
+           RETURNING ${SEARCH_COLUMNS}`,
+        [username, name, saved]);
+    const search = result.rows[0];
+
+    await AuditLog.record({
+      action: "create", entity: "savedSearch", entityId: search.id,
+      after: { username, ...search },
+    });
+
+    return search;
+  }
+
+  /** Given a username, return their saved searches, by name.
+   *
+   * Returns [{ id, name, filters, createdAt, lastRunAt }, ...]
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findAll(username) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `SELECT ${SEARCH_COLUMNS}
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY name`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Delete one of a user's saved searches; returns undefined.
+   *
+   * Throws NotFoundError if the user has no search with that id.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+          `DELETE
+           FROM saved_searches
+           WHERE id = $1 AND username = $2
+           RETURNING ${SEARCH_COLUMNS}`,
+        [id, username]);
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    await AuditLog.record({
+      action: "delete", entity: "savedSearch", entityId: id, before: { username, ...search },
+    });
+  }
+
+  /** Run every saved search for jobs posted since its last run.
+   *
+   * Each job found is recorded as a notification for the search's owner,
+   * and the owner is emailed a list of them (one email per search). Jobs
+   * already notified for a search aren't repeated. A search whose filters no
+   * longer work is logged and skipped.
+   *
+   * Run daily by the worker (see tasks.js), or by notifySavedSearches.js.
+   *
+   * Returns [{ searchId, username, jobIds }, ...] for the searches that
+   * found new jobs.
+   **/
+
+  static async notifyNewMatches() {
+    const runAtRes = await db.query(`SELECT NOW() AS "runAt"`);
+    const { runAt } = runAtRes.rows[0];
+
+    const searchesRes = await db.query(
+          `SELECT s.id, s.username, s.name, s.filters, s.last_run_at AS "lastRunAt",
+                  u.email, u.first_name AS "firstName"
+           FROM saved_searches AS s
+           JOIN users AS u ON u.username = s.username
+           WHERE u.deleted_at IS NULL
+           ORDER BY s.id`);
+
+    const notified = [];
+    for (const search of searchesRes.rows) {
+      let jobs;
+      try {
+        jobs = await newJobsFor(search);
+      } catch (err) {
+        if (!(err instanceof BadRequestError)) throw err;
+        logger.warn("skipping saved search with invalid filters",
+            { searchId: search.id, err });
+        continue;
+      }
+
+      if (jobs.length) {
+        const insertRes = await db.query(
+              `INSERT INTO notifications (username, saved_search_id, job_id)
+               SELECT $1, $2, job_id FROM UNNEST($3::int[]) AS job_id
+               ON CONFLICT (saved_search_id, job_id) DO NOTHING
+               RETURNING job_id AS "jobId"`,
+            [search.username, search.id, jobs.map(j => j.id)]);
+        const newIds = new Set(insertRes.rows.map(r => r.jobId));
+        const newJobs = jobs.filter(j => newIds.has(j.id));
+
+        if (newJobs.length) {
+          await sendMail(newMatchesEmail(search, newJobs));
+          notified.push({
+            searchId: search.id,
+            username: search.username,
+            jobIds: newJobs.map(j => j.id),
+          });
+        }
+      }
+
+      await db.query(
+            `UPDATE saved_searches SET last_run_at = $1 WHERE id = $2`,
+          [runAt, search.id]);
+    }
+
+    return notified;
+  }
+}
+
+module.exports = SavedSearch;
@@ -0,0 +1,150 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works, dropping paging params", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "Well paid",
+      filters: { minSalary: 100000, hasEquity: true, sort: "-salaryMax", limit: 5, format: "csv" },
+    });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Well paid",
+      filters: { minSalary: 100000, hasEquity: true },
+      createdAt: expect.any(Date),
+      lastRunAt: expect.any(Date),
+    });
+  });
+
+  test("bad request with dupe name", async function () {
+    await SavedSearch.create("u1", { name: "Mine" });
+    await expect(SavedSearch.create("u1", { name: "Mine" }))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(SavedSearch.create("nope", { name: "Mine" }))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: by name", async function () {
+    await SavedSearch.create("u1", { name: "b", filters: { title: "eng" } });
+    await SavedSearch.create("u1", { name: "a" });
+    await SavedSearch.create("u2", { name: "c" });
+
+    const searches = await SavedSearch.findAll("u1");
+    expect(searches.map(s => [s.name, s.filters])).toEqual([
+      ["a", {}],
+      ["b", { title: "eng" }],
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(SavedSearch.findAll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", { name: "Mine" });
+    await SavedSearch.remove("u1", search.id);
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", { name: "Mine" });
+    await expect(SavedSearch.remove("u2", search.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** notifyNewMatches */
+
+describe("notifyNewMatches", function () {
+  let search;
+
+  beforeEach(async function () {
+    search = await SavedSearch.create("u1", {
+      name: "Engineering",
+      filters: { title: "engineer", minSalary: 50000 },
+    });
+  });
+
+  async function postJob(title, salaryMin) {
+    return Job.create({ title, salaryMin, salaryMax: salaryMin, equity: 0, companyHandle: "c1" });
+  }
+
+  test("works: notifies and emails about new matching jobs", async function () {
+    const match = await postJob("Engineer", 60000);
+    await postJob("Engineer", 40000);
+    await postJob("Designer", 90000);
+
+    const notified = await SavedSearch.notifyNewMatches();
+    expect(notified).toEqual([
+      { searchId: search.id, username: "u1", jobIds: [match.id] },
+    ]);
+
+    const notifications = await db.query(
+        `SELECT username, saved_search_id, job_id, read_at FROM notifications`);
+    expect(notifications.rows).toEqual([
+      { username: "u1", saved_search_id: search.id, job_id: match.id, read_at: null },
+    ]);
+
+    const mail = await db.query(
+        `SELECT payload->>'to' AS recipient, payload->>'subject' AS subject,
+                payload->>'text' AS body
+         FROM tasks
+         WHERE name = 'mail.send'`);
+    expect(mail.rows).toEqual([{
+      recipient: "u1@email.com",
+      subject: `New jobs for your saved search "Engineering"`,
+      body: expect.stringContaining(`Engineer (c1): http://localhost:3000/jobs/${match.id}`),
+    }]);
+  });
+
+  test("works: ignores jobs from before the search, and repeats", async function () {
+    // Job1-3 were posted before the search was saved.
+    await db.query(`UPDATE jobs SET title = 'Engineer', salary_max = 90000`);
+    expect(await SavedSearch.notifyNewMatches()).toEqual([]);
+
+    await postJob("Engineer", 60000);
+    expect((await SavedSearch.notifyNewMatches()).length).toEqual(1);
+    expect(await SavedSearch.notifyNewMatches()).toEqual([]);
+
+    const mail = await db.query(
+        `SELECT COUNT(*)::int AS count FROM tasks WHERE name = 'mail.send'`);
+    expect(mail.rows[0].count).toEqual(1);
+  });
+
+  test("works: skips searches whose filters no longer work", async function () {
+    await db.query(`
+        INSERT INTO saved_searches (username, name, filters)
+        VALUES ('u2', 'Broken', '{"status": "bogus"}')`);
+    const match = await postJob("Engineer", 60000);
+
+    const notified = await SavedSearch.notifyNewMatches();
+    expect(notified.map(n => n.jobIds)).toEqual([[match.id]]);
+  });
+});
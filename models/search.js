@@ -0,0 +1,106 @@
+"use strict";
+
+const db = require("../db");
+const Job = require("./job");
+const { BadRequestError } = require("../expressError");
+const { DEFAULT_LIMIT, MAX_LIMIT, parseCount } = require("../helpers/pagination");
+
+/** Options for ts_headline: wrap matched words in <mark>, keep snippets short. */
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10";
+
+const TYPES = ["company", "job"];
+
+/** Full-text search across companies and jobs.
+ *
+ * Companies are matched on name and description, jobs on title and the name
+ * of their company; see migrations/0003_full_text_search.up.sql.
+ */
+
+class Search {
+  /** Find companies and jobs matching q, best matches first.
+   *
+   * q is a web-style search string: words, "quoted phrases", "or" and
+   * -excluded words (see Postgres websearch_to_tsquery).
+   *
+   * options (all optional):
+   * - type: "company" or "job" to search only one kind of result
+   * - limit, offset
+   *
+   * Returns { results, total, limit } where results is a mix of
+   *   { type: "company", handle, name, snippet, rank } and
+   *   { type: "job", id, title, companyHandle, snippet, rank }
+   * (only open jobs are searched)
+   * and snippet is the matching text with matched words in <mark> tags.
+   *
+   * Throws BadRequestError if q is blank or an option is invalid.
+   */
+
+  static async search(q, { type, limit, offset } = {}) {
+    if (typeof q !== "string" || !q.trim()) {
+      throw new BadRequestError("Search query q is required");
+    }
+    if (type !== undefined && !TYPES.includes(type)) {
+      throw new BadRequestError(`type must be one of: ${TYPES.join(", ")}`);
+    }
+    limit = limit === undefined
+        ? DEFAULT_LIMIT
+        : parseCount(limit, "limit", { min: 1, max: MAX_LIMIT });
+    offset = offset === undefined ? 0 : parseCount(offset, "offset", { min: 0 });
+
+    const result = await db.query(
+          `WITH query AS (SELECT websearch_to_tsquery('english', $1) AS q),
+           matches AS (
+             SELECT 'company' AS type,
+                    c.handle AS "companyHandle",
+                    NULL::integer AS id,
+                    c.name AS name,
+                    ts_rank(c.search_vector, query.q) AS rank,
+                    ts_headline('english',
+                                c.name || coalesce(': ' || c.description, ''),
+                                query.q, $2) AS snippet
+             FROM companies AS c, query
+             WHERE c.search_vector @@ query.q AND c.deleted_at IS NULL
+             UNION ALL
+             SELECT 'job',
+                    j.company_handle,
+                    j.id,
+                    j.title,
+                    ts_rank(j.search_vector, query.q),
+                    ts_headline('english', j.title || ' at ' || c.name,
+                                query.q, $2)
+             FROM jobs AS j
+               JOIN companies AS c ON c.handle = j.company_handle,
+               query
+             WHERE j.search_vector @@ query.q AND j.deleted_at IS NULL
+               AND ${Job.isOpenSql("j")}
+           )
+           SELECT *, COUNT(*) OVER ()::integer AS total
+           FROM matches
+           WHERE $3::text IS NULL OR type = $3
+           ORDER BY rank DESC, name, id NULLS FIRST
+           LIMIT $4 OFFSET $5`,
+        [q, HEADLINE_OPTIONS, type || null, limit, offset]);
+
+    const results = result.rows.map(row => row.type === "company"
+        ? {
+          type: "company",
+          handle: row.companyHandle,
+          name: row.name,
+          snippet: row.snippet,
+          rank: row.rank,
+        }
+        : {
+          type: "job",
+          id: row.id,
+          title: row.name,
+          companyHandle: row.companyHandle,
+          snippet: row.snippet,
+          rank: row.rank,
+        });
+
+    const total = result.rows.length ? result.rows[0].total : 0;
+    return { results, total, limit };
+  }
+}
+
+module.exports = Search;
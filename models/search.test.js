@@ -0,0 +1,93 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** search */
+
+describe("search", function () {
+  test("works: ranks and highlights companies and jobs", async function () {
+    const res = await Search.search("c1");
+    expect(res).toEqual({
+      results: [
+        {
+          type: "company",
+          handle: "c1",
+          name: "C1",
+          snippet: "<mark>C1</mark>: Desc1",
+          rank: expect.any(Number),
+        },
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "Job1",
+          companyHandle: "c1",
+          snippet: "Job1 at <mark>C1</mark>",
+          rank: expect.any(Number),
+        },
+      ],
+      total: 2,
+      limit: 20,
+    });
+    // a name match outranks a match on the job's company name
+    expect(res.results[0].rank).toBeGreaterThan(res.results[1].rank);
+  });
+
+  test("works: matches company descriptions", async function () {
+    const res = await Search.search("desc2");
+    expect(res.results.map(r => r.handle)).toEqual(["c2"]);
+  });
+
+  test("works: web-style queries", async function () {
+    const res = await Search.search("job2 or job3");
+    expect(res.results.map(r => r.title)).toEqual(["Job2", "Job3"]);
+
+    const excluded = await Search.search("c1 -job1");
+    expect(excluded.results.map(r => r.type)).toEqual(["company"]);
+  });
+
+  test("works: filter by type", async function () {
+    const res = await Search.search("c1", { type: "job" });
+    expect(res.results.map(r => r.type)).toEqual(["job"]);
+    expect(res.total).toEqual(1);
+  });
+
+  test("works: limit and offset", async function () {
+    const res = await Search.search("c1", { limit: "1", offset: "1" });
+    expect(res.results.map(r => r.type)).toEqual(["job"]);
+    expect(res.total).toEqual(2);
+    expect(res.limit).toEqual(1);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.search("nope")).toEqual({ results: [], total: 0, limit: 20 });
+  });
+
+  test("job results follow a company rename", async function () {
+    await db.query("UPDATE companies SET name = 'Acme' WHERE handle = 'c1'");
+    const res = await Search.search("acme", { type: "job" });
+    expect(res.results.map(r => r.title)).toEqual(["Job1"]);
+  });
+
+  test("bad request without a query", async function () {
+    await expect(Search.search("  ")).rejects.toThrow(BadRequestError);
+    await expect(Search.search(undefined)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for an invalid type or limit", async function () {
+    await expect(Search.search("c1", { type: "user" })).rejects.toThrow(BadRequestError);
+    await expect(Search.search("c1", { limit: "0" })).rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,206 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { bumpSkillHolderVersions } = require("../helpers/versions");
+const AuditLog = require("./auditLog");
+
+/** Fields GET /skills can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    handle: "handle",
+    name: "name",
+    category: "category",
+  },
+  defaultSort: "name",
+  key: "handle",
+};
+
+/** Related functions for skills: the shared list jobs and users pick from. */
+
+class Skill {
+  /** Create a skill (from data), update db, return new skill data.
+   *
+   * data should be { handle, name, category }; category is optional.
+   *
+   * Returns { handle, name, category }
+   *
+   * Throws BadRequestError if skill already in database.
+   * */
+
+  static async create({ handle, name, category = null }) {
+    const duplicateCheck = await db.query(
+          `SELECT handle
+           FROM skills
+           WHERE handle = $1`,
+        [handle]);
+
+    if (duplicateCheck.rows[0])
+      throw new BadRequestError(`Duplicate skill: ${handle}`);
+
+    const result = await db.query(
+          `INSERT INTO skills (handle, name, category)
+           VALUES ($1, $2, $3)
+           RETURNING handle, name, category`,
+        [handle, name, category]);
+    const skill = result.rows[0];
+
+    await AuditLog.record({ action: "create", entity: "skill", entityId: handle, after: skill });
+
+    return skill;
+  }
+
+  /** Find a page of skills (optional filter on searchParams).
+   *
+   * searchParams (all optional):
+   * - name (case-insensitive, partial matches)
+   * - category
+   *
+   * Paging/sorting (all optional, see helpers/pagination.js):
+   * - sort (handle, name, category; prefix with "-" for descending)
+   * - limit, offset or cursor
+   *
+   * Returns { skills, total, limit, next, prev }
+   *   where skills is [{ handle, name, category }, ...]
+   *
+   * Throws NotFoundError if no skills match.
+   * */
+
+  static async findAll(searchParams = {}) {
+    const { name, category } = searchParams;
+
+    const whereClause = [];
+    const queryValues = [];
+
+    if (name) {
+      queryValues.push(`%${name}%`);
+      whereClause.push(`name ILIKE $${queryValues.length}`);
+    }
+
+    if (category) {
+      queryValues.push(category);
+      whereClause.push(`category = $${queryValues.length}`);
+    }
+
+    const whereClauseStr = whereClause.length > 0 ? `WHERE ${whereClause.join(" AND ")}` : "";
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM skills ${whereClauseStr}`,
+        queryValues);
+
+    const page = sqlForPage(searchParams, PAGE_OPTIONS, queryValues);
+    if (page.cursorWhere) whereClause.push(page.cursorWhere);
+
+    const pageWhereStr = whereClause.length > 0 ? `WHERE ${whereClause.join(" AND ")}` : "";
+    const result = await db.query(
+        `SELECT handle, name, category, ${page.select}
+         FROM skills
+         ${pageWhereStr}
+         ${page.orderBy}
+         ${page.limitOffset}`,
+        page.values);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`No skill found with the given parameters`);
+    }
+
+    const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+    return { skills: rows, ...pageInfo };
+  }
+
+  /** Given a skill handle, return data about the skill.
+   *
+   * Returns { handle, name, category, jobCount, userCount }
+   *   where jobCount is the number of open jobs asking for it
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(handle) {
+    const result = await db.query(
+          `SELECT s.handle, s.name, s.category,
+                  (SELECT COUNT(*)::int
+                   FROM job_skills AS js
+                   JOIN jobs AS j ON j.id = js.job_id
+                   WHERE js.skill_handle = s.handle
+                     AND j.status = 'open'
+                     AND j.deleted_at IS NULL
+                     AND (j.expires_at IS NULL OR j.expires_at > NOW())) AS "jobCount",
+                  (SELECT COUNT(*)::int
+                   FROM user_skills AS us
+                   JOIN users AS u ON u.username = us.username
+                   WHERE us.skill_handle = s.handle
+                     AND u.deleted_at IS NULL) AS "userCount"
+           FROM skills AS s
+           WHERE s.handle = $1`,
+        [handle]);
+
+    const skill = result.rows[0];
+    if (!skill) throw new NotFoundError(`No skill: ${handle}`);
+
+    return skill;
+  }
+
+  /** Update skill data with `data`.
+   *
+   * This is a "partial update" --- it's fine if data doesn't contain all the
+   * fields; this only changes provided ones.
+   *
+   * Data can include: { name, category }
+   *
+   * Returns { handle, name, category }
+   *
+   * Throws NotFoundError if not found.
+   */
+
+  static async update(handle, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const handleVarIdx = "$" + (values.length + 1);
+
+    const beforeRes = await db.query(
+          `SELECT handle, name, category FROM skills WHERE handle = $1`, [handle]);
+
+    const result = await db.query(
+          `UPDATE skills
+           SET ${setCols}
+           WHERE handle = ${handleVarIdx}
+           RETURNING handle, name, category`,
+        [...values, handle]);
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`No skill: ${handle}`);
+    if (skill.name !== beforeRes.rows[0].name) await bumpSkillHolderVersions(handle);
+
+    await AuditLog.record({
+      action: "update", entity: "skill", entityId: handle,
+      before: beforeRes.rows[0], after: skill,
+    });
+
+    return skill;
+  }
+
+  /** Delete given skill from database, and from every job and user that
+   * listed it; returns undefined.
+   *
+   * Throws NotFoundError if skill not found.
+   **/
+
+  static async remove(handle) {
+    // Before the skill is gone from the users and jobs listing it.
+    await bumpSkillHolderVersions(handle);
+    const result = await db.query(
+          `DELETE
+           FROM skills
+           WHERE handle = $1
+           RETURNING handle, name, category`,
+        [handle]);
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`No skill: ${handle}`);
+
+    await AuditLog.record({ action: "delete", entity: "skill", entityId: handle, before: skill });
+  }
+}
+
+module.exports = Skill;
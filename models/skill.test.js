@@ -0,0 +1,142 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Skill = require("./skill.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  const newSkill = { handle: "node.js", name: "Node.js", category: "runtime" };
+
+  test("works", async function () {
+    let skill = await Skill.create(newSkill);
+    expect(skill).toEqual(newSkill);
+
+    const result = await db.query(
+          `SELECT handle, name, category FROM skills WHERE handle = 'node.js'`);
+    expect(result.rows).toEqual([newSkill]);
+  });
+
+  test("works: category is optional", async function () {
+    let skill = await Skill.create({ handle: "go", name: "Go" });
+    expect(skill).toEqual({ handle: "go", name: "Go", category: null });
+  });
+
+  test("bad request with dupe", async function () {
+    try {
+      await Skill.create(newSkill);
+      await Skill.create(newSkill);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no filter, sorted by name", async function () {
+    let { skills, total } = await Skill.findAll();
+    expect(total).toEqual(3);
+    expect(skills).toEqual([
+      { handle: "js", name: "JavaScript", category: "language" },
+      { handle: "react", name: "React", category: null },
+      { handle: "sql", name: "SQL", category: "language" },
+    ]);
+  });
+
+  test("works: filter by name and category", async function () {
+    let { skills } = await Skill.findAll({ name: "script", category: "language" });
+    expect(skills.map(s => s.handle)).toEqual(["js"]);
+  });
+
+  test("works: pages", async function () {
+    let page = await Skill.findAll({ sort: "handle", limit: 2 });
+    expect(page.skills.map(s => s.handle)).toEqual(["js", "react"]);
+    page = await Skill.findAll({ sort: "handle", limit: 2, ...page.next });
+    expect(page.skills.map(s => s.handle)).toEqual(["sql"]);
+  });
+
+  test("not found if nothing matches", async function () {
+    await expect(Skill.findAll({ category: "nope" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: counts open jobs and users", async function () {
+    await db.query(`INSERT INTO job_skills (job_id, skill_handle) VALUES (1, 'js'), (2, 'js')`);
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 2`);
+    await db.query(`INSERT INTO user_skills (username, skill_handle, proficiency)
+                    VALUES ('u1', 'js', 4)`);
+
+    let skill = await Skill.get("js");
+    expect(skill).toEqual({
+      handle: "js",
+      name: "JavaScript",
+      category: "language",
+      jobCount: 1,
+      userCount: 1,
+    });
+  });
+
+  test("not found if no such skill", async function () {
+    await expect(Skill.get("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    let skill = await Skill.update("react", { name: "React.js", category: "framework" });
+    expect(skill).toEqual({ handle: "react", name: "React.js", category: "framework" });
+  });
+
+  test("works: bumps the versions of the users and jobs listing it", async function () {
+    await db.query(`INSERT INTO job_skills (job_id, skill_handle) VALUES (1, 'sql')`);
+    await db.query(`INSERT INTO user_skills VALUES ('u1', 'sql', 3)`);
+    await Skill.update("sql", { name: "Structured Query Language" });
+    const jobRes = await db.query(`SELECT id, version FROM jobs ORDER BY id LIMIT 2`);
+    expect(jobRes.rows).toEqual([{ id: 1, version: 2 }, { id: 2, version: 1 }]);
+    const userRes = await db.query(`SELECT username, version FROM users ORDER BY username LIMIT 2`);
+    expect(userRes.rows).toEqual([{ username: "u1", version: 2 }, { username: "u2", version: 1 }]);
+  });
+
+  test("not found if no such skill", async function () {
+    await expect(Skill.update("nope", { name: "x" })).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works: also takes it off jobs", async function () {
+    await db.query(`INSERT INTO job_skills (job_id, skill_handle) VALUES (1, 'sql')`);
+    await Skill.remove("sql");
+    const res = await db.query(
+        "SELECT handle FROM skills WHERE handle = 'sql'");
+    expect(res.rows.length).toEqual(0);
+    const jobSkills = await db.query(
+        "SELECT * FROM job_skills WHERE skill_handle = 'sql'");
+    expect(jobSkills.rows.length).toEqual(0);
+  });
+
+  test("not found if no such skill", async function () {
+    await expect(Skill.remove("nope")).rejects.toThrow(NotFoundError);
+  });
+});
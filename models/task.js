@@ -0,0 +1,284 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { nextCronTime } = require("../helpers/cron");
+const { logger } = require("../helpers/logger");
+
+/** A failed task is queued again after RETRY_BASE_SECONDS, then twice as long
+ * each time, until it has made its max_attempts. */
+const RETRY_BASE_SECONDS = 30;
+
+/** How long a worker has to finish a task before another may take it over
+ * (the first having presumably died). */
+const TASK_LEASE_SECONDS = 600;
+
+/** Fields GET /admin/tasks can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    id: "id",
+    runAt: "run_at",
+  },
+  defaultSort: "-id",
+  key: "id",
+};
+
+const TASK_COLUMNS = `id, name, payload, status, attempts,
+                      max_attempts AS "maxAttempts",
+                      run_at AS "runAt",
+                      locked_by AS "lockedBy",
+                      locked_until AS "lockedUntil",
+                      last_error AS "lastError",
+                      result,
+                      created_at AS "createdAt",
+                      started_at AS "startedAt",
+                      finished_at AS "finishedAt"`;
+
+/** Related functions for tasks: background work queued in Postgres and run
+ * by worker.js, with retries. What each task name does, and which run on a
+ * schedule, is in tasks.js.
+ */
+
+class Task {
+  /** Queue a task to run handlers[name](payload) in a worker.
+   *
+   * options (all optional):
+   * - runAt: a Date to run it no sooner than (default now)
+   * - maxAttempts: how many times to try it before giving up (default 5)
+   *
+   * Returns the task, as get has it.
+   **/
+
+  static async enqueue(name, payload = {}, { runAt = null, maxAttempts = 5 } = {}) {
+    const result = await db.query(
+          `INSERT INTO tasks (name, payload, run_at, max_attempts)
+           VALUES ($1, $2, COALESCE($3, NOW()), $4)
+           RETURNING ${TASK_COLUMNS}`,
+        [name, JSON.stringify(payload), runAt, maxAttempts]);
+    return result.rows[0];
+  }
+
+  /** Claim the next task that's due, for workerId, leasing it for
+   * TASK_LEASE_SECONDS. Running tasks whose lease ran out are due again.
+   *
+   * Safe to run from many workers at once: each task goes to one of them
+   * (SELECT ... FOR UPDATE SKIP LOCKED).
+   *
+   * Returns the task, as get has it, or null if none are due.
+   **/
+
+  static async claim(workerId) {
+    const result = await db.query(
+          `UPDATE tasks
+           SET status = 'running',
+               attempts = attempts + 1,
+               locked_by = $1,
+               locked_until = NOW() + make_interval(secs => $2),
+               started_at = NOW()
+           WHERE id = (
+             SELECT id
+             FROM tasks
+             WHERE (status = 'queued' AND run_at <= NOW())
+                OR (status = 'running' AND locked_until < NOW())
+             ORDER BY run_at, id
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED)
+           RETURNING ${TASK_COLUMNS}`,
+        [workerId, TASK_LEASE_SECONDS]);
+    return result.rows[0] || null;
+  }
+
+  /** Claim the next due task (see claim) and run it with handlers, an object
+   * of async functions keyed by task name. What the handler returns is kept
+   * as the task's result; if it throws, the task is retried later, or has
+   * failed if that was its last attempt. A task with no handler fails at
+   * once.
+   *
+   * Returns the task as it ended up, or null if none were due.
+   **/
+
+  static async runNext(handlers, workerId) {
+    const task = await Task.claim(workerId);
+    if (!task) return null;
+
+    const handler = Object.prototype.hasOwnProperty.call(handlers, task.name)
+        ? handlers[task.name] : null;
+    if (!handler) {
+      return await Task.finish(task, { error: `No handler for task: ${task.name}`, retry: false });
+    }
+
+    try {
+      const result = await handler(task.payload);
+      return await Task.finish(task, { result });
+    } catch (err) {
+      logger.warn("task failed", { taskId: task.id, task: task.name, attempt: task.attempts, err });
+      return await Task.finish(task, { error: err.message || String(err) });
+    }
+  }
+
+  /** Record how a claimed task went: succeeded with result, or, given
+   * error, queued to retry with exponential backoff (unless retry is false,
+   * or it was the last attempt), else failed.
+   *
+   * Returns the task, as get has it.
+   **/
+
+  static async finish(task, { result, error = null, retry = true }) {
+    const status = error === null ? "succeeded"
+        : (retry && task.attempts < task.maxAttempts ? "queued" : "failed");
+
+    const updated = await db.query(
+          `UPDATE tasks
+           SET status = $2,
+               result = $3,
+               last_error = $4,
+               run_at = CASE WHEN $2 = 'queued'
+                             THEN NOW() + make_interval(secs => $5)
+                             ELSE run_at END,
+               finished_at = CASE WHEN $2 = 'queued' THEN NULL ELSE NOW() END,
+               locked_by = NULL,
+               locked_until = NULL
+           WHERE id = $1
+           RETURNING ${TASK_COLUMNS}`,
+        [task.id, status, result == null ? null : JSON.stringify(result), error,
+          RETRY_BASE_SECONDS * 2 ** (task.attempts - 1)]);
+    return updated.rows[0];
+  }
+
+  /** Queue the tasks of schedules that are due.
+   *
+   * schedules is [{ name, cron }, ...]: the task name is queued (with no
+   * payload) each time the cron expression (see helpers/cron.js) matches. A
+   * schedule is first due at its next match after it's first seen here; a
+   * run missed while no worker was up is queued once, late, and the schedule
+   * then picks up from now. Schedules no longer listed are forgotten.
+   *
+   * Safe to run from many workers at once: each run is queued once.
+   *
+   * Returns [{ id, name }, ...] of the tasks queued.
+   **/
+
+  static async enqueueScheduled(schedules) {
+    const now = new Date();
+    await db.query(
+          `DELETE FROM task_schedules WHERE NOT (name = ANY($1))`,
+        [schedules.map(s => s.name)]);
+
+    const queued = [];
+    for (const { name, cron } of schedules) {
+      const next = nextCronTime(cron, now);
+      // A new schedule, or one whose cron changed, waits for its next match.
+      await db.query(
+            `INSERT INTO task_schedules (name, cron, next_run_at)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (name) DO UPDATE
+               SET cron = EXCLUDED.cron, next_run_at = EXCLUDED.next_run_at
+               WHERE task_schedules.cron <> EXCLUDED.cron`,
+          [name, cron, next]);
+
+      const result = await db.query(
+            `WITH advanced AS (
+               UPDATE task_schedules
+               SET next_run_at = $2
+               WHERE name = $1 AND next_run_at <= $3
+               RETURNING name
+             )
+             INSERT INTO tasks (name)
+             SELECT name FROM advanced
+             RETURNING id, name`,
+          [name, next, now]);
+      queued.push(...result.rows);
+    }
+
+    return queued;
+  }
+
+  /** Find a page of tasks, newest first (optional filters on status:
+   * queued, running, succeeded or failed, and name).
+   *
+   * Paging/sorting (all optional, see helpers/pagination.js):
+   * - sort (id or runAt, "-" prefix for descending; default "-id")
+   * - limit, offset or cursor
+   *
+   * Returns { tasks, total, limit, next, prev }
+   *   where tasks is [{ id, name, payload, status, attempts, maxAttempts,
+   *                     runAt, lockedBy, lockedUntil, lastError, result,
+   *                     createdAt, startedAt, finishedAt }, ...]
+   *   -- tasks is empty if none match.
+   **/
+
+  static async findAll(searchParams = {}) {
+    const whereClause = [];
+    const queryValues = [];
+    for (const [param, column] of [["status", "status"], ["name", "name"]]) {
+      if (searchParams[param] !== undefined) {
+        queryValues.push(searchParams[param]);
+        whereClause.push(`${column} = $${queryValues.length}`);
+      }
+    }
+    const where = () => (whereClause.length ? `WHERE ${whereClause.join(" AND ")}` : "");
+
+    const countResult = await db.query(
+          `SELECT COUNT(*)::int AS total FROM tasks ${where()}`, queryValues);
+
+    const page = sqlForPage(searchParams, PAGE_OPTIONS, queryValues);
+    if (page.cursorWhere) whereClause.push(page.cursorWhere);
+
+    const result = await db.query(
+          `SELECT ${TASK_COLUMNS}, ${page.select}
+           FROM tasks
+           ${where()}
+           ${page.orderBy}
+           ${page.limitOffset}`,
+        page.values);
+
+    const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+    return { tasks: rows, ...pageInfo };
+  }
+
+  /** Given a task id, return it.
+   *
+   * Returns { id, name, payload, status, attempts, maxAttempts, runAt,
+   *           lockedBy, lockedUntil, lastError, result, createdAt,
+   *           startedAt, finishedAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1`, [id]);
+    const task = result.rows[0];
+
+    if (!task) throw new NotFoundError(`No task: ${id}`);
+
+    return task;
+  }
+
+  /** Queue a failed task to run again now, with its attempts reset.
+   *
+   * Returns the task, as get has it.
+   *
+   * Throws NotFoundError if not found, and BadRequestError if it hasn't
+   * failed.
+   **/
+
+  static async retry(id) {
+    const result = await db.query(
+          `UPDATE tasks
+           SET status = 'queued', attempts = 0, run_at = NOW(), finished_at = NULL
+           WHERE id = $1 AND status = 'failed'
+           RETURNING ${TASK_COLUMNS}`,
+        [id]);
+    const task = result.rows[0];
+
+    if (!task) {
+      await Task.get(id);
+      throw new BadRequestError(`Task ${id} hasn't failed`);
+    }
+
+    return task;
+  }
+}
+
+module.exports = Task;
@@ -0,0 +1,212 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Task = require("./task.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Make every queued task due now. */
+
+async function makeDue() {
+  await db.query(`UPDATE tasks SET run_at = NOW() - INTERVAL '1 second' WHERE status = 'queued'`);
+}
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("works", async function () {
+    const task = await Task.enqueue("mail.send", { to: "a@b.com" });
+    expect(task).toEqual({
+      id: expect.any(Number),
+      name: "mail.send",
+      payload: { to: "a@b.com" },
+      status: "queued",
+      attempts: 0,
+      maxAttempts: 5,
+      runAt: expect.any(Date),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: null,
+      result: null,
+      createdAt: expect.any(Date),
+      startedAt: null,
+      finishedAt: null,
+    });
+  });
+
+  test("works: later", async function () {
+    const runAt = new Date(Date.now() + 60 * 60 * 1000);
+    await Task.enqueue("later", {}, { runAt });
+    expect(await Task.claim("w1")).toBeNull();
+  });
+});
+
+/************************************** claim */
+
+describe("claim", function () {
+  test("works: oldest due first, once", async function () {
+    const first = await Task.enqueue("a");
+    const second = await Task.enqueue("b");
+
+    const claimed = await Task.claim("w1");
+    expect(claimed).toEqual(expect.objectContaining({
+      id: first.id,
+      status: "running",
+      attempts: 1,
+      lockedBy: "w1",
+      lockedUntil: expect.any(Date),
+      startedAt: expect.any(Date),
+    }));
+    expect((await Task.claim("w2")).id).toEqual(second.id);
+    expect(await Task.claim("w3")).toBeNull();
+  });
+
+  test("works: takes over a task whose lease ran out", async function () {
+    const task = await Task.enqueue("a");
+    await Task.claim("w1");
+    await db.query(`UPDATE tasks SET locked_until = NOW() - INTERVAL '1 second'`);
+
+    const claimed = await Task.claim("w2");
+    expect(claimed).toEqual(expect.objectContaining({ id: task.id, lockedBy: "w2", attempts: 2 }));
+  });
+});
+
+/************************************** runNext */
+
+describe("runNext", function () {
+  test("works: keeps the result", async function () {
+    const task = await Task.enqueue("double", { n: 2 });
+    const ran = await Task.runNext({ double: async ({ n }) => ({ n: n * 2 }) }, "w1");
+    expect(ran).toEqual(expect.objectContaining({
+      id: task.id,
+      status: "succeeded",
+      attempts: 1,
+      result: { n: 4 },
+      lockedBy: null,
+      finishedAt: expect.any(Date),
+    }));
+  });
+
+  test("works: nothing due", async function () {
+    expect(await Task.runNext({}, "w1")).toBeNull();
+  });
+
+  test("works: retried with backoff, then failed", async function () {
+    await Task.enqueue("flaky", {}, { maxAttempts: 2 });
+    const handlers = { flaky: async () => { throw new Error("oops"); } };
+
+    const first = await Task.runNext(handlers, "w1");
+    expect(first).toEqual(expect.objectContaining({
+      status: "queued", attempts: 1, lastError: "oops", finishedAt: null,
+    }));
+    const delay = await db.query(
+        `SELECT EXTRACT(EPOCH FROM run_at - NOW())::int AS seconds FROM tasks`);
+    expect(delay.rows[0].seconds).toEqual(30);
+    expect(await Task.runNext(handlers, "w1")).toBeNull();
+
+    await makeDue();
+    const second = await Task.runNext(handlers, "w1");
+    expect(second).toEqual(expect.objectContaining({ status: "failed", attempts: 2 }));
+  });
+
+  test("works: fails at once without a handler", async function () {
+    await Task.enqueue("nope");
+    const ran = await Task.runNext({}, "w1");
+    expect(ran).toEqual(expect.objectContaining({
+      status: "failed", attempts: 1, lastError: "No handler for task: nope",
+    }));
+  });
+});
+
+/************************************** enqueueScheduled */
+
+describe("enqueueScheduled", function () {
+  const schedules = [{ name: "tick", cron: "* * * * *" }];
+
+  test("works: queued when due, once", async function () {
+    expect(await Task.enqueueScheduled(schedules)).toEqual([]);
+
+    await db.query(`UPDATE task_schedules SET next_run_at = NOW() - INTERVAL '1 minute'`);
+    const queued = await Task.enqueueScheduled(schedules);
+    expect(queued).toEqual([{ id: expect.any(Number), name: "tick" }]);
+    expect(await Task.enqueueScheduled(schedules)).toEqual([]);
+
+    const schedule = await db.query(`SELECT next_run_at FROM task_schedules`);
+    expect(schedule.rows[0].next_run_at.getTime()).toBeGreaterThan(Date.now());
+    expect((await Task.get(queued[0].id)).status).toEqual("queued");
+  });
+
+  test("works: forgets schedules no longer listed, and waits on changed ones", async function () {
+    await Task.enqueueScheduled([...schedules, { name: "old", cron: "0 0 * * *" }]);
+    await db.query(`UPDATE task_schedules SET next_run_at = NOW() - INTERVAL '1 minute'`);
+
+    expect(await Task.enqueueScheduled([{ name: "tick", cron: "*/5 * * * *" }])).toEqual([]);
+    const result = await db.query(`SELECT name, cron FROM task_schedules`);
+    expect(result.rows).toEqual([{ name: "tick", cron: "*/5 * * * *" }]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: newest first, with filters", async function () {
+    await Task.enqueue("a");
+    await Task.enqueue("b");
+    await Task.runNext({ a: async () => null }, "w1");
+
+    const { tasks, total } = await Task.findAll();
+    expect(total).toEqual(2);
+    expect(tasks.map(t => [t.name, t.status])).toEqual([["b", "queued"], ["a", "succeeded"]]);
+
+    const succeeded = await Task.findAll({ status: "succeeded" });
+    expect(succeeded.tasks.map(t => t.name)).toEqual(["a"]);
+    const byName = await Task.findAll({ name: "b", sort: "runAt" });
+    expect(byName.tasks.map(t => t.name)).toEqual(["b"]);
+  });
+
+  test("works: empty if none match", async function () {
+    expect(await Task.findAll({ status: "failed" })).toEqual({
+      tasks: [], total: 0, limit: expect.any(Number), next: null, prev: null,
+    });
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("not found if no such task", async function () {
+    await expect(Task.get(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** retry */
+
+describe("retry", function () {
+  test("works", async function () {
+    const task = await Task.enqueue("nope");
+    await Task.runNext({}, "w1");
+
+    const retried = await Task.retry(task.id);
+    expect(retried).toEqual(expect.objectContaining({ status: "queued", attempts: 0, finishedAt: null }));
+    expect((await Task.claim("w1")).id).toEqual(task.id);
+  });
+
+  test("bad request if it hasn't failed", async function () {
+    const task = await Task.enqueue("a");
+    await expect(Task.retry(task.id)).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such task", async function () {
+    await expect(Task.retry(0)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -3,20 +3,68 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { bumpVersions } = require("../helpers/versions");
+const RefreshToken = require("./refreshToken");
+const AuditLog = require("./auditLog");
+const Webhook = require("./webhook");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
+  PreconditionFailedError,
 } = require("../expressError");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** Application workflow: the states an application can move to from each
+ * state. accepted, rejected and withdrawn are final. */
+const APPLICATION_TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** Who makes which moves: applicants apply and withdraw, and the job's
+ * company takes it from there. Admins can make any of them. */
+const APPLICATION_MOVES_BY = {
+  applicant: ["applied", "withdrawn"],
+  company: ["interviewing", "offered", "rejected", "accepted"],
+};
+
+/** Fields GET /users can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    username: "username",
+    firstName: "first_name",
+    lastName: "last_name",
+    email: "email",
+  },
+  defaultSort: "username",
+  key: "username",
+};
+
+/** Columns for each user in a list of users. */
+const USER_LIST_COLUMNS = `username,
+                           first_name AS "firstName",
+                           last_name AS "lastName",
+                           email,
+                           is_admin AS "isAdmin",
+                           roles,
+                           permissions`;
+
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, roles,
+   *           permissions }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,9 +77,11 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  roles,
+                  permissions
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -49,15 +99,17 @@ class User {
     throw new UnauthorizedError("Invalid username/password");
   }
 
-  /** Register user with data.
+  /** Register user with data. roles and permissions (see
+   * helpers/permissions.js) are optional.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, isAdmin, roles,
+   *           permissions }
    *
    * Throws BadRequestError on duplicates.
    **/
 
   static async register(
-      { username, password, firstName, lastName, email, isAdmin }) {
+      { username, password, firstName, lastName, email, isAdmin, roles = [], permissions = [] }) {
     const duplicateCheck = await db.query(
           `SELECT username
            FROM users
@@ -78,9 +130,11 @@ class User {
             first_name,
             last_name,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+            is_admin,
+            roles,
+            permissions)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING ${USER_LIST_COLUMNS}`,
         [
           username,
           hashedPassword,
@@ -88,31 +142,68 @@ class User {
           lastName,
           email,
           isAdmin,
+          roles,
+          permissions,
         ],
     );
 
     const user = result.rows[0];
 
+    await AuditLog.record({ action: "create", entity: "user", entityId: username, after: user });
+
     return user;
   }
 
-  /** Find all users.
+  /** Find a page of users.
+   *
+   * Paging/sorting (all optional, see helpers/pagination.js):
+   * - sort (username, firstName, lastName, email; prefix with "-" for
+   *   descending)
+   * - limit, offset or cursor
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Returns { users, total, limit, next, prev }
+   *   where users is [{ username, firstName, lastName, email, isAdmin }, ...]
    **/
 
-  static async findAll() {
+  static async findAll(pageParams = {}) {
+    const countResult = await db.query(
+          `SELECT COUNT(*)::int AS total FROM users WHERE deleted_at IS NULL`);
+
+    const page = sqlForPage(pageParams, PAGE_OPTIONS, []);
+    const whereStr = page.cursorWhere
+        ? `WHERE deleted_at IS NULL AND ${page.cursorWhere}`
+        : "WHERE deleted_at IS NULL";
+
     const result = await db.query(
-          `SELECT username,
-                  first_name AS "firstName",
-                  last_name AS "lastName",
-                  email,
-                  is_admin AS "isAdmin"
+          `SELECT ${USER_LIST_COLUMNS}, ${page.select}
            FROM users
-           ORDER BY username`,
+           ${whereStr}
+           ${page.orderBy}
+           ${page.limitOffset}`,
+        page.values,
     );
 
-    return result.rows;
+    const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+    return { users: rows, ...pageInfo };
+  }
+
+  /** The query for exporting every user, in the order of pageParams.sort.
+   * helpers/export.js streams it.
+   *
+   * Returns { text, values }; rows are as findAll's users.
+   *
+   * Throws BadRequestError if the sort is invalid.
+   **/
+
+  static exportQuery(pageParams = {}) {
+    const { orderBy } = sqlForPage({ sort: pageParams.sort }, PAGE_OPTIONS, []);
+    return {
+      text: `SELECT ${USER_LIST_COLUMNS}
+             FROM users
+             WHERE deleted_at IS NULL
+             ${orderBy}`,
+      values: [],
+    };
   }
 
   /** Given a username, return data about user.
@@ -145,8 +236,12 @@ class User {
   /** Given a username, return data about user.
   *
 
-  Returns { username, first_name, last_name, is_admin, jobs }
-  where jobs is { id, title, company_handle, company_name, state }
+  Returns { username, firstName, lastName, email, isAdmin, roles, permissions,
+            emailVerified, applications, skills, version }
+  where applications is [{ jobId, title, companyHandle, state, updatedAt }, ...]
+    and skills is [{ handle, name, proficiency }, ...], best first
+    and version is bumped by each update, and when the user's applications
+    or skills (or the jobs applied to) change
   Throws NotFoundError if user not found.
   **/
 
@@ -154,11 +249,33 @@ class User {
     const result = await db.query(
       `
         SELECT u.username, u.first_name AS "firstName", u.last_name AS "lastName",
-               u.email, u.is_admin AS "isAdmin",
-               COALESCE(json_agg(a.job_id) FILTER (WHERE a.job_id IS NOT NULL), '[]') AS jobs
+               u.email, u.is_admin AS "isAdmin", u.roles, u.permissions,
+               u.email_verified_at IS NOT NULL AS "emailVerified",
+               u.version,
+               COALESCE(
+                 json_agg(json_build_object(
+                   'jobId', a.job_id,
+                   'title', j.title,
+                   'companyHandle', j.company_handle,
+                   'state', a.state,
+                   'updatedAt', a.updated_at
+                 ) ORDER BY a.created_at, a.job_id) FILTER (WHERE a.job_id IS NOT NULL),
+                 '[]') AS applications,
+               COALESCE(
+                 (SELECT json_agg(json_build_object(
+                           'handle', us.skill_handle,
+                           'name', s.name,
+                           'proficiency', us.proficiency
+                         ) ORDER BY us.proficiency DESC, us.skill_handle)
+                  FROM user_skills AS us
+                  JOIN skills AS s ON s.handle = us.skill_handle
+                  WHERE us.username = u.username),
+                 '[]') AS skills
         FROM users AS u
-        LEFT JOIN applications AS a ON u.username = a.username
-        WHERE u.username = $1
+        LEFT JOIN (applications AS a
+                   JOIN jobs AS j ON a.job_id = j.id AND j.deleted_at IS NULL)
+          ON u.username = a.username
+        WHERE u.username = $1 AND u.deleted_at IS NULL
         GROUP BY u.username
       `,
       [username]
@@ -180,18 +297,31 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, password, email, isAdmin, roles, permissions }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * versions, if given, are the versions the update was made against (see
+   * middleware/conditional.js); it's only made if the user is at one of them.
    *
-   * Throws NotFoundError if not found.
+   * Returns { username, firstName, lastName, email, isAdmin, roles,
+   *           permissions, version }
+   *
+   * Throws NotFoundError if not found, and PreconditionFailedError if the user
+   * isn't at one of versions or changes while this runs.
+   *
+   * Changing the password, isAdmin, roles or permissions revokes all of the
+   * user's sessions, so they must log in again to get a token reflecting the
+   * change. Changing the
+   * email address means it has to be verified again.
    *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
+  static async update(username, data, { versions } = {}) {
+    const revokeSessions = ["password", "isAdmin", "roles", "permissions"]
+        .some(field => data[field] !== undefined);
+
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
@@ -204,22 +334,86 @@ class User {
           isAdmin: "is_admin",
         });
     const usernameVarIdx = "$" + (values.length + 1);
+    const versionVarIdx = "$" + (values.length + 2);
+    const emailVarIdx = Object.keys(data).indexOf("email") + 1;
+    const emailVerifiedCol = emailVarIdx
+        ? `, email_verified_at = CASE WHEN email = $${emailVarIdx}
+                                      THEN email_verified_at END`
+        : "";
+
+    // The password hash is only read so the audit log can say it changed.
+    const beforeRes = await db.query(
+          `SELECT ${USER_LIST_COLUMNS}, password, version
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    if (!beforeRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const { version, ...before } = beforeRes.rows[0];
+    if (versions && !versions.includes(version)) {
+      throw new PreconditionFailedError(`User ${username} has changed since version given`);
+    }
 
     const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+                      SET ${setCols}${emailVerifiedCol}, version = version + 1 
+                      WHERE username = ${usernameVarIdx} AND version = ${versionVarIdx}
+                        AND deleted_at IS NULL
+                      RETURNING ${USER_LIST_COLUMNS}, version`;
+    const result = await db.query(querySql, [...values, username, version]);
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (!result.rows[0]) throw new PreconditionFailedError(`User ${username} changed during update`);
+
+    const { version: newVersion, ...user } = result.rows[0];
+    await AuditLog.record({
+      action: "update", entity: "user", entityId: username,
+      before, after: { ...user, password: data.password || before.password },
+    });
+
+    if (revokeSessions) await RefreshToken.revokeAll(username);
 
     delete user.password;
-    return user;
+    return { ...user, version: newVersion };
+  }
+
+  /** Find the users with the given email address (case-insensitive).
+   *
+   * Returns [{ username, firstName, email }, ...]
+   **/
+
+  static async findByEmail(email) {
+    const result = await db.query(
+          `SELECT username, first_name AS "firstName", email
+           FROM users
+           WHERE lower(email) = lower($1) AND deleted_at IS NULL
+           ORDER BY username`,
+        [email],
+    );
+    return result.rows;
+  }
+
+  /** Mark the user's email address as verified; returns undefined.
+   *
+   * email is the address the verification was sent to.
+   *
+   * Throws BadRequestError if the user's address has changed since.
+   **/
+
+  static async verifyEmail(username, email) {
+    const result = await db.query(
+          `UPDATE users
+           SET email_verified_at = COALESCE(email_verified_at, NOW()), version = version + 1
+           WHERE username = $1 AND email = $2 AND deleted_at IS NULL
+           RETURNING username`,
+        [username, email],
+    );
+
+    if (!result.rows[0]) {
+      throw new BadRequestError("Email address has changed since this link was sent");
+    }
+
+    await AuditLog.record({
+      action: "verify_email", entity: "user", entityId: username, after: { email },
+    });
   }
 
   /** Add a job application for the user with the provided username to the jobs table. 
@@ -227,26 +421,39 @@ class User {
   Parameters:
     jobId: the ID of the job being applied for
     username: the username of the user applying for the job
-  Returns: { applied: jobId }
+    actor: who's applying, { username, isAdmin }; only admins can apply for
+      someone else
+    state: where the application starts, "applied" (default) or "interested"
+  Returns: jobId
 
   Throws NotFoundError if the user or job is not found.
 
-  Throws BadRequestError if the user has already applied for the job.
+  Throws BadRequestError if actor can't apply for the user, the user has
+  already applied for the job, or the job is not open (a draft, closed,
+  filled or past its expiry date).
   **/
 
-  static async apply(username, jobId, req) { 
-    if (req.res.locals.user.username !== username && !req.res.locals.user.isAdmin) {
+  static async apply(username, jobId, actor, state = "applied") {
+    if (actor.username !== username && !actor.isAdmin) {
       throw new BadRequestError("You are not allowed to apply for other users unless you are an admin");
     }
 
+    if (state !== "applied" && state !== "interested") {
+      throw new BadRequestError(`Applications can't start as ${state}`);
+    }
+
     const preCheckRes = await db.query(
-      `SELECT id, title, salary, equity, company_handle
+      `SELECT id, title, company_handle,
+              status = 'open' AND (expires_at IS NULL OR expires_at > NOW()) AS "isOpen"
       FROM jobs
-      WHERE id = $1`, [jobId]);
+      WHERE id = $1 AND deleted_at IS NULL`, [jobId]);
     const job = preCheckRes.rows[0];
     if (!job) {
       throw new NotFoundError(`No job found with id ${jobId}`);
     }
+    if (!job.isOpen) {
+      throw new BadRequestError(`Job ${jobId} is not open for applications`);
+    }
   
     const checkRes = await db.query(
       `SELECT *
@@ -257,30 +464,321 @@ class User {
     }
   
     const result = await db.query(
-      `INSERT INTO applications
-       (username, job_id)
-       VALUES ($1, $2)
-       RETURNING job_id AS "jobId"`,
-      [username, jobId]);
+      `WITH application AS (
+         INSERT INTO applications
+         (username, job_id, state)
+         VALUES ($1, $2, $3)
+         RETURNING username, job_id, state
+       ), change AS (
+         INSERT INTO application_state_changes
+         (username, job_id, to_state)
+         SELECT username, job_id, state FROM application
+       )
+       SELECT job_id AS "jobId" FROM application`,
+      [username, jobId, state]);
   
     const application = result.rows[0];
+    await bumpVersions("users", "username", [username]);
+
+    await AuditLog.record({
+      action: "create", entity: "application", entityId: `${username}/${jobId}`,
+      after: { username, jobId: application.jobId, state },
+    });
+    await Webhook.emit("application.created", job.company_handle, {
+      username, jobId: application.jobId, title: job.title, companyHandle: job.company_handle, state,
+    });
+
     return application.jobId;
   }
+
+  /** Move a user's application for a job to a new state.
+
+  The move must follow the workflow in APPLICATION_TRANSITIONS; every change
+  is recorded with its time in application_state_changes.
+
+  by is who's making the move, "applicant" or "company", limiting it to
+  theirs in APPLICATION_MOVES_BY; leave it out for an admin's.
+
+  Returns { username, jobId, state, createdAt, updatedAt }
+
+  Throws NotFoundError if there is no such application.
+
+  Throws ForbiddenError if the move isn't by's to make, and BadRequestError
+  if the workflow doesn't allow it.
+  **/
+
+  static async updateApplication(username, jobId, state, { by } = {}) {
+    const currentRes = await db.query(
+      `SELECT state
+       FROM applications
+       WHERE username = $1 AND job_id = $2`, [username, jobId]);
+    const current = currentRes.rows[0];
+    if (!current) {
+      throw new NotFoundError(`No application by ${username} for job ${jobId}`);
+    }
+
+    if (by && !APPLICATION_MOVES_BY[by].includes(state)) {
+      throw new ForbiddenError(`Only the ${by === "applicant" ? "job's company" : "applicant"} `
+          + `can move an application to ${state}`);
+    }
+
+    if (!APPLICATION_TRANSITIONS[current.state].includes(state)) {
+      throw new BadRequestError(`Cannot move application from ${current.state} to ${state}`);
+    }
+
+    // Only update if the state is still the one checked above, so two
+    // concurrent moves can't both succeed.
+    const result = await db.query(
+      `WITH application AS (
+         UPDATE applications
+         SET state = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE username = $1 AND job_id = $2 AND state = $3
+         RETURNING username, job_id, state, created_at, updated_at
+       ), change AS (
+         INSERT INTO application_state_changes
+         (username, job_id, from_state, to_state, changed_at)
+         SELECT username, job_id, $3, state, updated_at FROM application
+       )
+       SELECT username,
+              job_id AS "jobId",
+              state,
+              created_at AS "createdAt",
+              updated_at AS "updatedAt"
+       FROM application`,
+      [username, jobId, current.state, state]);
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new BadRequestError(`Application by ${username} for job ${jobId} changed; try again`);
+    }
+    await bumpVersions("users", "username", [username]);
+
+    await AuditLog.record({
+      action: "update", entity: "application", entityId: `${username}/${jobId}`,
+      before: { state: current.state }, after: { state },
+    });
+
+    return application;
+  }
   
 
-  /** Delete given user from database; returns undefined. */
+  /** Record that a user has a skill, at proficiency 1 (beginner) to 5
+  (expert). If they already have it, the proficiency is updated.
+
+  Returns { handle, name, proficiency }
+
+  Throws NotFoundError if the user or the skill doesn't exist.
+  **/
+
+  static async setSkill(username, handle, proficiency) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const beforeRes = await db.query(
+          `SELECT proficiency FROM user_skills WHERE username = $1 AND skill_handle = $2`,
+        [username, handle]);
+
+    const result = await db.query(
+          `WITH skill AS (
+             INSERT INTO user_skills (username, skill_handle, proficiency)
+             SELECT $1, handle, $3 FROM skills WHERE handle = $2
+             ON CONFLICT (username, skill_handle)
+               DO UPDATE SET proficiency = EXCLUDED.proficiency
+             RETURNING skill_handle, proficiency
+           )
+           SELECT skill.skill_handle AS handle, s.name, skill.proficiency
+           FROM skill
+           JOIN skills AS s ON s.handle = skill.skill_handle`,
+        [username, handle, proficiency]);
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`No skill: ${handle}`);
+    await bumpVersions("users", "username", [username]);
+
+    await AuditLog.record({
+      action: "set_skill", entity: "user", entityId: username,
+      before: beforeRes.rows[0] ? { skill: handle, ...beforeRes.rows[0] } : null,
+      after: { skill: handle, proficiency: skill.proficiency },
+    });
+
+    return skill;
+  }
+
+  /** Remove a skill from a user; returns undefined.
+
+  Throws NotFoundError if the user doesn't have it.
+  **/
+
+  static async removeSkill(username, handle) {
+    const result = await db.query(
+          `DELETE
+           FROM user_skills
+           WHERE username = $1 AND skill_handle = $2
+           RETURNING skill_handle AS skill, proficiency`,
+        [username, handle]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`User ${username} doesn't have skill ${handle}`);
+    }
+    await bumpVersions("users", "username", [username]);
+
+    await AuditLog.record({
+      action: "remove_skill", entity: "user", entityId: username, before: result.rows[0],
+    });
+  }
+
+  /** Find the open jobs that best fit a user's skills.
+
+  Each job's score is the share of the skills it lists that the user has,
+  with required skills counting twice as much as nice-to-have ones: 1 means
+  the user has every skill, and jobs sharing no skills are left out. Best
+  scores come first, then jobs where more skills match.
+
+  Returns [{ jobId, title, companyHandle, score, matchedSkills, missingSkills }, ...]
+  where matchedSkills are the handles of the job's skills the user has, and
+  missingSkills are the required ones they don't.
+
+  Throws NotFoundError if user not found.
+  **/
+
+  static async getMatches(username, { limit = 20 } = {}) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `WITH scored AS (
+             SELECT j.id, j.title, j.company_handle,
+                    SUM(w.weight) AS total_weight,
+                    SUM(w.weight) FILTER (WHERE us.skill_handle IS NOT NULL) AS matched_weight,
+                    array_agg(js.skill_handle ORDER BY js.skill_handle)
+                      FILTER (WHERE us.skill_handle IS NOT NULL) AS matched,
+                    array_agg(js.skill_handle ORDER BY js.skill_handle)
+                      FILTER (WHERE us.skill_handle IS NULL
+                                AND js.requirement = 'required') AS missing
+             FROM jobs AS j
+             JOIN job_skills AS js ON js.job_id = j.id
+             CROSS JOIN LATERAL (
+               SELECT CASE js.requirement WHEN 'required' THEN 2 ELSE 1 END AS weight
+             ) AS w
+             LEFT JOIN user_skills AS us
+               ON us.skill_handle = js.skill_handle AND us.username = $1
+             WHERE j.status = 'open' AND (j.expires_at IS NULL OR j.expires_at > NOW())
+               AND j.deleted_at IS NULL
+             GROUP BY j.id
+           )
+           SELECT id AS "jobId",
+                  title,
+                  company_handle AS "companyHandle",
+                  ROUND(matched_weight::numeric / total_weight, 2)::float AS score,
+                  matched AS "matchedSkills",
+                  COALESCE(missing, '{}') AS "missingSkills"
+           FROM scored
+           WHERE matched_weight > 0
+           ORDER BY score DESC, matched_weight DESC, id
+           LIMIT $2`,
+        [username, limit]);
+
+    return result.rows;
+  }
+
+  /** Delete given user until restored or purged, logging them out
+   * everywhere; returns undefined.
+   *
+   * Their username stays taken until they're purged.
+   **/
 
   static async remove(username) {
     let result = await db.query(
-          `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+          `UPDATE users
+           SET deleted_at = NOW()
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING deleted_at AS "deletedAt"`,
         [username],
     );
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await RefreshToken.revokeAll(username);
+
+    await AuditLog.record({
+      action: "delete", entity: "user", entityId: username,
+      before: { deletedAt: null }, after: { deletedAt: user.deletedAt },
+    });
+  }
+
+  /** Given a deleted user's username, undelete them. They have to log in
+   * again.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there's no deleted user with that username.
+   **/
+
+  static async restore(username) {
+    const deletedRes = await db.query(
+          `SELECT deleted_at AS "deletedAt"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NOT NULL`,
+        [username]);
+    const deleted = deletedRes.rows[0];
+
+    if (!deleted) throw new NotFoundError(`No deleted user: ${username}`);
+
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1
+           RETURNING ${USER_LIST_COLUMNS}`,
+        [username]);
+
+    await AuditLog.record({
+      action: "restore", entity: "user", entityId: username,
+      before: { deletedAt: deleted.deletedAt }, after: { deletedAt: null },
+    });
+
+    return result.rows[0];
+  }
+
+  /** List deleted users, most recently deleted first.
+   *
+   * Returns [{ username, firstName, lastName, email, isAdmin, deletedAt }, ...]
+   **/
+
+  static async findDeleted() {
+    const result = await db.query(
+          `SELECT ${USER_LIST_COLUMNS}, deleted_at AS "deletedAt"
+           FROM users
+           WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, username`);
+    return result.rows;
+  }
+
+  /** Remove users deleted more than days ago from the database for good,
+   * with their applications, skills and saved searches.
+   *
+   * Run periodically by purgeDeleted.js.
+   *
+   * Returns the usernames of the users purged.
+   **/
+
+  static async purgeDeleted(days) {
+    const result = await db.query(
+          `DELETE
+           FROM users
+           WHERE deleted_at <= NOW() - make_interval(days => $1)
+           RETURNING username, deleted_at AS "deletedAt"`,
+        [days]);
+
+    for (const { username, deletedAt } of result.rows) {
+      await AuditLog.record({
+        action: "purge", entity: "user", entityId: username, before: { deletedAt },
+      });
+    }
+
+    return result.rows.map(u => u.username).sort();
   }
 
 
@@ -4,9 +4,12 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
+  PreconditionFailedError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const RefreshToken = require("./refreshToken.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -30,6 +33,8 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      roles: [],
+      permissions: [],
     });
   });
 
@@ -61,6 +66,8 @@ describe("register", function () {
     lastName: "Tester",
     email: "test@test.com",
     isAdmin: false,
+    roles: [],
+    permissions: [],
   };
 
   test("works", async function () {
@@ -75,6 +82,16 @@ describe("register", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: with roles and permissions", async function () {
+    const user = await User.register({
+      ...newUser,
+      password: "password",
+      roles: ["support"],
+      permissions: ["jobs:write"],
+    });
+    expect(user).toEqual({ ...newUser, roles: ["support"], permissions: ["jobs:write"] });
+  });
+
   test("works: adds admin", async function () {
     let user = await User.register({
       ...newUser,
@@ -103,13 +120,19 @@ describe("register", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request with a deleted user's username", async function () {
+    await User.remove("u1");
+    await expect(User.register({ ...newUser, username: "u1", password: "password" }))
+        .rejects.toThrow(BadRequestError);
+  });
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -117,6 +140,8 @@ describe("findAll", function () {
         lastName: "U1L",
         email: "u1@email.com",
         isAdmin: false,
+        roles: [],
+        permissions: [],
       },
       {
         username: "u2",
@@ -124,9 +149,19 @@ describe("findAll", function () {
         lastName: "U2L",
         email: "u2@email.com",
         isAdmin: false,
+        roles: [],
+        permissions: [],
       },
     ]);
   });
+
+  test("works: sort and limit", async function () {
+    const res = await User.findAll({ sort: "-username", limit: 1 });
+    expect(res.users.map(u => u.username)).toEqual(["u2"]);
+    expect(res.total).toEqual(2);
+    expect(res.next).toEqual({ cursor: expect.any(String) });
+    expect(res.prev).toBeNull();
+  });
 });
 
 /************************************** get */
@@ -140,10 +175,37 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
-      jobs: [],
+      roles: [],
+      permissions: [],
+      emailVerified: false,
+      applications: [],
+      skills: [],
+      version: 1,
     });
   });
 
+  test("works: with applications", async function () {
+    await User.apply("u1", 1, { username: "u1", isAdmin: false });
+    await User.apply("u1", 2, { username: "u1", isAdmin: false }, "interested");
+    let user = await User.get("u1");
+    expect(user.applications).toEqual([
+      {
+        jobId: 1,
+        title: "Job1",
+        companyHandle: "c1",
+        state: "applied",
+        updatedAt: expect.any(String),
+      },
+      {
+        jobId: 2,
+        title: "Job2",
+        companyHandle: "c2",
+        state: "interested",
+        updatedAt: expect.any(String),
+      },
+    ]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -154,6 +216,35 @@ describe("get", function () {
   });
 });
 
+/************************************** findByEmail */
+
+describe("findByEmail", function () {
+  test("works: case-insensitive", async function () {
+    expect(await User.findByEmail("U1@Email.com")).toEqual([
+      { username: "u1", firstName: "U1F", email: "u1@email.com" },
+    ]);
+  });
+
+  test("works: no such email", async function () {
+    expect(await User.findByEmail("nope@email.com")).toEqual([]);
+  });
+});
+
+/************************************** verifyEmail */
+
+describe("verifyEmail", function () {
+  test("works", async function () {
+    await User.verifyEmail("u1", "u1@email.com");
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+  });
+
+  test("bad request if the email has changed", async function () {
+    await expect(User.verifyEmail("u1", "old@email.com"))
+        .rejects.toThrow(BadRequestError);
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -162,6 +253,8 @@ describe("update", function () {
     lastName: "NewF",
     email: "new@email.com",
     isAdmin: true,
+    roles: ["support"],
+    permissions: ["jobs:write"],
   };
 
   test("works", async function () {
@@ -169,9 +262,25 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      version: 2,
     });
   });
 
+  test("precondition failed if not at a version given", async function () {
+    await expect(User.update("u1", { firstName: "New" }, { versions: [2] }))
+        .rejects.toThrow(PreconditionFailedError);
+    expect((await User.get("u1")).firstName).toEqual("U1F");
+  });
+
+  test("works: changing email needs verifying again", async function () {
+    await User.verifyEmail("u1", "u1@email.com");
+    await User.update("u1", { email: "u1@email.com", firstName: "Same" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { email: "other@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -182,12 +291,39 @@ describe("update", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      roles: [],
+      permissions: [],
+      version: 2,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: password change revokes sessions", async function () {
+    const { id } = await RefreshToken.create("u1");
+    await User.update("u1", { password: "new-password" });
+    expect(await RefreshToken.isActive(id)).toEqual(false);
+  });
+
+  test("works: isAdmin change revokes sessions", async function () {
+    const { id } = await RefreshToken.create("u1");
+    await User.update("u1", { isAdmin: true });
+    expect(await RefreshToken.isActive(id)).toEqual(false);
+  });
+
+  test("works: roles or permissions change revokes sessions", async function () {
+    const { id } = await RefreshToken.create("u1");
+    await User.update("u1", { roles: ["support"] });
+    expect(await RefreshToken.isActive(id)).toEqual(false);
+  });
+
+  test("works: other changes keep sessions", async function () {
+    const { id } = await RefreshToken.create("u1");
+    await User.update("u1", { firstName: "NewF" });
+    expect(await RefreshToken.isActive(id)).toEqual(true);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -213,11 +349,15 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: hides them and ends their sessions", async function () {
+    const { id } = await RefreshToken.create("u1");
     await User.remove("u1");
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.authenticate("u1", "password1")).rejects.toThrow(UnauthorizedError);
+    expect(await RefreshToken.isActive(id)).toEqual(false);
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
   });
 
   test("not found if no such user", async function () {
@@ -230,12 +370,67 @@ describe("remove", function () {
   });
 });
 
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    expect(await User.restore("u1")).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+      roles: [],
+      permissions: [],
+    });
+    expect((await User.get("u1")).username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findDeleted */
+
+describe("findDeleted", function () {
+  test("works", async function () {
+    await User.remove("u2");
+    expect(await User.findDeleted()).toEqual([{
+      username: "u2",
+      firstName: "U2F",
+      lastName: "U2L",
+      email: "u2@email.com",
+      isAdmin: false,
+      roles: [],
+      permissions: [],
+      deletedAt: expect.any(Date),
+    }]);
+  });
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+  test("works: only those deleted long enough ago", async function () {
+    await User.remove("u1");
+    await User.remove("u2");
+    await db.query(`UPDATE users SET deleted_at = NOW() - INTERVAL '40 days'
+                    WHERE username = 'u1'`);
+
+    expect(await User.purgeDeleted(30)).toEqual(["u1"]);
+    const res = await db.query(`SELECT username FROM users WHERE username IN ('u1', 'u2')`);
+    expect(res.rows).toEqual([{ username: "u2" }]);
+  });
+});
+
 /************************************** apply */
 describe("apply", function () {
   test("user can apply for themselves", async () => {
     const jobId = 1; // Replace with an existing jobId in your test database
     const username = "u2";
-    await expect(User.apply(username, jobId, { res: { locals: { user: { username: username, isAdmin: false }}}}))
+    await expect(User.apply(username, jobId, { username: username, isAdmin: false }))
       .resolves.toBe(jobId);
     });
 
@@ -243,30 +438,199 @@ describe("apply", function () {
   test("user cannot apply for anyone else", async () => {
     const jobId = 2; // Replace with an existing jobId in your test database
     const username = "u3";
-    await expect(User.apply(username, jobId, { res: { locals: { user: { username: "u2", isAdmin: false }}}}))
+    await expect(User.apply(username, jobId, { username: "u2", isAdmin: false }))
       .rejects.toThrow(BadRequestError);
   });
 
   test("admin can apply for anyone", async () => {
     const jobId = 3; // Replace with an existing jobId in your test database
     const username = "u2";
-    await expect(User.apply(username, jobId, { res: { locals: { user: { username: "u1", isAdmin: true }}}}))
+    await expect(User.apply(username, jobId, { username: "u1", isAdmin: true }))
       .resolves.toBe(jobId);
   });
 
   test("error thrown if job not found", async () => {
     const jobId = 9999; // Replace with a non-existent jobId
     const username = "u2";
-    await expect(User.apply(username, jobId, { res: { locals: { user: { username: username, isAdmin: false }}}}))
+    await expect(User.apply(username, jobId, { username: username, isAdmin: false }))
       .rejects.toThrow(NotFoundError);
   }); 
 
   test("error thrown if param username has already applied for job", async () => {
     const jobId = 3; // Replace with an existing jobId in your test database that the user has already applied for
     const username = "u2";
-    await User.apply(username, jobId, { res: { locals: { user: { username: username, isAdmin: false }}}}); // First apply
-    await expect(User.apply(username, jobId, { res: { locals: { user: { username: username, isAdmin: false }}}}))
+    await User.apply(username, jobId, { username: username, isAdmin: false }); // First apply
+    await expect(User.apply(username, jobId, { username: username, isAdmin: false }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("error thrown if job is closed", async () => {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    await expect(User.apply("u2", 1, { username: "u2", isAdmin: false }))
+      .rejects.toThrow("Job 1 is not open for applications");
+  });
+
+  test("error thrown if job has expired", async () => {
+    await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = 1`);
+    await expect(User.apply("u2", 1, { username: "u2", isAdmin: false }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("error thrown if starting state is not allowed", async () => {
+    await expect(User.apply("u2", 1, { username: "u2", isAdmin: false }, "offered"))
       .rejects.toThrow(BadRequestError);
   });
+
+  test("records the starting state", async () => {
+    await User.apply("u2", 1, { username: "u2", isAdmin: false });
+    const changes = await db.query(
+      `SELECT from_state, to_state FROM application_state_changes
+       WHERE username = 'u2' AND job_id = 1`);
+    expect(changes.rows).toEqual([{ from_state: null, to_state: "applied" }]);
+  });
 });
 
+/************************************** updateApplication */
+
+describe("updateApplication", function () {
+  beforeEach(async function () {
+    await User.apply("u1", 1, { username: "u1", isAdmin: false });
+  });
+
+  test("works", async function () {
+    const application = await User.updateApplication("u1", 1, "interviewing");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: 1,
+      state: "interviewing",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+
+    const changes = await db.query(
+      `SELECT from_state, to_state, changed_at FROM application_state_changes
+       WHERE username = 'u1' AND job_id = 1
+       ORDER BY id`);
+    expect(changes.rows).toEqual([
+      { from_state: null, to_state: "applied", changed_at: expect.any(Date) },
+      { from_state: "applied", to_state: "interviewing", changed_at: expect.any(Date) },
+    ]);
+  });
+
+  test("works: through to accepted", async function () {
+    await User.updateApplication("u1", 1, "interviewing");
+    await User.updateApplication("u1", 1, "offered");
+    const application = await User.updateApplication("u1", 1, "accepted");
+    expect(application.state).toEqual("accepted");
+  });
+
+  test("bad request on move the workflow doesn't allow", async function () {
+    await expect(User.updateApplication("u1", 1, "offered"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request on move out of a final state", async function () {
+    await User.updateApplication("u1", 1, "withdrawn");
+    await expect(User.updateApplication("u1", 1, "applied"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such application", async function () {
+    await expect(User.updateApplication("u2", 1, "interviewing"))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("forbidden: moves that aren't by's to make", async function () {
+    await expect(User.updateApplication("u1", 1, "interviewing", { by: "applicant" }))
+      .rejects.toThrow(ForbiddenError);
+    await expect(User.updateApplication("u1", 1, "withdrawn", { by: "company" }))
+      .rejects.toThrow(ForbiddenError);
+    const application = await User.updateApplication("u1", 1, "withdrawn", { by: "applicant" });
+    expect(application.state).toEqual("withdrawn");
+  });
+});
+
+/************************************** setSkill */
+
+describe("setSkill", function () {
+  test("works: adds, then changes proficiency", async function () {
+    const skill = await User.setSkill("u1", "js", 3);
+    expect(skill).toEqual({ handle: "js", name: "JavaScript", proficiency: 3 });
+
+    await User.setSkill("u1", "sql", 2);
+    await User.setSkill("u1", "js", 5);
+    const user = await User.get("u1");
+    expect(user.skills).toEqual([
+      { handle: "js", name: "JavaScript", proficiency: 5 },
+      { handle: "sql", name: "SQL", proficiency: 2 },
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.setSkill("nope", "js", 3)).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such skill", async function () {
+    await expect(User.setSkill("u1", "cobol", 3)).rejects.toThrow("No skill: cobol");
+  });
+});
+
+/************************************** removeSkill */
+
+describe("removeSkill", function () {
+  test("works", async function () {
+    await User.setSkill("u1", "js", 3);
+    await User.removeSkill("u1", "js");
+    expect((await User.get("u1")).skills).toEqual([]);
+  });
+
+  test("not found if user doesn't have it", async function () {
+    await expect(User.removeSkill("u1", "js")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getMatches */
+
+describe("getMatches", function () {
+  beforeEach(async function () {
+    // Job1 needs js and sql; Job2 needs js, sql is a plus; Job3 needs react.
+    await db.query(`
+        INSERT INTO job_skills (job_id, skill_handle, requirement)
+        VALUES (1, 'js', 'required'), (1, 'sql', 'required'),
+               (2, 'js', 'required'), (2, 'sql', 'nice_to_have'),
+               (3, 'react', 'required')`);
+    await User.setSkill("u1", "js", 4);
+  });
+
+  test("works: weighs required skills double", async function () {
+    const matches = await User.getMatches("u1");
+    expect(matches).toEqual([
+      {
+        jobId: 2,
+        title: "Job2",
+        companyHandle: "c2",
+        score: 0.67,
+        matchedSkills: ["js"],
+        missingSkills: [],
+      },
+      {
+        jobId: 1,
+        title: "Job1",
+        companyHandle: "c1",
+        score: 0.5,
+        matchedSkills: ["js"],
+        missingSkills: ["sql"],
+      },
+    ]);
+  });
+
+  test("works: leaves out closed jobs, and limits", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 2`);
+    const matches = await User.getMatches("u1", { limit: 1 });
+    expect(matches.map(m => m.jobId)).toEqual([1]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.getMatches("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const {
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+} = require("../config");
+const { randomToken, hashToken } = require("../helpers/tokens");
+
+/** What each kind of token is for, and how many minutes it lasts. */
+const LIFETIME_MINUTES = {
+  password_reset: PASSWORD_RESET_EXPIRES_MINUTES,
+  email_verification: EMAIL_VERIFICATION_EXPIRES_HOURS * 60,
+};
+
+/** Related functions for the single-use tokens we email to users: password
+ * resets and email verification. */
+
+class UserToken {
+  /** Issue a new token of purpose for username, tied to the email address
+   * it will be sent to.
+   *
+   * Returns { token, expiresAt } -- token is only ever available here.
+   **/
+
+  static async create(username, purpose, email) {
+    if (!LIFETIME_MINUTES[purpose]) {
+      throw new BadRequestError(`Unknown token purpose: ${purpose}`);
+    }
+    const token = randomToken();
+
+    const result = await db.query(
+          `INSERT INTO user_tokens
+           (username, purpose, token_hash, email, expires_at)
+           VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 minute')
+           RETURNING expires_at AS "expiresAt"`,
+        [username, purpose, hashToken(token), email, LIFETIME_MINUTES[purpose]],
+    );
+
+    return { token, ...result.rows[0] };
+  }
+
+  /** Use up a token of purpose: => { username, email }
+   *
+   * The user's other outstanding tokens for the same purpose are used up
+   * with it, so an older emailed link can't be replayed afterwards.
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+  static async consume(token, purpose) {
+    const result = await db.query(
+          `WITH used AS (
+             UPDATE user_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND purpose = $2
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, email
+           ), others AS (
+             UPDATE user_tokens AS t
+             SET used_at = NOW()
+             FROM used
+             WHERE t.username = used.username
+               AND t.purpose = $2
+               AND t.token_hash <> $1
+               AND t.used_at IS NULL
+           )
+           SELECT username, email FROM used`,
+        [hashToken(token), purpose],
+    );
+    const found = result.rows[0];
+
+    if (!found) throw new BadRequestError("Invalid or expired token");
+
+    return found;
+  }
+}
+
+module.exports = UserToken;
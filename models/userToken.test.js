@@ -0,0 +1,84 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const UserToken = require("./userToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const created = await UserToken.create("u1", "password_reset", "u1@email.com");
+    expect(created).toEqual({
+      token: expect.any(String),
+      expiresAt: expect.any(Date),
+    });
+
+    const found = await db.query(
+        "SELECT token_hash, purpose, email FROM user_tokens WHERE username = 'u1'");
+    expect(found.rows).toEqual([{
+      token_hash: expect.any(String),
+      purpose: "password_reset",
+      email: "u1@email.com",
+    }]);
+    expect(found.rows[0].token_hash).not.toEqual(created.token);
+  });
+
+  test("bad request with unknown purpose", async function () {
+    await expect(UserToken.create("u1", "login", "u1@email.com"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works once", async function () {
+    const { token } = await UserToken.create("u1", "password_reset", "u1@email.com");
+    expect(await UserToken.consume(token, "password_reset"))
+        .toEqual({ username: "u1", email: "u1@email.com" });
+    await expect(UserToken.consume(token, "password_reset"))
+        .rejects.toThrow("Invalid or expired token");
+  });
+
+  test("uses up the user's other tokens for the same purpose", async function () {
+    const first = await UserToken.create("u1", "password_reset", "u1@email.com");
+    const second = await UserToken.create("u1", "password_reset", "u1@email.com");
+    const verification = await UserToken.create("u1", "email_verification", "u1@email.com");
+
+    await UserToken.consume(second.token, "password_reset");
+    await expect(UserToken.consume(first.token, "password_reset"))
+        .rejects.toThrow(BadRequestError);
+    expect(await UserToken.consume(verification.token, "email_verification"))
+        .toEqual({ username: "u1", email: "u1@email.com" });
+  });
+
+  test("bad request for the wrong purpose", async function () {
+    const { token } = await UserToken.create("u1", "email_verification", "u1@email.com");
+    await expect(UserToken.consume(token, "password_reset"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await UserToken.create("u1", "password_reset", "u1@email.com");
+    await db.query("UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 second'");
+    await expect(UserToken.consume(token, "password_reset"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if unknown", async function () {
+    await expect(UserToken.consume("nope", "password_reset"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,366 @@
+"use strict";
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPage, pageResult } = require("../helpers/pagination");
+const { randomToken } = require("../helpers/tokens");
+const { logger } = require("../helpers/logger");
+const { isAllowedHost, publicLookup, assertPublicUrl } = require("../helpers/publicUrl");
+const AuditLog = require("./auditLog");
+
+/** Failed deliveries are retried after RETRY_BASE_SECONDS, then twice as
+ * long each time, until MAX_ATTEMPTS have been made. */
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+
+/** How long a delivery is left to run before it's up for grabs again. */
+const DELIVERY_LEASE_SECONDS = 300;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/** Fields GET /webhooks/:id/deliveries can sort on, and their columns. */
+const PAGE_OPTIONS = {
+  sortFields: {
+    id: "id",
+  },
+  defaultSort: "-id",
+  key: "id",
+};
+
+const WEBHOOK_COLUMNS = `id, url, events, company_handle AS "companyHandle",
+                         created_by AS "createdBy", created_at AS "createdAt"`;
+
+const DELIVERY_COLUMNS = `id, event, payload, status, attempts,
+                          next_attempt_at AS "nextAttemptAt",
+                          last_status_code AS "lastStatusCode",
+                          last_error AS "lastError",
+                          created_at AS "createdAt", delivered_at AS "deliveredAt"`;
+
+/** The X-Jobly-Signature header for body sent at timestamp (seconds):
+ * "sha256=" and the hex HMAC-SHA256, keyed with the webhook's secret, of
+ * "<timestamp>.<body>". */
+
+function signature(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+/** POST body, with headers, to url, only connecting to a public address
+ * (see helpers/publicUrl.js). Redirects aren't followed.
+ *
+ * Resolves to the response's status code.
+ */
+
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const { protocol, hostname } = new URL(url);
+    const req = (protocol === "https:" ? https : http).request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: isAllowedHost(hostname) ? undefined : publicLookup,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    }, res => {
+      // Only the status matters, but the body has to be read to free the socket.
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+      res.on("error", reject);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/** POST a claimed delivery to its webhook's url.
+ *
+ * Returns { statusCode, error }: statusCode is null, and error says why, if
+ * no response came back; error is also set for a non-2xx response. Errors
+ * are kept vague (the details are logged), as deliveries are shown to the
+ * webhook's company and could otherwise be used to probe the network.
+ */
+
+async function send(delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    await assertPublicUrl(delivery.url);
+    const statusCode = await post(delivery.url, {
+      "Content-Type": "application/json",
+      "User-Agent": "Jobly-Webhooks",
+      "X-Jobly-Event": delivery.event,
+      "X-Jobly-Delivery": String(delivery.id),
+      "X-Jobly-Timestamp": String(timestamp),
+      "X-Jobly-Signature": signature(delivery.secret, timestamp, body),
+    }, body);
+    const ok = statusCode >= 200 && statusCode < 300;
+    return { statusCode, error: ok ? null : `HTTP ${statusCode}` };
+  } catch (err) {
+    if (err instanceof BadRequestError) return { statusCode: null, error: err.message };
+    logger.warn("webhook delivery failed", { deliveryId: delivery.id, err });
+    const timedOut = err.name === "TimeoutError" || err.name === "AbortError";
+    return { statusCode: null, error: timedOut ? "Timed out" : "Couldn't connect" };
+  }
+}
+
+/** Make one attempt at a claimed delivery, and record how it went: it
+ * succeeded, or is retried later, or (after MAX_ATTEMPTS, or at once if
+ * retry is false) has failed.
+ *
+ * Returns the delivery as DELIVERY_COLUMNS has it.
+ */
+
+async function attempt(delivery, { retry = true } = {}) {
+  const { statusCode, error } = await send(delivery);
+  const attempts = delivery.attempts + 1;
+  const status = !error ? "succeeded"
+      : (retry && attempts < MAX_ATTEMPTS ? "pending" : "failed");
+
+  const result = await db.query(
+        `UPDATE webhook_deliveries
+         SET status = $2,
+             attempts = $3,
+             last_status_code = $4,
+             last_error = $5,
+             delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() END,
+             next_attempt_at = NOW() + make_interval(secs => $6)
+         WHERE id = $1
+         RETURNING ${DELIVERY_COLUMNS}`,
+      [delivery.id, status, attempts, statusCode, error,
+        RETRY_BASE_SECONDS * 2 ** (attempts - 1)]);
+  return result.rows[0];
+}
+
+/** Related functions for webhooks: URLs that are POSTed each event they
+ * subscribe to, and the log of those deliveries.
+ *
+ * Events are recorded (see emit) as pending deliveries when they happen,
+ * and sent by deliverDue, run by the worker outside the request.
+ */
+
+class Webhook {
+  /** Register a webhook.
+   *
+   * data is { url, events, companyHandle }; without companyHandle it hears
+   * about every company.
+   *
+   * Returns { id, url, events, companyHandle, createdBy, createdAt, secret }
+   *   -- secret, for checking deliveries' signatures, is only ever
+   *   returned here.
+   *
+   * Throws NotFoundError if there's no such company, and BadRequestError if
+   * url isn't http or https, or is at a private address (see
+   * helpers/publicUrl.js).
+   **/
+
+  static async create({ url, events, companyHandle = null }, createdBy = null) {
+    await assertPublicUrl(url);
+    if (companyHandle !== null) {
+      const companyRes = await db.query(
+            `SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+          [companyHandle]);
+      if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+    }
+
+    const secret = randomToken();
+    const result = await db.query(
+          `INSERT INTO webhooks (url, events, company_handle, secret, created_by)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING ${WEBHOOK_COLUMNS}`,
+        [url, [...new Set(events)], companyHandle, secret, createdBy]);
+    const webhook = result.rows[0];
+
+    await AuditLog.record({
+      action: "create", entity: "webhook", entityId: webhook.id, after: webhook,
+    });
+
+    return { ...webhook, secret };
+  }
+
+  /** Find webhooks, oldest first: all of them, or, given member, those of
+   * the companies that user is a member of.
+   *
+   * Returns [{ id, url, events, companyHandle, createdBy, createdAt }, ...]
+   **/
+
+  static async findAll({ member } = {}) {
+    const result = member === undefined
+        ? await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`)
+        : await db.query(
+              `SELECT ${WEBHOOK_COLUMNS}
+               FROM webhooks
+               WHERE company_handle IN (
+                 SELECT company_handle FROM company_members WHERE username = $1)
+               ORDER BY id`,
+            [member]);
+    return result.rows;
+  }
+
+  /** Given a webhook id, return it (without its secret).
+   *
+   * Returns { id, url, events, companyHandle, createdBy, createdAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`, [id]);
+    const webhook = result.rows[0];
+
+    if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+
+    return webhook;
+  }
+
+  /** Delete a webhook, and its delivery log; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE FROM webhooks WHERE id = $1 RETURNING ${WEBHOOK_COLUMNS}`, [id]);
+    const webhook = result.rows[0];
+
+    if (!webhook) throw new NotFoundError(`No webhook: ${id}`);
+
+    await AuditLog.record({ action: "delete", entity: "webhook", entityId: id, before: webhook });
+  }
+
+  /** Record that event (one of those in schemas/webhookNew.json) happened
+   * at the company with companyHandle, for delivery to every webhook
+   * subscribed to it. data is sent as the delivery's data.
+   *
+   * Returns undefined.
+   **/
+
+  static async emit(event, companyHandle, data) {
+    await db.query(
+          `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+           SELECT id, $1, $3
+           FROM webhooks
+           WHERE $1 = ANY(events)
+             AND (company_handle IS NULL OR company_handle = $2)`,
+        [event, companyHandle, JSON.stringify(data)]);
+  }
+
+  /** Send up to limit pending deliveries that are due, oldest first.
+   *
+   * Each is claimed before it's sent, so runs overlapping (on other
+   * machines, say) don't send it twice. A failed delivery is retried, with
+   * exponential backoff, up to MAX_ATTEMPTS times.
+   *
+   * Run every minute by the worker (see tasks.js), or by deliverWebhooks.js.
+   *
+   * Returns the deliveries attempted, as getDeliveries has them.
+   **/
+
+  static async deliverDue({ limit = 100 } = {}) {
+    const claimed = await db.query(
+          `UPDATE webhook_deliveries AS d
+           SET next_attempt_at = NOW() + make_interval(secs => $2)
+           FROM webhooks AS w
+           WHERE d.id IN (
+                   SELECT id
+                   FROM webhook_deliveries
+                   WHERE status = 'pending' AND next_attempt_at <= NOW()
+                   ORDER BY next_attempt_at, id
+                   LIMIT $1
+                   FOR UPDATE SKIP LOCKED)
+             AND w.id = d.webhook_id
+           RETURNING d.id, d.event, d.payload, d.attempts, d.created_at AS "createdAt",
+                     w.url, w.secret`,
+        [limit, DELIVERY_LEASE_SECONDS]);
+
+    const delivered = [];
+    for (const delivery of claimed.rows.sort((a, b) => a.id - b.id)) {
+      delivered.push(await attempt(delivery));
+    }
+    return delivered;
+  }
+
+  /** Send a "ping" event to a webhook now, to check it's set up right. It
+   * isn't retried.
+   *
+   * Returns the delivery, as getDeliveries has it.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async sendTest(id) {
+    const result = await db.query(
+          `WITH delivery AS (
+             INSERT INTO webhook_deliveries (webhook_id, event, payload)
+             SELECT id, 'ping', json_build_object('webhookId', id)
+             FROM webhooks
+             WHERE id = $1
+             RETURNING id, webhook_id, event, payload, attempts, created_at
+           )
+           SELECT d.id, d.event, d.payload, d.attempts, d.created_at AS "createdAt",
+                  w.url, w.secret
+           FROM delivery AS d
+           JOIN webhooks AS w ON w.id = d.webhook_id`,
+        [id]);
+    const delivery = result.rows[0];
+
+    if (!delivery) throw new NotFoundError(`No webhook: ${id}`);
+
+    return await attempt(delivery, { retry: false });
+  }
+
+  /** Find a page of a webhook's deliveries, newest first (optional filter
+   * on status: pending, succeeded or failed).
+   *
+   * Paging/sorting (all optional, see helpers/pagination.js):
+   * - sort (id, or "-id", the default, for newest first)
+   * - limit, offset or cursor
+   *
+   * Returns { deliveries, total, limit, next, prev }
+   *   where deliveries is [{ id, event, payload, status, attempts,
+   *                          nextAttemptAt, lastStatusCode, lastError,
+   *                          createdAt, deliveredAt }, ...]
+   *
+   * Throws NotFoundError if there's no such webhook; deliveries is empty if
+   * none match.
+   **/
+
+  static async getDeliveries(id, searchParams = {}) {
+    await Webhook.get(id);
+
+    const whereClause = ["webhook_id = $1"];
+    const queryValues = [id];
+    if (searchParams.status !== undefined) {
+      queryValues.push(searchParams.status);
+      whereClause.push(`status = $${queryValues.length}`);
+    }
+
+    const countResult = await db.query(
+          `SELECT COUNT(*)::int AS total
+           FROM webhook_deliveries
+           WHERE ${whereClause.join(" AND ")}`,
+        queryValues);
+
+    const page = sqlForPage(searchParams, PAGE_OPTIONS, queryValues);
+    if (page.cursorWhere) whereClause.push(page.cursorWhere);
+
+    const result = await db.query(
+          `SELECT ${DELIVERY_COLUMNS}, ${page.select}
+           FROM webhook_deliveries
+           WHERE ${whereClause.join(" AND ")}
+           ${page.orderBy}
+           ${page.limitOffset}`,
+        page.values);
+
+    const { rows, ...pageInfo } = pageResult(result.rows, page, countResult.rows[0].total);
+    return { deliveries: rows, ...pageInfo };
+  }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,296 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Webhook = require("./webhook.js");
+const Company = require("./company.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const { startReceiver } = require("../helpers/_testReceiver");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+let receiver;
+
+beforeAll(commonBeforeAll);
+beforeAll(async function () {
+  receiver = await startReceiver();
+});
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  receiver.requests = [];
+  receiver.status = 200;
+});
+afterEach(commonAfterEach);
+afterAll(async function () {
+  await receiver.close();
+});
+afterAll(commonAfterAll);
+
+async function deliveries() {
+  const result = await db.query(
+      `SELECT webhook_id AS "webhookId", event, payload, status, attempts
+       FROM webhook_deliveries
+       ORDER BY id`);
+  return result.rows;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works, with a secret", async function () {
+    const webhook = await Webhook.create({
+      url: "https://example.com/hook",
+      events: ["job.created", "job.closed", "job.created"],
+      companyHandle: "c1",
+    }, "u1");
+    expect(webhook).toEqual({
+      id: expect.any(Number),
+      url: "https://example.com/hook",
+      events: ["job.created", "job.closed"],
+      companyHandle: "c1",
+      createdBy: "u1",
+      createdAt: expect.any(Date),
+      secret: expect.any(String),
+    });
+    expect(await Webhook.get(webhook.id)).not.toHaveProperty("secret");
+  });
+
+  test("works: for every company", async function () {
+    const webhook = await Webhook.create({ url: "https://example.com/hook", events: ["job.created"] });
+    expect(webhook.companyHandle).toBeNull();
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Webhook.create({ url: "https://example.com/hook", events: ["job.created"], companyHandle: "nope" }))
+        .rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request for a private address", async function () {
+    for (const url of ["http://localhost/hook", "http://169.254.169.254/", "ftp://example.com/"]) {
+      await expect(Webhook.create({ url, events: ["job.created"] })).rejects.toThrow(BadRequestError);
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: all, or those of a member's companies", async function () {
+    const w1 = await Webhook.create({ url: "https://a.com/", events: ["job.created"], companyHandle: "c1" });
+    const w2 = await Webhook.create({ url: "https://b.com/", events: ["job.created"], companyHandle: "c2" });
+    await Webhook.create({ url: "https://c.com/", events: ["job.created"] });
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c2', 'recruiter')`);
+
+    expect((await Webhook.findAll()).length).toEqual(3);
+    expect(await Webhook.findAll({ member: "u2" })).toEqual([
+      expect.objectContaining({ id: w2.id, url: "https://b.com/" }),
+    ]);
+    expect(w1.id).toBeLessThan(w2.id);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const webhook = await Webhook.create({ url: "https://a.com/", events: ["job.created"] });
+    await Webhook.remove(webhook.id);
+    await expect(Webhook.get(webhook.id)).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such webhook", async function () {
+    await expect(Webhook.remove(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** events */
+
+describe("events", function () {
+  test("works: only to webhooks for the event and company", async function () {
+    const forC1 = await Webhook.create({ url: "https://a.com/", events: ["job.created"], companyHandle: "c1" });
+    const forAll = await Webhook.create({ url: "https://b.com/", events: ["job.created", "job.closed"] });
+    await Webhook.create({ url: "https://c.com/", events: ["job.created"], companyHandle: "c2" });
+    await Webhook.create({ url: "https://d.com/", events: ["company.updated"], companyHandle: "c1" });
+
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+
+    expect((await deliveries()).map(d => [d.webhookId, d.event, d.payload.id])).toEqual([
+      [forC1.id, "job.created", job.id],
+      [forAll.id, "job.created", job.id],
+    ]);
+  });
+
+  test("works: job closed, company updated and application created", async function () {
+    const webhook = await Webhook.create({
+      url: "https://a.com/",
+      events: ["job.closed", "company.updated", "application.created"],
+      companyHandle: "c1",
+    });
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+
+    await Job.update(job.id, { title: "K" });
+    await Job.update(job.id, { status: "closed" });
+    await Company.update("c1", { name: "C1-new" });
+    await Job.update(job.id, { status: "open" });
+    await User.apply("u1", job.id, { username: "u1", isAdmin: false });
+
+    expect((await deliveries()).map(d => [d.webhookId, d.event])).toEqual([
+      [webhook.id, "job.closed"],
+      [webhook.id, "company.updated"],
+      [webhook.id, "application.created"],
+    ]);
+  });
+});
+
+/************************************** deliverDue */
+
+describe("deliverDue", function () {
+  test("works: signed, and marked succeeded", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["company.updated"], companyHandle: "c1" });
+    await Company.update("c1", { name: "C1-new" });
+
+    const [delivery] = await Webhook.deliverDue();
+    expect(delivery).toEqual(expect.objectContaining({
+      event: "company.updated",
+      status: "succeeded",
+      attempts: 1,
+      lastStatusCode: 200,
+      lastError: null,
+      deliveredAt: expect.any(Date),
+    }));
+
+    expect(receiver.requests.length).toEqual(1);
+    const { headers, raw, body } = receiver.requests[0];
+    expect(body).toEqual({
+      id: delivery.id,
+      event: "company.updated",
+      createdAt: expect.any(String),
+      data: expect.objectContaining({ handle: "c1", name: "C1-new" }),
+    });
+    expect(headers["x-jobly-event"]).toEqual("company.updated");
+    expect(headers["x-jobly-delivery"]).toEqual(String(delivery.id));
+    const expected = crypto.createHmac("sha256", webhook.secret)
+        .update(`${headers["x-jobly-timestamp"]}.${raw}`)
+        .digest("hex");
+    expect(headers["x-jobly-signature"]).toEqual(`sha256=${expected}`);
+
+    expect(await Webhook.deliverDue()).toEqual([]);
+  });
+
+  test("works: failures are retried later", async function () {
+    await Webhook.create({ url: receiver.url, events: ["company.updated"], companyHandle: "c1" });
+    await Company.update("c1", { name: "C1-new" });
+    receiver.status = 500;
+
+    const [first] = await Webhook.deliverDue();
+    expect(first).toEqual(expect.objectContaining({
+      status: "pending", attempts: 1, lastStatusCode: 500, lastError: "HTTP 500",
+    }));
+    expect(await Webhook.deliverDue()).toEqual([]);
+
+    await db.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second'`);
+    receiver.status = 200;
+    const [second] = await Webhook.deliverDue();
+    expect(second).toEqual(expect.objectContaining({ status: "succeeded", attempts: 2 }));
+  });
+
+  test("works: failed after the last attempt", async function () {
+    await Webhook.create({ url: receiver.url, events: ["company.updated"], companyHandle: "c1" });
+    await Company.update("c1", { name: "C1-new" });
+    await db.query(`UPDATE webhook_deliveries SET attempts = 5`);
+    receiver.status = 500;
+
+    const [delivery] = await Webhook.deliverDue();
+    expect(delivery).toEqual(expect.objectContaining({ status: "failed", attempts: 6 }));
+  });
+
+  test("works: no response", async function () {
+    await Webhook.create({ url: "http://127.0.0.1:1/", events: ["company.updated"], companyHandle: "c1" });
+    await Company.update("c1", { name: "C1-new" });
+
+    const [delivery] = await Webhook.deliverDue();
+    expect(delivery).toEqual(expect.objectContaining({
+      status: "pending", lastStatusCode: null, lastError: "Couldn't connect",
+    }));
+  });
+
+  test("fails for a private address, without sending", async function () {
+    // As if the webhook's host had moved to a private address since.
+    await db.query(
+        `INSERT INTO webhooks (url, events, company_handle, secret)
+         VALUES ($1, '{company.updated}', 'c1', 'secret')`,
+        [receiver.url.replace("127.0.0.1", "localhost")]);
+    await Company.update("c1", { name: "C1-new" });
+
+    const [delivery] = await Webhook.deliverDue();
+    expect(delivery).toEqual(expect.objectContaining({
+      status: "pending", lastStatusCode: null, lastError: "url must be a public address",
+    }));
+    expect(receiver.requests).toEqual([]);
+  });
+});
+
+/************************************** sendTest */
+
+describe("sendTest", function () {
+  test("works", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"] });
+    const delivery = await Webhook.sendTest(webhook.id);
+    expect(delivery).toEqual(expect.objectContaining({
+      event: "ping",
+      payload: { webhookId: webhook.id },
+      status: "succeeded",
+    }));
+    expect(receiver.requests[0].body.event).toEqual("ping");
+  });
+
+  test("works: not retried", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"] });
+    receiver.status = 404;
+    const delivery = await Webhook.sendTest(webhook.id);
+    expect(delivery).toEqual(expect.objectContaining({ status: "failed", lastStatusCode: 404 }));
+  });
+
+  test("not found if no such webhook", async function () {
+    await expect(Webhook.sendTest(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getDeliveries */
+
+describe("getDeliveries", function () {
+  test("works: newest first, filtering on status", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["company.updated"], companyHandle: "c1" });
+    await Webhook.sendTest(webhook.id);
+    await Company.update("c1", { name: "C1-new" });
+
+    const { deliveries, total } = await Webhook.getDeliveries(webhook.id);
+    expect(total).toEqual(2);
+    expect(deliveries.map(d => [d.event, d.status])).toEqual([
+      ["company.updated", "pending"],
+      ["ping", "succeeded"],
+    ]);
+
+    const pending = await Webhook.getDeliveries(webhook.id, { status: "pending" });
+    expect(pending.deliveries.map(d => d.event)).toEqual(["company.updated"]);
+  });
+
+  test("works: empty if none", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"] });
+    expect(await Webhook.getDeliveries(webhook.id)).toEqual({
+      deliveries: [], total: 0, limit: expect.any(Number), next: null, prev: null,
+    });
+  });
+
+  test("not found if no such webhook", async function () {
+    await expect(Webhook.getDeliveries(0)).rejects.toThrow(NotFoundError);
+  });
+});
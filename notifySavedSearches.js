@@ -0,0 +1,25 @@
+"use strict";
+
+/** Tell users about new jobs matching their saved searches.
+ *
+ * The worker does this daily (see tasks.js); to run it now:
+ *
+ *   npm run searches:notify
+ */
+
+const db = require("./db");
+const SavedSearch = require("./models/savedSearch");
+const { logger } = require("./helpers/logger");
+
+SavedSearch.notifyNewMatches()
+    .then(notified => {
+      logger.info("notified saved search matches", {
+        searches: notified.length,
+        jobs: notified.reduce((n, search) => n + search.jobIds.length, 0),
+      });
+    })
+    .catch(err => {
+      logger.error("notifying saved search matches failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,29 @@
+"use strict";
+
+/** Remove companies, jobs and users deleted more than DELETED_RETENTION_DAYS
+ * ago for good. Until then admins can restore them.
+ *
+ * The worker does this daily (see tasks.js); to run it now:
+ *
+ *   npm run deleted:purge
+ */
+
+const db = require("./db");
+const { purgeDeleted } = require("./tasks");
+const { DELETED_RETENTION_DAYS } = require("./config");
+const { logger } = require("./helpers/logger");
+
+purgeDeleted()
+    .then(({ handles, jobIds, usernames }) => {
+      logger.info("purged deleted records", {
+        days: DELETED_RETENTION_DAYS,
+        companies: handles.length,
+        jobs: jobIds.length,
+        users: usernames.length,
+      });
+    })
+    .catch(err => {
+      logger.error("purging deleted records failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
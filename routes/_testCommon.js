@@ -3,13 +3,17 @@
 const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
+const Skill = require("../models/skill");
 const { createToken } = require("../helpers/tokens");
+const { MemoryStore, setStore } = require("../helpers/rateLimit");
 
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
 
   await Company.create(
       {
@@ -36,6 +40,10 @@ async function commonBeforeAll() {
         logoUrl: "http://c3.img",
       });
 
+  await Skill.create({ handle: "js", name: "JavaScript", category: "language" });
+  await Skill.create({ handle: "sql", name: "SQL", category: "language" });
+  await Skill.create({ handle: "react", name: "React" });
+
   await User.register({
     username: "u1",
     firstName: "U1F",
@@ -60,10 +68,16 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
+
+  // Start with none of the setup above in the audit log.
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM audit_log");
 }
 
 async function commonBeforeEach() {
   await db.query("BEGIN");
+  // Each test starts with no requests counted against the rate limits.
+  setStore(new MemoryStore());
 }
 
 async function commonAfterEach() {
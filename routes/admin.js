@@ -0,0 +1,233 @@
+"use strict";
+
+/** Routes for admins. */
+
+const express = require("express");
+
+const { ensureLoggedIn, authenticateJWT, ensureAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const AuditLog = require("../models/auditLog");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const User = require("../models/user");
+const Task = require("../models/task");
+const { pageLinks } = require("../helpers/pagination");
+
+const auditQuerySchema = require("../schemas/auditQuery.json");
+const jobIdParamsSchema = require("../schemas/jobIdParams.json");
+const taskQuerySchema = require("../schemas/taskQuery.json");
+const taskIdParamsSchema = require("../schemas/taskIdParams.json");
+
+const router = new express.Router();
+
+
+/** GET /audit  =>
+ *   { entries: [ { id, actor, action, entity, entityId, before, after,
+ *                  requestId, createdAt }, ...], total, next, prev }
+ *
+ * The audit log, newest first: every change made through the models, who
+ * made it (actor is null for scripts), and the fields it changed.
+ *
+ * Can filter on:
+ * - actor (a username)
+ * - entity (company, job, user, skill, application, savedSearch, webhook,
+ *   apiKey) and entityId
+ * - from, to: date-times; changes made at or after from, and before to
+ *
+ * Can page and sort with:
+ * - sort (id; "-id", the default, for newest first)
+ * - limit, and either offset or cursor
+ *
+ * Authorization required: admin
+ */
+
+router.get("/audit", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ query: auditQuerySchema }), async function (req, res, next) {
+  try {
+    const { actor, entity, entityId, from, to, sort, limit, offset, cursor } = req.query;
+    const { entries, ...page } = await AuditLog.findAll({
+      actor, entity, entityId, from, to, sort, limit, offset, cursor,
+    });
+    return res.json({ entries, ...pageLinks(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /deleted/companies  =>
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl,
+ *                    deletedAt }, ...] }
+ *
+ * Deleted companies not yet purged, most recently deleted first.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/deleted/companies", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    async function (req, res, next) {
+  try {
+    const companies = await Company.findDeleted();
+    return res.json({ companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /deleted/companies/[handle]/restore  =>  { company }
+ *
+ * Undeletes a company, with the jobs deleted along with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl, jobIds }
+ *   where jobIds are the jobs restored
+ *
+ * Authorization required: admin
+ */
+
+router.post("/deleted/companies/:handle/restore", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    async function (req, res, next) {
+  try {
+    const company = await Company.restore(req.params.handle);
+    return res.json({ company });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /deleted/jobs  =>
+ *   { jobs: [ { id, title, companyHandle, status, deletedAt }, ...] }
+ *
+ * Deleted jobs not yet purged, most recently deleted first.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/deleted/jobs", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    async function (req, res, next) {
+  try {
+    const jobs = await Job.findDeleted();
+    return res.json({ jobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /deleted/jobs/[id]/restore  =>  { job }
+ *
+ * Undeletes a job. A job deleted with its company comes back with the
+ * company instead.
+ *
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, postedAt, expiresAt, workMode, locations,
+ *           skills }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/deleted/jobs/:id/restore", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ params: jobIdParamsSchema }), async function (req, res, next) {
+  try {
+    const job = await Job.restore(req.params.id);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /deleted/users  =>
+ *   { users: [ { username, firstName, lastName, email, isAdmin, deletedAt }, ...] }
+ *
+ * Deleted users not yet purged, most recently deleted first.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/deleted/users", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    async function (req, res, next) {
+  try {
+    const users = await User.findDeleted();
+    return res.json({ users });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /deleted/users/[username]/restore  =>  { user }
+ *
+ * Undeletes a user; they have to log in again.
+ *
+ * Returns { username, firstName, lastName, email, isAdmin }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/deleted/users/:username/restore", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    async function (req, res, next) {
+  try {
+    const user = await User.restore(req.params.username);
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /tasks  =>
+ *   { tasks: [ { id, name, payload, status, attempts, maxAttempts, runAt,
+ *                lockedBy, lockedUntil, lastError, result, createdAt,
+ *                startedAt, finishedAt }, ...], total, next, prev }
+ *
+ * The background task queue (see worker.js), newest first. Can filter on
+ * status (queued, running, succeeded or failed) and name, and page and sort
+ * with sort (id or runAt), limit, and either offset or cursor.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/tasks", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ query: taskQuerySchema }), async function (req, res, next) {
+  try {
+    const { status, name, sort, limit, offset, cursor } = req.query;
+    const { tasks, ...page } = await Task.findAll({ status, name, sort, limit, offset, cursor });
+    return res.json({ tasks, ...pageLinks(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /tasks/[id]  =>  { task }
+ *
+ * Returns a task as in GET /tasks.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/tasks/:id", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ params: taskIdParamsSchema }), async function (req, res, next) {
+  try {
+    const task = await Task.get(req.params.id);
+    return res.json({ task });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /tasks/[id]/retry  =>  { task }
+ *
+ * Queues a failed task to run again now, with a fresh set of attempts.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/tasks/:id/retry", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ params: taskIdParamsSchema }), async function (req, res, next) {
+  try {
+    const task = await Task.retry(req.params.id);
+    return res.json({ task });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
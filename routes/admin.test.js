@@ -0,0 +1,398 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+const Job = require("../models/job");
+const Task = require("../models/task");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("works: records who changed what, in which request", async function () {
+    const patchResp = await request(app)
+        .patch("/companies/c1")
+        .set("if-match", '"1"')
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(patchResp.statusCode).toEqual(200);
+
+    const resp = await request(app)
+        .get("/admin/audit?entity=company&entityId=c1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      entries: [{
+        id: expect.any(Number),
+        actor: "u1",
+        action: "update",
+        entity: "company",
+        entityId: "c1",
+        before: { name: "C1" },
+        after: { name: "C1-new" },
+        requestId: patchResp.headers["x-request-id"],
+        createdAt: expect.any(String),
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("works: filtering on actor and dates", async function () {
+    await request(app)
+        .post("/skills")
+        .send({ handle: "go", name: "Go" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/admin/audit?actor=u1&from=2000-01-01T00:00:00Z")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.entries.map(e => [e.entity, e.entityId])).toEqual([["skill", "go"]]);
+
+    const beforeResp = await request(app)
+        .get("/admin/audit?actor=u1&to=2000-01-01T00:00:00Z")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(beforeResp.statusCode).toEqual(200);
+    expect(beforeResp.body).toEqual(expect.objectContaining({ entries: [], total: 0 }));
+  });
+
+  test("bad request on invalid date", async function () {
+    const resp = await request(app)
+        .get("/admin/audit?from=yesterday")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields[0].path).toEqual("query.from");
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** deleted companies */
+
+describe("GET /admin/deleted/companies", function () {
+  test("works", async function () {
+    await request(app)
+        .delete("/companies/c1")
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/admin/deleted/companies")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      companies: [{
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+        deletedAt: expect.any(String),
+      }],
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/deleted/companies")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /admin/deleted/companies/:handle/restore", function () {
+  test("works: with its jobs", async function () {
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+    await request(app)
+        .delete("/companies/c1")
+        .set("authorization", `Bearer ${u1Token}`);
+    const goneResp = await request(app).get(`/jobs/${job.id}`);
+    expect(goneResp.statusCode).toEqual(404);
+
+    const resp = await request(app)
+        .post("/admin/deleted/companies/c1/restore")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company).toEqual(expect.objectContaining({ handle: "c1", jobIds: [job.id] }));
+
+    const jobResp = await request(app).get(`/jobs/${job.id}`);
+    expect(jobResp.statusCode).toEqual(200);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post("/admin/deleted/companies/c1/restore")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/deleted/companies/c1/restore")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** deleted jobs */
+
+describe("GET /admin/deleted/jobs", function () {
+  test("works", async function () {
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+    await Job.remove(job.id);
+
+    const resp = await request(app)
+        .get("/admin/deleted/jobs")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      jobs: [{
+        id: job.id,
+        title: "J",
+        companyHandle: "c1",
+        status: "open",
+        deletedAt: expect.any(String),
+      }],
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/deleted/jobs")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /admin/deleted/jobs/:id/restore", function () {
+  test("works", async function () {
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+    await Job.remove(job.id);
+
+    const resp = await request(app)
+        .post(`/admin/deleted/jobs/${job.id}/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job).toEqual(expect.objectContaining({ id: job.id, title: "J" }));
+  });
+
+  test("bad request if its company is deleted", async function () {
+    const job = await Job.create({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" });
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [job.id]);
+
+    const resp = await request(app)
+        .post(`/admin/deleted/jobs/${job.id}/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid id", async function () {
+    const resp = await request(app)
+        .post("/admin/deleted/jobs/nope/restore")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** deleted users */
+
+describe("GET /admin/deleted/users", function () {
+  test("works", async function () {
+    await request(app)
+        .delete("/users/u3")
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/admin/deleted/users")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      users: [{
+        username: "u3",
+        firstName: "U3F",
+        lastName: "U3L",
+        email: "user3@user.com",
+        isAdmin: false,
+        roles: [],
+        permissions: [],
+        deletedAt: expect.any(String),
+      }],
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/deleted/users");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /admin/deleted/users/:username/restore", function () {
+  test("works", async function () {
+    await request(app)
+        .delete("/users/u3")
+        .set("authorization", `Bearer ${u1Token}`);
+    const goneResp = await request(app)
+        .get("/users/u3")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(goneResp.statusCode).toEqual(404);
+
+    const resp = await request(app)
+        .post("/admin/deleted/users/u3/restore")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u3",
+        firstName: "U3F",
+        lastName: "U3L",
+        email: "user3@user.com",
+        isAdmin: false,
+        roles: [],
+        permissions: [],
+      },
+    });
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post("/admin/deleted/users/u3/restore")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/deleted/users/u3/restore")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** tasks */
+
+describe("GET /admin/tasks", function () {
+  test("works, filtering on status", async function () {
+    await Task.enqueue("mail.send", { to: "a@example.com" });
+    await Task.enqueue("nope");
+    await Task.runNext({ "mail.send": async () => null }, "w1");
+    await Task.runNext({}, "w1");
+
+    const resp = await request(app)
+        .get("/admin/tasks?status=failed")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      tasks: [{
+        id: expect.any(Number),
+        name: "nope",
+        payload: {},
+        status: "failed",
+        attempts: 1,
+        maxAttempts: 5,
+        runAt: expect.any(String),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: "No handler for task: nope",
+        result: null,
+        createdAt: expect.any(String),
+        startedAt: expect.any(String),
+        finishedAt: expect.any(String),
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("works: empty if none match", async function () {
+    const resp = await request(app)
+        .get("/admin/tasks?status=failed")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(expect.objectContaining({ tasks: [], total: 0 }));
+  });
+
+  test("bad request on unknown status", async function () {
+    const resp = await request(app)
+        .get("/admin/tasks?status=lost")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/tasks")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /admin/tasks/:id", function () {
+  test("works", async function () {
+    const task = await Task.enqueue("mail.send", { to: "a@example.com" });
+    const resp = await request(app)
+        .get(`/admin/tasks/${task.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.task).toEqual(expect.objectContaining({
+      id: task.id, name: "mail.send", status: "queued",
+    }));
+  });
+
+  test("not found if no such task", async function () {
+    const resp = await request(app)
+        .get("/admin/tasks/999999")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /admin/tasks/:id/retry", function () {
+  test("works", async function () {
+    const task = await Task.enqueue("nope");
+    await Task.runNext({}, "w1");
+
+    const resp = await request(app)
+        .post(`/admin/tasks/${task.id}/retry`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.task).toEqual(expect.objectContaining({ status: "queued", attempts: 0 }));
+  });
+
+  test("bad request if it hasn't failed", async function () {
+    const task = await Task.enqueue("mail.send", { to: "a@example.com" });
+    const resp = await request(app)
+        .post(`/admin/tasks/${task.id}/retry`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/tasks/1/retry")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -2,89 +2,273 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const UserToken = require("../models/userToken");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { ensureLoggedIn, authenticateJWT } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { checkLockout, recordLoginFailure, clearLoginFailures } = require("../helpers/rateLimit");
+const {
+  APP_URL,
+  RATE_LIMIT_WINDOW_SECONDS,
+  AUTH_RATE_LIMIT_PER_IP,
+  AUTH_RATE_LIMIT_PER_USERNAME,
+} = require("../config");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerificationSchema = require("../schemas/emailVerification.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+// Every auth route is limited per client IP, and logins per username too,
+// on top of the app-wide limit.
+router.use(rateLimit({
+  name: "auth-ip", limit: AUTH_RATE_LIMIT_PER_IP, windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+}));
+const usernameRateLimit = rateLimit({
+  name: "auth-username",
+  limit: AUTH_RATE_LIMIT_PER_USERNAME,
+  windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+  key: req => req.body && typeof req.body.username === "string" ? req.body.username : null,
+});
+
+/** Check username/password, for logins: like User.authenticate, but a
+ * username is locked out for a while after too many failures (see
+ * helpers/rateLimit.js). */
+
+async function authenticate(username, password) {
+  await checkLockout(username);
+  let user;
+  try {
+    user = await User.authenticate(username, password);
+  } catch (err) {
+    if (err instanceof UnauthorizedError) await recordLoginFailure(username);
+    throw err;
+  }
+  await clearLoginFailures(username);
+  return user;
+}
+
+/** Start a new session for user: => { token, refreshToken } */
+
+async function issueTokens(user) {
+  const refreshToken = await RefreshToken.create(user.username);
+  const token = createToken(user, refreshToken.id);
+  return { token, refreshToken: refreshToken.token };
+}
+
+/** Email user { username, firstName, email } a link to verify their address. */
+
+async function sendVerificationEmail(user) {
+  const { token } = await UserToken.create(user.username, "email_verification", user.email);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Jobly email address",
+    text: `Hi ${user.firstName},\n\n`
+        + `Confirm this is your email address by opening:\n\n`
+        + `${APP_URL}/verify-email?token=${token}\n`,
+  });
+}
+
+/** Email user { username, firstName, email } a link to reset their password. */
+
+async function sendPasswordResetEmail(user) {
+  const { token } = await UserToken.create(user.username, "password_reset", user.email);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Jobly password",
+    text: `Hi ${user.firstName},\n\n`
+        + `Someone asked to reset the password for Jobly user ${user.username}. `
+        + `To choose a new password, open:\n\n`
+        + `${APP_URL}/reset-password?token=${token}\n\n`
+        + `If that wasn't you, you can ignore this email.\n`,
+  });
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token for getting new ones from /auth/refresh.
+ *
+ * Too many attempts from one IP or for one username get 429, with
+ * Retry-After; so do all attempts for a while after too many failures.
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", usernameRateLimit, validate({ body: userAuthSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const user = await authenticate(username, password);
+    const tokens = await issueTokens(user);
+    return res.json(tokens);
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token. Also emails the user a link to verify their address
+ * (see POST /auth/verify-email).
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
+router.post("/register", validate({ body: userRegisterSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    await sendVerificationEmail(newUser);
+    const tokens = await issueTokens(newUser);
+    return res.status(201).json(tokens);
   } catch (err) {
     return next(err);
   }
 });
 
-/** POST /auth/login:  { username, password } => { token }
+/** POST /auth/login:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token. Limited as POST /auth/token is.
  *
  * Authorization required: none
  */
 
-router.post("/login", async function (req, res, next) {
+router.post("/login", usernameRateLimit, validate({ body: userAuthSchema }), async function (req, res, next) {
   try {
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
+    const user = await authenticate(username, password);
+    const tokens = await issueTokens(user);
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/refresh:  { refreshToken } => { token }
+ *
+ * Returns a new access token for the refresh token's session. The token
+ * reflects the user's current isAdmin and permissions.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
 
-    // Log the token payload to the terminal
-    console.log('Token payload:', user);
-    
+router.post("/refresh", validate({ body: refreshTokenSchema }), async function (req, res, next) {
+  try {
+    const session = await RefreshToken.verify(req.body.refreshToken);
+    const user = await User.get(session.username);
+    const token = createToken(user, session.id);
     return res.json({ token });
   } catch (err) {
     return next(err);
   }
 });
 
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token; access tokens issued under it stop working
+ * immediately.
+ *
+ * Authorization required: none (the refresh token is the credential)
+ */
+
+router.post("/logout", validate({ body: refreshTokenSchema }), async function (req, res, next) {
+  try {
+    await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/verify-email:  { token } => { verified: true }
+ *
+ * token is from the link emailed on registration. Each token works once.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+
+router.post("/verify-email", validate({ body: emailVerificationSchema }), async function (req, res, next) {
+  try {
+    const { username, email } = await UserToken.consume(req.body.token, "email_verification");
+    await User.verifyEmail(username, email);
+    return res.json({ verified: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/verify-email/resend:  => { sent: true }
+ *
+ * Emails the logged-in user a new verification link.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, authenticateJWT, async function (req, res, next) {
+  try {
+    const user = await User.get(res.locals.user.username);
+    if (user.emailVerified) throw new BadRequestError("Email already verified");
 
+    await sendVerificationEmail(user);
+    return res.json({ sent: true });
+  } catch (err) {
+    return next(err);
+  }
+});
 
+/** POST /auth/password-reset/request:  { email } => { requested: true }
+ *
+ * Emails a password reset link to each user with that address. The response
+ * is the same whether or not any user has it, so this can't be used to find
+ * out who is registered.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", validate({ body: passwordResetRequestSchema }),
+    async function (req, res, next) {
+  try {
+    const users = await User.findByEmail(req.body.email);
+    for (const user of users) {
+      await sendPasswordResetEmail(user);
+    }
+    return res.json({ requested: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/password-reset/confirm:  { token, password } => { reset: true }
+ *
+ * token is from the emailed reset link; it works once and expires after
+ * PASSWORD_RESET_EXPIRES_MINUTES. Setting the password logs the user out of
+ * every session.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+
+router.post("/password-reset/confirm", validate({ body: passwordResetConfirmSchema }),
+    async function (req, res, next) {
+  try {
+    const { username } = await UserToken.consume(req.body.token, "password_reset");
+    await User.update(username, { password: req.body.password });
+    return res.json({ reset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
 
 module.exports = router;
@@ -2,13 +2,20 @@
 
 const request = require("supertest");
 
+const db = require("../db");
 const app = require("../app");
+const {
+  LOCKOUT_MAX_FAILURES,
+  AUTH_RATE_LIMIT_PER_IP,
+  AUTH_RATE_LIMIT_PER_USERNAME,
+} = require("../config");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u2Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -16,6 +23,18 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** The token from the link in the latest email queued to address. */
+
+async function tokenMailedTo(address) {
+  const result = await db.query(
+      `SELECT payload->>'text' AS body FROM tasks
+       WHERE name = 'mail.send' AND payload->>'to' = $1
+       ORDER BY id DESC
+       LIMIT 1`,
+      [address]);
+  return result.rows[0].body.match(/token=([\w-]+)/)[1];
+}
+
 /************************************** POST /auth/token */
 
 describe("POST /auth/token", function () {
@@ -28,6 +47,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -71,6 +91,84 @@ describe("POST /auth/token", function () {
   });
 });
 
+/************************************** POST /auth/login */
+
+describe("POST /auth/login", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/login")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+  });
+
+  test("bad request with missing data", async function () {
+    for (const body of [{ username: "u1" }, { password: "password1" }, {}]) {
+      const resp = await request(app).post("/auth/login").send(body);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** rate limits and lockout */
+
+describe("rate limits and lockout", function () {
+  async function logIn(password, username = "u1") {
+    return await request(app)
+        .post("/auth/token")
+        .send({ username, password });
+  }
+
+  test("locked out after repeated failures, even with the right password", async function () {
+    for (let i = 0; i < LOCKOUT_MAX_FAILURES; i++) {
+      expect((await logIn("nope")).statusCode).toEqual(401);
+    }
+
+    const resp = await logIn("password1");
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.error.code).toEqual("locked_out");
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(0);
+
+    const otherResp = await logIn("password2", "u2");
+    expect(otherResp.statusCode).toEqual(200);
+  });
+
+  test("a good login starts the count of failures again", async function () {
+    for (let i = 0; i < LOCKOUT_MAX_FAILURES - 1; i++) await logIn("nope");
+    expect((await logIn("password1")).statusCode).toEqual(200);
+    expect((await logIn("nope")).statusCode).toEqual(401);
+    expect((await logIn("password1")).statusCode).toEqual(200);
+  });
+
+  test("limited per username", async function () {
+    for (let i = 0; i < AUTH_RATE_LIMIT_PER_USERNAME; i++) {
+      expect((await logIn("password1")).statusCode).toEqual(200);
+    }
+    const resp = await logIn("password1");
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.error.code).toEqual("too_many_requests");
+    expect(resp.headers["retry-after"]).toEqual(expect.any(String));
+  });
+
+  test("limited per IP, across auth routes", async function () {
+    for (let i = 0; i < AUTH_RATE_LIMIT_PER_IP; i++) {
+      await request(app)
+          .post("/auth/password-reset/request")
+          .send({ email: "nobody@user.com" });
+    }
+    const resp = await logIn("password1", "u2");
+    expect(resp.statusCode).toEqual(429);
+
+    const otherRoute = await request(app).get("/companies");
+    expect(otherRoute.statusCode).toEqual(200);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -87,7 +185,16 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
+
+    const mail = await db.query(
+        `SELECT payload->>'subject' AS subject, payload->>'text' AS body FROM tasks
+         WHERE name = 'mail.send' AND payload->>'to' = 'new@email.com'`);
+    expect(mail.rows).toEqual([{
+      subject: "Verify your Jobly email address",
+      body: expect.stringContaining("/verify-email?token="),
+    }]);
   });
 
   test("bad request with missing fields", async function () {
@@ -112,3 +219,219 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  test("works", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: loginResp.body.refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ token: expect.any(String) });
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("unauth with unknown refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: revokes refresh and access tokens", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { token, refreshToken } = loginResp.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  beforeEach(async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+  });
+
+  test("works once", async function () {
+    const token = await tokenMailedTo("new@email.com");
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(resp.body).toEqual({ verified: true });
+
+    const found = await db.query(
+        "SELECT email_verified_at FROM users WHERE username = 'new'");
+    expect(found.rows[0].email_verified_at).toEqual(expect.any(Date));
+
+    const again = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(again.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ sent: true });
+
+    const token = await tokenMailedTo("user2@user.com");
+    const verifyResp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(verifyResp.body).toEqual({ verified: true });
+  });
+
+  test("bad request if already verified", async function () {
+    await db.query("UPDATE users SET email_verified_at = NOW() WHERE username = 'u2'");
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  test("works: request then confirm", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user2@user.com" });
+    expect(resp.body).toEqual({ requested: true });
+
+    const token = await tokenMailedTo("user2@user.com");
+    const confirmResp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+    expect(confirmResp.body).toEqual({ reset: true });
+
+    const oldLogin = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(oldLogin.statusCode).toEqual(401);
+    const newLogin = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "newpassword" });
+    expect(newLogin.statusCode).toEqual(200);
+  });
+
+  test("reset tokens work once", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user2@user.com" });
+    const token = await tokenMailedTo("user2@user.com");
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "another" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("expired reset tokens don't work", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user2@user.com" });
+    const token = await tokenMailedTo("user2@user.com");
+    await db.query("UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 second'");
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("same response for an unknown email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nobody@user.com" });
+    expect(resp.body).toEqual({ requested: true });
+
+    const mail = await db.query("SELECT id FROM tasks WHERE name = 'mail.send'");
+    expect(mail.rows).toEqual([]);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "x", password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -2,15 +2,26 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, authenticateJWT, ensureAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  authenticateJWT,
+  requirePermission,
+  ensureCompanyMemberOrAdmin,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { setETag, requireIfMatch } = require("../middleware/conditional");
 const Company = require("../models/company");
+const { pageLinks } = require("../helpers/pagination");
+const { csvBody, importRows } = require("../helpers/import");
+const { exportFormat, sendExport } = require("../helpers/export");
 
 const companyNewSchema = require("../schemas/companyNew.json");
+const companyQuerySchema = require("../schemas/companyQuery.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
+const importQuerySchema = require("../schemas/importQuery.json");
 
 const router = new express.Router();
 
@@ -21,17 +32,12 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission
  */
 
-router.post("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, authenticateJWT, requirePermission("companies:write"),
+    validate({ body: companyNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.create(req.body);
     return res.status(201).json({ company });
   } catch (err) {
@@ -39,36 +45,60 @@ router.post("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (r
   }
 });
 
+/** POST /import [rows] => { import }
+ *
+ * Bulk-creates companies from a JSON array of company objects, or CSV
+ * (Content-Type: text/csv) whose header row names the fields. Each row is
+ * checked like POST /companies; a row whose handle is taken updates that
+ * company instead. Nothing is written unless every row is good; with
+ * ?dryRun=true nothing is written either way.
+ *
+ * Returns { import: { dryRun, committed, created, updated, rejected, rows } }
+ *   where rows is [{ row, result, handle, errors }, ...], result being
+ *   "created", "updated" or "rejected" (with errors saying why)
+ *
+ * Authorization required: companies:write permission
+ */
+
+router.post("/import", ensureLoggedIn, authenticateJWT, requirePermission("companies:write"),
+    csvBody,
+    validate({ query: importQuerySchema }), async function (req, res, next) {
+  try {
+    const rows = importRows(req, companyNewSchema);
+    const report = await Company.import(rows, { dryRun: req.query.dryRun });
+    return res.json({ import: report });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, next, prev }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
+ * - match ("fulltext" matches name with the same full-text search as
+ *   GET /search instead)
+ *
+ * Can page and sort with:
+ * - sort (handle, name, numEmployees; "-numEmployees" for descending)
+ * - limit, and either offset or cursor
+ *
+ * total is the number of matching companies; next and prev are links to the
+ * neighbouring pages, or null.
+ *
+ * With ?format=csv or ?format=ndjson (or an Accept header asking for
+ * text/csv or application/x-ndjson), sends every matching company, sorted
+ * but not paged, as a download instead; see helpers/export.js.
  *
  * Authorization required: none
  */
 
-function validateQuery(query) {
-  const allowedFields = new Set(['name', 'minEmployees', 'maxEmployees']);
-  const queryFields = Object.keys(query);
-
-  for (const field of queryFields) {
-    if (!allowedFields.has(field)) {
-      return false;
-    }
-  }
-  console.log("FILTERS VALDIATED")
-  return true;
-}
-
-router.get('/', async function (req, res, next) {
+router.get('/', validate({ query: companyQuerySchema }), async function (req, res, next) {
   try { 
-    if (!validateQuery(req.query)) {
-      return res.status(400).json({ error: 'Invalid query parameters' });
-    }
-
     const filters = {
       name: req.query.name || null,
       minEmployees: req.query.minEmployees || null,
@@ -92,18 +122,33 @@ router.get('/', async function (req, res, next) {
       whereClauses.push(`num_employees <= $${params.length + 1}`);
       params.push(filters.maxEmployees);
     }
-    console.log("FILTERS: ", filters)
     const whereStr = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
     const queryStr = `SELECT * FROM companies ${whereStr}`;
 
+    const format = exportFormat(req);
+    if (format) {
+      return await sendExport(res, format, "companies", Company.exportQuery({
+        name: filters.name,
+        match: req.query.match,
+        minEmployees: filters.minEmployees,
+        maxEmployees: filters.maxEmployees,
+        sort: req.query.sort,
+      }));
+    }
+
     // Execute the query using your preferred database library.
-    const companies = await Company.findAll({
+    const { companies, ...page } = await Company.findAll({
       name: filters.name,
+      match: req.query.match,
       minEmployees: filters.minEmployees,
       maxEmployees: filters.maxEmployees,
+      sort: req.query.sort,
+      limit: req.query.limit,
+      offset: req.query.offset,
+      cursor: req.query.cursor,
     });
 
-    return res.json({ companies });
+    return res.json({ companies, ...pageLinks(req, page) });
 
   } catch (err) {
     return next(err);
@@ -113,15 +158,16 @@ router.get('/', async function (req, res, next) {
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+ *                    equity }, ...]
  *
  * Authorization required: none
  */
 
 router.get("/:handle", async function (req, res, next) {
   try {
-    const company = await Company.get(req.params.handle);
-    console.log(company)
+    const { version, ...company } = await Company.get(req.params.handle);
+    setETag(res, version);
     return res.json({ company });
 
   } catch (err) {
@@ -137,18 +183,21 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login
+ * Needs an If-Match header with the company's ETag (from GET); 412 if it has
+ * changed since. The response has the new ETag.
+ *
+ * Authorization required: admin, member of the company, or companies:write
+ * permission
  */
 
-router.patch("/:handle", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureLoggedIn, authenticateJWT,
+    ensureCompanyMemberOrAdmin(req => req.params.handle, "companies:write"),
+    validate({ body: companyUpdateSchema }),
+    requireIfMatch, async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const company = await Company.update(req.params.handle, req.body);
+    const { version, ...company } = await Company.update(
+        req.params.handle, req.body, { versions: res.locals.ifMatch });
+    setETag(res, version);
     return res.json({ company });
   } catch (err) {
     return next(err);
@@ -157,10 +206,14 @@ router.patch("/:handle", ensureLoggedIn, authenticateJWT, ensureAdmin, async fun
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login
+ * Deletes the company and its jobs; admins can restore them (see
+ * routes/admin.js) until they're purged.
+ *
+ * Authorization required: companies:write permission
  */
 
-router.delete("/:handle", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", ensureLoggedIn, authenticateJWT, requirePermission("companies:write"),
+    async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -169,4 +222,54 @@ router.delete("/:handle", ensureLoggedIn, authenticateJWT, ensureAdmin, async fu
   }
 });
 
+/** GET /[handle]/members  =>  { members: [ { username, firstName, lastName, email, role }, ...] }
+ *
+ * Authorization required: admin, member of the company, or companies:write
+ * permission
+ */
+
+router.get("/:handle/members", ensureLoggedIn, authenticateJWT,
+    ensureCompanyMemberOrAdmin(req => req.params.handle, "companies:write"), async function (req, res, next) {
+  try {
+    const members = await Company.getMembers(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username, role }  =>  { member }
+ *
+ * Makes a user an owner or recruiter of the company (or changes their role).
+ *
+ * Returns { username, companyHandle, role }
+ *
+ * Authorization required: companies:write permission
+ */
+
+router.post("/:handle/members", ensureLoggedIn, authenticateJWT, requirePermission("companies:write"),
+    validate({ body: companyMemberNewSchema }), async function (req, res, next) {
+  try {
+    const member = await Company.addMember(req.params.handle, req.body.username, req.body.role);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: companies:write permission
+ */
+
+router.delete("/:handle/members/:username", ensureLoggedIn, authenticateJWT,
+    requirePermission("companies:write"), async function (req, res, next) {
+  try {
+    await Company.removeMember(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
@@ -4,6 +4,7 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
@@ -21,10 +22,10 @@ afterAll(commonAfterAll);
 
 async function createTestJobs() {
   await db.query(`
-    INSERT INTO jobs (title, salary, equity, company_handle)
-    VALUES ('Job1', 10000, 0.1, 'c1'),
-            ('Job2', 20000, 0.2, 'c1'),
-            ('Job3', 30000, NULL, 'c1')
+    INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle)
+    VALUES ('Job1', 10000, 10000, 0.1, 'c1'),
+            ('Job2', 20000, 20000, 0.2, 'c1'),
+            ('Job3', 30000, 30000, NULL, 'c1')
   `);
 }
 
@@ -79,6 +80,91 @@ describe("POST /companies", function () {
   });
 });
 
+/************************************** POST /companies/import */
+
+describe("POST /companies/import", function () {
+  const csv = "handle,name,description,numEmployees\n"
+      + "new,New,\"Makes things, mostly\",12\n"
+      + "c1,C1 Again,Desc1 again,\n";
+
+  test("works for admins: CSV", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("content-type", "text/csv")
+        .send(csv)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      import: {
+        dryRun: false,
+        committed: true,
+        created: 1,
+        updated: 1,
+        rejected: 0,
+        rows: [
+          { row: 1, handle: "new", result: "created" },
+          { row: 2, handle: "c1", result: "updated" },
+        ],
+      },
+    });
+
+    const newResp = await request(app).get("/companies/new");
+    expect(newResp.body.company.description).toEqual("Makes things, mostly");
+    expect(newResp.body.company.num_employees).toEqual(12);
+  });
+
+  test("works: dry run of JSON, reporting bad rows", async function () {
+    const resp = await request(app)
+        .post("/companies/import?dryRun=true")
+        .send([
+          { handle: "new", name: "New", description: "Desc" },
+          { handle: "bad", name: "Bad", description: "Desc", numEmployees: -1 },
+        ])
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.import).toEqual(expect.objectContaining({
+      dryRun: true,
+      committed: false,
+      created: 1,
+      rejected: 1,
+    }));
+    expect(resp.body.import.rows[1].errors).toEqual([{
+      path: "row.numEmployees",
+      code: "too_small",
+      message: "row.numEmployees must be at least 0",
+    }]);
+
+    const newResp = await request(app).get("/companies/new");
+    expect(newResp.statusCode).toEqual(404);
+  });
+
+  test("works: reports a name another company has as a rejected row", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .send([{ handle: "pr-b", name: "C2", description: "Desc" }])
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.import).toEqual(expect.objectContaining({ committed: false, rejected: 1 }));
+    expect(resp.body.import.rows[0].errors[0].path).toEqual("row.name");
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .set("content-type", "text/csv")
+        .send(csv)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if not an array", async function () {
+    const resp = await request(app)
+        .post("/companies/import")
+        .send({ handle: "new", name: "New", description: "Desc" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** GET /companies */
 
 describe("GET /companies", function () {
@@ -109,8 +195,75 @@ describe("GET /companies", function () {
               logo_url: "http://c3.img",
             },
           ],
+      total: 3,
+      next: null,
+      prev: null,
     });
   });
+
+  test("works: sort and limit with next link", async function () {
+    const resp = await request(app).get("/companies?sort=-numEmployees&limit=2");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.prev).toBeNull();
+
+    const nextResp = await request(app).get(resp.body.next);
+    expect(nextResp.body.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(nextResp.body.next).toBeNull();
+    expect(nextResp.body.prev).toEqual(expect.any(String));
+  });
+
+  test("works: offset links", async function () {
+    const resp = await request(app).get("/companies?limit=1&offset=1");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(resp.body.next).toEqual("/companies?limit=1&offset=2");
+    expect(resp.body.prev).toEqual("/companies?limit=1&offset=0");
+  });
+
+  test("bad request on unknown sort key", async function () {
+    const resp = await request(app).get("/companies?sort=logoUrl");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid limit", async function () {
+    const resp = await request(app).get("/companies?limit=-1");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: full-text name match", async function () {
+    const resp = await request(app).get("/companies?name=desc2&match=fulltext");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("bad request on unknown match", async function () {
+    const resp = await request(app).get("/companies?name=c&match=exact");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: CSV export via Accept header, filtered", async function () {
+    const resp = await request(app)
+        .get("/companies?minEmployees=2&sort=-numEmployees")
+        .set("accept", "text/csv");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="companies.csv"');
+    expect(resp.text).toEqual(
+        "handle,name,num_employees,description,logo_url\r\n"
+        + "c3,C3,3,Desc3,http://c3.img\r\n"
+        + "c2,C2,2,Desc2,http://c2.img\r\n");
+  });
+
+  test("works: JSON when asked for, even if CSV is acceptable", async function () {
+    const resp = await request(app)
+        .get("/companies?format=json")
+        .set("accept", "text/csv");
+    expect(resp.body.companies).toHaveLength(3);
+  });
+
+  test("bad request on unknown format", async function () {
+    const resp = await request(app).get("/companies?format=xml");
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** GET /companies/:handle */
@@ -129,19 +282,28 @@ describe("GET /companies/:handle", function () {
           {
             "equity": "0.1",
             "id": 1,
-            "salary": 10000,
+            "salaryMin": 10000,
+            "salaryMax": 10000,
+            "currency": "USD",
+            "payPeriod": "yearly",
             "title": "Job1",
           },
           {
             "equity": "0.2",
             "id": 2,
-            "salary": 20000,
+            "salaryMin": 20000,
+            "salaryMax": 20000,
+            "currency": "USD",
+            "payPeriod": "yearly",
             "title": "Job2",
           },
           {
             "equity": null,
             "id": 3,
-            "salary": 30000,
+            "salaryMin": 30000,
+            "salaryMax": 30000,
+            "currency": "USD",
+            "payPeriod": "yearly",
             "title": "Job3",
           },
         ],
@@ -164,10 +326,49 @@ describe("GET /companies/:handle", function () {
     });
   });
 
+  test("works for anon: only lists open jobs", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 2`);
+    const resp = await request(app).get(`/companies/c1`);
+    expect(resp.body.company.jobs.map(j => j.title)).toEqual(["Job3"]);
+  });
+
   test("not found for no such company", async function () {
     const resp = await request(app).get(`/companies/nope`);
     expect(resp.statusCode).toEqual(404);
-  }); 
+    expect(resp.body.error.code).toEqual("not_found");
+  });
+
+  test("works: ETag is the version; not modified if unchanged", async function () {
+    const resp = await request(app).get(`/companies/c1`);
+    expect(resp.headers.etag).toEqual('"1"');
+
+    const sameResp = await request(app)
+        .get(`/companies/c1`)
+        .set("if-none-match", '"1"');
+    expect(sameResp.statusCode).toEqual(304);
+
+    await db.query(`UPDATE companies SET name = 'New', version = 2 WHERE handle = 'c1'`);
+    const changedResp = await request(app)
+        .get(`/companies/c1`)
+        .set("if-none-match", '"1"');
+    expect(changedResp.statusCode).toEqual(200);
+    expect(changedResp.headers.etag).toEqual('"2"');
+  });
+
+  test("works: ETag changes when a job is created", async function () {
+    await request(app)
+        .post("/jobs")
+        .send({ title: "J-new", salaryMin: 10, equity: 0.2, companyHandle: "c1" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/companies/c1`)
+        .set("if-none-match", '"1"');
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers.etag).toEqual('"2"');
+    expect(resp.body.company.jobs.map(j => j.title)).toContain("J-new");
+  });
 
 /************************************** PATCH /companies/:handle */
 
@@ -175,6 +376,7 @@ describe("PATCH /companies/:handle", function () {
   test("works for users", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
+        .set("if-match", '"1"')
         .send({
           name: "C1-new",
         })
@@ -190,9 +392,39 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("works for company members", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .set("if-match", '"1"')
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("unauth for members of another company", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c2', 'owner')`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .set("if-match", '"1"')
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
+        .set("if-match", '"1"')
         .send({
           name: "C1-new",
         });
@@ -202,6 +434,7 @@ describe("PATCH /companies/:handle", function () {
   test("not found on no such company", async function () {
     const resp = await request(app)
         .patch(`/companies/nope`)
+        .set("if-match", '"1"')
         .send({
           name: "new nope",
         })
@@ -212,6 +445,7 @@ describe("PATCH /companies/:handle", function () {
   test("bad request on handle change attempt", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
+        .set("if-match", '"1"')
         .send({
           handle: "c1-new",
         })
@@ -222,12 +456,49 @@ describe("PATCH /companies/:handle", function () {
   test("bad request on invalid data", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
+        .set("if-match", '"1"')
         .send({
           logoUrl: "not-a-url",
         })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("works: returns the new ETag", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .set("if-match", '"1"')
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.headers.etag).toEqual('"2"');
+
+    const anyResp = await request(app)
+        .patch(`/companies/c1`)
+        .set("if-match", "*")
+        .send({ name: "C1-newer" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(anyResp.headers.etag).toEqual('"3"');
+  });
+
+  test("precondition failed if changed since the ETag given", async function () {
+    await db.query(`UPDATE companies SET version = 2 WHERE handle = 'c1'`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .set("if-match", '"1"')
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(412);
+    expect(resp.body.error.code).toEqual("precondition_failed");
+  });
+
+  test("precondition required without If-Match", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(428);
+    expect(resp.body.error.code).toEqual("precondition_required");
+  });
 });
 
 /************************************** DELETE /companies/:handle */
@@ -246,8 +517,10 @@ describe("DELETE /companies/:handle", function () {
         .set("authorization", `Bearer ${u2Token}`);
     expect(resp.body).toEqual({ 
                                 "error": {
-                                            "message": "Admin privileges required",
-                                            "status": 401
+                                            "message": "Permission required: companies:write",
+                                            "status": 401,
+                                            "code": "unauthorized",
+                                            "requestId": expect.any(String)
                                           }
     });
   });
@@ -264,4 +537,140 @@ describe("DELETE /companies/:handle", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
-}); 
+});
+
+/************************************** /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+          role: "recruiter",
+        },
+      ],
+    });
+  });
+
+  test("works for members", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+        .get(`/companies/c2/members`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "owner" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { username: "u2", companyHandle: "c1", role: "owner" },
+    });
+  });
+
+  test("unauth for members", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'owner')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u3", role: "recruiter" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid role", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "boss" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "nope", role: "owner" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+  });
+
+  test("unauth for members", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** permissions */
+
+describe("companies:write permission", function () {
+  const editorToken = createToken({ username: "u3", isAdmin: false, roles: ["editor"] });
+
+  test("lets non-admins create, edit and delete companies", async function () {
+    const created = await request(app)
+        .post("/companies")
+        .send({ handle: "new", name: "New", description: "DescNew", numEmployees: 10 })
+        .set("authorization", `Bearer ${editorToken}`);
+    expect(created.statusCode).toEqual(201);
+
+    const patched = await request(app)
+        .patch("/companies/c1")
+        .set("if-match", '"1"')
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${editorToken}`);
+    expect(patched.statusCode).toEqual(200);
+
+    const deleted = await request(app)
+        .delete("/companies/new")
+        .set("authorization", `Bearer ${editorToken}`);
+    expect(deleted.body).toEqual({ deleted: "new" });
+  });
+});
@@ -1,34 +1,69 @@
 "use strict";
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, authenticateJWT, ensureAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  authenticateJWT,
+  requirePermission,
+  ensureCompanyMemberOrAdmin,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { setETag, requireIfMatch } = require("../middleware/conditional");
+const { ForbiddenError, NotFoundError } = require("../expressError");
 const Job = require("../models/job");
+const Company = require("../models/company");
+const { pageLinks } = require("../helpers/pagination");
+const { csvBody, importRows } = require("../helpers/import");
+const { exportFormat, sendExport } = require("../helpers/export");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobQuerySchema = require("../schemas/jobQuery.json");
+const jobIdParamsSchema = require("../schemas/jobIdParams.json");
+const importQuerySchema = require("../schemas/importQuery.json");
+const exportQuerySchema = require("../schemas/exportQuery.json");
 
 const router = new express.Router();
 
+/** The handle of the company that owns the job in req.params.id. */
+
+async function jobCompanyHandle(req) {
+  const job = await Job.get(req.params.id);
+  return job.company.handle;
+}
+
+/** The companies whose jobs that aren't open (drafts, closed, filled or
+ * expired) user can see: those they're a member of, or undefined for all of
+ * them if they're an admin or have the jobs:write permission. */
+
+async function unlistedJobsOf(user) {
+  if (!user) return [];
+  if (user.isAdmin || (user.permissions || []).includes("jobs:write")) return undefined;
+  return await Company.getMemberships(user.username);
+}
+
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *                 companyHandle, status, expiresAt, workMode, locations, skills }
+ *   where locations is [{ city, region, country, latitude, longitude }, ...]
+ *     and skills is [{ handle, requirement }, ...] (requirement is
+ *         "required", the default, or "nice_to_have")
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, postedAt, expiresAt, workMode, locations,
+ *           skills }
  *
- * Authorization required: login, admin
+ * Authorization required: admin, member of companyHandle, or jobs:write
+ * permission
  */
 
-router.post("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, authenticateJWT,
+    ensureCompanyMemberOrAdmin(req => req.body.companyHandle, "jobs:write"),
+    validate({ body: jobNewSchema }),
+    async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const job = await Job.create(req.body);
     return res.status(201).json({ job });
   } catch (err) {
@@ -36,22 +71,96 @@ router.post("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (r
   }
 });
 
+/** POST /import [rows] => { import }
+ *
+ * Bulk-creates jobs from a JSON array of job objects, or CSV (Content-Type:
+ * text/csv) whose header row names the fields (locations and skills need
+ * JSON). Each row is checked like POST /jobs. Nothing is written unless
+ * every row is good; with ?dryRun=true nothing is written either way.
+ *
+ * Returns { import: { dryRun, committed, created, updated, rejected, rows } }
+ *   where rows is [{ row, result, id, errors }, ...], result being "created"
+ *   or "rejected" (with errors saying why); id is null unless committed
+ *
+ * Authorization required: jobs:write permission
+ */
+
+router.post("/import", ensureLoggedIn, authenticateJWT, requirePermission("jobs:write"), csvBody,
+    validate({ query: importQuerySchema }), async function (req, res, next) {
+  try {
+    const rows = importRows(req, jobNewSchema);
+    const report = await Job.import(rows, { dryRun: req.query.dryRun });
+    return res.json({ import: report });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, companyHandle }, ...] }
+ *   { jobs: [ { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *               companyHandle, status, postedAt, expiresAt, workMode,
+ *               locations, skills }, ...],
+ *     total, next, prev }
  *
  * Can filter on provided search filters:
  * - title
- * - minSalary
+ * - match ("fulltext" matches title with the same full-text search as
+ *   GET /search instead of a partial match)
+ * - minSalary, maxSalary (jobs whose pay range overlaps these)
+ * - normalize ("yearly" compares hourly pay as its yearly equivalent)
+ * - currency
+ * - payPeriod (hourly or yearly)
  * - hasEquity
+ * - remote (true or false)
+ * - country (jobs with a location there)
+ * - near=lat,lng and radiusKm (default 50): jobs with a location that close
+ * - skills (comma-separated skill handles) and skillMatch ("all", the
+ *   default, or "any")
+ * - status (draft, open, closed, filled or all; defaults to open jobs that
+ *   haven't expired). Only admins, users with the jobs:write permission and
+ *   company members can ask for other statuses, and members only see their
+ *   own companies' jobs that aren't open.
+ *
+ * Can page and sort with:
+ * - sort (id, title, salaryMin, salaryMax, equity, companyHandle; "-salaryMax"
+ *   for descending)
+ * - limit, and either offset or cursor
+ *
+ * total is the number of matching jobs; next and prev are links to the
+ * neighbouring pages, or null.
+ *
+ * With ?format=csv or ?format=ndjson (or an Accept header asking for
+ * text/csv or application/x-ndjson), sends every matching job, sorted but
+ * not paged, as a download instead; see helpers/export.js.
  *
- * Authorization required: none
+ * Authorization required: none, unless status is given (see above)
  */
 
-router.get("/", async function (req, res, next) {
-  console.log("Inside GET /jobs route handler"); 
+router.get("/", validate({ query: jobQuerySchema }), async function (req, res, next) {
   try {
-    const jobs = await Job.findAll(req.query);
-    return res.json({ jobs });
+    const {
+      title, match, minSalary, maxSalary, normalize, currency, payPeriod, hasEquity,
+      remote, country, near, radiusKm, skills, skillMatch, status, sort, limit, offset,
+      cursor,
+    } = req.query;
+    const filters = {
+      title, match, minSalary, maxSalary, normalize, currency, payPeriod, hasEquity,
+      remote, country, near, radiusKm, skills, skillMatch, status,
+    };
+    if (status !== undefined && status !== "open") {
+      filters.unlistedOf = await unlistedJobsOf(res.locals.user);
+      if (filters.unlistedOf && !filters.unlistedOf.length) {
+        throw new ForbiddenError("Only company members and admins can list jobs that aren't open");
+      }
+    }
+
+    const format = exportFormat(req);
+    if (format) {
+      return await sendExport(res, format, "jobs", Job.exportQuery({ ...filters, sort }));
+    }
+
+    const { jobs, ...page } = await Job.findAll({ ...filters, sort, limit, offset, cursor });
+    return res.json({ jobs, ...pageLinks(req, page) });
   } catch (err) {
     return next(err);
   }
@@ -59,15 +168,25 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[id]  =>  { job }
  *
- *  Job is { id, title, salary, equity, company }
+ *  Job is { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           status, postedAt, expiresAt, workMode, locations, skills, company }
  *   where company is { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: none
+ * Authorization required: none for open jobs. Others are only found by
+ * admins, users with the jobs:write permission and members of the job's
+ * company; anyone else gets a 404.
  */
 
-router.get("/:id", async function (req, res, next) {
+router.get("/:id", validate({ params: jobIdParamsSchema }), async function (req, res, next) {
   try {
-    const job = await Job.get(req.params.id);
+    const { version, ...job } = await Job.get(req.params.id);
+    if (!Job.isOpen(job)) {
+      const unlistedOf = await unlistedJobsOf(res.locals.user);
+      if (unlistedOf && !unlistedOf.includes(job.company.handle)) {
+        throw new NotFoundError(`No job: ${req.params.id}`);
+      }
+    }
+    setETag(res, version);
     return res.json({ job });
   } catch (err) {
     return next(err);
@@ -78,23 +197,57 @@ router.get("/:id", async function (req, res, next) {
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *                  status, expiresAt, workMode, locations, skills }
+ * where locations and skills replace all of the job's locations or skills.
+ *
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, postedAt, expiresAt, workMode, locations,
+ *           skills }
+ *
+ * Needs an If-Match header with the job's ETag (from GET); 412 if it has
+ * changed since. The response has the new ETag.
+ *
+ * Authorization required: admin, member of the job's company, or jobs:write
+ * permission
+ */
+
+router.patch("/:id", ensureLoggedIn, authenticateJWT, validate({ params: jobIdParamsSchema }),
+    ensureCompanyMemberOrAdmin(jobCompanyHandle, "jobs:write"), validate({ body: jobUpdateSchema }),
+    requireIfMatch, async function (req, res, next) {
+  try {
+    const { version, ...job } = await Job.update(
+        req.params.id, req.body, { versions: res.locals.ifMatch });
+    setETag(res, version);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/applications  =>
+ *   { applications: [ { username, firstName, lastName, email, state, updatedAt }, ...] }
+ *
+ * Lists the applicants for a job.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * With ?format=csv or ?format=ndjson (or a matching Accept header), sends
+ * them as a download instead; see helpers/export.js.
  *
- * Authorization required: login, admin
+ * Authorization required: admin, or member of the job's company
  */
 
-router.patch("/:id", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.get("/:id/applications", ensureLoggedIn, authenticateJWT,
+    validate({ params: jobIdParamsSchema, query: exportQuerySchema }),
+    ensureCompanyMemberOrAdmin(jobCompanyHandle), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const format = exportFormat(req);
+    if (format) {
+      const filename = `job-${req.params.id}-applications`;
+      return await sendExport(res, format, filename, Job.applicationsExportQuery(req.params.id));
     }
 
-    const job = await Job.update(req.params.id, req.body);
-    return res.json({ job });
+    const applications = await Job.getApplications(req.params.id);
+    return res.json({ applications });
   } catch (err) {
     return next(err);
   }
@@ -102,10 +255,14 @@ router.patch("/:id", ensureLoggedIn, authenticateJWT, ensureAdmin, async functio
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: login, admin
+ * Admins can restore the job (see routes/admin.js) until it's purged.
+ *
+ * Authorization: admin, member of the job's company, or jobs:write permission
  */
 
-router.delete("/:id", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.delete("/:id", ensureLoggedIn, authenticateJWT,
+    validate({ params: jobIdParamsSchema }), ensureCompanyMemberOrAdmin(jobCompanyHandle, "jobs:write"),
+    async function (req, res, next) {
   try {
     await Job.remove(req.params.id);
     return res.json({ deleted: req.params.id });
@@ -21,10 +21,10 @@ afterAll(commonAfterAll);
 
 async function createTestJobs() {
   await db.query(`
-    INSERT INTO jobs (title, salary, equity, company_handle)
-    VALUES ('Job1', 10000, 0.1, 'c1'),
-            ('Job2', 20000, 0.2, 'c2'),
-            ('Job3', 30000, NULL, 'c3')
+    INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle)
+    VALUES ('Job1', 10000, 10000, 0.1, 'c1'),
+            ('Job2', 20000, 20000, 0.2, 'c2'),
+            ('Job3', 30000, 30000, NULL, 'c3')
   `);
 }
 
@@ -39,7 +39,10 @@ beforeEach(async function () {
 describe("POST /jobs", function () {
   const newJob = {
     title: "New Job",
-    salary: 100000,
+    salaryMin: 100000,
+    salaryMax: 120000,
+    currency: "USD",
+    payPeriod: "yearly",
     equity: 0.01,
     companyHandle: "c1",
   };
@@ -52,6 +55,28 @@ describe("POST /jobs", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("ok for company members", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("not ok for members of another company", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c2', 'recruiter')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("ok for admins", async function () {
     const resp = await request(app)
         .post("/jobs")
@@ -63,6 +88,12 @@ describe("POST /jobs", function () {
         ...newJob,
         equity: newJob.equity.toString(),  
         id: expect.any(Number),
+        status: "open",
+        postedAt: expect.any(String),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
     });
   });
@@ -71,7 +102,7 @@ describe("POST /jobs", function () {
     const resp = await request(app)
         .post("/jobs")
         .send({
-          salary: 100000,
+          salaryMin: 100000,
           equity: 0.01,
         })
         .set("authorization", `Bearer ${u1Token}`);
@@ -88,6 +119,36 @@ describe("POST /jobs", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("says which fields were wrong", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({
+          ...newJob,
+          equity: "not-a-number",
+          bonus: 100,
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      status: 400,
+      code: "validation_failed",
+      message: "Invalid request",
+      requestId: expect.any(String),
+      fields: [
+        {
+          path: "body.equity",
+          code: "invalid_type",
+          message: "body.equity must be a number",
+        },
+        {
+          path: "body.bonus",
+          code: "unknown_field",
+          message: "body.bonus is not allowed",
+        },
+      ],
+    });
+  });
 });
 
 /************************************** GET /jobs */
@@ -101,28 +162,285 @@ describe("GET /", function () {
         {
           id: 1,
           title: 'Job1',
-          salary: 10000,
+          salaryMin: 10000,
+          salaryMax: 10000,
+          currency: "USD",
+          payPeriod: "yearly",
           equity: '0.1',
-          companyHandle: 'c1'
+          companyHandle: 'c1',
+          status: 'open',
+          postedAt: expect.any(String),
+          expiresAt: null,
+          workMode: "onsite",
+          locations: [],
+          skills: [],
         },
         {
           id: 2,
           title: 'Job2',
-          salary: 20000,
+          salaryMin: 20000,
+          salaryMax: 20000,
+          currency: "USD",
+          payPeriod: "yearly",
           equity: '0.2',
-          companyHandle: 'c2'
+          companyHandle: 'c2',
+          status: 'open',
+          postedAt: expect.any(String),
+          expiresAt: null,
+          workMode: "onsite",
+          locations: [],
+          skills: [],
         },
         {
           id: 3,
           title: 'Job3',
-          salary: 30000,
+          salaryMin: 30000,
+          salaryMax: 30000,
+          currency: "USD",
+          payPeriod: "yearly",
           equity: null,
-          companyHandle: 'c3'
+          companyHandle: 'c3',
+          status: 'open',
+          postedAt: expect.any(String),
+          expiresAt: null,
+          workMode: "onsite",
+          locations: [],
+          skills: [],
         }
       ],
+      total: 3,
+      next: null,
+      prev: null,
     });
   }); 
 
+  test("works: sort by salary with limit", async function () {
+    const resp = await request(app).get("/jobs?sort=-salaryMax&limit=2");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job3", "Job2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.next).toEqual(expect.stringContaining("/jobs?sort=-salaryMax&limit=2&cursor="));
+
+    const nextResp = await request(app).get(resp.body.next);
+    expect(nextResp.body.jobs.map(j => j.title)).toEqual(["Job1"]);
+  });
+
+  test("bad request on unknown sort key", async function () {
+    const resp = await request(app).get("/jobs?sort=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: status filter", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    const resp = await request(app).get("/jobs");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2", "Job3"]);
+
+    const closedResp = await request(app)
+        .get("/jobs?status=closed")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(closedResp.body.jobs.map(j => j.title)).toEqual(["Job1"]);
+  });
+
+  test("forbidden: status filter for anon, also as an export", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    for (const query of ["status=draft", "status=all", "status=draft&format=csv"]) {
+      const resp = await request(app).get(`/jobs?${query}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
+
+  test("forbidden: status filter for a user in no company", async function () {
+    const resp = await request(app)
+        .get("/jobs?status=all")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works: status filter for a member only finds their company's", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id IN (1, 2)`);
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .get("/jobs?status=all")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job1", "Job3"]);
+  });
+
+  test("bad request on unknown status", async function () {
+    const resp = await request(app).get("/jobs?status=stale");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: full-text title match", async function () {
+    const resp = await request(app).get("/jobs?title=job3&match=fulltext");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job3"]);
+  });
+
+  test("works: salary range, currency and yearly normalization", async function () {
+    await db.query(
+        `UPDATE jobs SET pay_period = 'hourly', salary_min = 20, salary_max = 30
+         WHERE id = 2`);
+    await db.query(`UPDATE jobs SET currency = 'EUR' WHERE id = 3`);
+
+    const resp = await request(app)
+        .get("/jobs?minSalary=15000&maxSalary=50000&normalize=yearly&currency=USD");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2"]);
+    expect(resp.body.jobs[0]).toEqual(expect.objectContaining({
+      salaryMin: 20,
+      salaryMax: 30,
+      currency: "USD",
+      payPeriod: "hourly",
+    }));
+  });
+
+  test("bad request on invalid currency", async function () {
+    const resp = await request(app).get("/jobs?currency=dollars");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields[0].path).toEqual("query.currency");
+  });
+
+  test("works: location filters", async function () {
+    await db.query(
+        `INSERT INTO job_locations (job_id, city, country, latitude, longitude)
+         VALUES (1, 'New York', 'US', 40.7128, -74.0060),
+                (2, 'London', 'GB', 51.5074, -0.1278)`);
+    await db.query(`UPDATE jobs SET work_mode = 'remote' WHERE id = 3`);
+
+    const remoteResp = await request(app).get("/jobs?remote=true");
+    expect(remoteResp.body.jobs.map(j => j.title)).toEqual(["Job3"]);
+
+    const countryResp = await request(app).get("/jobs?country=GB&remote=false");
+    expect(countryResp.body.jobs.map(j => j.title)).toEqual(["Job2"]);
+
+    const nearResp = await request(app).get("/jobs?near=40.73,-74.17&radiusKm=25");
+    expect(nearResp.body.jobs.map(j => j.title)).toEqual(["Job1"]);
+    expect(nearResp.body.jobs[0].locations).toEqual([{
+      city: "New York",
+      region: null,
+      country: "US",
+      latitude: 40.7128,
+      longitude: -74.006,
+    }]);
+  });
+
+  test("bad request on invalid near", async function () {
+    const resp = await request(app).get("/jobs?near=somewhere");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields[0].path).toEqual("query.near");
+  });
+
+  test("works: filtering on skills", async function () {
+    await db.query(`INSERT INTO job_skills (job_id, skill_handle)
+                    VALUES (1, 'js'), (2, 'js'), (2, 'sql')`);
+    const resp = await request(app).get("/jobs?skills=js,sql");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2"]);
+
+    const anyResp = await request(app).get("/jobs?skills=sql,react&skillMatch=any");
+    expect(anyResp.body.jobs.map(j => j.title)).toEqual(["Job2"]);
+  });
+
+  test("bad request on unknown skillMatch", async function () {
+    const resp = await request(app).get("/jobs?skills=js&skillMatch=most");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: CSV export of every match, filtered and sorted", async function () {
+    const resp = await request(app).get("/jobs?format=csv&minSalary=15000&sort=-salaryMax&limit=1");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("text/csv; charset=utf-8");
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="jobs.csv"');
+
+    const lines = resp.text.split("\r\n");
+    expect(lines[0]).toEqual("id,companyHandle,title,salaryMin,salaryMax,currency,payPeriod,"
+        + "equity,status,postedAt,expiresAt,workMode,locations,skills");
+    expect(lines.slice(1, -1).map(l => l.split(",")[2])).toEqual(["Job3", "Job2"]);
+    expect(lines[lines.length - 1]).toEqual("");
+  });
+
+  test("works: NDJSON export via Accept header", async function () {
+    const resp = await request(app)
+        .get("/jobs?title=Job1")
+        .set("accept", "application/x-ndjson")
+        .buffer(true)
+        .parse((res, done) => {
+          let text = "";
+          res.on("data", chunk => { text += chunk; });
+          res.on("end", () => done(null, text));
+        });
+    expect(resp.headers["content-type"]).toEqual("application/x-ndjson; charset=utf-8");
+    const rows = resp.body.trim().split("\n").map(line => JSON.parse(line));
+    expect(rows).toEqual([expect.objectContaining({ id: 1, title: "Job1", skills: [] })]);
+  });
+
+  test("works: CSV export with no matches is just the header", async function () {
+    const resp = await request(app).get("/jobs?title=nope").set("accept", "text/csv");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.text.split("\r\n")).toEqual([expect.stringMatching(/^id,/), ""]);
+  });
+
+  test("bad request exporting with an invalid filter", async function () {
+    const resp = await request(app).get("/jobs?format=csv&skills=js&skillMatch=most");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+
+/************************************** POST /jobs/import */
+
+describe("POST /jobs/import", function () {
+  test("works for admins: CSV", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .set("content-type", "text/csv")
+        .send("title,salaryMin,equity,companyHandle,workMode\n"
+            + "Imported,50000,0.1,c2,remote\n")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.import).toEqual({
+      dryRun: false,
+      committed: true,
+      created: 1,
+      updated: 0,
+      rejected: 0,
+      rows: [{ row: 1, result: "created", id: expect.any(Number) }],
+    });
+
+    const jobResp = await request(app).get(`/jobs/${resp.body.import.rows[0].id}`);
+    expect(jobResp.body.job).toEqual(expect.objectContaining({
+      title: "Imported",
+      salaryMin: 50000,
+      equity: "0.1",
+      workMode: "remote",
+    }));
+  });
+
+  test("writes nothing if a row is bad", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send([
+          { title: "Good", salaryMin: 1, equity: 0, companyHandle: "c1" },
+          { title: "Bad", salaryMin: 1, equity: 0, companyHandle: "nope" },
+        ])
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.import.committed).toEqual(false);
+    expect(resp.body.import.rows[1]).toEqual({
+      row: 2,
+      result: "rejected",
+      id: null,
+      errors: [{ path: "row.companyHandle", code: "not_found", message: "No company: nope" }],
+    });
+
+    const listResp = await request(app).get("/jobs?title=Good");
+    expect(listResp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/jobs/import")
+        .send([{ title: "Good", salaryMin: 1, equity: 0, companyHandle: "c1" }])
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
 
 /************************************** GET /jobs/:id */
 
@@ -133,8 +451,17 @@ describe("GET /jobs/:id", function () {
       job: {
         id: 1,
         title: "Job1",
-        salary: 10000,
+        salaryMin: 10000,
+        salaryMax: 10000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.1", 
+        status: "open",
+        postedAt: expect.any(String),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
         company: {
           handle: "c1",
           name: "C1",
@@ -150,6 +477,79 @@ describe("GET /jobs/:id", function () {
     const resp = await request(app).get(`/jobs/999`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("not found for anon if the job isn't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    const resp = await request(app).get(`/jobs/1`);
+    expect(resp.statusCode).toEqual(404);
+
+    await db.query(`UPDATE jobs SET status = 'open', expires_at = NOW() - INTERVAL '1 day'
+                    WHERE id = 1`);
+    const expiredResp = await request(app).get(`/jobs/1`);
+    expect(expiredResp.statusCode).toEqual(404);
+  });
+
+  test("not found for a member of another company if the job isn't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c2', 'recruiter')`);
+    const resp = await request(app)
+        .get(`/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("works for admin and the company's members if the job isn't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    const resp = await request(app)
+        .get(`/jobs/1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job.status).toEqual("draft");
+
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const memberResp = await request(app)
+        .get(`/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(memberResp.body.job.status).toEqual("draft");
+  });
+
+  test("bad request for a non-numeric id", async function () {
+    const resp = await request(app).get(`/jobs/abc`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual([{
+      path: "params.id",
+      code: "invalid_type",
+      message: "params.id must be an integer",
+    }]);
+  });
+
+  test("works: ETag is the version; not modified if unchanged", async function () {
+    const resp = await request(app).get(`/jobs/1`);
+    expect(resp.headers.etag).toEqual('"1"');
+
+    const sameResp = await request(app)
+        .get(`/jobs/1`)
+        .set("if-none-match", '"1"');
+    expect(sameResp.statusCode).toEqual(304);
+  });
+
+  test("works: ETag changes when its company is updated", async function () {
+    await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("if-match", '"1"')
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/jobs/1`)
+        .set("if-none-match", '"1"');
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers.etag).toEqual('"2"');
+    expect(resp.body.job.company.name).toEqual("C1-new");
+  });
 });
 
 /************************************** PATCH /jobs/:id */
@@ -158,6 +558,7 @@ describe("PATCH /jobs/:id", function () {
   test("works for users", async function () {
     const resp = await request(app)
         .patch(`/jobs/1`)
+        .set("if-match", '"1"')
         .send({
           title: "Updated Job",
         })
@@ -166,16 +567,87 @@ describe("PATCH /jobs/:id", function () {
       job: {
         id: 1,
         title: "Updated Job",
-        salary: 10000,
+        salaryMin: 10000,
+        salaryMax: 10000,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.1",
-        company_handle: "c1",
+        companyHandle: "c1",
+        status: "open",
+        postedAt: expect.any(String),
+        expiresAt: null,
+        workMode: "onsite",
+        locations: [],
+        skills: [],
       },
     });
   });
 
+  test("works for company members", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'owner')`);
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .set("if-match", '"1"')
+        .send({
+          title: "Updated Job",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("Updated Job");
+  });
+
+  test("works: replaces locations", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .set("if-match", '"1"')
+        .send({
+          workMode: "hybrid",
+          locations: [{ city: "Austin", region: "TX", country: "US" }],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.workMode).toEqual("hybrid");
+    expect(resp.body.job.locations).toEqual([{
+      city: "Austin",
+      region: "TX",
+      country: "US",
+      latitude: null,
+      longitude: null,
+    }]);
+  });
+
+  test("bad request on a location with half its coordinates", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .set("if-match", '"1"')
+        .send({ locations: [{ city: "Austin", country: "US", latitude: 30.27 }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual([{
+      path: "body.locations[0]",
+      code: "required",
+      message: "body.locations[0] property longitude not found, required by "
+          + "body.locations[0].latitude",
+    }]);
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .set("if-match", '"1"')
+        .send({
+          title: "Updated Job",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/jobs/1`)
+        .set("if-match", '"1"')
         .send({
           title: "Updated Job",
         });
@@ -185,6 +657,7 @@ describe("PATCH /jobs/:id", function () {
   test("not found on no such job", async function () {
     const resp = await request(app)
         .patch(`/jobs/999`)
+        .set("if-match", '"1"')
         .send({
           title: "Updated Job",
         })
@@ -195,12 +668,95 @@ describe("PATCH /jobs/:id", function () {
   test("bad request on invalid data", async function () {
     const resp = await request(app)
         .patch(`/jobs/1`)
+        .set("if-match", '"1"')
         .send({
           equity: "not-a-number",
         })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("precondition failed if changed since the ETag given", async function () {
+    const first = await request(app)
+        .patch(`/jobs/1`)
+        .set("if-match", '"1"')
+        .send({ title: "First" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(first.headers.etag).toEqual('"2"');
+
+    const second = await request(app)
+        .patch(`/jobs/1`)
+        .set("if-match", '"1"')
+        .send({ title: "Second" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(second.statusCode).toEqual(412);
+  });
+});
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO applications (username, job_id, state)
+         VALUES ('u3', 1, 'applied')`);
+  });
+
+  test("works for company members", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .get(`/jobs/1/applications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          state: "applied",
+          updatedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .get(`/jobs/1/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.applications).toHaveLength(1);
+  });
+
+  test("works: CSV export", async function () {
+    const resp = await request(app)
+        .get(`/jobs/1/applications?format=csv`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.headers["content-disposition"])
+        .toEqual('attachment; filename="job-1-applications.csv"');
+    const lines = resp.text.split("\r\n");
+    expect(lines[0]).toEqual("username,firstName,lastName,email,state,updatedAt");
+    expect(lines[1]).toMatch(/^u3,U3F,U3L,user3@user.com,applied,\d{4}-/);
+  });
+
+  test("unauth for members of another company", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c2', 'recruiter')`);
+    const resp = await request(app)
+        .get(`/jobs/1/applications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get(`/jobs/999/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
 
 /************************************** DELETE /jobs/:id */
@@ -213,6 +769,23 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.body).toEqual({ deleted: "1" });
   });
 
+  test("works for company members", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .delete(`/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: "1" });
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/jobs/1`);
@@ -0,0 +1,41 @@
+"use strict";
+
+/** Routes for full-text search. */
+
+const express = require("express");
+
+const { validate } = require("../middleware/validate");
+const Search = require("../models/search");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+/** GET /?q=  =>  { results: [ result, ... ], total }
+ *
+ * Searches companies (name, description) and jobs (title, company name),
+ * best matches first. q takes words, "quoted phrases", "or" and -excluded
+ * words.
+ *
+ * Each result is { type: "company", handle, name, snippet, rank } or
+ *   { type: "job", id, title, companyHandle, snippet, rank },
+ * where snippet is the matching text with matched words in <mark> tags.
+ *
+ * Optional query params:
+ * - type ("company" or "job")
+ * - limit, offset
+ *
+ * Authorization required: none
+ */
+
+router.get("/", validate({ query: searchQuerySchema }), async function (req, res, next) {
+  try {
+    const { q, type, limit, offset } = req.query;
+    const { results, total } = await Search.search(q, { type, limit, offset });
+    return res.json({ results, total });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
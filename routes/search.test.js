@@ -0,0 +1,86 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query(`
+    INSERT INTO jobs (title, salary_min, equity, company_handle)
+    VALUES ('Engineer', 10000, 0.1, 'c1'),
+           ('Designer', 20000, 0.2, 'c2')`);
+});
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search?q=c1");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "company",
+          handle: "c1",
+          name: "C1",
+          snippet: "<mark>C1</mark>: Desc1",
+          rank: expect.any(Number),
+        },
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "Engineer",
+          companyHandle: "c1",
+          snippet: "Engineer at <mark>C1</mark>",
+          rank: expect.any(Number),
+        },
+      ],
+      total: 2,
+    });
+  });
+
+  test("works: stems words", async function () {
+    const resp = await request(app).get("/search?q=engineering");
+    expect(resp.body.results.map(r => r.title)).toEqual(["Engineer"]);
+  });
+
+  test("works: type and limit", async function () {
+    const resp = await request(app).get("/search?q=c1 or c2&type=company&limit=1");
+    expect(resp.body.results.map(r => r.handle)).toEqual(["c1"]);
+    expect(resp.body.total).toEqual(2);
+  });
+
+  test("works for anon: leaves out jobs that aren't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE title = 'Engineer'`);
+    const resp = await request(app).get("/search?q=engineer");
+    expect(resp.body).toEqual({ results: [], total: 0 });
+  });
+
+  test("works: no matches", async function () {
+    const resp = await request(app).get("/search?q=nope");
+    expect(resp.body).toEqual({ results: [], total: 0 });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid type", async function () {
+    const resp = await request(app).get("/search?q=c1&type=user");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+/** Routes for skills. */
+
+const express = require("express");
+
+const { ensureLoggedIn, authenticateJWT, ensureAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const Skill = require("../models/skill");
+const { pageLinks } = require("../helpers/pagination");
+
+const skillNewSchema = require("../schemas/skillNew.json");
+const skillUpdateSchema = require("../schemas/skillUpdate.json");
+const skillQuerySchema = require("../schemas/skillQuery.json");
+
+const router = new express.Router();
+
+
+/** POST / { skill } =>  { skill }
+ *
+ * skill should be { handle, name, category }; category is optional.
+ *
+ * Returns { handle, name, category }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ body: skillNewSchema }), async function (req, res, next) {
+  try {
+    const skill = await Skill.create(req.body);
+    return res.status(201).json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /  =>
+ *   { skills: [ { handle, name, category }, ...], total, next, prev }
+ *
+ * Can filter on provided search filters:
+ * - name (case-insensitive, partial matches)
+ * - category
+ *
+ * Can page and sort with:
+ * - sort (handle, name, category; "-name" for descending)
+ * - limit, and either offset or cursor
+ *
+ * Authorization required: none
+ */
+
+router.get("/", validate({ query: skillQuerySchema }), async function (req, res, next) {
+  try {
+    const { name, category, sort, limit, offset, cursor } = req.query;
+    const { skills, ...page } = await Skill.findAll({
+      name, category, sort, limit, offset, cursor,
+    });
+    return res.json({ skills, ...pageLinks(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]  =>  { skill }
+ *
+ * Skill is { handle, name, category, jobCount, userCount }
+ *   where jobCount is the number of open jobs asking for it
+ *
+ * Authorization required: none
+ */
+
+router.get("/:handle", async function (req, res, next) {
+  try {
+    const skill = await Skill.get(req.params.handle);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[handle] { fld1, fld2, ... } => { skill }
+ *
+ * fields can be: { name, category }
+ *
+ * Returns { handle, name, category }
+ *
+ * Authorization required: admin
+ */
+
+router.patch("/:handle", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    validate({ body: skillUpdateSchema }), async function (req, res, next) {
+  try {
+    const skill = await Skill.update(req.params.handle, req.body);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]  =>  { deleted: handle }
+ *
+ * Also takes the skill off every job and user that listed it.
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:handle", ensureLoggedIn, authenticateJWT, ensureAdmin,
+    async function (req, res, next) {
+  try {
+    await Skill.remove(req.params.handle);
+    return res.json({ deleted: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
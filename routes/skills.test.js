@@ -0,0 +1,159 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /skills */
+
+describe("POST /skills", function () {
+  const newSkill = { handle: "c++", name: "C++", category: "language" };
+
+  test("ok for admins", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send(newSkill)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ skill: newSkill });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send(newSkill)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid handle", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send({ ...newSkill, handle: "C Plus Plus" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields[0].path).toEqual("body.handle");
+  });
+
+  test("bad request with dupe", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send({ handle: "js", name: "JS" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /skills */
+
+describe("GET /skills", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app).get("/skills");
+    expect(resp.body).toEqual({
+      skills: [
+        { handle: "js", name: "JavaScript", category: "language" },
+        { handle: "react", name: "React", category: null },
+        { handle: "sql", name: "SQL", category: "language" },
+      ],
+      total: 3,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("works: filtering", async function () {
+    const resp = await request(app).get("/skills?category=language&sort=-name");
+    expect(resp.body.skills.map(s => s.handle)).toEqual(["sql", "js"]);
+  });
+});
+
+/************************************** GET /skills/:handle */
+
+describe("GET /skills/:handle", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/skills/js");
+    expect(resp.body).toEqual({
+      skill: {
+        handle: "js",
+        name: "JavaScript",
+        category: "language",
+        jobCount: 0,
+        userCount: 0,
+      },
+    });
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app).get("/skills/nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /skills/:handle */
+
+describe("PATCH /skills/:handle", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .patch("/skills/react")
+        .send({ category: "framework" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      skill: { handle: "react", name: "React", category: "framework" },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .patch("/skills/react")
+        .send({ category: "framework" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on handle change attempt", async function () {
+    const resp = await request(app)
+        .patch("/skills/react")
+        .send({ handle: "reactjs" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /skills/:handle */
+
+describe("DELETE /skills/:handle", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .delete("/skills/react")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: "react" });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete("/skills/react")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+        .delete("/skills/nope")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
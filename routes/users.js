@@ -2,15 +2,38 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
-const { ensureLoggedIn, authenticateJWT, ensureAdmin } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  authenticateJWT,
+  requirePermission,
+  ensureCorrectUserOrAdmin,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { UnauthorizedError } = require("../expressError");
+const { setETag, requireIfMatch } = require("../middleware/conditional");
 const User = require("../models/user");
+const Job = require("../models/job");
+const Company = require("../models/company");
+const SavedSearch = require("../models/savedSearch");
+const RefreshToken = require("../models/refreshToken");
+const ApiKey = require("../models/apiKey");
+const { pageLinks } = require("../helpers/pagination");
+const { exportFormat, sendExport } = require("../helpers/export");
 const { createToken } = require("../helpers/tokens");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const userQuerySchema = require("../schemas/userQuery.json");
+const jobIdParamsSchema = require("../schemas/jobIdParams.json");
+const userSkillSchema = require("../schemas/userSkill.json");
+const matchQuerySchema = require("../schemas/matchQuery.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const savedSearchIdParamsSchema = require("../schemas/savedSearchIdParams.json");
+const jobQuerySchema = require("../schemas/jobQuery.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const apiKeyIdParamsSchema = require("../schemas/apiKeyIdParams.json");
 
 const router = express.Router();
 
@@ -18,46 +41,46 @@ const router = express.Router();
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
- * only for admin users to add new users. The new user being added can be an
- * admin.
+ * only for user admins to add new users. The new user being added can be an
+ * admin, and can be given roles and permissions (see helpers/permissions.js).
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ * This returns the newly created user and authentication tokens for them:
+ *  {user: { username, firstName, lastName, email, isAdmin, roles, permissions },
+ *   token, refreshToken }
  *
- * Authorization required: login
+ * Authorization required: users:admin permission
  **/
 
-router.post("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, authenticateJWT, requirePermission("users:admin"),
+    validate({ body: userNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const user = await User.register(req.body);
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
+    const refreshToken = await RefreshToken.create(user.username);
+    const token = createToken(user, refreshToken.id);
+    return res.status(201).json({ user, token, refreshToken: refreshToken.token });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /users/:username/jobs/:id => { applied: jobId }
+/** POST /users/:username/jobs/:id { state } => { applied: jobId }
 *
 * Allows a user to apply for a job with the given jobId.
 *
+* state is optional: "applied" (the default) or "interested".
+*
 * Returns JSON with key "applied" and the value of the jobId for which the user applied.
 * 
 * Authorization required: login
 **/
 
-router.post("/:username/jobs/:id", ensureLoggedIn, authenticateJWT, async function (req, res, next) {
+router.post("/:username/jobs/:id", ensureLoggedIn, authenticateJWT,
+    validate({ params: jobIdParamsSchema, body: applicationNewSchema }), async function (req, res, next) {
   try {  
     const { username, id } = req.params;
 
-    await User.apply(username, id, req);
+    await User.apply(username, id, res.locals.user, req.body.state);
 
     return res.json({ applied: id });
   } catch (err) {
@@ -65,17 +88,257 @@ router.post("/:username/jobs/:id", ensureLoggedIn, authenticateJWT, async functi
   }
 });
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** Who res.locals.user is to the application in req.params: "admin",
+ * "applicant" or "company" (a member of the job's company), as
+ * User.updateApplication takes it. Raises Unauthorized if none of those. */
+
+async function applicationMover(req, res) {
+  const user = res.locals.user;
+  if (user.isAdmin) return "admin";
+  if (user.username === req.params.username) return "applicant";
+
+  const job = await Job.get(req.params.id);
+  if (await Company.getMemberRole(job.company.handle, user.username)) return "company";
+  throw new UnauthorizedError();
+}
+
+/** PATCH /users/:username/jobs/:id { state } => { application }
+*
+* Moves the user's application for a job to a new state. Allowed moves:
+*   interested -> applied -> interviewing -> offered -> accepted
+* and from any open state to rejected or withdrawn.
+*
+* The applicant can only apply and withdraw (403 otherwise); the job's
+* company makes the other moves.
+*
+* Returns { application: { username, jobId, state, createdAt, updatedAt } }
+*
+* Authorization required: same user as :username, member of the job's
+* company, or admin
+**/
+
+router.patch("/:username/jobs/:id", ensureLoggedIn, authenticateJWT,
+    validate({ params: jobIdParamsSchema, body: applicationUpdateSchema }), async function (req, res, next) {
+  try {
+    const { username, id } = req.params;
+    const mover = await applicationMover(req, res);
+    const application = await User.updateApplication(
+        username, id, req.body.state, { by: mover === "admin" ? undefined : mover });
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /users/:username/skills/:handle { proficiency } => { skill }
+*
+* Records that the user has a skill, at proficiency 1 (beginner) to 5
+* (expert), or changes their proficiency.
+*
+* Returns { skill: { handle, name, proficiency } }
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.put("/:username/skills/:handle", ensureLoggedIn, authenticateJWT, ensureCorrectUserOrAdmin,
+    validate({ body: userSkillSchema }), async function (req, res, next) {
+  try {
+    const { username, handle } = req.params;
+    const skill = await User.setSkill(username, handle, req.body.proficiency);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /users/:username/skills/:handle => { removed: handle }
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.delete("/:username/skills/:handle", ensureLoggedIn, authenticateJWT,
+    ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await User.removeSkill(req.params.username, req.params.handle);
+    return res.json({ removed: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /users/:username/matches => { matches }
+*
+* The open jobs that best fit the user's skills, best first (see
+* User.getMatches for the scoring). Query: limit (default 20).
+*
+* matches is [{ jobId, title, companyHandle, score, matchedSkills,
+*               missingSkills }, ...]
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.get("/:username/matches", ensureLoggedIn, authenticateJWT, ensureCorrectUserOrAdmin,
+    validate({ query: matchQuerySchema }), async function (req, res, next) {
+  try {
+    const matches = await User.getMatches(req.params.username, { limit: req.query.limit });
+    return res.json({ matches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** A saved search's filters are checked the way GET /jobs checks its query
+ * string, but as JSON values: { "minSalary": 50000 }, not "50000". */
+
+const { $schema, $id, ...jobFiltersSchema } = jobQuerySchema;
+const savedSearchSchema = {
+  ...savedSearchNewSchema,
+  properties: {
+    ...savedSearchNewSchema.properties,
+    filters: { ...savedSearchNewSchema.properties.filters, ...jobFiltersSchema },
+  },
+};
+
+/** POST /users/:username/searches { name, filters } => { search }
+*
+* Saves a named set of GET /jobs filters, e.g.
+*   { name: "Remote React", filters: { remote: true, skills: "react" } }
+* The user is told about jobs posted from now on that match it (see
+* notifySavedSearches.js).
+*
+* Returns { search: { id, name, filters, createdAt, lastRunAt } }
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.post("/:username/searches", ensureLoggedIn, authenticateJWT, ensureCorrectUserOrAdmin,
+    validate({ body: savedSearchSchema }), async function (req, res, next) {
+  try {
+    const search = await SavedSearch.create(req.params.username, req.body);
+    return res.status(201).json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /users/:username/searches => { searches }
+*
+* searches is [{ id, name, filters, createdAt, lastRunAt }, ...], by name
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.get("/:username/searches", ensureLoggedIn, authenticateJWT, ensureCorrectUserOrAdmin,
+    async function (req, res, next) {
+  try {
+    const searches = await SavedSearch.findAll(req.params.username);
+    return res.json({ searches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /users/:username/searches/:id => { deleted: id }
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.delete("/:username/searches/:id", ensureLoggedIn, authenticateJWT,
+    ensureCorrectUserOrAdmin, validate({ params: savedSearchIdParamsSchema }),
+    async function (req, res, next) {
+  try {
+    await SavedSearch.remove(req.params.username, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /users/:username/api-keys { name, scopes } => { apiKey }
+*
+* Makes an API key for scripts to send as "Authorization: ApiKey <key>"
+* instead of logging in. scopes are some of:
+* - read:jobs: GET /jobs and below
+* - write:jobs: anything under /jobs (what the user may do there)
+* - admin: anything the user may do; only for admins' keys
+*
+* Returns { apiKey: { id, name, prefix, scopes, createdAt, lastUsedAt, key } }
+* -- this is the only time key is shown.
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.post("/:username/api-keys", ensureLoggedIn, authenticateJWT, ensureCorrectUserOrAdmin,
+    validate({ body: apiKeyNewSchema }), async function (req, res, next) {
+  try {
+    const apiKey = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /users/:username/api-keys => { apiKeys }
+*
+* apiKeys is [{ id, name, prefix, scopes, createdAt, lastUsedAt }, ...] of
+* the keys not revoked, oldest first.
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.get("/:username/api-keys", ensureLoggedIn, authenticateJWT, ensureCorrectUserOrAdmin,
+    async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /users/:username/api-keys/:id => { revoked: id }
+*
+* The key stops working at once.
+*
+* Authorization required: same user as :username, or admin
+**/
+
+router.delete("/:username/api-keys/:id", ensureLoggedIn, authenticateJWT,
+    ensureCorrectUserOrAdmin, validate({ params: apiKeyIdParamsSchema }),
+    async function (req, res, next) {
+  try {
+    await ApiKey.revoke(req.params.username, req.params.id);
+    return res.json({ revoked: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             total, next, prev }
+ *
+ * Returns a page of users.
  *
- * Returns list of all users.
+ * Can page and sort with:
+ * - sort (username, firstName, lastName, email; "-lastName" for descending)
+ * - limit, and either offset or cursor
  *
- * Authorization required: login
+ * With ?format=csv or ?format=ndjson (or an Accept header asking for
+ * text/csv or application/x-ndjson), sends every user, sorted but not paged,
+ * as a download instead; see helpers/export.js.
+ *
+ * Authorization required: users:read permission
  **/
 
-router.get("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.get("/", ensureLoggedIn, authenticateJWT, requirePermission("users:read"),
+    validate({ query: userQuerySchema }), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { sort, limit, offset, cursor } = req.query;
+    const format = exportFormat(req);
+    if (format) return await sendExport(res, format, "users", User.exportQuery({ sort }));
+
+    const { users, ...page } = await User.findAll({ sort, limit, offset, cursor });
+    return res.json({ users, ...pageLinks(req, page) });
   } catch (err) {
     return next(err);
   }
@@ -91,16 +354,19 @@ router.get("/", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (re
 
 /** GET /[username] => { user }
 *
-* Returns { username, firstName, lastName, email, isAdmin, jobs }
+* Returns { username, firstName, lastName, email, isAdmin, roles, permissions,
+*           applications, skills }
 * 
-* where jobs is [ jobId, jobId, ... ]
+* where applications is [ { jobId, title, companyHandle, state, updatedAt }, ... ]
+*   and skills is [ { handle, name, proficiency }, ... ]
 * 
 * Authorization required: logged in with JWT
 **/
 
 router.get("/:username", ensureLoggedIn, authenticateJWT, async function (req, res, next) {
   try {
-    const user = await User.get(req.params.username);
+    const { version, ...user } = await User.get(req.params.username);
+    setETag(res, version);
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -111,22 +377,22 @@ router.get("/:username", ensureLoggedIn, authenticateJWT, async function (req, r
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, roles, permissions }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, isAdmin, roles, permissions }
  *
- * Authorization required: login
+ * Needs an If-Match header with the user's ETag (from GET); 412 if they have
+ * changed since. The response has the new ETag.
+ *
+ * Authorization required: users:admin permission
  **/
 
-router.patch("/:username", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.patch("/:username", ensureLoggedIn, authenticateJWT, requirePermission("users:admin"),
+    validate({ body: userUpdateSchema }), requireIfMatch, async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.update(req.params.username, req.body);
+    const { version, ...user } = await User.update(
+        req.params.username, req.body, { versions: res.locals.ifMatch });
+    setETag(res, version);
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -136,10 +402,14 @@ router.patch("/:username", ensureLoggedIn, authenticateJWT, ensureAdmin, async f
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: login
+ * Logs the user out everywhere. Admins can restore them (see
+ * routes/admin.js) until they're purged.
+ *
+ * Authorization required: users:admin permission
  **/
 
-router.delete("/:username", ensureLoggedIn, authenticateJWT, ensureAdmin, async function (req, res, next) {
+router.delete("/:username", ensureLoggedIn, authenticateJWT, requirePermission("users:admin"),
+    async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -5,6 +5,7 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
@@ -12,6 +13,7 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -42,7 +44,9 @@ describe("POST /users", function () {
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: false,
-      }, token: expect.any(String),
+        roles: [],
+        permissions: [],
+      }, token: expect.any(String), refreshToken: expect.any(String),
     });
   });
  
@@ -66,7 +70,9 @@ describe("POST /users", function () {
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: true,
-      }, token: expect.any(String),
+        roles: [],
+        permissions: [],
+      }, token: expect.any(String), refreshToken: expect.any(String),
     });
   });
 
@@ -125,6 +131,8 @@ describe("Works for admins: GET /users", function () {
           lastName: "U1L",
           email: "user1@user.com",
           isAdmin: true,
+          roles: [],
+          permissions: [],
         },
         {
           username: "u2",
@@ -132,6 +140,8 @@ describe("Works for admins: GET /users", function () {
           lastName: "U2L",
           email: "user2@user.com",
           isAdmin: false,
+          roles: [],
+          permissions: [],
         },
         {
           username: "u3",
@@ -139,17 +149,61 @@ describe("Works for admins: GET /users", function () {
           lastName: "U3L",
           email: "user3@user.com",
           isAdmin: false,
+          roles: [],
+          permissions: [],
         },
       ],
+      total: 3,
+      next: null,
+      prev: null,
     });
   });
 
+  test("works: sort and paging", async function () {
+    const resp = await request(app)
+        .get("/users?sort=-username&limit=2")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3", "u2"]);
+    expect(resp.body.total).toEqual(3);
+
+    const nextResp = await request(app)
+        .get(resp.body.next)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(nextResp.body.users.map(u => u.username)).toEqual(["u1"]);
+  });
+
+  test("bad request on unknown sort key", async function () {
+    const resp = await request(app)
+        .get("/users?sort=password")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: CSV export", async function () {
+    const resp = await request(app)
+        .get("/users?format=csv&sort=-username")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="users.csv"');
+    expect(resp.text).toEqual(
+        "username,firstName,lastName,email,isAdmin,roles,permissions\r\n"
+        + "u3,U3F,U3L,user3@user.com,false,[],[]\r\n"
+        + "u2,U2F,U2L,user2@user.com,false,[],[]\r\n"
+        + "u1,U1F,U1L,user1@user.com,true,[],[]\r\n");
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth export for non-admins", async function () {
+    const resp = await request(app)
+        .get("/users?format=csv")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -176,9 +230,14 @@ describe("GET /users/:username", function () {
         lastName: "U2L",
         email: "user2@user.com",
         isAdmin: false,
-        jobs: [],
+        roles: [],
+        permissions: [],
+        emailVerified: false,
+        applications: [],
+        skills: [],
       },
     });
+    expect(resp.headers.etag).toEqual('"1"');
   });
 
   test("unauth for anon", async function () {
@@ -193,6 +252,52 @@ describe("GET /users/:username", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("works: ETag changes with applications and skills", async function () {
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary_min, equity, company_handle)
+         VALUES ('J1', 1, 0, 'c1')
+         RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    let etag = (await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${u2Token}`)).headers.etag;
+
+    async function expectChanged() {
+      const resp = await request(app)
+          .get(`/users/u2`)
+          .set("if-none-match", etag)
+          .set("authorization", `Bearer ${u2Token}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.headers.etag).not.toEqual(etag);
+      etag = resp.headers.etag;
+      return resp.body.user;
+    }
+
+    await request(app)
+        .post(`/users/u2/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect((await expectChanged()).applications[0].state).toEqual("applied");
+
+    await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect((await expectChanged()).applications[0].state).toEqual("withdrawn");
+
+    await request(app)
+        .put("/users/u2/skills/sql")
+        .send({ proficiency: 4 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect((await expectChanged()).skills).toEqual([
+      { handle: "sql", name: "SQL", proficiency: 4 },
+    ]);
+
+    await request(app)
+        .delete("/users/u2/skills/sql")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect((await expectChanged()).skills).toEqual([]);
+  });
 });
 
 /************************************** PATCH /users/:username */
@@ -201,6 +306,7 @@ describe("PATCH /users/:username", () => {
   test("works for admins", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
+        .set("if-match", '"1"')
         .send({
           firstName: "New",
         })
@@ -212,6 +318,8 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: true,
+        roles: [],
+        permissions: [],
       },
     });
   });
@@ -219,6 +327,7 @@ describe("PATCH /users/:username", () => {
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
+        .set("if-match", '"1"')
         .send({
           firstName: "New",
         });
@@ -228,6 +337,7 @@ describe("PATCH /users/:username", () => {
   test("not found if no such user", async function () {
     const resp = await request(app)
         .patch(`/users/nope`)
+        .set("if-match", '"1"')
         .send({
           firstName: "Nope",
         })
@@ -238,6 +348,7 @@ describe("PATCH /users/:username", () => {
   test("bad request if invalid data", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
+        .set("if-match", '"1"')
         .send({
           firstName: 42,
         })
@@ -248,6 +359,7 @@ describe("PATCH /users/:username", () => {
   test("works: set new password", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
+        .set("if-match", '"1"')
         .send({
           password: "new-password",
         })
@@ -259,11 +371,484 @@ describe("PATCH /users/:username", () => {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: true,
+        roles: [],
+        permissions: [],
       },
     });
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("precondition required without If-Match", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(428);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary_min, equity, company_handle)
+         VALUES ('J1', 1, 0, 'c1')
+         RETURNING id`);
+    jobId = jobRes.rows[0].id;
+    await request(app)
+        .post(`/users/u2/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u2Token}`);
+  });
+
+  test("works for same user: withdraw", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u2",
+        jobId,
+        state: "withdrawn",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      },
+    });
+
+    const userResp = await request(app)
+        .get("/users/u2")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(userResp.body.user.applications).toEqual([
+      {
+        jobId,
+        title: "J1",
+        companyHandle: "c1",
+        state: "withdrawn",
+        updatedAt: expect.any(String),
+      },
+    ]);
+  });
+
+  test("forbidden for same user moving it along themselves", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works for members of the job's company, but not to apply or withdraw", async function () {
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u3', 'c1', 'recruiter')`);
+    const u3Token = createToken({ username: "u3", isAdmin: false });
+
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+
+    const withdrawn = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(withdrawn.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "withdrawn" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "rejected" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("rejected");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid transition", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "accepted" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${jobId}`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no application", async function () {
+    const resp = await request(app)
+        .patch(`/users/u3/jobs/${jobId}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /users/:username/skills/:handle */
+
+describe("PUT /users/:username/skills/:handle", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .put("/users/u2/skills/sql")
+        .send({ proficiency: 4 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      skill: { handle: "sql", name: "SQL", proficiency: 4 },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .put("/users/u3/skills/sql")
+        .send({ proficiency: 4 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with proficiency out of range", async function () {
+    const resp = await request(app)
+        .put("/users/u2/skills/sql")
+        .send({ proficiency: 6 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields[0].code).toEqual("too_large");
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+        .put("/users/u2/skills/cobol")
+        .send({ proficiency: 4 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/skills/:handle */
+
+describe("DELETE /users/:username/skills/:handle", function () {
+  test("works for admins", async function () {
+    await db.query(`INSERT INTO user_skills VALUES ('u2', 'js', 3)`);
+    const resp = await request(app)
+        .delete("/users/u2/skills/js")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "js" });
+  });
+
+  test("not found if user doesn't have it", async function () {
+    const resp = await request(app)
+        .delete("/users/u2/skills/js")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/matches */
+
+describe("GET /users/:username/matches", function () {
+  test("works for same user", async function () {
+    const jobRes = await db.query(
+        `INSERT INTO jobs (title, salary_min, equity, company_handle)
+         VALUES ('J1', 1, 0, 'c1')
+         RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    await db.query(
+        `INSERT INTO job_skills (job_id, skill_handle) VALUES ($1, 'js'), ($1, 'sql')`,
+        [jobId]);
+    await db.query(`INSERT INTO user_skills VALUES ('u2', 'js', 3)`);
+
+    const resp = await request(app)
+        .get("/users/u2/matches?limit=5")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      matches: [{
+        jobId,
+        title: "J1",
+        companyHandle: "c1",
+        score: 0.5,
+        matchedSkills: ["js"],
+        missingSkills: ["sql"],
+      }],
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u3/matches")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/searches */
+
+describe("POST /users/:username/searches", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "Remote", filters: { remote: true, minSalary: 50000 } })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        name: "Remote",
+        filters: { remote: true, minSalary: 50000 },
+        createdAt: expect.any(String),
+        lastRunAt: expect.any(String),
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post("/users/u3/searches")
+        .send({ name: "Remote" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with filters GET /jobs doesn't take", async function () {
+    const resp = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "Remote", filters: { minSalary: "lots", bonus: true } })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields.map(f => f.path)).toEqual(
+        ["body.filters.minSalary", "body.filters.bonus"]);
+  });
+});
+
+describe("GET /users/:username/searches", function () {
+  test("works for admins", async function () {
+    await db.query(`INSERT INTO saved_searches (username, name) VALUES ('u2', 'All')`);
+    const resp = await request(app)
+        .get("/users/u2/searches")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.searches.map(s => s.name)).toEqual(["All"]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u3/searches")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/searches/:id", function () {
+  test("works for same user", async function () {
+    const result = await db.query(
+        `INSERT INTO saved_searches (username, name) VALUES ('u2', 'All') RETURNING id`);
+    const id = result.rows[0].id;
+    const resp = await request(app)
+        .delete(`/users/u2/searches/${id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("not found for no such search", async function () {
+    const resp = await request(app)
+        .delete("/users/u2/searches/999999")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/api-keys */
+
+/** Make an API key for username, returning the key. */
+
+async function makeApiKey(username, scopes) {
+  const resp = await request(app)
+      .post(`/users/${username}/api-keys`)
+      .send({ name: "Script", scopes })
+      .set("authorization", `Bearer ${u1Token}`);
+  return resp.body.apiKey.key;
+}
+
+describe("POST /users/:username/api-keys", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "Nightly", scopes: ["read:jobs"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "Nightly",
+        prefix: expect.any(String),
+        scopes: ["read:jobs"],
+        createdAt: expect.any(String),
+        lastUsedAt: null,
+        key: expect.stringMatching(/^jobly_/),
+      },
+    });
+  });
+
+  test("bad request for admin scope on a non-admin's key", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "Nightly", scopes: ["admin"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown scope", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "Nightly", scopes: ["write:everything"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post("/users/u3/api-keys")
+        .send({ name: "Nightly", scopes: ["read:jobs"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/api-keys", function () {
+  test("works for same user, with when each was last used", async function () {
+    const key = await makeApiKey("u2", ["read:jobs"]);
+    await request(app).get("/jobs").set("authorization", `ApiKey ${key}`);
+
+    const resp = await request(app)
+        .get("/users/u2/api-keys")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.apiKeys).toEqual([expect.objectContaining({
+      name: "Script",
+      lastUsedAt: expect.any(String),
+    })]);
+    expect(resp.body.apiKeys[0].key).toBeUndefined();
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u3/api-keys")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/api-keys/:id", function () {
+  test("works for same user; the key stops working", async function () {
+    const key = await makeApiKey("u2", ["read:jobs"]);
+    const [{ id }] = (await db.query(`SELECT id FROM api_keys`)).rows;
+
+    const resp = await request(app)
+        .delete(`/users/u2/api-keys/${id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ revoked: `${id}` });
+
+    const used = await request(app)
+        .get("/users/u2/matches")
+        .set("authorization", `ApiKey ${key}`);
+    expect(used.statusCode).toEqual(401);
+  });
+
+  test("not found for no such key", async function () {
+    const resp = await request(app)
+        .delete("/users/u2/api-keys/999999")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("Authorization: ApiKey", function () {
+  test("read:jobs can read jobs, and nothing else", async function () {
+    const key = await makeApiKey("u2", ["read:jobs"]);
+    await db.query(`INSERT INTO jobs (title, salary_min, company_handle) VALUES ('J1', 1, 'c1')`);
+
+    const jobs = await request(app).get("/jobs").set("authorization", `ApiKey ${key}`);
+    expect(jobs.statusCode).toEqual(200);
+
+    const post = await request(app)
+        .post("/jobs")
+        .send({ title: "New", companyHandle: "c1" })
+        .set("authorization", `apikey ${key}`);
+    expect(post.statusCode).toEqual(403);
+    expect(post.body.error.code).toEqual("insufficient_scope");
+
+    const user = await request(app).get("/users/u2").set("authorization", `ApiKey ${key}`);
+    expect(user.statusCode).toEqual(403);
+  });
+
+  test("write:jobs can post jobs as the user could", async function () {
+    const key = await makeApiKey("u2", ["write:jobs"]);
+    const newJob = { title: "New", salaryMin: 1, salaryMax: 2, equity: 0, companyHandle: "c1" };
+
+    const denied = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `ApiKey ${key}`);
+    expect(denied.statusCode).toEqual(401);
+
+    await db.query(
+        `INSERT INTO company_members (username, company_handle, role)
+         VALUES ('u2', 'c1', 'recruiter')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `ApiKey ${key}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("keys get those of the user's permissions their scopes allow", async function () {
+    const jobsKey = await makeApiKey("u1", ["write:jobs"]);
+    const adminResp = await request(app)
+        .post("/users/u1/api-keys")
+        .send({ name: "All", scopes: ["admin"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    const adminKey = adminResp.body.apiKey.key;
+
+    const job = await request(app)
+        .post("/jobs")
+        .send({ title: "New", salaryMin: 1, salaryMax: 2, equity: 0, companyHandle: "c1" })
+        .set("authorization", `ApiKey ${jobsKey}`);
+    expect(job.statusCode).toEqual(201);
+    const denied = await request(app).get("/users").set("authorization", `ApiKey ${jobsKey}`);
+    expect(denied.statusCode).toEqual(403);
+
+    const resp = await request(app).get("/users").set("authorization", `ApiKey ${adminKey}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unknown keys are anonymous", async function () {
+    const resp = await request(app)
+        .get("/users/u2")
+        .set("authorization", "ApiKey jobly_nope");
+    expect(resp.statusCode).toEqual(401);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -289,3 +874,41 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** permissions */
+
+describe("permissions", function () {
+  test("support staff can list users, but not change them", async function () {
+    await request(app)
+        .patch("/users/u3")
+        .set("if-match", '"1"')
+        .send({ roles: ["support"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u3", password: "password3" });
+    const supportToken = login.body.token;
+
+    const list = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${supportToken}`);
+    expect(list.statusCode).toEqual(200);
+
+    const patch = await request(app)
+        .patch("/users/u2")
+        .set("if-match", '"1"')
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${supportToken}`);
+    expect(patch.statusCode).toEqual(401);
+    expect(patch.body.error.message).toEqual("Permission required: users:admin");
+  });
+
+  test("bad request with unknown roles or permissions", async function () {
+    const resp = await request(app)
+        .patch("/users/u3")
+        .set("if-match", '"1"')
+        .send({ roles: ["owner"], permissions: ["everything"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
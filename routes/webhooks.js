@@ -0,0 +1,149 @@
+"use strict";
+
+/** Routes for webhooks. */
+
+const express = require("express");
+
+const {
+  ensureLoggedIn,
+  authenticateJWT,
+  ensureCompanyMemberOrAdmin,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const Webhook = require("../models/webhook");
+const { pageLinks } = require("../helpers/pagination");
+
+const webhookNewSchema = require("../schemas/webhookNew.json");
+const webhookIdParamsSchema = require("../schemas/webhookIdParams.json");
+const webhookDeliveryQuerySchema = require("../schemas/webhookDeliveryQuery.json");
+
+const router = new express.Router();
+
+/** The handle of the company the webhook in req.params.id is for (null if
+ * it's for every company, which only admins can see to). */
+
+async function webhookCompanyHandle(req) {
+  const webhook = await Webhook.get(req.params.id);
+  return webhook.companyHandle;
+}
+
+/** POST / { url, events, companyHandle }  =>  { webhook }
+ *
+ * Registers a webhook: each of events (job.created, job.closed,
+ * company.updated, application.created) at the company is POSTed to url.
+ * Only admins can leave out companyHandle, to hear about every company.
+ * url must be http or https, at a public address (400 otherwise).
+ *
+ * Returns { id, url, events, companyHandle, createdBy, createdAt, secret }
+ *   -- keep secret to check deliveries' signatures; it isn't shown again.
+ *
+ * Authorization required: admin, or member of companyHandle
+ */
+
+router.post("/", ensureLoggedIn, authenticateJWT, validate({ body: webhookNewSchema }),
+    ensureCompanyMemberOrAdmin(req => req.body.companyHandle), async function (req, res, next) {
+  try {
+    const webhook = await Webhook.create(req.body, res.locals.user.username);
+    return res.status(201).json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /  =>
+ *   { webhooks: [ { id, url, events, companyHandle, createdBy, createdAt }, ...] }
+ *
+ * Admins get every webhook; others those of the companies they're members of.
+ *
+ * Authorization required: login
+ */
+
+router.get("/", ensureLoggedIn, authenticateJWT, async function (req, res, next) {
+  try {
+    const { username, isAdmin } = res.locals.user;
+    const webhooks = await Webhook.findAll(isAdmin ? {} : { member: username });
+    return res.json({ webhooks });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]  =>  { webhook }
+ *
+ * Returns { id, url, events, companyHandle, createdBy, createdAt }
+ *
+ * Authorization required: admin, or member of the webhook's company
+ */
+
+router.get("/:id", ensureLoggedIn, authenticateJWT, validate({ params: webhookIdParamsSchema }),
+    ensureCompanyMemberOrAdmin(webhookCompanyHandle), async function (req, res, next) {
+  try {
+    const webhook = await Webhook.get(req.params.id);
+    return res.json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * Authorization required: admin, or member of the webhook's company
+ */
+
+router.delete("/:id", ensureLoggedIn, authenticateJWT, validate({ params: webhookIdParamsSchema }),
+    ensureCompanyMemberOrAdmin(webhookCompanyHandle), async function (req, res, next) {
+  try {
+    await Webhook.remove(req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/deliveries  =>
+ *   { deliveries: [ { id, event, payload, status, attempts, nextAttemptAt,
+ *                     lastStatusCode, lastError, createdAt, deliveredAt }, ...],
+ *     total, next, prev }
+ *
+ * The webhook's delivery log, newest first. Can filter on status (pending,
+ * succeeded or failed), and page and sort with sort (id; "-id", the
+ * default), limit, and either offset or cursor.
+ *
+ * Authorization required: admin, or member of the webhook's company
+ */
+
+router.get("/:id/deliveries", ensureLoggedIn, authenticateJWT,
+    validate({ params: webhookIdParamsSchema, query: webhookDeliveryQuerySchema }),
+    ensureCompanyMemberOrAdmin(webhookCompanyHandle), async function (req, res, next) {
+  try {
+    const { status, sort, limit, offset, cursor } = req.query;
+    const { deliveries, ...page } = await Webhook.getDeliveries(req.params.id, {
+      status, sort, limit, offset, cursor,
+    });
+    return res.json({ deliveries, ...pageLinks(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/test  =>  { delivery }
+ *
+ * Sends the webhook a "ping" event now (not retried), and reports how it
+ * went: delivery is as in GET /[id]/deliveries, with status "succeeded" or
+ * "failed". Its lastError only says roughly what went wrong (like "Couldn't
+ * connect"), not what the network said.
+ *
+ * Authorization required: admin, or member of the webhook's company
+ */
+
+router.post("/:id/test", ensureLoggedIn, authenticateJWT, validate({ params: webhookIdParamsSchema }),
+    ensureCompanyMemberOrAdmin(webhookCompanyHandle), async function (req, res, next) {
+  try {
+    const delivery = await Webhook.sendTest(req.params.id);
+    return res.json({ delivery });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
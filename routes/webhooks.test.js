@@ -0,0 +1,332 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+const Webhook = require("../models/webhook");
+const { startReceiver } = require("../helpers/_testReceiver");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+let receiver;
+
+beforeAll(commonBeforeAll);
+beforeAll(async function () {
+  receiver = await startReceiver();
+});
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  receiver.requests = [];
+  receiver.status = 200;
+});
+afterEach(commonAfterEach);
+afterAll(async function () {
+  await receiver.close();
+});
+afterAll(commonAfterAll);
+
+async function makeMember(username, companyHandle) {
+  await db.query(
+      `INSERT INTO company_members (username, company_handle, role)
+       VALUES ($1, $2, 'recruiter')`,
+      [username, companyHandle]);
+}
+
+/************************************** POST /webhooks */
+
+describe("POST /webhooks", function () {
+  const newWebhook = {
+    url: "https://example.com/hook",
+    events: ["job.created", "application.created"],
+    companyHandle: "c1",
+  };
+
+  test("ok for company members, with the secret", async function () {
+    await makeMember("u2", "c1");
+    const resp = await request(app)
+        .post("/webhooks")
+        .send(newWebhook)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      webhook: {
+        id: expect.any(Number),
+        ...newWebhook,
+        createdBy: "u2",
+        createdAt: expect.any(String),
+        secret: expect.any(String),
+      },
+    });
+  });
+
+  test("ok for admins, for every company", async function () {
+    const resp = await request(app)
+        .post("/webhooks")
+        .send({ url: "https://example.com/hook", events: ["job.closed"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.webhook.companyHandle).toBeNull();
+  });
+
+  test("unauth for non-admin for every company", async function () {
+    const resp = await request(app)
+        .post("/webhooks")
+        .send({ url: "https://example.com/hook", events: ["job.closed"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for members of another company", async function () {
+    await makeMember("u2", "c2");
+    const resp = await request(app)
+        .post("/webhooks")
+        .send(newWebhook)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/webhooks")
+        .send(newWebhook);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown event", async function () {
+    const resp = await request(app)
+        .post("/webhooks")
+        .send({ ...newWebhook, events: ["job.deleted"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields[0].path).toEqual("body.events[0]");
+  });
+
+  test("bad request with non-http url", async function () {
+    const resp = await request(app)
+        .post("/webhooks")
+        .send({ ...newWebhook, url: "ftp://example.com/hook" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a private address", async function () {
+    for (const url of ["http://localhost:3001/hook", "http://169.254.169.254/latest/meta-data"]) {
+      const resp = await request(app)
+          .post("/webhooks")
+          .send({ ...newWebhook, url })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.error.message).toEqual("url must be a public address");
+    }
+  });
+});
+
+/************************************** GET /webhooks */
+
+describe("GET /webhooks", function () {
+  test("works: admins get all, others their companies'", async function () {
+    const mine = await Webhook.create({ url: "https://a.com/", events: ["job.created"], companyHandle: "c1" });
+    await Webhook.create({ url: "https://b.com/", events: ["job.created"], companyHandle: "c2" });
+    await makeMember("u2", "c1");
+
+    const adminResp = await request(app)
+        .get("/webhooks")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(adminResp.body.webhooks.length).toEqual(2);
+
+    const resp = await request(app)
+        .get("/webhooks")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      webhooks: [{
+        id: mine.id,
+        url: "https://a.com/",
+        events: ["job.created"],
+        companyHandle: "c1",
+        createdBy: null,
+        createdAt: expect.any(String),
+      }],
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/webhooks");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /webhooks/:id */
+
+describe("GET /webhooks/:id", function () {
+  test("works for company members", async function () {
+    const webhook = await Webhook.create({ url: "https://a.com/", events: ["job.created"], companyHandle: "c1" });
+    await makeMember("u2", "c1");
+    const resp = await request(app)
+        .get(`/webhooks/${webhook.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.webhook).toEqual(expect.objectContaining({ id: webhook.id }));
+    expect(resp.body.webhook).not.toHaveProperty("secret");
+  });
+
+  test("unauth for non-admin on a webhook for every company", async function () {
+    const webhook = await Webhook.create({ url: "https://a.com/", events: ["job.created"] });
+    const resp = await request(app)
+        .get(`/webhooks/${webhook.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such webhook", async function () {
+    const resp = await request(app)
+        .get("/webhooks/999999")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request on invalid id", async function () {
+    const resp = await request(app)
+        .get("/webhooks/nope")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /webhooks/:id */
+
+describe("DELETE /webhooks/:id", function () {
+  test("works for company members", async function () {
+    const webhook = await Webhook.create({ url: "https://a.com/", events: ["job.created"], companyHandle: "c1" });
+    await makeMember("u2", "c1");
+    const resp = await request(app)
+        .delete(`/webhooks/${webhook.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: String(webhook.id) });
+  });
+
+  test("unauth for members of another company", async function () {
+    const webhook = await Webhook.create({ url: "https://a.com/", events: ["job.created"], companyHandle: "c1" });
+    await makeMember("u2", "c2");
+    const resp = await request(app)
+        .delete(`/webhooks/${webhook.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /webhooks/:id/test */
+
+describe("POST /webhooks/:id/test", function () {
+  test("works: delivered to the receiver", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"], companyHandle: "c1" });
+    const resp = await request(app)
+        .post(`/webhooks/${webhook.id}/test`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.delivery).toEqual(expect.objectContaining({
+      event: "ping",
+      status: "succeeded",
+      attempts: 1,
+      lastStatusCode: 200,
+    }));
+    expect(receiver.requests.map(r => r.headers["x-jobly-event"])).toEqual(["ping"]);
+  });
+
+  test("works: reports a failure", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"], companyHandle: "c1" });
+    receiver.status = 500;
+    const resp = await request(app)
+        .post(`/webhooks/${webhook.id}/test`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.delivery).toEqual(expect.objectContaining({
+      status: "failed",
+      lastStatusCode: 500,
+      lastError: "HTTP 500",
+    }));
+  });
+
+  test("works: doesn't say why it couldn't connect", async function () {
+    const webhook = await Webhook.create({ url: "http://127.0.0.1:1/", events: ["job.created"], companyHandle: "c1" });
+    const resp = await request(app)
+        .post(`/webhooks/${webhook.id}/test`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.delivery).toEqual(expect.objectContaining({
+      status: "failed",
+      lastStatusCode: null,
+      lastError: "Couldn't connect",
+    }));
+  });
+
+  test("unauth for anon", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"], companyHandle: "c1" });
+    const resp = await request(app).post(`/webhooks/${webhook.id}/test`);
+    expect(resp.statusCode).toEqual(401);
+    expect(receiver.requests).toEqual([]);
+  });
+});
+
+/************************************** GET /webhooks/:id/deliveries */
+
+describe("GET /webhooks/:id/deliveries", function () {
+  test("works: events, delivered or not", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"], companyHandle: "c1" });
+    await makeMember("u2", "c1");
+    await request(app)
+        .post("/jobs")
+        .send({ title: "J", salaryMin: 1, equity: 0, companyHandle: "c1" })
+        .set("authorization", `Bearer ${u2Token}`);
+
+    const resp = await request(app)
+        .get(`/webhooks/${webhook.id}/deliveries`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      deliveries: [{
+        id: expect.any(Number),
+        event: "job.created",
+        payload: expect.objectContaining({ title: "J", companyHandle: "c1" }),
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: expect.any(String),
+        lastStatusCode: null,
+        lastError: null,
+        createdAt: expect.any(String),
+        deliveredAt: null,
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+
+    await Webhook.deliverDue();
+    const deliveredResp = await request(app)
+        .get(`/webhooks/${webhook.id}/deliveries?status=succeeded`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(deliveredResp.body.deliveries.map(d => d.event)).toEqual(["job.created"]);
+  });
+
+  test("works: empty if none match", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"], companyHandle: "c1" });
+    const resp = await request(app)
+        .get(`/webhooks/${webhook.id}/deliveries?status=failed`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(expect.objectContaining({ deliveries: [], total: 0 }));
+  });
+
+  test("bad request on unknown status", async function () {
+    const webhook = await Webhook.create({ url: receiver.url, events: ["job.created"], companyHandle: "c1" });
+    const resp = await request(app)
+        .get(`/webhooks/${webhook.id}/deliveries?status=lost`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
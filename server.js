@@ -1,8 +1,9 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const { PORT, getDatabaseUri } = require("./config");
+const { logger } = require("./helpers/logger");
 
 app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
+  logger.info("started", { url: `http://localhost:${PORT}`, database: getDatabaseUri() });
 });
@@ -0,0 +1,56 @@
+"use strict";
+
+/** What the worker (worker.js) can do: a handler per task name, and the
+ * cron-style schedules (in UTC, see helpers/cron.js) some are queued on.
+ *
+ * Each handler is an async function of the task's payload; what it returns
+ * is kept as the task's result, so keep that small. Queue a task from
+ * anywhere with Task.enqueue(name, payload).
+ */
+
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+const SavedSearch = require("./models/savedSearch");
+const Webhook = require("./models/webhook");
+const { deliverMail } = require("./helpers/mailer");
+const { getStore } = require("./helpers/rateLimit");
+const { DELETED_RETENTION_DAYS } = require("./config");
+
+/** Remove companies, jobs and users deleted more than DELETED_RETENTION_DAYS
+ * ago for good. Until then admins can restore them.
+ *
+ * Returns { handles, jobIds, usernames } of those removed.
+ */
+
+async function purgeDeleted() {
+  // Companies first: their jobs go with them.
+  const handles = await Company.purgeDeleted(DELETED_RETENTION_DAYS);
+  const jobIds = await Job.purgeDeleted(DELETED_RETENTION_DAYS);
+  const usernames = await User.purgeDeleted(DELETED_RETENTION_DAYS);
+  return { handles, jobIds, usernames };
+}
+
+const HANDLERS = {
+  "mail.send": async message => {
+    await deliverMail(message);
+  },
+  "webhooks.deliver": async () => {
+    const deliveries = await Webhook.deliverDue();
+    return { deliveryIds: deliveries.map(d => d.id) };
+  },
+  "jobs.closeExpired": async () => ({ jobIds: await Job.closeExpired() }),
+  "searches.notify": async () => ({ notified: await SavedSearch.notifyNewMatches() }),
+  "deleted.purge": purgeDeleted,
+  "rateLimits.prune": async () => ({ pruned: await getStore().prune() }),
+};
+
+const SCHEDULES = [
+  { name: "webhooks.deliver", cron: "* * * * *" },
+  { name: "jobs.closeExpired", cron: "0 * * * *" },
+  { name: "searches.notify", cron: "0 8 * * *" },
+  { name: "deleted.purge", cron: "30 3 * * *" },
+  { name: "rateLimits.prune", cron: "15 * * * *" },
+];
+
+module.exports = { HANDLERS, SCHEDULES, purgeDeleted };
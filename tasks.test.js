@@ -0,0 +1,49 @@
+"use strict";
+
+const db = require("./db");
+const { HANDLERS, SCHEDULES } = require("./tasks");
+const { nextCronTime } = require("./helpers/cron");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(function () {
+  db.end();
+});
+
+describe("SCHEDULES", function () {
+  test("each has a valid cron expression and a handler", function () {
+    for (const { name, cron } of SCHEDULES) {
+      expect(nextCronTime(cron, new Date())).toEqual(expect.any(Date));
+      expect(HANDLERS[name]).toEqual(expect.any(Function));
+    }
+  });
+});
+
+describe("HANDLERS", function () {
+  test("mail.send: sends it through the transport", async function () {
+    await HANDLERS["mail.send"]({ to: "a@example.com", subject: "Hi", text: "Hello" });
+    const result = await db.query("SELECT recipient, subject FROM mail_outbox");
+    expect(result.rows).toEqual([{ recipient: "a@example.com", subject: "Hi" }]);
+  });
+
+  test("scheduled ones work with nothing to do", async function () {
+    await db.query("DELETE FROM webhook_deliveries");
+    await db.query("DELETE FROM saved_searches");
+    await db.query("UPDATE jobs SET expires_at = NULL");
+    await db.query("UPDATE companies SET deleted_at = NULL");
+    await db.query("UPDATE jobs SET deleted_at = NULL");
+    await db.query("UPDATE users SET deleted_at = NULL");
+
+    expect(await HANDLERS["webhooks.deliver"]({})).toEqual({ deliveryIds: [] });
+    expect(await HANDLERS["jobs.closeExpired"]({})).toEqual({ jobIds: [] });
+    expect(await HANDLERS["searches.notify"]({})).toEqual({ notified: [] });
+    expect(await HANDLERS["deleted.purge"]({})).toEqual({ handles: [], jobIds: [], usernames: [] });
+    expect(await HANDLERS["rateLimits.prune"]({})).toEqual({ pruned: 0 });
+  });
+});
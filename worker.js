@@ -0,0 +1,69 @@
+"use strict";
+
+/** Run background tasks (see tasks.js and models/task.js): queue those on a
+ * schedule as they come due, and run queued ones one at a time. Run as
+ * many workers as you like, alongside server.js:
+ *
+ *   npm run worker
+ *
+ * SIGINT or SIGTERM stop it once the task in hand is done.
+ */
+
+const os = require("os");
+const db = require("./db");
+const Task = require("./models/task");
+const { HANDLERS, SCHEDULES } = require("./tasks");
+const { WORKER_POLL_SECONDS } = require("./config");
+const { logger } = require("./helpers/logger");
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let stopping = false;
+let wake = null;
+
+function stop() {
+  stopping = true;
+  if (wake) wake();
+}
+
+function sleep(seconds) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, seconds * 1000);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+async function work() {
+  logger.info("worker started", { workerId, tasks: Object.keys(HANDLERS) });
+
+  while (!stopping) {
+    const queued = await Task.enqueueScheduled(SCHEDULES);
+    for (const { id, name } of queued) {
+      logger.info("scheduled task queued", { taskId: id, task: name });
+    }
+
+    const task = await Task.runNext(HANDLERS, workerId);
+    if (task) {
+      logger.info("task ran", {
+        taskId: task.id, task: task.name, status: task.status, attempt: task.attempts,
+      });
+    } else {
+      await sleep(WORKER_POLL_SECONDS);
+    }
+  }
+
+  logger.info("worker stopped", { workerId });
+}
+
+process.on("SIGINT", stop);
+process.on("SIGTERM", stop);
+
+work()
+    .catch(err => {
+      logger.error("worker failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());